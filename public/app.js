@@ -15,14 +15,24 @@ var userInput = document.getElementById('user-input');
 var sendBtn = document.getElementById('send-btn');
 var clearBtn = document.getElementById('clear-btn');
 var clearReplStateBtn = document.getElementById('clear-repl-state-btn');
+var rollbackBtn = document.getElementById('rollback-btn');
+var exportBtn = document.getElementById('export-btn');
 var aiOutput = document.getElementById('ai-output');
 var canvasContainer = document.getElementById('canvas-container');
 var canvasIframe = document.getElementById('canvas-iframe');
 var modelSelect = document.getElementById('model-select');
+var bindingsSection = document.getElementById('bindings-section');
+var bindingsList = document.getElementById('bindings-list');
 
 // State for status messages and code execution
 var activeStatusMessages = [];
 var pendingCodeExecution = null;
+var runningCodeCards = {}; // messageId -> card element of an approved, still running evaluation
+var pendingResultPages = {}; // requestId -> callback(err, page) of a fetchResultPage request
+var nextResultPageId = 0;
+
+// The chat resumes after a reload or server restart as long as the tab stays open
+var SESSION_STORAGE_KEY = 'repl-talk-session';
 
 /**
  * Get the iframe document, initializing it if necessary
@@ -51,6 +61,10 @@ function getIframeDocument() {
 function connect() {
     var protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     var wsUrl = protocol + '//' + window.location.host;
+    var savedSession = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (savedSession) {
+        wsUrl += '?session=' + encodeURIComponent(savedSession);
+    }
 
     ws = new WebSocket(wsUrl);
 
@@ -92,6 +106,8 @@ function updateConnectionStatus(connected) {
         disconnectBtn.disabled = false;
         sendBtn.disabled = false;
         clearReplStateBtn.disabled = false;
+        rollbackBtn.disabled = false;
+        exportBtn.disabled = false;
     } else {
         connectionStatus.textContent = 'Disconnected';
         connectionStatus.className = 'status-indicator disconnected';
@@ -99,6 +115,8 @@ function updateConnectionStatus(connected) {
         disconnectBtn.disabled = true;
         sendBtn.disabled = true;
         clearReplStateBtn.disabled = true;
+        rollbackBtn.disabled = true;
+        exportBtn.disabled = true;
     }
 }
 
@@ -116,13 +134,52 @@ function handleServerMessage(message) {
             removeAllStatusMessages();
             visualizeResult(message.data);
             break;
+        case 'result_partial':
+            // Partial HTML of a response that is still being generated, the final 'result' replaces it
+            updateLastStatusMessage('AI is writing the response...', 'thinking');
+            visualizeResult({ type: 'html', html: message.html });
+            break;
+        case 'budget_exhausted':
+            addOutputMessage('⚠ ' + message.message + ' The AI stopped and summarized what it has so far.', 'budget-exhausted');
+            break;
         case 'error':
             removeAllStatusMessages();
             addOutputMessage('Error: ' + message.message, 'error');
             break;
         case 'status':
+            if (message.sessionId) {
+                sessionStorage.setItem(SESSION_STORAGE_KEY, message.sessionId);
+            }
             addOutputMessage(message.message, 'info');
             break;
+        case 'repl_checkpoints':
+            renderCheckpoints(message.checkpoints || []);
+            break;
+        case 'repl_rollback':
+            addOutputMessage('Rolled back the REPL: removed ' + (message.removed.join(', ') || 'nothing') +
+                             ', restored ' + (message.restored.join(', ') || 'nothing'), 'info');
+            if (message.failed && message.failed.length > 0) {
+                addOutputMessage('Could not restore ' + message.failed.map(function(f) {
+                    return f.name + ' (' + f.error + ')';
+                }).join('; '), 'error');
+            }
+            break;
+        case 'session_export':
+            renderExport(message);
+            break;
+        case 'repl_bindings':
+            renderBindings(message.bindings || []);
+            break;
+        case 'session_resumed':
+            addOutputMessage('Resumed chat, restored ' + message.replayed + ' definition(s)', 'info');
+            if (message.error) {
+                addOutputMessage('Could not restore the REPL: ' + message.error, 'error');
+            }
+            if (message.failed && message.failed.length > 0) {
+                addOutputMessage('Could not restore ' + message.failed.length + ' definition(s): ' +
+                                 message.failed.map(function(f) { return f.error; }).join('; '), 'error');
+            }
+            break;
         case 'loading_start':
             addStatusMessage(message.message || 'AI is thinking...', 'thinking');
             break;
@@ -131,9 +188,223 @@ function handleServerMessage(message) {
             break;
         case 'code_preview':
             updateLastStatusMessage('Code ready for review', 'waiting-approval');
-            addCodePreviewCard(message.code, message.messageId);
+            addCodePreviewCard(message.code, message.messageId, message.impact);
+            break;
+        case 'eval_output':
+            appendEvalOutput(message.messageId, message.stream, message.text);
+            break;
+        case 'execution_finished':
+            finishRunningCodeCard(message.messageId, message.status, message.error);
+            break;
+        case 'result_page':
+            var pageCallback = pendingResultPages[message.requestId];
+            delete pendingResultPages[message.requestId];
+            if (pageCallback) {
+                pageCallback(message.error ? new Error(message.error) : null, message.page);
+            }
+            break;
+        case 'reconnecting':
+            connectionStatus.textContent = 'nREPL restarting...';
+            connectionStatus.className = 'status-indicator reconnecting';
+            addOutputMessage('nREPL server stopped, restarting in ' + Math.round(message.delay / 1000) +
+                             's (attempt ' + message.attempt + ')', 'info');
             break;
+        case 'reconnected':
+            updateConnectionStatus(isConnected);
+            addOutputMessage('nREPL server restarted, restored ' + message.replayed + ' definition(s)', 'info');
+            if (message.failed && message.failed.length > 0) {
+                addOutputMessage('Could not restore ' + message.failed.length + ' definition(s): ' +
+                                 message.failed.map(function(f) { return f.error; }).join('; '), 'error');
+            }
+            break;
+    }
+}
+
+/**
+ * Show the assistant turns the REPL can be rolled back to, each with a button that restores
+ * the definitions as of that turn
+ * @param {Array} checkpoints - [{ messageId, prompt, names, at }], newest first
+ */
+function renderCheckpoints(checkpoints) {
+    var card = document.createElement('div');
+    card.className = 'code-preview-card rollback-card';
+
+    var header = document.createElement('div');
+    header.className = 'card-header';
+    header.textContent = 'Roll back the REPL to the definitions as of:';
+    card.appendChild(header);
+
+    if (checkpoints.length === 0) {
+        var empty = document.createElement('div');
+        empty.className = 'rollback-empty';
+        empty.textContent = 'Nothing has been defined yet.';
+        card.appendChild(empty);
+    }
+
+    function choose(messageId) {
+        card.remove();
+        if (!isConnected || !ws) {
+            addOutputMessage('Not connected to server', 'error');
+            return;
+        }
+        ws.send(JSON.stringify({ type: 'rollback_repl_state', messageId: messageId }));
     }
+
+    var list = document.createElement('ul');
+    list.className = 'rollback-list';
+    checkpoints.concat([{ messageId: 0, prompt: 'Before anything was defined', names: [] }]).forEach(function(checkpoint) {
+        var item = document.createElement('li');
+
+        var label = document.createElement('div');
+        label.className = 'rollback-label';
+        var prompt = checkpoint.prompt || 'Turn ' + checkpoint.messageId;
+        label.textContent = (prompt.length > 80 ? prompt.substring(0, 80) + '...' : prompt) +
+                            (checkpoint.at ? ' (' + new Date(checkpoint.at).toLocaleTimeString() + ')' : '');
+        item.appendChild(label);
+
+        if (checkpoint.names.length > 0) {
+            var names = document.createElement('code');
+            names.textContent = checkpoint.names.join(' ');
+            item.appendChild(names);
+        }
+
+        var restore = document.createElement('button');
+        restore.className = 'btn btn-secondary';
+        restore.textContent = 'Restore';
+        restore.addEventListener('click', function() { choose(checkpoint.messageId); });
+        item.appendChild(restore);
+
+        list.appendChild(item);
+    });
+    card.appendChild(list);
+
+    var cancel = document.createElement('button');
+    cancel.className = 'btn btn-secondary';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', function() { card.remove(); });
+    card.appendChild(cancel);
+
+    aiOutput.appendChild(card);
+    aiOutput.scrollTop = aiOutput.scrollHeight;
+}
+
+/**
+ * Warn that code redefines vars other definitions use
+ * @param {Array} impact - [{ name, dependents, signature: { from, to } or null }]
+ * @returns {Element} Warning element
+ */
+function renderRedefinitionImpact(impact) {
+    var warning = document.createElement('div');
+    warning.className = 'redefinition-warning';
+    impact.forEach(function(entry) {
+        var line = document.createElement('div');
+        line.textContent = '⚠ Redefining ' + entry.name +
+                           (entry.signature ? ' (arguments ' + entry.signature.from + ' → ' + entry.signature.to + ')' : '') +
+                           ' affects ' + entry.dependents.join(', ');
+        warning.appendChild(line);
+    });
+    return warning;
+}
+
+/**
+ * Show the chat's definitions exported as a namespace or Babashka script, with links that
+ * download the source file and the bb.edn task stub
+ * @param {Object} result - { namespace, format, files: [{ path, content }] }
+ */
+function renderExport(result) {
+    var existing = aiOutput.querySelector('.export-card');
+    if (existing) existing.remove();
+
+    var card = document.createElement('div');
+    card.className = 'code-preview-card export-card';
+
+    var header = document.createElement('div');
+    header.className = 'card-header';
+    header.textContent = 'Export ' + result.namespace + ' as:';
+    card.appendChild(header);
+
+    var format = document.createElement('select');
+    [['namespace', 'Clojure namespace'], ['script', 'Babashka script']].forEach(function(option) {
+        var element = document.createElement('option');
+        element.value = option[0];
+        element.textContent = option[1];
+        format.appendChild(element);
+    });
+    format.value = result.format;
+    format.addEventListener('change', function() {
+        if (!isConnected || !ws) {
+            addOutputMessage('Not connected to server', 'error');
+            return;
+        }
+        ws.send(JSON.stringify({ type: 'export_session', format: format.value, namespace: result.namespace }));
+    });
+    header.appendChild(format);
+
+    var sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    result.files.forEach(function(file) {
+        var name = document.createElement('div');
+        name.className = 'export-file';
+        var link = document.createElement('a');
+        link.textContent = file.path;
+        link.href = '/api/sessions/' + encodeURIComponent(sessionId) + '/export?format=' + result.format +
+                    '&namespace=' + encodeURIComponent(result.namespace) + (file.path === 'bb.edn' ? '&file=bb.edn' : '');
+        link.title = 'Download';
+        name.appendChild(link);
+        card.appendChild(name);
+
+        var source = document.createElement('pre');
+        source.className = 'export-source';
+        source.textContent = file.content;
+        card.appendChild(source);
+    });
+
+    var close = document.createElement('button');
+    close.className = 'btn btn-secondary';
+    close.textContent = 'Close';
+    close.addEventListener('click', function() { card.remove(); });
+    card.appendChild(close);
+
+    aiOutput.appendChild(card);
+    aiOutput.scrollTop = aiOutput.scrollHeight;
+}
+
+/**
+ * List the results bound with ;; bind-result, each with a button to clear it
+ * @param {Array} bindings - [{ name, type, count, preview }]
+ */
+function renderBindings(bindings) {
+    bindingsList.innerHTML = '';
+    bindingsSection.hidden = bindings.length === 0;
+
+    bindings.forEach(function(binding) {
+        var item = document.createElement('li');
+
+        var name = document.createElement('code');
+        name.textContent = binding.name;
+        item.appendChild(name);
+
+        var summary = document.createElement('span');
+        summary.className = 'binding-summary';
+        summary.textContent = binding.type + (binding.count !== null && binding.count !== undefined ? ' (' + binding.count + ')' : '') +
+                              ' ' + binding.preview;
+        summary.title = binding.preview;
+        item.appendChild(summary);
+
+        var clear = document.createElement('button');
+        clear.className = 'binding-clear';
+        clear.title = 'Clear ' + binding.name;
+        clear.textContent = '\u00d7';
+        clear.addEventListener('click', function() {
+            if (!isConnected || !ws) {
+                addOutputMessage('Not connected to server', 'error');
+                return;
+            }
+            ws.send(JSON.stringify({ type: 'clear_binding', name: binding.name }));
+        });
+        item.appendChild(clear);
+
+        bindingsList.appendChild(item);
+    });
 }
 
 function sendMessage() {
@@ -223,6 +494,7 @@ function visualizeResult(result) {
                 renderMap(vizDiv, data, iframeDoc);
                 break;
             case 'list':
+            case 'set':
                 renderList(vizDiv, data, iframeDoc);
                 break;
             case 'string':
@@ -233,6 +505,11 @@ function visualizeResult(result) {
             default:
                 renderJSON(vizDiv, result, iframeDoc);
         }
+
+        // Large values are cut down, say so rather than show a partial value as complete
+        if (result.truncated) {
+            renderTruncation(vizDiv, result, type, iframeDoc);
+        }
     }
 
     iframeDoc.body.appendChild(vizDiv);
@@ -571,6 +848,77 @@ function renderList(container, data, iframeDoc) {
     }
 }
 
+/**
+ * Request a page of a result kept in the REPL (results with truncated and resultId)
+ * Also callable from generated HTML in the canvas as parent.fetchResultPage
+ * @param {string} resultId - resultId of the result
+ * @param {string} path - JSON pointer of the collection ('' for the result itself)
+ * @param {number} offset - Index of the first item
+ * @param {number} limit - Number of items
+ * @param {Function} callback - Callback function (err, page) with the items in page.data
+ */
+function fetchResultPage(resultId, path, offset, limit, callback) {
+    if (!ws || !isConnected) {
+        return callback(new Error('Not connected'), null);
+    }
+    var requestId = 'page-' + (nextResultPageId++);
+    pendingResultPages[requestId] = callback;
+    ws.send(JSON.stringify({
+        type: 'fetch_result_page',
+        requestId: requestId,
+        resultId: resultId,
+        path: path,
+        offset: offset,
+        limit: limit
+    }));
+}
+
+/**
+ * Note what was left out of a result and, when the result itself was cut short,
+ * offer to load the rest of it page by page
+ */
+function renderTruncation(container, result, type, iframeDoc) {
+    var markers = result.truncation || [];
+    var root = markers.filter(function(marker) { return marker.path === ''; })[0];
+
+    var note = iframeDoc.createElement('div');
+    note.style.padding = '0.5rem';
+    note.style.color = '#cca700';
+    note.textContent = root ?
+        'Showing ' + root.shown + (root.total !== null && root.total !== undefined ? ' of ' + root.total : '') + ' items.' :
+        'Some nested values were cut short, only their first items are shown.';
+    container.appendChild(note);
+
+    if (!root || !result.resultId || root.reason === 'level') return;
+
+    var offset = root.shown;
+    var button = iframeDoc.createElement('button');
+    button.textContent = 'Load more';
+    button.onclick = function() {
+        button.disabled = true;
+        fetchResultPage(result.resultId, '', offset, Math.max(root.shown, 1), function(err, page) {
+            button.disabled = false;
+            if (err) {
+                note.textContent = 'Could not load more: ' + err.message;
+                return;
+            }
+            var pageDiv = iframeDoc.createElement('div');
+            if (type === 'table-data' || type === 'map') {
+                renderTable(pageDiv, page.data, iframeDoc);
+            } else {
+                renderList(pageDiv, page.data, iframeDoc);
+            }
+            container.insertBefore(pageDiv, note);
+            offset += page.page ? page.page.limit : 0;
+            note.textContent = 'Showing ' + offset + (root.total !== null && root.total !== undefined ? ' of ' + root.total : '') + ' items.';
+            if (!page.page || !page.page.more) {
+                button.remove();
+            }
+        });
+    };
+    container.appendChild(button);
+}
+
 function renderSimple(container, data, iframeDoc) {
     var div = iframeDoc.createElement('div');
     div.style.padding = '1rem';
@@ -658,9 +1006,9 @@ function removeAllStatusMessages() {
 }
 
 // Inline code preview card function
-function addCodePreviewCard(code, messageId) {
+function addCodePreviewCard(code, messageId, impact) {
     // Remove any existing code preview card
-    var existingCard = document.querySelector('.code-preview-card');
+    var existingCard = document.querySelector('.code-preview-card:not(.running):not(.interrupted):not(.finished)');
     if (existingCard) {
         existingCard.remove();
     }
@@ -702,6 +1050,9 @@ function addCodePreviewCard(code, messageId) {
 
     // Assemble card
     cardDiv.appendChild(headerDiv);
+    if (impact && impact.length > 0) {
+        cardDiv.appendChild(renderRedefinitionImpact(impact));
+    }
     cardDiv.appendChild(codeDisplayDiv);
     cardDiv.appendChild(actionsDiv);
 
@@ -991,9 +1342,9 @@ function approveCodeExecution(messageId) {
         }
     }
 
-    // Remove the code preview card
+    // Turn the preview card into a running card with a stop button
     if (pendingCodeExecution.cardElement) {
-        pendingCodeExecution.cardElement.remove();
+        showRunningCodeCard(pendingCodeExecution.cardElement, messageId, codeToExecute);
     }
 
     // Update status to show execution
@@ -1010,6 +1361,184 @@ function approveCodeExecution(messageId) {
     pendingCodeExecution = null;
 }
 
+/**
+ * Replace the editor and approve/reject buttons of a code card with a
+ * read-only view of the executed code and a stop button
+ */
+function showRunningCodeCard(cardDiv, messageId, code) {
+    cardDiv.classList.add('running');
+
+    var headerDiv = cardDiv.querySelector('.card-header');
+    if (headerDiv) {
+        headerDiv.innerHTML = '<span>⚡</span><span>Running Code</span>';
+    }
+
+    var codeDisplayDiv = cardDiv.querySelector('.code-display');
+    if (codeDisplayDiv) {
+        codeDisplayDiv.innerHTML = '';
+        var pre = document.createElement('pre');
+        var codeEl = document.createElement('code');
+        codeEl.textContent = code;
+        pre.appendChild(codeEl);
+        codeDisplayDiv.appendChild(pre);
+    }
+
+    var actionsDiv = cardDiv.querySelector('.card-actions');
+    if (actionsDiv) {
+        actionsDiv.innerHTML = '';
+        var stopBtn = document.createElement('button');
+        stopBtn.className = 'btn-danger';
+        stopBtn.textContent = '■ Stop';
+        stopBtn.onclick = function() {
+            cancelCodeExecution(messageId);
+        };
+        actionsDiv.appendChild(stopBtn);
+    }
+
+    runningCodeCards[messageId] = cardDiv;
+}
+
+/**
+ * Append stdout/stderr of a running evaluation to the console under its code card
+ */
+function appendEvalOutput(messageId, stream, text) {
+    var cardDiv = runningCodeCards[messageId];
+    if (!cardDiv) return;
+
+    var consoleDiv = cardDiv.querySelector('.eval-console');
+    if (!consoleDiv) {
+        consoleDiv = document.createElement('pre');
+        consoleDiv.className = 'eval-console';
+        var actionsDiv = cardDiv.querySelector('.card-actions');
+        cardDiv.insertBefore(consoleDiv, actionsDiv);
+    }
+
+    // Only follow the output if the user hasn't scrolled up to read it
+    var atBottom = consoleDiv.scrollHeight - consoleDiv.scrollTop - consoleDiv.clientHeight < 20;
+
+    var chunk = document.createElement('span');
+    chunk.className = stream === 'err' ? 'eval-console-err' : 'eval-console-out';
+    chunk.textContent = text;
+    consoleDiv.appendChild(chunk);
+
+    if (atBottom) {
+        consoleDiv.scrollTop = consoleDiv.scrollHeight;
+    }
+}
+
+/**
+ * Ask the server to interrupt a running evaluation
+ */
+function cancelCodeExecution(messageId) {
+    var cardDiv = runningCodeCards[messageId];
+    if (!cardDiv || !isConnected) return;
+
+    var stopBtn = cardDiv.querySelector('.card-actions .btn-danger');
+    if (stopBtn) {
+        stopBtn.disabled = true;
+        stopBtn.textContent = 'Stopping...';
+    }
+
+    ws.send(JSON.stringify({
+        type: 'cancel_execution',
+        messageId: messageId
+    }));
+}
+
+/**
+ * Retire a running code card once its evaluation has finished
+ * Interrupted and timed out evaluations stay visible so the user can see what was stopped,
+ * finished ones only if they printed output
+ */
+function finishRunningCodeCard(messageId, status, error) {
+    var cardDiv = runningCodeCards[messageId];
+    if (!cardDiv) return;
+    delete runningCodeCards[messageId];
+
+    var stopped = status === 'interrupted' || status === 'timeout';
+    if (error) {
+        cardDiv.insertBefore(renderErrorPanel(error), cardDiv.querySelector('.card-actions'));
+    }
+    if (!stopped && !error && !cardDiv.querySelector('.eval-console')) {
+        cardDiv.remove();
+        return;
+    }
+
+    cardDiv.classList.remove('running');
+    cardDiv.classList.add(stopped ? 'interrupted' : 'finished');
+    var headerDiv = cardDiv.querySelector('.card-header');
+    if (headerDiv) {
+        headerDiv.innerHTML = status === 'timeout' ? '<span>⏱</span><span>Evaluation Timed Out</span>' :
+            status === 'interrupted' ? '<span>■</span><span>Evaluation Interrupted</span>' :
+            status === 'error' ? '<span>✗</span><span>Evaluation Failed</span>' :
+            '<span>✓</span><span>Evaluation Finished</span>';
+    }
+    var actionsDiv = cardDiv.querySelector('.card-actions');
+    if (actionsDiv) {
+        actionsDiv.remove();
+    }
+}
+
+/**
+ * Collapsible panel describing a failed evaluation: the cause and where it happened,
+ * expanding to the failing line, the exception chain with its ex-data and the stack
+ * @param {Object} error - { message, category, hint, exception } from execution_finished
+ */
+function renderErrorPanel(error) {
+    var exception = error.exception;
+    var panel = document.createElement('details');
+    panel.className = 'error-panel';
+
+    var summary = document.createElement('summary');
+    var location = exception && exception.location;
+    summary.textContent = (error.category && error.category !== 'other' ? error.category + ': ' : '') +
+                          (exception && exception.cause || error.message) +
+                          (location ? ' (line ' + location.line + (location.column ? ', column ' + location.column : '') + ')' : '');
+    panel.appendChild(summary);
+
+    function section(title, text) {
+        var heading = document.createElement('div');
+        heading.className = 'error-panel-heading';
+        heading.textContent = title;
+        var body = document.createElement('pre');
+        body.textContent = text;
+        panel.appendChild(heading);
+        panel.appendChild(body);
+    }
+
+    if (error.hint) {
+        section('Hint', error.hint);
+    }
+    if (!exception) {
+        section('Error', error.message);
+        return panel;
+    }
+    if (location && location.source !== null && location.source !== undefined) {
+        var caret = location.column ? '\n' + new Array(location.column).join(' ') + '^' : '';
+        section('Line ' + location.line, location.source + caret);
+    }
+    if (exception.userFrame && exception.userFrame.name) {
+        section('In', exception.userFrame.name + (exception.userFrame.line ? ' at line ' + exception.userFrame.line : ''));
+    }
+    section('Exceptions', exception.via.map(function(entry) {
+        return entry.type + ': ' + (entry.message || '') +
+               (entry.data ? '\n  ' + JSON.stringify(entry.data, null, 2).replace(/\n/g, '\n  ') : '');
+    }).join('\n'));
+    if (exception.trace && exception.trace.length > 0) {
+        var trace = document.createElement('details');
+        var traceSummary = document.createElement('summary');
+        traceSummary.textContent = 'Stack trace (' + exception.trace.length + ' frames)';
+        var traceBody = document.createElement('pre');
+        traceBody.textContent = exception.trace.map(function(frame) {
+            return frame.class + '.' + frame.method + ' (' + (frame.file || 'unknown') + ':' + frame.line + ')';
+        }).join('\n');
+        trace.appendChild(traceSummary);
+        trace.appendChild(traceBody);
+        panel.appendChild(trace);
+    }
+    return panel;
+}
+
 function rejectCodeExecution(messageId) {
     if (!pendingCodeExecution || !isConnected) return;
 
@@ -1045,6 +1574,24 @@ connectBtn.addEventListener('click', connect);
 disconnectBtn.addEventListener('click', disconnect);
 sendBtn.addEventListener('click', sendMessage);
 
+// Roll Back REPL button handler, the server answers with the turns to pick from
+rollbackBtn.addEventListener('click', function() {
+    if (!isConnected || !ws) {
+        addOutputMessage('Not connected to server', 'error');
+        return;
+    }
+    ws.send(JSON.stringify({ type: 'list_checkpoints' }));
+});
+
+// Export button handler, the server answers with the exported files
+exportBtn.addEventListener('click', function() {
+    if (!isConnected || !ws) {
+        addOutputMessage('Not connected to server', 'error');
+        return;
+    }
+    ws.send(JSON.stringify({ type: 'export_session', format: 'namespace' }));
+});
+
 // Clear REPL State button handler
 clearReplStateBtn.addEventListener('click', function() {
     if (!isConnected || !ws) {
@@ -1067,6 +1614,7 @@ clearBtn.addEventListener('click', function() {
     }
     activeStatusMessages = [];
     pendingCodeExecution = null;
+    runningCodeCards = {};
 });
 
 userInput.addEventListener('keydown', function(e) {
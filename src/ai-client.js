@@ -1,13 +1,15 @@
 /*global module,console,require*/
 
 /**
- * AI Client for OpenAI-compatible APIs (local models and DeepSeek)
+ * AI Client for OpenAI-compatible, Anthropic and Ollama APIs
  * Exposes single eval_clojure tool to AI models
  */
 
 var https = require('https');
 var http = require('http');
 var resultHandler = require('./result-handler');
+var providers = require('./providers');
+var contextWindow = require('./context-window');
 
 /**
  * Create the eval_clojure tool schema from config
@@ -33,6 +35,56 @@ function createEvalClojureTool(config) {
     };
 }
 
+/**
+ * Name of the tool paging through results that were cut down
+ */
+var RESULT_PAGE_TOOL = 'fetch_result_page';
+
+/**
+ * Create the fetch_result_page tool schema
+ */
+function createResultPageTool() {
+    return {
+        type: 'function',
+        function: {
+            name: RESULT_PAGE_TOOL,
+            description: 'Fetches more of a result that was too large to return in full. Results that were cut down have ' +
+                         '`truncated: true`, a `resultId` and `truncation` markers ({ path, shown, total }) saying which ' +
+                         'collections lost items. Use this instead of evaluating the code again to see the rest.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    result_id: { type: 'string', description: 'The resultId of the result' },
+                    path: { type: 'string', description: 'JSON pointer of the collection to page through, from a truncation marker ("" for the result itself)' },
+                    offset: { type: 'integer', description: 'Index of the first item to return' },
+                    limit: { type: 'integer', description: 'Number of items to return' }
+                },
+                required: ['result_id', 'offset']
+            }
+        }
+    };
+}
+
+/**
+ * Whether a failed request may succeed when sent again
+ */
+function isRetryableStatus(statusCode) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @returns {number|undefined} Delay in milliseconds, undefined if the header is missing or invalid
+ */
+function parseRetryAfter(header) {
+    if (!header) return undefined;
+    if (/^\d+(\.\d+)?$/.test(header.trim())) {
+        return Math.round(parseFloat(header) * 1000);
+    }
+    var date = Date.parse(header);
+    return isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
 /**
  * Create AI Client
  * @param {Object} config - Configuration object
@@ -41,8 +93,12 @@ function createEvalClojureTool(config) {
  * @param {Function} saveCallback - Optional callback to save messages (sessionId, role, content, toolCalls)
  * @param {Function} statusCallback - Optional callback to send status updates to user (message)
  * @param {string} sessionId - Optional session ID for REPL state tracking
+ * @param {Function} streamCallback - Optional callback receiving partial HTML (html) while a streamed response is generated
+ * @param {Object} initialSummary - Optional summary of the earliest turns { content, turnCount }
+ * @param {Function} summaryCallback - Optional callback to save a new summary ({ content, turnCount })
  */
-function createAIClient(config, evalCallback, initialHistory, saveCallback, statusCallback, sessionId) {
+function createAIClient(config, evalCallback, initialHistory, saveCallback, statusCallback, sessionId, streamCallback,
+                        initialSummary, summaryCallback) {
     var replState = require('./repl-state');
 
     var client = {
@@ -51,12 +107,35 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
         conversationHistory: [],
         saveCallback: saveCallback || null,
         statusCallback: statusCallback || null,
+        streamCallback: streamCallback || null,
+        summaryCallback: summaryCallback || null,
         sessionId: sessionId || null,
+        // Summary replacing the first turnCount user turns of the history in requests
+        summary: initialSummary || null,
         // Error recovery state
         inErrorRecovery: false,
-        iterationCount: 0
+        iterationCount: 0,
+        // Budget usage of the current user turn (see config.agent), and the fallback
+        // model { from, to, reason } the turn continues on if its model became unavailable
+        turn: { startedAt: Date.now(), toolCalls: 0, fallback: null },
+        // Cassette recording or replaying model requests (see cassette.js), set by the app
+        cassette: null,
+        // Callback ({ resultId, path, offset, limit }, callback(err, result)) paging through kept
+        // results, set by the app; the fetch_result_page tool is only offered when it is set
+        resultPageCallback: null
     };
 
+    /**
+     * Tool schemas sent with each request
+     */
+    function getTools() {
+        var tools = [createEvalClojureTool(client.config)];
+        if (client.resultPageCallback) {
+            tools.push(createResultPageTool());
+        }
+        return tools;
+    }
+
     /**
      * Sanitize conversation history to ensure valid message sequence
      * Removes orphaned tool messages (tool messages without preceding assistant message with tool_calls)
@@ -157,20 +236,42 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
         }
 
         return {
+            name: modelKey,
             endpoint: modelConfig.endpoint,
             apiKey: modelConfig.apiKey,
             model: modelConfig.model,
             temperature: modelConfig.temperature,
-            maxTokens: modelConfig.maxTokens
+            maxTokens: modelConfig.maxTokens,
+            stream: !!modelConfig.stream,
+            provider: modelConfig.provider || 'openai',
+            contextWindow: modelConfig.contextWindow || 0,
+            fallbackModels: modelConfig.fallbackModels || []
         };
     }
 
     /**
      * Make HTTP request to AI API
+     * The provider parses the native response into the OpenAI response shape.
+     * Streamed responses (request.body.stream) are rebuilt into the same shape,
+     * onContent receives the assistant text generated so far.
+     * Errors that may go away on their own are marked with err.retryable, and
+     * err.retryAfter (milliseconds) when the server said when to come back
      */
-    function makeRequest(endpointUrl, apiKey, body, callback) {
+    function makeRequest(request, provider, done, onContent) {
+        var cassette = client.cassette;
+        if (cassette && cassette.mode === 'replay') {
+            return cassette.replayRequest(request, done, onContent);
+        }
+
+        var finished = false;
+        var callback = function(err, response) {
+            if (finished) return;
+            finished = true;
+            if (cassette) cassette.recordRequest(request, err, response);
+            done(err, response);
+        };
         // Use WHATWG URL API instead of deprecated url.parse()
-        var parsedUrl = new URL(endpointUrl);
+        var parsedUrl = new URL(request.url);
         var isHttps = parsedUrl.protocol === 'https:';
         var httpModule = isHttps ? https : http;
 
@@ -182,13 +283,14 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
             port: parsedUrl.port || (isHttps ? 443 : 80),
             path: path,
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + apiKey
-            }
+            headers: Object.assign({ 'Content-Type': 'application/json' }, request.headers)
         };
 
         var req = httpModule.request(options, function(res) {
+            if (request.body.stream && res.statusCode >= 200 && res.statusCode < 300) {
+                return readStream(res, provider, callback, onContent);
+            }
+
             var data = '';
             res.on('data', function(chunk) {
                 data += chunk;
@@ -196,32 +298,200 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
             res.on('end', function() {
                 if (res.statusCode >= 200 && res.statusCode < 300) {
                     try {
-                        var jsonData = JSON.parse(data);
+                        var jsonData = provider.parseResponse(JSON.parse(data));
                         callback(null, jsonData);
                     } catch (e) {
                         callback(new Error('Failed to parse response: ' + e.message), null);
                     }
                 } else {
-                    callback(new Error('API request failed with status ' + res.statusCode + ': ' + data), null);
+                    var error = new Error('API request failed with status ' + res.statusCode + ': ' + data);
+                    error.statusCode = res.statusCode;
+                    error.retryable = isRetryableStatus(res.statusCode);
+                    error.retryAfter = parseRetryAfter(res.headers['retry-after']);
+                    callback(error, null);
                 }
             });
         });
 
+        var requestTimeout = client.config.retry && client.config.retry.requestTimeout;
+        if (requestTimeout) {
+            req.setTimeout(requestTimeout, function() {
+                var error = new Error('API request timed out after ' + requestTimeout + 'ms without a response');
+                error.code = 'ETIMEDOUT';
+                req.destroy(error);
+            });
+        }
+
         req.on('error', function(err) {
+            // Connection refused or reset, DNS failures and timeouts
+            err.retryable = true;
             callback(err, null);
         });
 
-        req.write(JSON.stringify(body));
+        req.write(JSON.stringify(request.body));
         req.end();
     }
 
+    /**
+     * Read a streamed response into a regular chat completion response
+     */
+    function readStream(res, provider, callback, onContent) {
+        var accumulator = provider.createStreamAccumulator(onContent);
+        var finished = false;
+
+        res.setEncoding('utf8');
+        res.on('data', function(chunk) {
+            accumulator.write(chunk);
+        });
+        res.on('end', function() {
+            if (finished) return;
+            finished = true;
+            var result = accumulator.end();
+            callback(result.error, result.response);
+        });
+        res.on('error', function(err) {
+            if (finished) return;
+            finished = true;
+            callback(err, null);
+        });
+    }
+
+    /**
+     * Send the conversation to the model's provider
+     * If the model stays unavailable after retries, its fallbackModels are tried in order
+     * with the same messages. Once a fallback answered, the rest of the turn stays on it
+     * @param {Object} endpointInfo - Model settings from getEndpoint
+     * @param {Array} messages - OpenAI-shaped messages, system prompt first
+     * @param {Function} callback - Callback function (err, response) with an OpenAI-shaped response
+     * @param {Object} options - Optional { toolChoice: 'none' } to forbid tool calls, { stream: false } to not stream
+     */
+    function requestCompletion(endpointInfo, messages, callback, options) {
+        var active = activeEndpoint(endpointInfo);
+        var candidates = [active];
+        if (active === endpointInfo) {
+            endpointInfo.fallbackModels.forEach(function(modelKey) {
+                if (client.config.ai.models[modelKey]) {
+                    candidates.push(getEndpoint(modelKey));
+                } else {
+                    console.warn('Ignoring unknown fallback model', modelKey, 'of', endpointInfo.name);
+                }
+            });
+        }
+
+        var failures = [];
+        function tryCandidate(index) {
+            var candidate = candidates[index];
+            if (options && options.stream === false) {
+                candidate = Object.assign({}, candidate, { stream: false });
+            }
+
+            requestWithRetries(candidate, messages, options, function(err, response) {
+                if (!err) {
+                    if (candidate.name !== endpointInfo.name && !client.turn.fallback) {
+                        client.turn.fallback = { from: endpointInfo.name, to: candidate.name, reason: failures[0] };
+                    }
+                    return callback(null, response);
+                }
+
+                failures.push(candidate.name + ': ' + err.message);
+                if (index + 1 >= candidates.length) {
+                    return callback(candidates.length > 1 ?
+                                    new Error('All models failed. ' + failures.join('; ')) : err, null);
+                }
+
+                var next = candidates[index + 1];
+                console.warn('Model', candidate.name, 'failed, falling back to', next.name + ':', err.message);
+                if (client.statusCallback) {
+                    client.statusCallback('Model ' + candidate.name + ' is unavailable (' + shortError(err) + '). Continuing with ' + next.name + '...');
+                }
+                tryCandidate(index + 1);
+            });
+        }
+        tryCandidate(0);
+    }
+
+    /**
+     * The endpoint requests for a model go to in this turn: its fallback if it failed earlier in the turn
+     */
+    function activeEndpoint(endpointInfo) {
+        var fallback = client.turn.fallback;
+        return fallback && fallback.from === endpointInfo.name ? getEndpoint(fallback.to) : endpointInfo;
+    }
+
+    /**
+     * Send a request to one model, retrying errors marked retryable with exponential backoff
+     * A Retry-After longer than retry.maxDelay gives up on the model right away
+     */
+    function requestWithRetries(endpointInfo, messages, options, callback) {
+        var provider;
+        try {
+            provider = providers.getProvider(endpointInfo.provider);
+        } catch (e) {
+            return callback(e, null);
+        }
+
+        var retry = client.config.retry || {};
+        var maxRetries = retry.maxRetries || 0;
+        var request = provider.buildRequest(endpointInfo, messages, getTools(), options);
+        var attempt = 0;
+
+        function send() {
+            makeRequest(request, provider, function(err, response) {
+                if (!err || !err.retryable || attempt >= maxRetries) {
+                    return callback(err, response);
+                }
+
+                var delay = err.retryAfter !== undefined ? err.retryAfter :
+                    Math.min((retry.initialDelay || 1000) * Math.pow(2, attempt), retry.maxDelay || 30000);
+                if (retry.maxDelay && delay > retry.maxDelay) {
+                    console.warn('Model', endpointInfo.name, 'asked to retry after', delay + 'ms, not waiting that long');
+                    return callback(err, null);
+                }
+
+                attempt++;
+                console.warn('Request to', endpointInfo.name, 'failed, retry', attempt, 'of', maxRetries, 'in', delay + 'ms:', err.message);
+                if (client.statusCallback) {
+                    client.statusCallback('Model request failed (' + shortError(err) + '). Retrying in ' +
+                                          Math.ceil(delay / 1000) + 's (attempt ' + attempt + ' of ' + maxRetries + ')...');
+                }
+                setTimeout(send, delay);
+            }, createContentHandler());
+        }
+        send();
+    }
+
+    /**
+     * Short description of a request error for status updates
+     */
+    function shortError(err) {
+        if (err.statusCode) return 'status ' + err.statusCode;
+        return err.code || err.message.substring(0, 100);
+    }
+
+    /**
+     * Forward partial HTML of a streamed response to the stream callback
+     */
+    function createContentHandler() {
+        if (!client.streamCallback) return null;
+        return function(content) {
+            var html = extractHTML(content);
+            if (html) {
+                client.streamCallback(html);
+            }
+        };
+    }
+
     /**
      * Handle function calling - execute tool and return result
+     * @param {Object} toolCall - Tool call from the AI response
+     * @param {string} modelType - Model that requested the tool call (passed on to evalCallback)
+     * @param {Function} callback - Callback function (err, toolResponse)
      */
-    function handleToolCall(toolCall, callback) {
+    function handleToolCall(toolCall, modelType, callback) {
         var toolName = client.config.ai.tool.name;
         if (toolCall.function.name === toolName) {
-            var args = JSON.parse(toolCall.function.arguments);
+            var args = parseToolArguments(toolCall, callback);
+            if (!args) return;
             var codeString = args.code_string;
 
             console.log('AI requested to evaluate Clojure code:');
@@ -259,7 +529,35 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                         content: null
                     };
 
-                    if (result && result.type === 'error') {
+                    if (result && result.type === 'interrupted') {
+                        // User stopped a running evaluation - report it distinctly
+                        // so the AI does not treat it as a bug in the code
+                        toolResponse.content = JSON.stringify({
+                            status: 'interrupted',
+                            code: codeString,
+                            message: 'The user stopped this evaluation before it finished. Do not retry the same code unchanged; if it may run for a long time or loop forever, bound it (e.g. with take or a limit) or ask the user how to proceed.',
+                            stdout: result.stdout || null,
+                            stderr: result.stderr || null,
+                            logs: result.logs || [],
+                            executionTime: result.executionTime || null
+                        });
+                    } else if (result && result.type === 'timeout') {
+                        // Eval exceeded its time budget and was interrupted
+                        toolResponse.content = JSON.stringify({
+                            status: 'timeout',
+                            code: codeString,
+                            error: result.error,
+                            elapsed: result.elapsed,
+                            timeout: result.timeout || null,
+                            sessionRestarted: !!result.sessionRestarted,
+                            message: 'The following code did not finish within ' + result.elapsed + 'ms and was stopped:\n\n' + codeString +
+                                     '\n\nMake it faster or bound the work (e.g. avoid infinite sequences, limit input size) and use eval_clojure again.' +
+                                     (result.sessionRestarted ? ' The REPL session was restarted: defined vars are kept but *1, *e and dynamic bindings are reset.' : ''),
+                            stdout: result.stdout || null,
+                            stderr: result.stderr || null,
+                            logs: result.logs || []
+                        });
+                    } else if (result && result.type === 'error') {
                         // Format error result with clear instructions for AI
                         // Check if this is a validation error vs execution error
                         var isValidationError = result.validationErrors && result.validationErrors.length > 0;
@@ -273,6 +571,18 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                             error: result.error,
                             message: errorMessage,
                             errorDetails: result.errorDetails || {},
+                            // Normalized category, failing line of this code and first user frame
+                            category: result.errorDetails ? result.errorDetails.category : null,
+                            location: result.exception ? result.exception.location : null,
+                            userFrame: result.exception ? result.exception.userFrame : null,
+                            exception: result.exception ? {
+                                cause: result.exception.cause,
+                                causeType: result.exception.causeType,
+                                phase: result.exception.phase,
+                                via: result.exception.via,
+                                data: result.exception.data,
+                                trace: result.exception.trace.slice(0, 10)
+                            } : null,
                             validationErrors: result.validationErrors || null,
                             stdout: result.stdout || null,
                             stderr: result.stderr || null,
@@ -304,7 +614,12 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                         // Include REPL state if sessionId is available
                         if (client.sessionId) {
                             try {
-                                var stateSummary = replState.getStateSummary(client.sessionId);
+                                // Many functions are cut down to the ones relevant to the user's request
+                                var request = client.conversationHistory.filter(function(msg) { return msg.role === 'user'; }).pop();
+                                var stateSummary = replState.getStateSummary(client.sessionId, {
+                                    relevantTo: request && typeof request.content === 'string' ? request.content : null,
+                                    maxFunctions: (client.config.context || {}).replStateFunctions
+                                });
                                 responseData.replState = stateSummary;
                             } catch (err) {
                                 console.warn('Failed to get REPL state summary:', err);
@@ -316,6 +631,28 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
 
                     callback(null, toolResponse);
                 }
+            }, { modelType: modelType });
+        } else if (toolCall.function.name === RESULT_PAGE_TOOL && client.resultPageCallback) {
+            var pageArgs = parseToolArguments(toolCall, callback);
+            if (!pageArgs) return;
+            client.resultPageCallback({
+                resultId: pageArgs.result_id,
+                path: pageArgs.path || '',
+                offset: pageArgs.offset,
+                limit: pageArgs.limit
+            }, function(err, result) {
+                var content;
+                if (err || result.type === 'error') {
+                    content = { status: 'error', error: err ? err.message : result.error };
+                } else {
+                    content = { status: 'success', result: result };
+                }
+                callback(null, {
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    name: RESULT_PAGE_TOOL,
+                    content: JSON.stringify(content)
+                });
             });
         } else {
             callback(null, {
@@ -327,6 +664,46 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
         }
     }
 
+    /**
+     * Arguments of a tool call, or null after answering it with an error when they are not valid JSON
+     * @param {Object} toolCall - Tool call from the AI response
+     * @param {Function} callback - Callback of handleToolCall (err, toolResponse)
+     * @returns {Object|null} Parsed arguments
+     */
+    function parseToolArguments(toolCall, callback) {
+        try {
+            return JSON.parse(toolCall.function.arguments) || {};
+        } catch (e) {
+            console.warn('Invalid arguments for tool', toolCall.function.name + ':', e.message);
+            callback(null, {
+                role: 'tool',
+                tool_call_id: toolCall.id,
+                name: toolCall.function.name,
+                content: JSON.stringify({
+                    error: 'Invalid tool arguments: ' + e.message,
+                    status: 'invalid_arguments'
+                })
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Answer a tool call that was not run because a budget of the turn is used up
+     */
+    function budgetResult(toolCall, exhausted) {
+        return {
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            name: toolCall.function.name,
+            content: JSON.stringify({
+                status: 'budget_exhausted',
+                budget: exhausted.budget,
+                message: 'Not run: ' + exhausted.message
+            })
+        };
+    }
+
     /**
      * Extract HTML from mixed text/HTML content
      * Looks for HTML document or HTML tags within text
@@ -412,13 +789,22 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
 
     /**
      * Process AI response and handle tool calls
+     * @param {Object} response - OpenAI-shaped response
+     * @param {string} modelType - Model that produced the response
+     * @param {Function} callback - Callback function (err, finalResponse)
+     * @param {Object} options - Optional { final: true } to treat the response as the answer even if it asks for tools
      */
-    function processAIResponse(response, modelType, callback) {
+    function processAIResponse(response, modelType, callback, options) {
         var message = response.choices && response.choices[0] && response.choices[0].message;
         if (!message) {
             return callback(new Error('Invalid AI response format'), null);
         }
 
+        if (options && options.final && message.tool_calls) {
+            console.warn('Ignoring', message.tool_calls.length, 'tool call(s) in the final response');
+            message = { role: message.role, content: message.content };
+        }
+
         // Add assistant message to history
         var assistantMsg = {
             role: 'assistant',
@@ -428,8 +814,14 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
         client.conversationHistory.push(assistantMsg);
 
         // Save to database if save callback is provided
+        // Messages produced by a fallback model record which model answered and why
         if (client.saveCallback) {
-            client.saveCallback('assistant', message.content, message.tool_calls);
+            var fallback = client.turn.fallback;
+            client.saveCallback('assistant', message.content, message.tool_calls, fallback ? {
+                model: fallback.to,
+                fallbackFrom: fallback.from,
+                fallbackReason: fallback.reason
+            } : null);
         }
 
         // If there are tool calls, execute them
@@ -451,11 +843,30 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
             }
 
             var toolResults = [];
-            var completed = 0;
-            var hasError = false;
+            var exhausted = null;
+
+            // Tool calls run one after another and the budgets are checked before each one,
+            // so a turn with many tool calls stops at the limit too; the calls past it are
+            // answered with a budget result so every tool call still has its tool message
+            var runToolCall = function(index) {
+                if (index === message.tool_calls.length) {
+                    // Stop the loop once a budget is used up and ask for what we have instead
+                    exhausted = exhausted || checkBudget();
+                    if (exhausted) {
+                        return summarizeAfterBudget(exhausted, modelType, callback);
+                    }
+
+                    // Continue conversation with tool results
+                    // This will eventually call the callback with the FINAL response
+                    return continueConversation(modelType, callback);
+                }
 
-            message.tool_calls.forEach(function(toolCall) {
-                handleToolCall(toolCall, function(err, result) {
+                var toolCall = message.tool_calls[index];
+                exhausted = exhausted || checkBudget();
+                var run = !exhausted ? handleToolCall : function(toolCall, modelType, done) {
+                    done(null, budgetResult(toolCall, exhausted));
+                };
+                run(toolCall, modelType, function(err, result) {
                     if (err) {
                         // Check if this is a user cancellation
                         if (err.message === 'USER_CANCELLED') {
@@ -476,7 +887,6 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                         }
 
                         // Other errors - treat as fatal
-                        hasError = true;
                         callback(err, null);
                         return;
                     }
@@ -484,14 +894,12 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                     // Validate tool message before adding to history
                     if (!result || !result.role || result.role !== 'tool') {
                         console.error('Invalid tool result:', result);
-                        hasError = true;
                         callback(new Error('Invalid tool result format'), null);
                         return;
                     }
 
                     if (!result.tool_call_id) {
                         console.error('Tool result missing tool_call_id:', result);
-                        hasError = true;
                         callback(new Error('Tool result missing tool_call_id'), null);
                         return;
                     }
@@ -508,7 +916,6 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                     if (!lastAssistantMsg || !lastAssistantMsg.tool_calls ||
                         !lastAssistantMsg.tool_calls.some(function(tc) { return tc.id === result.tool_call_id; })) {
                         console.error('Tool message does not correspond to any assistant message with tool_calls');
-                        hasError = true;
                         callback(new Error('Tool message sequencing error'), null);
                         return;
                     }
@@ -519,8 +926,7 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                             JSON.parse(result.content);
                         } catch (e) {
                             console.error('Tool response content is not valid JSON:', result.content);
-                            hasError = true;
-                            callback(new Error('Tool response content is not valid JSON: ' + e.message), null);
+                                callback(new Error('Tool response content is not valid JSON: ' + e.message), null);
                             return;
                         }
                     }
@@ -566,9 +972,21 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                         // If parsing fails, treat as non-error
                     }
 
-                    var hasErrorResult = toolResultContent && toolResultContent.status === 'error';
-
-                    if (hasErrorResult) {
+                    var wasSkipped = toolResultContent && toolResultContent.status === 'budget_exhausted';
+                    var hasErrorResult = toolResultContent &&
+                        (toolResultContent.status === 'error' || toolResultContent.status === 'timeout');
+                    var wasInterrupted = toolResultContent && toolResultContent.status === 'interrupted';
+
+                    if (wasSkipped) {
+                        // Not run, so it says nothing about the code
+                        console.log('Tool call skipped, budget exhausted:', result.tool_call_id);
+                    } else if (wasInterrupted) {
+                        // Interruption is neither a failure nor a success - leave recovery state as is
+                        console.log('Tool execution interrupted by user:', result.tool_call_id);
+                        if (client.statusCallback) {
+                            client.statusCallback('Evaluation interrupted. AI is deciding how to proceed...');
+                        }
+                    } else if (hasErrorResult) {
                         // Log error details for debugging error recovery
                         console.log('Error detected in tool result:', {
                             tool_call_id: result.tool_call_id,
@@ -607,17 +1025,16 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                         }
                     }
 
-                    completed++;
+                    if (!wasSkipped) {
+                        client.turn.toolCalls++;
+                    }
 
                     // When all tool calls are done, continue conversation
                     // This happens for both success and error results (error recovery continues)
-                    if (completed === message.tool_calls.length && !hasError) {
-                        // Continue conversation with tool results
-                        // This will eventually call the callback with the FINAL response
-                        continueConversation(modelType, callback);
-                    }
+                    runToolCall(index + 1);
                 });
-            });
+            };
+            runToolCall(0);
 
             // Do NOT call callback here - we're waiting for tool execution to complete
             // The callback will be invoked by continueConversation after tools execute
@@ -677,16 +1094,30 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
     }
 
     /**
-     * Continue conversation after tool execution
+     * The part of the history not covered by the summary
      */
-    function continueConversation(modelType, callback) {
-        var endpointInfo = getEndpoint(modelType || client.config.ai.defaultModel);
-        var evalTool = createEvalClojureTool(client.config);
+    function unsummarizedHistory() {
+        var history = client.conversationHistory;
+        if (!client.summary) {
+            return history;
+        }
+
+        var starts = contextWindow.turnStarts(history);
+        if (client.summary.turnCount >= starts.length) {
+            // History was cleared or shortened under the summary, it no longer applies
+            client.summary = null;
+            return history;
+        }
+        return history.slice(starts[client.summary.turnCount]);
+    }
 
+    /**
+     * Build the messages for a request: system prompt, summary of earlier turns, then the sanitized history
+     */
+    function buildRequestMessages() {
         // Sanitize history before sending to API to ensure valid message sequence
-        var sanitizedHistory = sanitizeHistory(client.conversationHistory);
+        var sanitizedHistory = sanitizeHistory(unsummarizedHistory());
 
-        // Prepare messages with system prompt from config (same as sendMessage)
         // Merge code-mode prompt template if available
         var systemPromptContent = client.config.ai.systemPrompt;
         if (client.config.ai.codeModePromptTemplate) {
@@ -697,35 +1128,230 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
                 role: 'system',
                 content: systemPromptContent
             }
-        ].concat(sanitizedHistory);
-
-        // Log the message sequence for debugging
-        console.log('continueConversation: sending', messages.length, 'messages to API');
-        messages.forEach(function(msg, idx) {
-            if (msg.role === 'assistant' && msg.tool_calls) {
-                console.log('  [' + idx + '] assistant with', msg.tool_calls.length, 'tool_calls, content:', msg.content ? 'present' : 'null/empty');
-            } else if (msg.role === 'tool') {
-                console.log('  [' + idx + '] tool, tool_call_id:', msg.tool_call_id);
-            } else {
-                console.log('  [' + idx + ']', msg.role, msg.content ? 'content present' : 'no content');
+        ];
+        if (client.summary) {
+            messages.push({
+                role: 'system',
+                content: 'Summary of the earlier conversation (those messages are no longer included):\n\n' + client.summary.content
+            });
+        }
+        return messages.concat(sanitizedHistory);
+    }
+
+    /**
+     * Tokens available for the request messages, or 0 if the model has no contextWindow configured
+     * The response (maxTokens) and the tool schema are reserved
+     */
+    function messageBudget(endpointInfo) {
+        if (!endpointInfo.contextWindow) {
+            return 0;
+        }
+        var toolTokens = contextWindow.estimateTokens(JSON.stringify(getTools()));
+        return Math.max(endpointInfo.contextWindow - (endpointInfo.maxTokens || 0) - toolTokens, 1);
+    }
+
+    /**
+     * Build the request messages and fit them into the model's context window
+     * Old tool payloads are trimmed first; if that is not enough, old turns are summarized
+     * @param {Object} endpointInfo - Model settings from getEndpoint
+     * @param {Function} callback - Callback function (messages), compaction problems are logged, not returned
+     */
+    function prepareMessages(endpointInfo, callback) {
+        var contextConfig = client.config.context || {};
+        var keepRecentTurns = Math.max(contextConfig.keepRecentTurns || 2, 1);
+        var maxChars = contextConfig.toolResultMaxChars || 2000;
+
+        var messages = buildRequestMessages();
+        // Size the request for the model that will actually receive it
+        var budget = messageBudget(activeEndpoint(endpointInfo));
+        if (!budget || contextWindow.estimateMessagesTokens(messages) <= budget) {
+            return callback(messages);
+        }
+
+        var trimmed = contextWindow.trimToolPayloads(messages, keepRecentTurns, maxChars);
+        if (contextWindow.estimateMessagesTokens(trimmed) <= budget) {
+            console.log('Trimmed old tool results to fit the context window of', endpointInfo.model);
+            return callback(trimmed);
+        }
+
+        var turnCount = contextWindow.turnStarts(unsummarizedHistory()).length - keepRecentTurns;
+        if (turnCount <= 0) {
+            // Only the most recent turns are left, there is nothing old enough to summarize
+            console.warn('Conversation exceeds the context window of', endpointInfo.model, 'even after trimming');
+            return callback(contextWindow.trimToolPayloads(messages, 1, maxChars));
+        }
+
+        summarizeTurns(endpointInfo, turnCount, maxChars, function(err) {
+            if (err) {
+                // Sending the trimmed history is still better than failing the turn
+                console.warn('Failed to summarize earlier conversation:', err.message);
+                return callback(trimmed);
             }
+
+            var compacted = contextWindow.trimToolPayloads(buildRequestMessages(), keepRecentTurns, maxChars);
+            if (contextWindow.estimateMessagesTokens(compacted) > budget) {
+                console.warn('Conversation exceeds the context window of', endpointInfo.model, 'even after summarizing');
+            }
+            callback(compacted);
         });
+    }
 
-        var requestBody = {
-            model: endpointInfo.model,
-            messages: messages,
-            tools: [evalTool], // Include tools so AI can continue making tool calls during error recovery
-            tool_choice: 'auto',
-            temperature: endpointInfo.temperature,
-            max_tokens: endpointInfo.maxTokens
-        };
+    /**
+     * Replace the oldest unsummarized turns with a model-generated summary
+     * The summary builds on the previous one and is saved through summaryCallback
+     * @param {Object} endpointInfo - Model settings from getEndpoint
+     * @param {number} turnCount - Number of unsummarized turns to add to the summary
+     * @param {number} maxChars - Size each message is trimmed to in the transcript
+     * @param {Function} callback - Callback function (err)
+     */
+    function summarizeTurns(endpointInfo, turnCount, maxChars, callback) {
+        var history = unsummarizedHistory();
+        var oldTurns = history.slice(0, contextWindow.turnStarts(history)[turnCount]);
+        var previous = client.summary;
+
+        console.log('Summarizing', turnCount, 'earlier turns to fit the context window of', endpointInfo.model);
+        if (client.statusCallback) {
+            client.statusCallback('Conversation is getting long. Summarizing earlier messages...');
+        }
 
-        makeRequest(endpointInfo.endpoint + '/chat/completions', endpointInfo.apiKey, requestBody, function(err, response) {
+        var messages = [
+            {
+                role: 'system',
+                content: 'You summarize conversations between a user and an assistant that evaluates Clojure code in a Babashka REPL. ' +
+                         'Write a concise plain-text summary that keeps what later requests may depend on: the user\'s goals, ' +
+                         'functions and variables that were defined, important results and file paths, and errors that remain unresolved.'
+            },
+            {
+                role: 'user',
+                content: (previous ? 'Summary of the conversation before this part:\n\n' + previous.content + '\n\n' : '') +
+                         'Conversation to summarize:\n\n' + contextWindow.formatTranscript(oldTurns, maxChars)
+            }
+        ];
+
+        // The summary is not an answer, keep it off the canvas
+        requestCompletion(endpointInfo, messages, function(err, response) {
             if (err) {
-                return callback(err, null);
+                return callback(err);
+            }
+
+            var message = response.choices && response.choices[0] && response.choices[0].message;
+            if (!message || !message.content) {
+                return callback(new Error('Empty summary response'));
             }
 
-            processAIResponse(response, modelType, callback);
+            client.summary = {
+                content: message.content.trim(),
+                turnCount: (previous ? previous.turnCount : 0) + turnCount
+            };
+            if (client.summaryCallback) {
+                client.summaryCallback(client.summary);
+            }
+            callback(null);
+        }, { toolChoice: 'none', stream: false });
+    }
+
+    /**
+     * Check the agent loop limits of the current turn
+     * @returns {Object|null} { budget, limit, used, message } for the first exhausted budget, or null
+     */
+    function checkBudget() {
+        var limits = client.config.agent || {};
+        var elapsed = Date.now() - client.turn.startedAt;
+        var failedFixes = client.inErrorRecovery ? client.iterationCount - 1 : 0;
+
+        if (limits.maxToolCalls && client.turn.toolCalls >= limits.maxToolCalls) {
+            return {
+                budget: 'toolCalls',
+                limit: limits.maxToolCalls,
+                used: client.turn.toolCalls,
+                message: 'Tool call budget exhausted (' + client.turn.toolCalls + ' of ' + limits.maxToolCalls + ' calls used).'
+            };
+        }
+        if (limits.maxRecoveryAttempts && failedFixes >= limits.maxRecoveryAttempts) {
+            return {
+                budget: 'recoveryAttempts',
+                limit: limits.maxRecoveryAttempts,
+                used: failedFixes,
+                message: 'Error recovery budget exhausted (' + failedFixes + ' failed attempts to fix the error).'
+            };
+        }
+        if (limits.maxTurnTime && elapsed >= limits.maxTurnTime) {
+            return {
+                budget: 'turnTime',
+                limit: limits.maxTurnTime,
+                used: elapsed,
+                message: 'Time budget exhausted (' + Math.round(elapsed / 1000) + 's of ' +
+                         Math.round(limits.maxTurnTime / 1000) + 's used).'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Ask the model for one last answer without tools after a budget ran out
+     * The instruction is only sent with this request, it is not kept in the history
+     */
+    function summarizeAfterBudget(exhausted, modelType, callback) {
+        console.warn('Agent budget exhausted:', exhausted.message);
+        if (client.statusCallback) {
+            client.statusCallback(exhausted.message + ' Asking AI to summarize...');
+        }
+
+        client.inErrorRecovery = false;
+        client.iterationCount = 0;
+
+        var endpointInfo = getEndpoint(modelType || client.config.ai.defaultModel);
+        prepareMessages(endpointInfo, function(messages) {
+            messages = messages.concat([{
+                role: 'user',
+                content: 'STOP: ' + exhausted.message + ' Do not call any more tools. ' +
+                         'Summarize what you have accomplished and found so far, what is still missing, ' +
+                         'and how the user could continue. Respond with HTML as usual.'
+            }]);
+
+            requestCompletion(endpointInfo, messages, function(err, response) {
+                if (err) {
+                    return callback(err, null);
+                }
+
+                processAIResponse(response, modelType, function(err, finalResponse) {
+                    if (finalResponse) {
+                        finalResponse.budgetExhausted = exhausted;
+                    }
+                    callback(err, finalResponse);
+                }, { final: true });
+            }, { toolChoice: 'none' });
+        });
+    }
+
+    /**
+     * Continue conversation after tool execution
+     */
+    function continueConversation(modelType, callback) {
+        var endpointInfo = getEndpoint(modelType || client.config.ai.defaultModel);
+
+        // Prepare messages with system prompt from config (same as sendMessage)
+        prepareMessages(endpointInfo, function(messages) {
+            // Log the message sequence for debugging
+            console.log('continueConversation: sending', messages.length, 'messages to API');
+            messages.forEach(function(msg, idx) {
+                if (msg.role === 'assistant' && msg.tool_calls) {
+                    console.log('  [' + idx + '] assistant with', msg.tool_calls.length, 'tool_calls, content:', msg.content ? 'present' : 'null/empty');
+                } else if (msg.role === 'tool') {
+                    console.log('  [' + idx + '] tool, tool_call_id:', msg.tool_call_id);
+                } else {
+                    console.log('  [' + idx + ']', msg.role, msg.content ? 'content present' : 'no content');
+                }
+            });
+
+            // Tools are included so AI can continue making tool calls during error recovery
+            requestCompletion(endpointInfo, messages, function(err, response) {
+                if (err) {
+                    return callback(err, null);
+                }
+
+                processAIResponse(response, modelType, callback);
+            });
         });
     }
 
@@ -745,40 +1371,22 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
             client.saveCallback('user', userMessage, null);
         }
 
-        var endpointInfo = getEndpoint(modelType || client.config.ai.defaultModel);
+        // A new turn gets fresh budgets
+        client.turn = { startedAt: Date.now(), toolCalls: 0, fallback: null };
+        client.inErrorRecovery = false;
+        client.iterationCount = 0;
 
-        // Sanitize history before sending to API to ensure valid message sequence
-        var sanitizedHistory = sanitizeHistory(client.conversationHistory);
-
-        // Prepare messages with system prompt from config
-        // Merge code-mode prompt template if available
-        var systemPromptContent = client.config.ai.systemPrompt;
-        if (client.config.ai.codeModePromptTemplate) {
-            systemPromptContent = systemPromptContent + '\n\n' + client.config.ai.codeModePromptTemplate;
-        }
-        var messages = [
-            {
-                role: 'system',
-                content: systemPromptContent
-            }
-        ].concat(sanitizedHistory);
-
-        var evalTool = createEvalClojureTool(client.config);
-        var requestBody = {
-            model: endpointInfo.model,
-            messages: messages,
-            tools: [evalTool],
-            tool_choice: 'auto',
-            temperature: endpointInfo.temperature,
-            max_tokens: endpointInfo.maxTokens
-        };
+        var endpointInfo = getEndpoint(modelType || client.config.ai.defaultModel);
 
-        makeRequest(endpointInfo.endpoint + '/chat/completions', endpointInfo.apiKey, requestBody, function(err, response) {
-            if (err) {
-                return callback(err, null);
-            }
+        // Prepare messages with system prompt from config, compacted to fit the context window
+        prepareMessages(endpointInfo, function(messages) {
+            requestCompletion(endpointInfo, messages, function(err, response) {
+                if (err) {
+                    return callback(err, null);
+                }
 
-            processAIResponse(response, modelType, callback);
+                processAIResponse(response, modelType, callback);
+            });
         });
     };
 
@@ -787,6 +1395,7 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
      */
     client.clearHistory = function() {
         client.conversationHistory = [];
+        client.summary = null;
     };
 
     return client;
@@ -794,6 +1403,7 @@ function createAIClient(config, evalCallback, initialHistory, saveCallback, stat
 
 module.exports = {
     createAIClient: createAIClient,
-    createEvalClojureTool: createEvalClojureTool
+    createEvalClojureTool: createEvalClojureTool,
+    createResultPageTool: createResultPageTool
 };
 
@@ -1,4 +1,4 @@
-/*global console,require,process,__dirname*/
+/*global console,require,process,module,__dirname,URL*/
 
 /**
  * Main application entry point
@@ -12,8 +12,8 @@ var http = require('http');
 var path = require('path');
 
 var config = require('./config');
-var nreplServer = require('./nrepl-server');
-var nreplClient = require('./nrepl-client');
+var nreplSupervisor = require('./nrepl-supervisor');
+var nreplSessions = require('./nrepl-sessions');
 var aiClient = require('./ai-client');
 var resultHandler = require('./result-handler');
 var db = require('./db');
@@ -21,20 +21,36 @@ var codeValidator = require('./code-validator');
 var clojureHelpers = require('./clojure-helpers');
 var replState = require('./repl-state');
 var codeAnalyzer = require('./code-analyzer');
+var cassettes = require('./cassette');
+var sessionExport = require('./session-export');
+
+// Definitions and results are kept with the chat history, so a chat's REPL can be rebuilt after a restart
+replState.setStore(db);
 
 // Application state
 var appState = {
+    nreplSupervisor: null,
     nreplServerState: null,
     nreplConnection: null,
-    nreplSession: null,
+    nreplSession: null, // Default session for evals that don't belong to a chat
+    chatSessions: null, // Per-chat nREPL sessions (see nrepl-sessions.js)
+    pendingReplay: {}, // Map of sessionId -> true when definitions must be replayed after a crash
+    chatNamespaces: {}, // Map of sessionId -> true once the chat's namespace was set up in the running server
     aiClients: {}, // Map of sessionId -> aiClient
+    chatSockets: {}, // Map of sessionId -> number of open WebSockets on the chat
+    closedChats: {}, // Map of sessionId -> true when the chat closed during an evaluation and awaits release
     pendingCodeExecutions: {}, // Map of messageId -> {code, callback, toolCall, ws}
+    runningEvaluations: {}, // Map of messageId (or eval id) -> {evalId, session, sessionId, interruptRequested, abort}
+    cassette: null, // Session cassette when recording or replaying (see cassette.js)
+    resultEncoder: false, // True once repl-talk.result is loaded and results can come back as JSON
+    linter: codeValidator.createLinter(config.codeValidation), // Warm clj-kondo processes and per-chat lint caches
     wss: null,
     httpServer: null
 };
 
 /**
  * Step 1: Initialize - Connect to nREPL, register eval_clojure tool
+ * The supervisor restarts the server and restores sessions if Babashka crashes
  */
 function initialize(callback) {
     console.log('Initializing Babashka nREPL connection...');
@@ -43,113 +59,429 @@ function initialize(callback) {
         hostname: config.nrepl.hostname,
         port: config.nrepl.port,
         babashkaPath: config.nrepl.babashkaPath,
+        fake: config.nrepl.fake,
         verbose: config.nrepl.verbose,
         startTimeout: config.nrepl.startTimeout
     };
 
-    // Start or connect to nREPL server
-    nreplServer.start(nreplOptions, function(err, serverState) {
+    if (config.cassette.mode) {
+        try {
+            appState.cassette = cassettes.createCassette(config.cassette);
+        } catch (e) {
+            return callback(new Error('Cannot ' + config.cassette.mode + ' cassette ' + config.cassette.path + ': ' + e.message));
+        }
+        console.log(config.cassette.mode === 'record' ? 'Recording session to' : 'Replaying session from', config.cassette.path);
+        if (config.cassette.mode === 'replay') {
+            // Evals are answered from the cassette instead of Babashka
+            nreplOptions.fake = { rules: appState.cassette.fakeServerRules(), verbose: config.nrepl.verbose };
+        }
+    }
+
+    var supervisor = nreplSupervisor.createSupervisor({
+        server: nreplOptions,
+        verbose: config.nrepl.verbose,
+        reconnect: config.nrepl.reconnect,
+        sessionSetup: setupNreplSession
+    });
+    appState.nreplSupervisor = supervisor;
+
+    appState.chatSessions = nreplSessions.createSessionManager({
+        getConnection: function() { return appState.nreplConnection; },
+        setupSession: setupChatSession,
+        isBusy: isEvaluating,
+        idleTimeout: config.nrepl.sessionIdleTimeout
+    });
+
+    supervisor.on('disconnected', function(err) {
+        syncNreplState();
+        // The chat sessions died with the server
+        appState.chatSessions.reset();
+        abortRunningEvaluations(new Error('nREPL server stopped during evaluation: ' + err.message));
+        broadcastToClients({ type: 'error', message: 'Lost connection to nREPL: ' + err.message });
+    });
+
+    supervisor.on('reconnecting', function(info) {
+        broadcastToClients({ type: 'reconnecting', attempt: info.attempt, delay: info.delay });
+    });
+
+    supervisor.on('reconnected', function() {
+        syncNreplState();
+        console.log('nREPL server restarted at', supervisor.serverState.hostname + ':' + supervisor.serverState.port);
+        appState.chatNamespaces = {};
+
+        // Every chat's definitions are gone from the new server
+        replState.getSessionIds().forEach(function(sessionId) {
+            appState.pendingReplay[sessionId] = true;
+        });
+
+        // Restore the sessions of connected browsers right away so they see what was replayed
+        if (!appState.wss) return;
+        appState.wss.clients.forEach(function(ws) {
+            if (!ws.sessionId) return;
+            appState.chatSessions.acquire(ws.sessionId, function(err, chatSession) {
+                var replay = chatSession && chatSession.setupResult;
+                sendToClient(ws, {
+                    type: 'reconnected',
+                    replayed: replay ? replay.replayed : 0,
+                    failed: replay ? replay.failed : []
+                });
+            });
+        });
+    });
+
+    supervisor.on('gave-up', function(err) {
+        broadcastToClients({ type: 'error', message: err.message });
+    });
+
+    supervisor.start(function(err) {
         if (err) {
             console.error('Failed to start nREPL server:', err);
             return callback(err);
         }
 
-        appState.nreplServerState = serverState;
-        console.log('nREPL server ready at', serverState.hostname + ':' + serverState.port);
+        syncNreplState();
+        appState.chatSessions.start();
+        console.log('nREPL server ready at', supervisor.serverState.hostname + ':' + supervisor.serverState.port);
 
-        // Connect nREPL client
-        var clientOptions = {
-            host: serverState.hostname || 'localhost',
-            port: serverState.port,
-            verbose: config.nrepl.verbose
-        };
+        // Note: AI clients are now created per-session in handleUserMessage
+        // We no longer create a global AI client here
+
+        broadcastToClients({ type: 'connection', message: 'Connected to nREPL' });
+        callback(null);
+    });
+}
 
-        appState.nreplConnection = nreplClient.connect(clientOptions);
+/**
+ * Copy the supervisor's current server, connection and session into appState
+ */
+function syncNreplState() {
+    var supervisor = appState.nreplSupervisor;
+    appState.nreplServerState = supervisor.serverState;
+    appState.nreplConnection = supervisor.connected ? supervisor.connection : null;
+    appState.nreplSession = supervisor.session;
+}
 
-        appState.nreplConnection.on('error', function(err) {
-            console.error('nREPL connection error:', err);
-            broadcastToClients({ type: 'error', message: 'nREPL connection error: ' + err.message });
+/**
+ * Prepare the supervisor's default nREPL session by injecting the helper functions
+ * and loading the JSON result encoder, which every session of the server shares
+ * @param {Object} connection - nREPL connection
+ * @param {string} session - nREPL session ID
+ * @param {Object} setupOptions - { reconnect: true when replacing a crashed server }
+ * @param {Function} callback - Callback function (err)
+ */
+function setupNreplSession(connection, session, setupOptions, callback) {
+    var helperCode = clojureHelpers.getHelperFunctionsCode();
+    connection.eval(helperCode, 'user', session, function(err) {
+        if (err) {
+            console.warn('Warning: Failed to inject helper functions:', err);
+        } else {
+            console.log('Helper functions injected into nREPL session');
+        }
+
+        connection.eval(clojureHelpers.getResultEncoderCode(), 'user', session, function(err, messages) {
+            var result = err ? null : resultHandler.serializeResult(messages, 0);
+            appState.resultEncoder = !err && result.type !== 'error';
+            if (!appState.resultEncoder) {
+                // Results are still read from their printed EDN
+                console.warn('Warning: Failed to load the JSON result encoder:', err ? err.message : result.error);
+            }
+            callback(null);
         });
+    });
+}
 
-        appState.nreplConnection.once('connect', function() {
-            console.log('Connected to nREPL server');
+/**
+ * Prepare a chat's nREPL session: inject helper functions into its namespace and,
+ * after a crash, replay the definitions tracked in REPL state so user functions survive
+ * @param {Object} connection - nREPL connection
+ * @param {Object} chatSession - { chatId, session, ns } from the session manager
+ * @param {Function} callback - Callback function (err, { replayed, failed })
+ */
+function setupChatSession(connection, chatSession, callback) {
+    var helperCode = clojureHelpers.getHelperFunctionsCode();
+    connection.eval(helperCode, chatSession.ns, chatSession.session, function(err) {
+        if (err) {
+            console.warn('Warning: Failed to inject helper functions:', err);
+        }
+        appState.chatNamespaces[chatSession.chatId] = true;
 
-            // Create a session
-            appState.nreplConnection.clone(function(err, messages) {
-                if (err) {
-                    console.error('Failed to create nREPL session:', err);
-                    return callback(err);
-                }
+        if (!appState.pendingReplay[chatSession.chatId]) {
+            return callback(null, { replayed: 0, failed: [] });
+        }
+        delete appState.pendingReplay[chatSession.chatId];
 
-                var newSession = messages && messages[0] && messages[0]['new-session'];
-                if (newSession) {
-                    appState.nreplSession = newSession;
-                    console.log('Created nREPL session:', newSession);
-
-                    // Inject helper functions into the session
-                    var helperCode = clojureHelpers.getHelperFunctionsCode();
-                    appState.nreplConnection.eval(helperCode, 'user', newSession, function(err, helperMessages) {
-                        if (err) {
-                            console.warn('Warning: Failed to inject helper functions:', err);
-                        } else {
-                            console.log('Helper functions injected into nREPL session');
-                        }
+        var sources = replState.getReplaySources(chatSession.chatId);
+        console.log('Replaying', sources.length, 'tracked definition(s) for chat', chatSession.chatId);
+        replayDefinitions(connection, chatSession.session, chatSession.ns, sources, callback);
+    });
+}
 
-                        // Note: AI clients are now created per-session in handleUserMessage
-                        // We no longer create a global AI client here
+/**
+ * Rebuild the REPL of a chat resumed from the database, whose namespace is not in the running
+ * server (e.g. after a restart), by replaying its stored definitions in order
+ * @param {Object} ws - WebSocket of the resumed chat, told what was replayed with session_resumed
+ */
+function resumeChatSession(ws) {
+    var sessionId = ws.sessionId;
+    if (!config.nrepl.replayOnResume || appState.chatNamespaces[sessionId] || !appState.nreplConnection ||
+        !replState.hasSessionState(sessionId)) {
+        return sendToClient(ws, { type: 'session_resumed', sessionId: sessionId, replayed: 0, failed: [] });
+    }
 
-                        broadcastToClients({ type: 'connection', message: 'Connected to nREPL' });
-                        callback(null);
-                    });
-                } else {
-                    broadcastToClients({ type: 'connection', message: 'Connected to nREPL' });
-                    callback(null);
-                }
-            });
+    appState.pendingReplay[sessionId] = true;
+    appState.chatSessions.acquire(sessionId, function(err, chatSession) {
+        var replay = chatSession && chatSession.setupResult;
+        sendToClient(ws, {
+            type: 'session_resumed',
+            sessionId: sessionId,
+            replayed: replay ? replay.replayed : 0,
+            failed: replay ? replay.failed : [],
+            error: err ? err.message : undefined
         });
     });
 }
 
+/**
+ * Evaluate definition sources one after another, collecting failures
+ * @param {Object} connection - nREPL connection
+ * @param {string} session - nREPL session ID
+ * @param {string} ns - Namespace to evaluate in
+ * @param {Array} sources - Source strings to evaluate
+ * @param {Function} callback - Callback function (err, { replayed, failed: [{ source, error }] })
+ */
+function replayDefinitions(connection, session, ns, sources, callback) {
+    var replayed = 0;
+    var failed = [];
+
+    function next(index) {
+        if (index >= sources.length) {
+            if (failed.length > 0) {
+                console.warn('Failed to replay', failed.length, 'definition(s)');
+            }
+            return callback(null, { replayed: replayed, failed: failed });
+        }
+
+        connection.eval(sources[index], ns, session, function(err, messages) {
+            var result = err ? null : resultHandler.serializeResult(messages, 0);
+            if (err || result.type === 'error') {
+                failed.push({ source: sources[index], error: err ? err.message : result.error });
+            } else {
+                replayed++;
+            }
+            next(index + 1);
+        });
+    }
+
+    next(0);
+}
+
+/**
+ * Fail every running evaluation, e.g. because the nREPL server went away
+ * @param {Error} err - Error passed to the evaluation callbacks
+ */
+function abortRunningEvaluations(err) {
+    Object.keys(appState.runningEvaluations).forEach(function(key) {
+        var running = appState.runningEvaluations[key];
+        if (running && running.abort) {
+            running.abort(err);
+        }
+    });
+}
+
+/**
+ * Limits applied to each evaluation's value, like *print-length* and *print-level*
+ * @returns {Object} { length, level }, 0 means no limit
+ */
+function evaluationLimits() {
+    return { length: config.evaluation.printLength, level: config.evaluation.printLevel };
+}
+
+/**
+ * nREPL print middleware options for the evaluation limits
+ * @returns {Object|undefined} { length, level } without the unset limits, undefined if there are none
+ */
+function printOptions() {
+    var limits = evaluationLimits();
+    var options = {};
+    if (limits.length) options.length = limits.length;
+    if (limits.level) options.level = limits.level;
+    return Object.keys(options).length > 0 ? options : undefined;
+}
+
+/**
+ * Fetch a page of a result kept in the REPL by the JSON channel (see resultId of eval results)
+ * Kept results are shared by all sessions, so pages are fetched in the default session and the chat's
+ * *1, *2 and *3 are left alone
+ * @param {Object} request - { resultId, path, offset, limit }, path is a JSON pointer into the result ('' for all of it)
+ * @param {Function} callback - Callback function (err, result) with the page's items as the result
+ *   value and { offset, limit, total, more } in page
+ */
+function fetchResultPage(request, callback) {
+    if (!appState.nreplConnection || !appState.nreplSession) {
+        return callback(new Error('nREPL not connected'), null);
+    }
+    if (!config.evaluation.jsonResults || !appState.resultEncoder) {
+        return callback(new Error('Paging needs the JSON result channel, which is not available'), null);
+    }
+
+    var resultId = request && request.resultId;
+    var offset = request && request.offset !== undefined ? parseInt(request.offset, 10) : 0;
+    var limit = request && request.limit !== undefined ? parseInt(request.limit, 10) : (config.evaluation.printLength || 100);
+    if (typeof resultId !== 'string' || !resultId) {
+        return callback(new Error('resultId is required'), null);
+    }
+    if (isNaN(offset) || offset < 0 || isNaN(limit) || limit < 1) {
+        return callback(new Error('offset must be 0 or more and limit 1 or more'), null);
+    }
+
+    var code = clojureHelpers.resultPageCode(resultId, request.path || '', offset, limit, config.evaluation.printLevel);
+
+    appState.nreplConnection.eval(code, undefined, appState.nreplSession, function(err, messages) {
+        if (err) {
+            return callback(err, null);
+        }
+        var result = resultHandler.serializeResult(messages, 0, { maxValueBytes: config.evaluation.maxValueBytes });
+        callback(null, resultHandler.formatForVisualization(result));
+    });
+}
+
+/**
+ * Fetch the structure of the exception a failed eval left in *e (see repl-talk.result/error-data)
+ * @param {Object} connection - nREPL connection
+ * @param {string} session - nREPL session the eval ran in
+ * @param {string} ns - Namespace the eval ran in
+ * @param {Object} options - { code, lineOffset } passed on to resultHandler.structureException
+ * @param {Function} callback - Callback function (exception), null if it could not be described
+ */
+function describeError(connection, session, ns, options, callback) {
+    var code = clojureHelpers.errorDataCode();
+    connection.eval(code, ns, session, function(err, messages) {
+        if (appState.cassette) {
+            appState.cassette.recordEval(code, ns, err, messages);
+        }
+        var result = err ? null : resultHandler.serializeResult(messages, 0);
+        if (!result || result.type === 'error') {
+            console.warn('Could not describe the evaluation error:', err ? err.message : result.error);
+            return callback(null);
+        }
+        callback(resultHandler.structureException(result.value, options));
+    });
+}
+
+/**
+ * Snapshot the vars of a chat's namespaces into its REPL state (see replState.applySnapshot)
+ * Namespaces are shared by all sessions, so the snapshot is taken in the default session and
+ * the chat's *1, *2 and *3 are left alone
+ * @param {Object} connection - nREPL connection
+ * @param {string} ns - The chat's namespace
+ * @param {string} sessionId - Chat session ID
+ * @param {number} messageId - Assistant message whose eval came before the snapshot, if any
+ * @param {Function} callback - Callback function (changes), null if no snapshot could be taken
+ */
+function snapshotState(connection, ns, sessionId, messageId, callback) {
+    var code = clojureHelpers.snapshotCode(ns);
+    connection.eval(code, undefined, appState.nreplSession, function(err, messages) {
+        if (appState.cassette) {
+            appState.cassette.recordEval(code, undefined, err, messages);
+        }
+        var result = err ? null : resultHandler.serializeResult(messages, 0);
+        if (!result || result.type === 'error' || !result.value || typeof result.value !== 'object') {
+            console.warn('Could not snapshot REPL state:', err ? err.message : (result.error || 'no snapshot returned'));
+            return callback(null);
+        }
+        var changes = replState.applySnapshot(sessionId, result.value, messageId);
+        console.log('REPL state: ' + changes.added.length + ' added, ' + changes.changed.length + ' changed, ' +
+                    changes.removed.length + ' removed');
+        callback(changes);
+    });
+}
+
+/**
+ * Write the chat's definitions to its lint cache, so later snippets that use them lint cleanly
+ * @param {string} sessionId - Chat session ID
+ */
+function updateLintCache(sessionId) {
+    if (!config.codeValidation.enabled) return;
+    appState.linter.updateSession(sessionId, nreplSessions.namespaceFor(sessionId), replState.getDefinitions(sessionId),
+                                  function(err) {
+                                      if (err) console.warn('Could not update lint cache:', err.message);
+                                  });
+}
+
 /**
  * Eval callback for AI client - executes Clojure code via nREPL
  * Validates code with clj-kondo before execution if validation is enabled
  * @param {string} codeString - Clojure code to execute
  * @param {Function} callback - Callback function (err, result)
- * @param {string} sessionId - Optional session ID for state tracking
+ * @param {Object} evalOptions - Optional settings for this evaluation
+ *   - sessionId: chat session ID, selects the chat's own nREPL session and is used for state tracking
+ *   - messageId: code card message ID, used to interrupt the eval
+ *   - timeout: milliseconds before the eval is interrupted (0 disables)
+ *   - onOutput: function(stream, text) called with 'out'/'err' chunks while the eval runs
  */
-function evalClojure(codeString, callback, sessionId) {
+function evalClojure(codeString, callback, evalOptions) {
     if (!appState.nreplConnection || !appState.nreplSession) {
+        if (appState.nreplSupervisor && appState.nreplSupervisor.reconnecting) {
+            return callback(new Error('nREPL server is restarting, try again shortly'), null);
+        }
         return callback(new Error('nREPL not connected'), null);
     }
 
+    evalOptions = evalOptions || {};
+    var sessionId = evalOptions.sessionId;
+    var deliver = callback;
+    callback = function(err, result) {
+        deliver(err, result);
+        // A chat closed while this eval ran is released now that its result is in
+        if (sessionId && appState.closedChats[sessionId] && !isEvaluating(sessionId)) {
+            freeChat(sessionId);
+        }
+    };
+    var messageId = evalOptions.messageId;
+    var onOutput = evalOptions.onOutput;
+    var timeout = evalOptions.timeout !== undefined ? evalOptions.timeout : config.evaluation.timeout;
+    // Definitions are versioned by the assistant message that asked for this eval
+    var assistantMessageId = sessionId ? db.getLatestMessageId(sessionId, 'assistant') : null;
+
     console.log('Evaluating Clojure code:', codeString);
 
-    // Check if result binding is requested
-    var shouldBindResult = codeAnalyzer.requestsResultBinding(codeString);
+    // Check if result binding is requested: ;; bind-result as files, or ;; bind-result for *r1*, *r2*, ...
+    var binding = codeAnalyzer.parseResultBinding(codeString);
+    var shouldBindResult = binding !== null;
+    var bindingName = shouldBindResult ?
+        (binding.name || (sessionId ? replState.nextBindingName(sessionId) : '*last-result*')) : null;
     var originalCode = codeString;
     var codeToExecute = codeString;
 
-    // If binding is requested, wrap the code to bind result to *last-result*
-    if (shouldBindResult) {
-        // Remove the bind-result comment
-        codeToExecute = codeString.replace(/;;\s*bind-result\s*/gi, '').trim();
+    // Lines the wrapper puts in front of the code, subtracted from error lines
+    var bindLineOffset = 0;
 
+    // If binding is requested, wrap the code to bind the result to its name and *last-result*
+    if (shouldBindResult) {
+        // The bind-result comment stays, so error lines still match the submitted code
         // Wrap all forms in a do block first, then bind the result
         // This handles multiple top-level forms correctly
         // The do block executes all forms sequentially and returns the last expression's value
-        // After binding, evaluate *last-result* to get the actual value (not the var reference)
+        // After binding, evaluate the name to get the actual value (not the var reference)
         codeToExecute = '(do\n' +
-            '  (def *last-result* (do\n' + codeToExecute + '\n))\n' +
-            '  *last-result*\n' +
+            '  (def ' + bindingName + ' (do\n' + codeToExecute + '\n))\n' +
+            '  (def *last-result* ' + bindingName + ')\n' +
+            '  ' + bindingName + '\n' +
             ')';
+        bindLineOffset = 2;
         console.log('Result binding requested, wrapping code:', codeToExecute);
     }
 
+    // Return the value as JSON with a type sidecar instead of printed EDN
+    if (config.evaluation.jsonResults && appState.resultEncoder) {
+        codeToExecute = clojureHelpers.wrapForJSONResult(codeToExecute, evaluationLimits());
+    }
+
     // Validate code before execution if validation is enabled
     // Use original code for validation (not the wrapped version)
-    var codeToValidate = shouldBindResult ? originalCode : codeToExecute;
+    var codeToValidate = originalCode;
     if (config.codeValidation.enabled) {
-        codeValidator.validateCode(codeToValidate, config.codeValidation.cljKondoPath, function(validateErr, validateResult) {
+        appState.linter.validate(codeToValidate, sessionId, function(validateErr, validateResult) {
             if (validateErr) {
                 // Validation process failed (e.g., clj-kondo not found)
                 // Log warning but continue with execution (graceful degradation)
@@ -199,8 +531,55 @@ function evalClojure(codeString, callback, sessionId) {
     }
 
     function executeCode() {
+        if (!appState.nreplConnection) {
+            // The server went away while the code was being validated
+            return callback(new Error('nREPL not connected'), null);
+        }
+
+        if (!sessionId) {
+            return runInSession(appState.nreplSession, undefined);
+        }
+
+        appState.chatSessions.acquire(sessionId, function(err, chatSession) {
+            if (err) {
+                return callback(err, null);
+            }
+            runInSession(chatSession.session, chatSession.ns);
+        });
+    }
+
+    function runInSession(session, ns) {
         var startTime = Date.now();
-        appState.nreplConnection.eval(codeToExecute, undefined, appState.nreplSession, function(err, messages) {
+        var connection = appState.nreplConnection;
+        var finished = false;
+        var timedOut = false;
+        var timeoutTimer = null;
+        var graceTimer = null;
+        var partialMessages = [];
+
+        var evalMsg = connection.send({
+            op: 'eval',
+            code: codeToExecute,
+            ns: ns,
+            session: session,
+            // Bounds the printed value when it does not come through the JSON channel
+            'nrepl.middleware.print/options': printOptions()
+        }, function(err, messages) {
+            if (finished) return;
+            var interrupted = (messages || []).some(function(msg) {
+                return msg.status && msg.status.indexOf('interrupted') > -1;
+            });
+            if (timedOut && interrupted) {
+                // The interrupt took effect - report the timeout with whatever output we got
+                return finishWithTimeout(messages, false);
+            }
+            // An eval finishing while the interrupt is on its way is reported as it ended
+            finish();
+
+            if (appState.cassette) {
+                appState.cassette.recordEval(codeToExecute, ns, err, messages);
+            }
+
             if (err) {
                 console.error('nREPL eval error:', err);
                 return callback(err, null);
@@ -209,7 +588,80 @@ function evalClojure(codeString, callback, sessionId) {
             var executionTime = Date.now() - startTime;
 
             // Serialize result with execution time
-            var result = resultHandler.serializeResult(messages, executionTime);
+            var result = resultHandler.serializeResult(messages, executionTime, { maxValueBytes: config.evaluation.maxValueBytes });
+            if (result.type === 'error' && config.evaluation.jsonResults && appState.resultEncoder) {
+                return describeError(connection, session, ns, { code: originalCode, lineOffset: bindLineOffset }, function(exception) {
+                    result.exception = exception;
+                    report(result, executionTime);
+                });
+            }
+            report(result, executionTime);
+        }, function(messages) {
+            // Collect output as it arrives so a timed out eval can still report it
+            if (finished) return;
+            partialMessages = partialMessages.concat(messages);
+            if (onOutput) {
+                messages.forEach(function(msg) {
+                    if (msg.out) onOutput('out', msg.out);
+                    if (msg.err) onOutput('err', msg.err);
+                });
+            }
+        });
+
+        // Keep the eval message id so the evaluation can be interrupted,
+        // and an abort hook so it fails fast if the nREPL server dies
+        var runningKey = messageId || evalMsg.id;
+        appState.runningEvaluations[runningKey] = {
+            evalId: evalMsg.id,
+            session: session,
+            sessionId: sessionId,
+            interruptRequested: false,
+            abort: function(err) {
+                if (finished) return;
+                finish();
+                callback(err, null);
+            }
+        };
+
+        if (timeout > 0) {
+            timeoutTimer = setTimeout(handleTimeout, timeout);
+        }
+
+        function finish() {
+            finished = true;
+            clearTimeout(timeoutTimer);
+            clearTimeout(graceTimer);
+            delete appState.runningEvaluations[runningKey];
+        }
+
+        function handleTimeout() {
+            if (finished) return;
+            timedOut = true;
+            console.warn('Evaluation timed out after', timeout, 'ms, sending interrupt');
+
+            // If the interrupt does not stop the eval in time, give up on the session
+            graceTimer = setTimeout(function() {
+                if (finished) return;
+                console.warn('Interrupt did not take effect, restarting nREPL session');
+                finishWithTimeout(partialMessages, true);
+            }, config.evaluation.interruptGracePeriod);
+
+            connection.interrupt(session, evalMsg.id, function(err, messages) {
+                var status = [];
+                (messages || []).forEach(function(msg) {
+                    if (msg.status) status = status.concat(msg.status);
+                });
+                if (!finished && (err || status.indexOf('error') > -1 || status.indexOf('unknown-op') > -1)) {
+                    console.warn('nREPL interrupt failed, restarting nREPL session:', err || status);
+                    finishWithTimeout(partialMessages, true);
+                }
+            });
+        }
+
+        /**
+         * Format a serialized result, track the definitions of a successful eval and pass it on
+         */
+        function report(result, executionTime) {
             var formatted = resultHandler.formatForVisualization(result);
 
             console.log('Evaluation result:', formatted);
@@ -217,36 +669,105 @@ function evalClojure(codeString, callback, sessionId) {
                 console.log('Execution logs:', formatted.logs.length, 'entries');
             }
 
+            if (formatted.type === 'interrupted') {
+                console.log('Evaluation was interrupted after', executionTime, 'ms');
+            }
+
             // Update REPL state if sessionId is provided and execution was successful
-            if (sessionId && (!formatted.type || formatted.type !== 'error')) {
+            if (sessionId && formatted.type !== 'error' && formatted.type !== 'interrupted') {
                 // Analyze code to extract functions and variables
-                var analysis = codeAnalyzer.analyzeCode(originalCode);
-
-                // Add functions to state
-                analysis.functions.forEach(function(func) {
-                    replState.addFunction(sessionId, func.name, {
-                        signature: func.signature,
-                        docstring: func.docstring,
-                        namespace: func.namespace
-                    });
+                var analysis = codeAnalyzer.analyzeCode(originalCode, nreplSessions.namespaceFor(sessionId));
+
+                // Keep require/ns forms so definitions can be replayed after a crash
+                analysis.requires.forEach(function(source) {
+                    replState.addRequire(sessionId, source, assistantMessageId);
                 });
 
-                // Add variables to state
-                analysis.variables.forEach(function(variable) {
-                    replState.addVariable(sessionId, variable.name, variable.type);
+                // Add functions and variables to state in source order, so replaying
+                // them later evaluates each form after the ones it depends on
+                var definitions = analysis.functions.map(function(func) {
+                    return { func: func, source: func.source };
+                }).concat(analysis.variables.map(function(variable) {
+                    return { variable: variable, source: variable.source };
+                }));
+                definitions.sort(function(a, b) {
+                    return originalCode.indexOf(a.source) - originalCode.indexOf(b.source);
                 });
 
+                definitions.forEach(function(def) {
+                    if (def.func) {
+                        replState.addFunction(sessionId, def.func.name, {
+                            signature: def.func.signature,
+                            docstring: def.func.docstring,
+                            namespace: def.func.namespace,
+                            source: def.func.source,
+                            messageId: assistantMessageId
+                        });
+                    } else {
+                        replState.addVariable(sessionId, def.variable.name, def.variable.type, def.variable.source,
+                                              assistantMessageId, def.variable.namespace);
+                    }
+                });
+                if (definitions.length > 0 || analysis.requires.length > 0) {
+                    updateLintCache(sessionId);
+                }
+
+                // A value cut down for display is only rebound after a restart if it was printed whole
+                var raw = formatted.truncated ? null : formatted.raw;
+                if (shouldBindResult) {
+                    var whole = (formatted.truncation || []).filter(function(marker) { return marker.path === ''; })[0];
+                    replState.addBinding(sessionId, bindingName, formatted.value, formatted.type || 'unknown', {
+                        raw: raw,
+                        count: whole ? whole.total : null,
+                        messageId: assistantMessageId
+                    });
+                    formatted.boundTo = bindingName;
+                    sendBindings(sessionId);
+                }
+
                 // Update last result if execution was successful
                 if (formatted.value !== null && formatted.value !== undefined) {
-                    replState.updateLastResult(sessionId, formatted.value, formatted.type || 'unknown');
+                    replState.updateLastResult(sessionId, formatted.value, formatted.type || 'unknown', {
+                        raw: raw,
+                        boundTo: bindingName
+                    });
                 }
             }
 
             // Do NOT broadcast tool results to canvas - only final AI responses should be displayed
             // Tool results are passed to AI client callback for processing into final HTML response
 
-            callback(null, formatted);
-        });
+            // Failed evals can leave definitions behind too, so every eval is followed by a snapshot
+            if (!sessionId || !ns || !config.evaluation.jsonResults || !appState.resultEncoder) {
+                return callback(null, formatted);
+            }
+            snapshotState(connection, ns, sessionId, assistantMessageId, function() {
+                callback(null, formatted);
+            });
+        }
+
+        function finishWithTimeout(messages, restartSession) {
+            if (finished) return;
+            finish();
+
+            var elapsed = Date.now() - startTime;
+            var formatted = resultHandler.formatForVisualization(
+                resultHandler.serializeTimeout(messages, elapsed));
+            formatted.timeout = timeout;
+
+            if (!restartSession) {
+                return callback(null, formatted);
+            }
+
+            var replaceSession = sessionId ?
+                appState.chatSessions.replace.bind(null, sessionId) :
+                appState.nreplSupervisor.replaceSession.bind(null, session);
+            replaceSession(function(err) {
+                formatted.sessionRestarted = !err;
+                syncNreplState();
+                callback(null, formatted);
+            });
+        }
     }
 }
 
@@ -281,12 +802,90 @@ function handleCodeApproval(messageId, editedCode, ws) {
         // Clean up pending execution
         delete appState.pendingCodeExecutions[messageId];
 
+        // Let the browser retire the running code card
+        sendToClient(ws, {
+            type: 'execution_finished',
+            messageId: messageId,
+            status: err ? 'error' : (result && (result.type === 'error' || result.type === 'interrupted' ||
+                                                result.type === 'timeout') ? result.type : 'success'),
+            // Shown in the card's error panel
+            error: result && result.type === 'error' ? {
+                message: result.error,
+                category: result.errorDetails && result.errorDetails.category,
+                hint: result.errorDetails && result.errorDetails.hint,
+                exception: result.exception
+            } : undefined
+        });
+
         // Note: Error status messages are handled by the AI client's statusCallback
         // which includes deduplication logic, so we don't need to send it here
 
         // Call the original callback
         callback(err, result);
-    }, sessionId);
+    }, {
+        sessionId: sessionId,
+        messageId: messageId,
+        timeout: getEvalTimeout(pending.modelType),
+        onOutput: function(stream, text) {
+            // Live console under the running code card
+            sendToClient(ws, { type: 'eval_output', messageId: messageId, stream: stream, text: text });
+        }
+    });
+}
+
+/**
+ * Resolve the eval timeout for a model: its evalTimeout override, else the global default
+ */
+function getEvalTimeout(modelType) {
+    var modelConfig = config.ai.models[modelType || config.ai.defaultModel];
+    if (modelConfig && modelConfig.evalTimeout !== undefined && modelConfig.evalTimeout !== null) {
+        return modelConfig.evalTimeout;
+    }
+    return config.evaluation.timeout;
+}
+
+/**
+ * Handle a request to stop a running evaluation
+ * Sends the nREPL interrupt op for the eval started by the given code card
+ */
+function handleCancelExecution(messageId, ws) {
+    console.log('Cancel requested for message:', messageId);
+
+    var running = appState.runningEvaluations[messageId];
+    // Another chat's evaluation is not this browser's to stop
+    if (running && running.sessionId !== ws.sessionId) {
+        console.error('Cancel of message', messageId, 'from another chat:', ws.sessionId);
+        running = null;
+    }
+    if (!running || !appState.nreplConnection) {
+        console.error('No running evaluation found for message:', messageId);
+        sendToClient(ws, { type: 'error', message: 'No running evaluation found' });
+        return;
+    }
+
+    if (running.interruptRequested) {
+        return;
+    }
+    running.interruptRequested = true;
+
+    appState.nreplConnection.interrupt(running.session, running.evalId, function(err, messages) {
+        var status = [];
+        (messages || []).forEach(function(msg) {
+            if (msg.status) status = status.concat(msg.status);
+        });
+
+        if (err || status.indexOf('error') > -1 || status.indexOf('unknown-op') > -1) {
+            console.error('nREPL interrupt failed:', err || status);
+            running.interruptRequested = false;
+            sendToClient(ws, { type: 'error', message: 'Failed to interrupt evaluation' });
+        } else if (status.indexOf('session-idle') > -1 || status.indexOf('interrupt-id-mismatch') > -1) {
+            // The eval finished before the interrupt arrived, nothing to stop
+            console.log('Evaluation already finished, interrupt ignored:', status);
+        } else {
+            console.log('Interrupted evaluation:', running.evalId);
+            sendToClient(ws, { type: 'status', message: 'Evaluation interrupted' });
+        }
+    });
 }
 
 /**
@@ -308,6 +907,22 @@ function handleCodeRejection(messageId, ws) {
     callback(new Error('Code execution cancelled by user'), null);
 }
 
+/**
+ * Handle a page request from the canvas for a result kept in the REPL
+ * @param {Object} data - { requestId, resultId, path, offset, limit }
+ * @param {Object} ws - WebSocket connection, the page is sent back as 'result_page'
+ */
+function handleFetchResultPage(data, ws) {
+    fetchResultPage(data, function(err, page) {
+        sendToClient(ws, {
+            type: 'result_page',
+            requestId: data.requestId,
+            error: err ? err.message : undefined,
+            page: err ? undefined : page
+        });
+    });
+}
+
 /**
  * Handle REPL state clearing request
  */
@@ -321,13 +936,19 @@ function handleClearReplState(ws) {
 
     console.log('Clearing REPL state for session:', sessionId);
 
+    var names = replState.getBindings(sessionId).map(function(binding) { return binding.name; });
+
     // Clear state
     replState.clearSessionState(sessionId);
-
-    // Optionally clear *last-result* in the REPL session
-    if (appState.nreplConnection && appState.nreplSession) {
-        var clearCode = "(ns-unmap *ns* '*last-result*)";
-        appState.nreplConnection.eval(clearCode, undefined, appState.nreplSession, function(err) {
+    appState.linter.clearSession(sessionId);
+
+    // Optionally clear *last-result* and the bound results in the chat's REPL session
+    var chatSession = appState.chatSessions.get(sessionId);
+    if (appState.nreplConnection && chatSession) {
+        var clearCode = names.concat('*last-result*').map(function(name) {
+            return "(ns-unmap '" + chatSession.ns + " '" + name + ')';
+        }).join('\n');
+        appState.nreplConnection.eval(clearCode, chatSession.ns, chatSession.session, function(err) {
             if (err) {
                 console.warn('Failed to clear *last-result* in REPL:', err);
             } else {
@@ -340,6 +961,187 @@ function handleClearReplState(ws) {
         type: 'status',
         message: 'REPL state cleared'
     });
+    sendBindings(sessionId);
+}
+
+/**
+ * Handle a request to clear one bound result: unbind it in the chat's REPL and forget it
+ * *last-result* is unbound too if it holds the same value
+ */
+function handleClearBinding(data, ws) {
+    var sessionId = ws.sessionId;
+    if (!sessionId) {
+        sendToClient(ws, { type: 'error', message: 'Session not found' });
+        return;
+    }
+
+    if (!replState.removeBinding(sessionId, data.name)) {
+        sendToClient(ws, { type: 'error', message: 'No result is bound to ' + data.name });
+        return;
+    }
+    console.log('Cleared binding', data.name, 'for session:', sessionId);
+
+    var chatSession = appState.chatSessions.get(sessionId);
+    if (appState.nreplConnection && chatSession) {
+        var ns = "'" + chatSession.ns;
+        var clearCode = "(when (identical? (some-> (ns-resolve " + ns + " '*last-result*) deref)\n" +
+            "                  (some-> (ns-resolve " + ns + " '" + data.name + ") deref))\n" +
+            "  (ns-unmap " + ns + " '*last-result*))\n" +
+            "(ns-unmap " + ns + " '" + data.name + ')';
+        appState.nreplConnection.eval(clearCode, chatSession.ns, chatSession.session, function(err) {
+            if (err) {
+                console.warn('Failed to clear', data.name, 'in REPL:', err);
+            }
+        });
+    }
+
+    sendBindings(sessionId);
+}
+
+/**
+ * Handle a request for the assistant turns the chat's REPL can be rolled back to
+ * Replies with repl_checkpoints: [{ messageId, prompt, names, at }], newest first
+ */
+function handleListCheckpoints(ws) {
+    var sessionId = ws.sessionId;
+    if (!sessionId) {
+        sendToClient(ws, { type: 'error', message: 'Session not found' });
+        return;
+    }
+
+    var checkpoints = replState.getCheckpoints(sessionId).map(function(checkpoint) {
+        var turn = db.getTurnMessage(sessionId, checkpoint.messageId);
+        return {
+            messageId: checkpoint.messageId,
+            prompt: turn ? turn.content : null,
+            names: checkpoint.names,
+            at: checkpoint.at
+        };
+    });
+    sendToClient(ws, { type: 'repl_checkpoints', checkpoints: checkpoints.reverse() });
+}
+
+/**
+ * Handle a request to roll the chat's REPL back to the definitions as of an assistant turn:
+ * later vars are unmapped and earlier forms of redefined vars are evaluated again
+ * Replies with repl_rollback: { messageId, removed, restored, failed: [{ name, source, error }] }
+ */
+function handleRollbackReplState(data, ws) {
+    var sessionId = ws.sessionId;
+    if (!sessionId) {
+        sendToClient(ws, { type: 'error', message: 'Session not found' });
+        return;
+    }
+    if (!appState.nreplConnection) {
+        sendToClient(ws, { type: 'error', message: 'nREPL not connected' });
+        return;
+    }
+
+    var plan = replState.planRollback(sessionId, Number(data.messageId) || 0);
+    console.log('Rolling back REPL state for session', sessionId, 'to message', plan.messageId + ':',
+                plan.unmap.length, 'to unmap,', plan.restore.length, 'to restore');
+
+    appState.chatSessions.acquire(sessionId, function(err, chatSession) {
+        if (err) {
+            sendToClient(ws, { type: 'error', message: 'Could not roll back: ' + err.message });
+            return;
+        }
+
+        var connection = appState.nreplConnection;
+        // Bound results have no namespace of their own, they live in the chat's
+        var unmapCode = plan.unmap.map(function(entry) {
+            return "(ns-unmap '" + (entry.namespace || chatSession.ns) + " '" + entry.name + ')';
+        }).join('\n');
+        connection.eval(unmapCode || 'nil', chatSession.ns, chatSession.session, function(err) {
+            if (err) {
+                sendToClient(ws, { type: 'error', message: 'Could not roll back: ' + err.message });
+                return;
+            }
+
+            // Several vars may come from the same form
+            var sources = [];
+            plan.restore.forEach(function(version) {
+                if (sources.indexOf(version.source) === -1) sources.push(version.source);
+            });
+            replayDefinitions(connection, chatSession.session, chatSession.ns, sources, function(err, replay) {
+                var failed = [];
+                replay.failed.forEach(function(failure) {
+                    plan.restore.forEach(function(version) {
+                        if (version.source === failure.source) {
+                            failed.push({ name: version.name, source: failure.source, error: failure.error });
+                        }
+                    });
+                });
+
+                var summary = replState.applyRollback(sessionId, plan, failed.map(function(f) { return f.name; }));
+                updateLintCache(sessionId);
+                console.log('Rolled back REPL state:', summary.removed.length, 'removed,', summary.restored.length,
+                            'restored,', failed.length, 'failed');
+
+                function reply() {
+                    sendToClient(ws, {
+                        type: 'repl_rollback',
+                        messageId: plan.messageId,
+                        removed: summary.removed,
+                        restored: summary.restored,
+                        failed: failed
+                    });
+                    sendBindings(sessionId);
+                }
+
+                if (!config.evaluation.jsonResults || !appState.resultEncoder) {
+                    return reply();
+                }
+                snapshotState(connection, chatSession.ns, sessionId, null, reply);
+            });
+        });
+    });
+}
+
+/**
+ * Handle a request to export the chat's definitions as a Clojure namespace or Babashka script
+ * Replies with session_export: { namespace, format, files: [{ path, content }] }
+ */
+function handleExportSession(data, ws) {
+    var sessionId = ws.sessionId;
+    if (!sessionId) {
+        sendToClient(ws, { type: 'error', message: 'Session not found' });
+        return;
+    }
+
+    try {
+        var result = sessionExport.exportSession(sessionId, exportOptions(sessionId, data));
+        sendToClient(ws, Object.assign({ type: 'session_export' }, result));
+    } catch (err) {
+        sendToClient(ws, { type: 'error', message: 'Export failed: ' + err.message });
+    }
+}
+
+/**
+ * Export options from an export_session message or the export URL's query string
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} params - { format, namespace, task }
+ * @returns {Object} Options for sessionExport.exportSession
+ */
+function exportOptions(sessionId, params) {
+    var options = { format: params.format || 'namespace', header: 'Exported from repl-talk chat ' + sessionId };
+    if (params.namespace) options.namespace = params.namespace;
+    if (params.task) options.task = params.task;
+    return options;
+}
+
+/**
+ * Send the bound results of a chat to its browsers
+ * @param {string} sessionId - Chat session ID
+ */
+function sendBindings(sessionId) {
+    if (!appState.wss) return;
+    var bindings = replState.getBindings(sessionId);
+    appState.wss.clients.forEach(function(ws) {
+        if (ws.sessionId === sessionId) {
+            sendToClient(ws, { type: 'repl_bindings', bindings: bindings });
+        }
+    });
 }
 
 /**
@@ -364,8 +1166,14 @@ function handleUserMessage(userMessage, modelType, ws) {
         console.log('Loaded', history.length, 'messages from history for session', sessionId);
 
         // Create save callback to persist messages to database
-        var saveCallback = function(role, content, toolCalls) {
-            db.addMessage(sessionId, role, content, toolCalls);
+        var saveCallback = function(role, content, toolCalls, metadata) {
+            db.addMessage(sessionId, role, content, toolCalls, metadata);
+        };
+
+        // Earlier turns may have been summarized to fit the model's context window
+        var summary = db.getLatestSummary(sessionId);
+        var summaryCallback = function(newSummary) {
+            db.addSummary(sessionId, newSummary.content, newSummary.turnCount);
         };
 
         // Create status callback to send status updates to user
@@ -383,7 +1191,7 @@ function handleUserMessage(userMessage, modelType, ws) {
         };
 
         // Create wrapped eval callback that requests user approval
-        var evalCallbackWithApproval = function(code, callback) {
+        var evalCallbackWithApproval = function(code, callback, evalContext) {
             // Generate unique message ID for this code execution
             var messageId = 'code_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 
@@ -391,21 +1199,40 @@ function handleUserMessage(userMessage, modelType, ws) {
             appState.pendingCodeExecutions[messageId] = {
                 code: code,
                 callback: callback,
+                modelType: evalContext && evalContext.modelType,
                 ws: ws
             };
 
-            // Send code preview to client
+            // Send code preview to client, with the vars that use what the code redefines
             sendToClient(ws, {
                 type: 'code_preview',
                 code: code,
-                messageId: messageId
+                messageId: messageId,
+                impact: replState.getRedefinitionImpact(sessionId, code, nreplSessions.namespaceFor(sessionId))
             });
 
             // The callback will be called when user approves/rejects
         };
 
-        // Create AI client with loaded history, save callback, and status callback
-        client = aiClient.createAIClient(config, evalCallbackWithApproval, history, saveCallback, statusCallback, sessionId);
+        // Create stream callback to show partial HTML on the canvas while it is generated
+        // Updates are throttled, the browser only needs to re-render a few times per second
+        var streamCallback = function(html) {
+            ws.partialResult = ws.partialResult || { html: null, timer: null };
+            ws.partialResult.html = html;
+            if (ws.partialResult.timer) return;
+            ws.partialResult.timer = setTimeout(function() {
+                ws.partialResult.timer = null;
+                sendToClient(ws, { type: 'result_partial', html: ws.partialResult.html });
+            }, 100);
+        };
+
+        // Create AI client with loaded history and summary, save, status and stream callbacks
+        client = aiClient.createAIClient(config, evalCallbackWithApproval, history, saveCallback, statusCallback, sessionId, streamCallback,
+                                         summary, summaryCallback);
+        client.cassette = appState.cassette;
+        client.resultPageCallback = function(request, callback) {
+            fetchResultPage(request, callback);
+        };
         appState.aiClients[sessionId] = client;
     }
 
@@ -418,6 +1245,12 @@ function handleUserMessage(userMessage, modelType, ws) {
     // Step 8: Answer - AI synthesizes final response (handled by AI client)
 
     client.sendMessage(userMessage, modelType, function(err, response) {
+        // A partial update still waiting must not overwrite the final result
+        if (ws.partialResult) {
+            clearTimeout(ws.partialResult.timer);
+            ws.partialResult.timer = null;
+        }
+
         if (err) {
             console.error('AI client error:', err);
             sendToClient(ws, { type: 'error', message: err.message || String(err) });
@@ -427,6 +1260,17 @@ function handleUserMessage(userMessage, modelType, ws) {
         // IMPORTANT: This callback only fires for FINAL responses (not intermediate tool calls)
         // The ai-client already filters out intermediate messages with tool_calls
 
+        if (response && response.budgetExhausted) {
+            // The answer is a summary forced by an agent limit - say which one
+            sendToClient(ws, {
+                type: 'budget_exhausted',
+                budget: response.budgetExhausted.budget,
+                limit: response.budgetExhausted.limit,
+                used: response.budgetExhausted.used,
+                message: response.budgetExhausted.message
+            });
+        }
+
         if (response) {
             // If response contains HTML, send it to canvas for visualization
             if (response.type === 'html' && response.html) {
@@ -477,28 +1321,57 @@ function sendToClient(ws, message) {
 
 /**
  * Setup Express server and WebSocket
+ * @param {Function} callback - Optional callback function () once the server is listening
  */
-function setupWebServer() {
+function setupWebServer(callback) {
     var app = express();
 
     // Serve static files
     app.use(express.static(path.join(__dirname, '../public')));
 
+    // Download a chat's definitions: ?format=namespace|script&namespace=...&file=bb.edn for the task stub
+    app.get('/api/sessions/:id/export', function(req, res) {
+        var sessionId = req.params.id;
+        if (!db.sessionExists(sessionId)) {
+            res.status(404).json({ error: 'Session not found' });
+            return;
+        }
+
+        var result;
+        try {
+            result = sessionExport.exportSession(sessionId, exportOptions(sessionId, req.query));
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        var file = req.query.file === 'bb.edn' ? result.files[1] : result.files[0];
+        res.set('Content-Disposition', 'attachment; filename="' + path.basename(file.path) + '"');
+        res.type('text/plain').send(file.content);
+    });
+
     // Create HTTP server
     appState.httpServer = http.createServer(app);
 
     // Create WebSocket server
     appState.wss = new WebSocket.Server({ server: appState.httpServer });
 
-    appState.wss.on('connection', function(ws) {
+    appState.wss.on('connection', function(ws, req) {
         console.log('WebSocket client connected');
 
-        // Generate and store session ID for this WebSocket connection
-        var sessionId = db.createSession();
+        // Resume the session the browser asks for (?session=<id>), or generate a new one
+        var requestedId = new URL(req.url, 'http://localhost').searchParams.get('session');
+        var resumed = !!requestedId && db.sessionExists(requestedId);
+        var sessionId = resumed ? requestedId : db.createSession();
         ws.sessionId = sessionId;
-        console.log('Created session:', sessionId);
-
-        sendToClient(ws, { type: 'status', message: 'Connected to server' });
+        appState.chatSockets[sessionId] = (appState.chatSockets[sessionId] || 0) + 1;
+        delete appState.closedChats[sessionId];
+        console.log(resumed ? 'Resumed session:' : 'Created session:', sessionId);
+
+        sendToClient(ws, { type: 'status', message: 'Connected to server', sessionId: sessionId });
+        if (resumed) {
+            resumeChatSession(ws);
+            sendBindings(sessionId);
+        }
 
         ws.on('message', function(message) {
             try {
@@ -514,9 +1387,27 @@ function setupWebServer() {
                     case 'code_rejected':
                         handleCodeRejection(data.messageId, ws);
                         break;
+                    case 'cancel_execution':
+                        handleCancelExecution(data.messageId, ws);
+                        break;
                     case 'clear_repl_state':
                         handleClearReplState(ws);
                         break;
+                    case 'fetch_result_page':
+                        handleFetchResultPage(data, ws);
+                        break;
+                    case 'clear_binding':
+                        handleClearBinding(data, ws);
+                        break;
+                    case 'list_checkpoints':
+                        handleListCheckpoints(ws);
+                        break;
+                    case 'rollback_repl_state':
+                        handleRollbackReplState(data, ws);
+                        break;
+                    case 'export_session':
+                        handleExportSession(data, ws);
+                        break;
                     default:
                         console.log('Unknown message type:', data.type);
                 }
@@ -540,9 +1431,8 @@ function setupWebServer() {
                 }
             });
 
-            // Clean up AI client for this session from memory
-            if (ws.sessionId && appState.aiClients[ws.sessionId]) {
-                delete appState.aiClients[ws.sessionId];
+            if (ws.sessionId) {
+                releaseChat(ws.sessionId);
             }
             // Note: We keep the session in the database for history
             // Uncomment the line below if you want to delete sessions on disconnect:
@@ -559,10 +1449,62 @@ function setupWebServer() {
     var host = config.server.host;
 
     appState.httpServer.listen(port, host, function() {
-        console.log('Web server started at http://' + host + ':' + port);
+        console.log('Web server started at http://' + host + ':' + appState.httpServer.address().port);
+        if (callback) callback();
     });
 }
 
+/**
+ * Whether a chat has an evaluation running
+ * @param {string} sessionId - Chat session ID
+ * @returns {boolean}
+ */
+function isEvaluating(sessionId) {
+    return Object.keys(appState.runningEvaluations).some(function(key) {
+        return appState.runningEvaluations[key].sessionId === sessionId;
+    });
+}
+
+/**
+ * Drop a closed WebSocket from its chat, and free the chat once no other browser has it open
+ * An evaluation still running keeps the chat until its result is in (see evalClojure)
+ * @param {string} sessionId - Chat session ID
+ */
+function releaseChat(sessionId) {
+    var sockets = (appState.chatSockets[sessionId] || 1) - 1;
+    if (sockets > 0) {
+        appState.chatSockets[sessionId] = sockets;
+        return;
+    }
+    delete appState.chatSockets[sessionId];
+
+    if (isEvaluating(sessionId)) {
+        console.log('Chat', sessionId, 'closed during an evaluation, releasing it when the evaluation finishes');
+        appState.closedChats[sessionId] = true;
+        return;
+    }
+    freeChat(sessionId);
+}
+
+/**
+ * Free a closed chat's AI client, nREPL session, warm linter and in-memory REPL state
+ * @param {string} sessionId - Chat session ID
+ */
+function freeChat(sessionId) {
+    delete appState.closedChats[sessionId];
+
+    // Clean up AI client for this session from memory
+    delete appState.aiClients[sessionId];
+
+    // The chat is over, so its nREPL session and warm linter are no longer needed
+    if (appState.chatSessions) {
+        appState.chatSessions.release(sessionId);
+    }
+    appState.linter.release(sessionId);
+    // Its REPL state stays in the database and is loaded again if the chat resumes
+    replState.unloadSessionState(sessionId);
+}
+
 /**
  * Cleanup on shutdown
  */
@@ -581,18 +1523,19 @@ function cleanup(callback) {
         });
     }
 
-    if (appState.nreplConnection) {
-        appState.nreplConnection.end();
-        console.log('nREPL connection closed');
-    }
-
     // Close database connection
     db.close();
     console.log('Database connection closed');
 
-    if (appState.nreplServerState && !appState.nreplServerState.external) {
-        nreplServer.stop(appState.nreplServerState, function() {
-            console.log('nREPL server stopped');
+    if (appState.chatSessions) {
+        appState.chatSessions.stop();
+    }
+
+    appState.linter.shutdown();
+
+    if (appState.nreplSupervisor) {
+        appState.nreplSupervisor.stop(function() {
+            console.log('nREPL connection closed and server stopped');
             if (callback) callback();
         });
     } else {
@@ -600,37 +1543,47 @@ function cleanup(callback) {
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', function() {
-    console.log('\nReceived SIGINT, shutting down gracefully...');
-    cleanup(function() {
-        process.exit(0);
-    });
-});
+// Tests run the app in-process (see test/support/app-harness.js)
+module.exports = {
+    appState: appState,
+    initialize: initialize,
+    setupWebServer: setupWebServer,
+    evalClojure: evalClojure,
+    cleanup: cleanup
+};
 
-process.on('SIGTERM', function() {
-    console.log('\nReceived SIGTERM, shutting down gracefully...');
-    cleanup(function() {
-        process.exit(0);
+if (require.main === module) {
+    // Handle graceful shutdown
+    process.on('SIGINT', function() {
+        console.log('\nReceived SIGINT, shutting down gracefully...');
+        cleanup(function() {
+            process.exit(0);
+        });
     });
-});
 
-// Start the application
-console.log('Starting Babashka nREPL AI Tool...');
-console.log('Configuration:', {
-    aiModel: config.ai.defaultModel,
-    nreplHost: config.nrepl.hostname || 'auto',
-    nreplPort: config.nrepl.port || 'auto',
-    webPort: config.server.port
-});
+    process.on('SIGTERM', function() {
+        console.log('\nReceived SIGTERM, shutting down gracefully...');
+        cleanup(function() {
+            process.exit(0);
+        });
+    });
 
-initialize(function(err) {
-    if (err) {
-        console.error('Initialization failed:', err);
-        process.exit(1);
-    }
+    // Start the application
+    console.log('Starting Babashka nREPL AI Tool...');
+    console.log('Configuration:', {
+        aiModel: config.ai.defaultModel,
+        nreplHost: config.nrepl.hostname || 'auto',
+        nreplPort: config.nrepl.port || 'auto',
+        webPort: config.server.port
+    });
 
-    setupWebServer();
-    console.log('Application ready!');
-});
+    initialize(function(err) {
+        if (err) {
+            console.error('Initialization failed:', err);
+            process.exit(1);
+        }
 
+        setupWebServer();
+        console.log('Application ready!');
+    });
+}
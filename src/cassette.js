@@ -0,0 +1,205 @@
+/*global module,require,console,setImmediate*/
+
+/**
+ * Session cassettes
+ * A cassette records everything a session exchanged with the outside world: every model
+ * request made by the AI client (makeRequest) and every nREPL eval made by evalClojure.
+ * Replaying a cassette feeds the recorded responses back instead of calling the model
+ * or Babashka, so a session that failed somewhere else can be reproduced locally, and
+ * recorded sessions can be used as test fixtures.
+ *
+ * File format (JSON):
+ *   { version: 1, recordedAt, entries: [
+ *       { type: 'llm', model, request: { url, body }, response },         OpenAI-shaped response
+ *       { type: 'llm', model, request: { url, body }, error: { message, statusCode, retryable, retryAfter } },
+ *       { type: 'nrepl', code, ns, error, messages: [{ out }, { value, ns }, { status }] }
+ *   ] }
+ * Request headers are not recorded, they carry the API keys.
+ *
+ * Model responses are replayed in recorded order. Evals are replayed by code: the fake
+ * nREPL server (see nrepl-fake-server.js) answers an eval with the first unused recording
+ * of the same code, and evaluates anything else to nil.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var modes = ['record', 'replay'];
+
+/**
+ * Create a cassette
+ * @param {Object} options - { mode: 'record' | 'replay', path }
+ *   - record: entries are written to path as they happen (the directory is created)
+ *   - replay: the cassette at path is loaded, throws if it cannot be read
+ * @returns {Object} Cassette with recordRequest, replayRequest, recordEval, takeEval,
+ *   fakeServerRules and remaining
+ */
+function createCassette(options) {
+    if (modes.indexOf(options.mode) === -1) {
+        throw new Error('Unknown cassette mode ' + options.mode + ', expected one of ' + modes.join(', '));
+    }
+
+    var cassette = {
+        mode: options.mode,
+        path: options.path,
+        entries: []
+    };
+    var nextRequest = 0;
+    var usedEvals = {}; // entry index -> true once replayed
+
+    if (cassette.mode === 'replay') {
+        var data = JSON.parse(fs.readFileSync(cassette.path, 'utf8'));
+        cassette.entries = data.entries || [];
+    }
+
+    /**
+     * Record a model request and its outcome (record mode only)
+     * @param {Object} request - Request built by the provider { url, headers, body }
+     * @param {Error} err - Request error, if it failed
+     * @param {Object} response - OpenAI-shaped response
+     */
+    cassette.recordRequest = function(request, err, response) {
+        if (cassette.mode !== 'record') return;
+        var entry = {
+            type: 'llm',
+            model: request.body && request.body.model,
+            request: { url: request.url, body: request.body }
+        };
+        if (err) {
+            entry.error = { message: err.message, statusCode: err.statusCode, retryable: !!err.retryable, retryAfter: err.retryAfter };
+        } else {
+            entry.response = response;
+        }
+        append(entry);
+    };
+
+    /**
+     * Answer a model request with the next recorded response
+     * @param {Object} request - Request built by the provider
+     * @param {Function} callback - Callback function (err, response), called asynchronously
+     * @param {Function} onContent - Optional, receives the recorded assistant text as a streamed request would
+     */
+    cassette.replayRequest = function(request, callback, onContent) {
+        var entry = null;
+        while (nextRequest < cassette.entries.length && !entry) {
+            if (cassette.entries[nextRequest].type === 'llm') entry = cassette.entries[nextRequest];
+            nextRequest++;
+        }
+
+        setImmediate(function() {
+            if (!entry) {
+                return callback(new Error('Cassette ' + cassette.path + ' has no more recorded model responses'), null);
+            }
+            if (entry.model && request.body && entry.model !== request.body.model) {
+                console.warn('Cassette response was recorded for model', entry.model, 'but the request is for', request.body.model);
+            }
+            if (entry.error) {
+                var error = new Error(entry.error.message);
+                error.statusCode = entry.error.statusCode;
+                error.retryable = entry.error.retryable;
+                error.retryAfter = entry.error.retryAfter;
+                return callback(error, null);
+            }
+
+            var message = entry.response.choices && entry.response.choices[0] && entry.response.choices[0].message;
+            if (onContent && message && message.content) {
+                onContent(message.content);
+            }
+            callback(null, entry.response);
+        });
+    };
+
+    /**
+     * Record an nREPL eval and the messages it produced (record mode only)
+     * @param {string} code - Code sent to the server
+     * @param {string} ns - Namespace of the eval
+     * @param {Error} err - Connection error, if the eval failed
+     * @param {Array} messages - Response messages
+     */
+    cassette.recordEval = function(code, ns, err, messages) {
+        if (cassette.mode !== 'record') return;
+        append({
+            type: 'nrepl',
+            code: code,
+            ns: ns,
+            error: err ? err.message : undefined,
+            // Message and session ids belong to the recording's connection
+            messages: (messages || []).map(function(msg) {
+                var copy = Object.assign({}, msg);
+                delete copy.id;
+                delete copy.session;
+                return copy;
+            })
+        });
+    };
+
+    /**
+     * Take the first unused recording of an eval of code
+     * @param {string} code - Code being evaluated
+     * @returns {Object|null} The nrepl entry, null if the code was not recorded (again)
+     */
+    cassette.takeEval = function(code) {
+        for (var i = 0; i < cassette.entries.length; i++) {
+            var entry = cassette.entries[i];
+            if (entry.type === 'nrepl' && entry.code === code && !usedEvals[i]) {
+                usedEvals[i] = true;
+                return entry;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Rules for the fake nREPL server answering evals from the cassette
+     * @returns {Array} Rules, see nrepl-fake-server.js
+     */
+    cassette.fakeServerRules = function() {
+        var taken = null;
+        return [{
+            match: function(code) {
+                taken = cassette.takeEval(code);
+                return !!taken;
+            },
+            reply: function() {
+                return { messages: taken.messages };
+            }
+        }];
+    };
+
+    /**
+     * Recordings not replayed yet
+     * @returns {Object} { llm, nrepl } counts
+     */
+    cassette.remaining = function() {
+        var remaining = { llm: 0, nrepl: 0 };
+        cassette.entries.forEach(function(entry, index) {
+            if (entry.type === 'llm' && index >= nextRequest) remaining.llm++;
+            if (entry.type === 'nrepl' && !usedEvals[index]) remaining.nrepl++;
+        });
+        return remaining;
+    };
+
+    // -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+    // helper
+
+    function append(entry) {
+        cassette.entries.push(entry);
+        // Written right away so the cassette survives the crash it is meant to capture
+        try {
+            fs.mkdirSync(path.dirname(cassette.path), { recursive: true });
+            fs.writeFileSync(cassette.path, JSON.stringify({
+                version: 1,
+                recordedAt: new Date().toISOString(),
+                entries: cassette.entries
+            }, null, 2));
+        } catch (e) {
+            console.error('Failed to write cassette', cassette.path + ':', e.message);
+        }
+    }
+
+    return cassette;
+}
+
+module.exports = {
+    createCassette: createCassette
+};
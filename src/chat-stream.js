@@ -0,0 +1,309 @@
+/*global module*/
+
+/**
+ * Streaming support for chat completion responses
+ * Parses streamed response bodies (server-sent events for OpenAI-compatible and
+ * Anthropic endpoints, newline-delimited JSON for Ollama) and rebuilds the same
+ * response shape the non-streaming OpenAI endpoint returns, so the rest of the
+ * AI client does not care whether or where a response was streamed from.
+ */
+
+/**
+ * Split a streamed body into lines, whatever the chunk boundaries
+ * @param {Function} onLine - Callback (line) for every complete line
+ * @returns {Object} Reader with write(text) and end()
+ */
+function createLineReader(onLine) {
+    var buffer = '';
+
+    return {
+        write: function(text) {
+            buffer += text;
+            var newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                var line = buffer.slice(0, newline).replace(/\r$/, '');
+                buffer = buffer.slice(newline + 1);
+                onLine(line);
+            }
+        },
+        end: function() {
+            if (buffer) {
+                onLine(buffer.replace(/\r$/, ''));
+                buffer = '';
+            }
+        }
+    };
+}
+
+/**
+ * Build an accumulator from a per-chunk handler
+ * @param {string} format - 'sse' (data: lines) or 'ndjson' (one JSON object per line)
+ * @param {Object} state - Shared response state, see createResponseState
+ * @param {Function} handleChunk - Callback (chunk) for every parsed JSON chunk, returns false once the stream is done
+ * @returns {Object} Accumulator with write(text) and end() returning { error, response }
+ */
+function createAccumulator(format, state, handleChunk) {
+    var done = false;
+
+    var reader = createLineReader(function(line) {
+        if (done || state.error) return;
+
+        var data = line;
+        if (format === 'sse') {
+            // Comments (": keep-alive") and event/id fields carry nothing we need,
+            // the event type is repeated in the JSON payload
+            if (line.indexOf('data:') !== 0) return;
+            data = line.slice(5).trim();
+            if (data === '[DONE]') {
+                done = true;
+                return;
+            }
+        }
+        data = data.trim();
+        if (!data) return;
+
+        var chunk;
+        try {
+            chunk = JSON.parse(data);
+        } catch (e) {
+            state.error = new Error('Failed to parse stream chunk: ' + e.message);
+            return;
+        }
+
+        if (chunk.error) {
+            var message = typeof chunk.error === 'string' ? chunk.error :
+                (chunk.error.message || JSON.stringify(chunk.error));
+            state.error = new Error('API stream error: ' + message);
+            return;
+        }
+
+        if (handleChunk(chunk) === false) {
+            done = true;
+        }
+    });
+
+    return {
+        write: reader.write,
+        end: function() {
+            reader.end();
+            return finishResponse(state);
+        }
+    };
+}
+
+function createResponseState(onContent) {
+    return {
+        onContent: onContent,
+        error: null,
+        id: null,
+        model: null,
+        role: 'assistant',
+        content: null,
+        finishReason: null,
+        toolCalls: [], // index -> { id, type, function: { name, arguments } }
+        usage: null
+    };
+}
+
+function appendContent(state, text) {
+    if (typeof text !== 'string' || text.length === 0) return;
+    state.content = (state.content || '') + text;
+    if (state.onContent) state.onContent(state.content);
+}
+
+function toolCallAt(state, index) {
+    return state.toolCalls[index] ||
+        (state.toolCalls[index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+}
+
+function finishResponse(state) {
+    if (state.error) {
+        return { error: state.error, response: null };
+    }
+
+    var message = { role: state.role, content: state.content };
+    var calls = state.toolCalls.filter(function(call) { return call; });
+    if (calls.length > 0) {
+        message.tool_calls = calls;
+    }
+
+    var response = {
+        id: state.id,
+        model: state.model,
+        choices: [{ index: 0, message: message, finish_reason: state.finishReason }]
+    };
+    if (state.usage) {
+        response.usage = state.usage;
+    }
+    return { error: null, response: response };
+}
+
+/**
+ * Create an accumulator for a streamed OpenAI-compatible chat completion
+ * @param {Function} onContent - Optional callback (contentSoFar) called whenever assistant text grows
+ * @returns {Object} Accumulator with write(text) for raw response chunks and end() returning
+ *   { error, response } where response looks like { choices: [{ message, finish_reason }] }
+ */
+function createStreamAccumulator(onContent) {
+    var state = createResponseState(onContent);
+
+    return createAccumulator('sse', state, function(chunk) {
+        state.id = state.id || chunk.id;
+        state.model = state.model || chunk.model;
+        if (chunk.usage) state.usage = chunk.usage;
+
+        var choice = chunk.choices && chunk.choices[0];
+        if (!choice) return;
+        if (choice.finish_reason) state.finishReason = choice.finish_reason;
+
+        var delta = choice.delta || {};
+        if (delta.role) state.role = delta.role;
+
+        if (delta.tool_calls) {
+            delta.tool_calls.forEach(function(toolDelta) {
+                // Fragments of one call share an index, the first one carries id and name
+                var index = toolDelta.index !== undefined ? toolDelta.index : state.toolCalls.length;
+                var call = toolCallAt(state, index);
+                if (toolDelta.id) call.id = toolDelta.id;
+                if (toolDelta.type) call.type = toolDelta.type;
+                if (toolDelta.function) {
+                    if (toolDelta.function.name) call.function.name += toolDelta.function.name;
+                    if (toolDelta.function.arguments) call.function.arguments += toolDelta.function.arguments;
+                }
+            });
+        }
+
+        appendContent(state, delta.content);
+    });
+}
+
+/**
+ * Create an accumulator for a streamed Anthropic Messages API response
+ * @param {Function} onContent - Optional callback (contentSoFar) called whenever assistant text grows
+ * @returns {Object} Accumulator, see createStreamAccumulator
+ */
+function createAnthropicStreamAccumulator(onContent) {
+    var state = createResponseState(onContent);
+    var blocks = {}; // content block index -> tool call index
+
+    return createAccumulator('sse', state, function(event) {
+        switch (event.type) {
+            case 'message_start':
+                state.id = event.message && event.message.id;
+                state.model = event.message && event.message.model;
+                if (event.message && event.message.usage) {
+                    state.usage = anthropicUsage(event.message.usage, state.usage);
+                }
+                break;
+            case 'content_block_start':
+                if (event.content_block && event.content_block.type === 'tool_use') {
+                    var callIndex = state.toolCalls.length;
+                    blocks[event.index] = callIndex;
+                    var call = toolCallAt(state, callIndex);
+                    call.id = event.content_block.id;
+                    call.function.name = event.content_block.name;
+                } else if (event.content_block && event.content_block.text) {
+                    appendContent(state, event.content_block.text);
+                }
+                break;
+            case 'content_block_delta':
+                if (event.delta.type === 'text_delta') {
+                    appendContent(state, event.delta.text);
+                } else if (event.delta.type === 'input_json_delta' && blocks[event.index] !== undefined) {
+                    state.toolCalls[blocks[event.index]].function.arguments += event.delta.partial_json || '';
+                }
+                break;
+            case 'message_delta':
+                if (event.delta && event.delta.stop_reason) {
+                    state.finishReason = anthropicFinishReason(event.delta.stop_reason);
+                }
+                if (event.usage) {
+                    state.usage = anthropicUsage(event.usage, state.usage);
+                }
+                break;
+            case 'message_stop':
+                // A tool call without arguments streams no input_json_delta at all
+                state.toolCalls.forEach(function(toolCall) {
+                    if (!toolCall.function.arguments) toolCall.function.arguments = '{}';
+                });
+                return false;
+        }
+    });
+}
+
+/**
+ * Create an accumulator for a streamed Ollama /api/chat response (newline-delimited JSON)
+ * @param {Function} onContent - Optional callback (contentSoFar) called whenever assistant text grows
+ * @returns {Object} Accumulator, see createStreamAccumulator
+ */
+function createOllamaStreamAccumulator(onContent) {
+    var state = createResponseState(onContent);
+
+    return createAccumulator('ndjson', state, function(chunk) {
+        state.model = state.model || chunk.model;
+        var message = chunk.message || {};
+
+        appendContent(state, message.content);
+        (message.tool_calls || []).forEach(function(toolCall) {
+            // Ollama sends complete tool calls, without ids
+            var call = toolCallAt(state, state.toolCalls.length);
+            call.id = toolCall.id || generateToolCallId();
+            call.function.name = toolCall.function.name;
+            call.function.arguments = typeof toolCall.function.arguments === 'string' ?
+                toolCall.function.arguments : JSON.stringify(toolCall.function.arguments || {});
+        });
+
+        if (chunk.done) {
+            state.finishReason = state.toolCalls.length > 0 ? 'tool_calls' :
+                (chunk.done_reason === 'length' ? 'length' : 'stop');
+            state.usage = ollamaUsage(chunk);
+            return false;
+        }
+    });
+}
+
+/**
+ * Map an Anthropic stop_reason to the OpenAI finish_reason
+ */
+function anthropicFinishReason(stopReason) {
+    switch (stopReason) {
+        case 'tool_use': return 'tool_calls';
+        case 'max_tokens': return 'length';
+        default: return 'stop';
+    }
+}
+
+/**
+ * Map Anthropic usage to OpenAI usage, merging with earlier partial usage
+ */
+function anthropicUsage(usage, previous) {
+    var prompt = usage.input_tokens !== undefined ? usage.input_tokens : (previous ? previous.prompt_tokens : 0);
+    var completion = usage.output_tokens !== undefined ? usage.output_tokens : (previous ? previous.completion_tokens : 0);
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+/**
+ * Map Ollama token counts to OpenAI usage
+ */
+function ollamaUsage(response) {
+    var prompt = response.prompt_eval_count || 0;
+    var completion = response.eval_count || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+/**
+ * Tool call id for providers that don't assign one
+ */
+function generateToolCallId() {
+    return 'call_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+}
+
+module.exports = {
+    createStreamAccumulator: createStreamAccumulator,
+    createAnthropicStreamAccumulator: createAnthropicStreamAccumulator,
+    createOllamaStreamAccumulator: createOllamaStreamAccumulator,
+    anthropicFinishReason: anthropicFinishReason,
+    anthropicUsage: anthropicUsage,
+    ollamaUsage: ollamaUsage,
+    generateToolCallId: generateToolCallId
+};
@@ -86,7 +86,361 @@ function getHelperFunctionsCode() {
 `.trim();
 }
 
+/**
+ * Get the Clojure code of the repl-talk.result namespace
+ * repl-talk.result/run evaluates the code of an eval and returns its value for the JSON channel.
+ * Values it returns or wrapped by repl-talk.result/mark print as #repl-talk/json "<envelope>",
+ * a JSON encoding (cheshire) of the value plus a sidecar of the Clojure types JSON
+ * cannot express, keyed by JSON pointer paths into the value:
+ *   types:     path -> keyword | symbol | set | list | edn | elided | record:<class> | object:<class>
+ *   keys:      path -> keyword (object keys are keyword names) | entries ([[k v] ...] pairs)
+ *   truncated: path -> { shown, total, reason } for collections cut at the length or level limit
+ * The envelope also carries the id of the kept value (id) and, for pages, { offset, limit, total, more } (page).
+ * repl-talk.result/error-data returns the structure of an exception (see resultHandler.structureException).
+ * repl-talk.result/snapshot describes the vars of the session's namespaces (see replState.applySnapshot).
+ * Only collections and other values that could carry metadata are wrapped, everything else prints as EDN.
+ * The evaluation leaves the session in the user namespace
+ */
+function getResultEncoderCode() {
+    return `
+(ns repl-talk.result
+  (:require [cheshire.core :as json]
+            [clojure.string :as str]))
+
+(def seq-limit
+  "Items of a lazy or infinite seq that are encoded when no length limit is set"
+  1000)
+
+(def kept-limit
+  "Number of results kept for paging, older ones are dropped"
+  20)
+
+(defonce ^:private kept (atom {:next 0 :ids [] :values {}}))
+
+(defn- keep!
+  "Keep v for paging and return its id"
+  [v]
+  (let [state (swap! kept (fn [{:keys [next ids values]}]
+                            (let [id (str "r" next)
+                                  ids (conj ids id)
+                                  dropped (take (- (count ids) kept-limit) ids)]
+                              {:next (inc next)
+                               :ids (vec (drop (count dropped) ids))
+                               :values (apply dissoc (assoc values id v) dropped)})))]
+    (peek (:ids state))))
+
+(declare encode)
+
+(defn- child-path [path k]
+  (str path "/" (-> (str k) (str/replace "~" "~0") (str/replace "/" "~1"))))
+
+(defn- class-name [v]
+  (let [c (class v)]
+    (if (instance? Class c) (.getName ^Class c) (str c))))
+
+(defn- mark! [ctx kind path value]
+  (vswap! (:sidecar ctx) assoc-in [kind path] value))
+
+(defn- key-mode [m]
+  (let [ks (keys m)]
+    (cond
+      (every? string? ks) :string
+      (every? keyword? ks) :keyword
+      :else :entries)))
+
+(defn- limit-items
+  "The items of coll within the length limit, marking path when some are left out"
+  [coll path ctx]
+  (let [limit (or (:length ctx) (when-not (counted? coll) seq-limit))
+        items (if limit (take (inc limit) coll) coll)]
+    (if (and limit (> (count items) limit))
+      (do (mark! ctx :truncated path {"shown" limit
+                                      "total" (when (counted? coll) (count coll))
+                                      "reason" "length"})
+          (take limit items))
+      items)))
+
+(defn- encode-items [items path depth ctx]
+  (vec (map-indexed (fn [i item] (encode item (child-path path i) depth ctx))
+                    (limit-items items path ctx))))
+
+(defn- encode-map [m path depth ctx]
+  (let [entries (limit-items m path ctx)]
+    (case (key-mode m)
+      :string
+      (into {} (map (fn [[k v]] [k (encode v (child-path path k) depth ctx)])) entries)
+
+      :keyword
+      (do (mark! ctx :keys path "keyword")
+          (into {} (map (fn [[k v]]
+                          (let [k (subs (str k) 1)]
+                            [k (encode v (child-path path k) depth ctx)])))
+                entries))
+
+      (do (mark! ctx :keys path "entries")
+          (vec (map-indexed (fn [i [k v]]
+                              [(encode k (str path "/" i "/0") depth ctx)
+                               (encode v (str path "/" i "/1") depth ctx)])
+                            entries))))))
+
+(defn- encode [v path depth ctx]
+  (cond
+    (or (nil? v) (string? v) (boolean? v)) v
+    (keyword? v) (do (mark! ctx :types path "keyword") (subs (str v) 1))
+    (symbol? v) (do (mark! ctx :types path "symbol") (str v))
+    (and (int? v) (<= -9007199254740991 v 9007199254740991)) v
+    (and (float? v) (not (Double/isNaN v)) (not (Double/isInfinite v))) v
+    (and (coll? v) (:level ctx) (>= depth (:level ctx)))
+    (do (mark! ctx :types path "elided")
+        (mark! ctx :truncated path {"shown" 0 "total" (when (counted? v) (count v)) "reason" "level"})
+        nil)
+    (record? v) (do (mark! ctx :types path (str "record:" (class-name v)))
+                    (encode-map (into {} v) path (inc depth) ctx))
+    (map? v) (encode-map v path (inc depth) ctx)
+    (set? v) (do (mark! ctx :types path "set") (encode-items v path (inc depth) ctx))
+    (vector? v) (encode-items v path (inc depth) ctx)
+    (sequential? v) (do (mark! ctx :types path "list") (encode-items v path (inc depth) ctx))
+    (or (number? v) (char? v) (inst? v) (uuid? v) (var? v) (instance? java.util.regex.Pattern v))
+    (do (mark! ctx :types path "edn") (pr-str v))
+    :else (do (mark! ctx :types path (str "object:" (class-name v))) (pr-str v))))
+
+(defn to-json
+  "Encode v as a JSON envelope { value, types, keys, truncated, id, page }
+  within the limits { :length :level } (nil for no limit)"
+  [v {:keys [length level id page]}]
+  (let [ctx {:sidecar (volatile! {}) :length length :level level}
+        value (encode v "" 0 ctx)]
+    (json/generate-string (cond-> (assoc @(:sidecar ctx) :value value)
+                            id (assoc :id id)
+                            page (assoc :page page)))))
+
+(defrecord JsonResult [value limits id page history])
+
+(defmethod print-method JsonResult [{:keys [value limits id page]} ^java.io.Writer w]
+  (.write w (try
+              (str "#repl-talk/json " (pr-str (to-json value (assoc limits :id id :page page))))
+              (catch Exception _
+                (binding [*print-length* (:length limits) *print-level* (:level limits)]
+                  (pr-str value))))))
+
+(defn mark
+  "Wrap v to print as its JSON envelope within limits { :length :level }, if it is a value
+  that could carry metadata; v itself is left as it is"
+  ([v] (mark v nil))
+  ([v limits]
+   (if (instance? clojure.lang.IObj v)
+     (->JsonResult v limits nil nil nil)
+     v)))
+
+(defn- history
+  "*1, *2 and *3 of the session's evaluations. The REPL sets *1 to what run returned, and
+  results of helper evals in between (mark) shift it further, so they are taken from the
+  newest result of run instead"
+  []
+  (let [values (remove (fn [v] (and (instance? JsonResult v) (nil? (:history v)))) [*1 *2 *3])
+        newest (first values)]
+    (if (instance? JsonResult newest)
+      (:history newest)
+      (vec (take 3 (concat values (repeat nil)))))))
+
+(defn run
+  "Evaluate the forms of code one after another like the REPL does, so ns, in-ns and set! carry
+  over to the next eval, and return the value of the last one for the JSON channel, kept for
+  paging if it is a collection. *print-length* and *print-level* are bound to the limits
+  { :length :level } while the forms run; *1, *2 and *3 are the values of earlier forms"
+  [code limits]
+  (let [[v1 v2 v3] (history)]
+    (set! *1 v1)
+    (set! *2 v2)
+    (set! *3 v3))
+  (let [reader (clojure.lang.LineNumberingPushbackReader. (java.io.StringReader. code))
+        value (binding [*print-length* (:length limits)
+                        *print-level* (:level limits)]
+                (loop [value nil]
+                  (let [form (read {:eof ::eof :read-cond :allow} reader)]
+                    (if (identical? ::eof form)
+                      value
+                      (let [v (eval form)]
+                        (set! *3 *2)
+                        (set! *2 *1)
+                        (set! *1 v)
+                        (recur v))))))]
+    (->JsonResult value limits (when (coll? value) (keep! value)) nil [*1 *2 *3])))
+
+(defn- child [v segment]
+  (let [segment (-> segment (str/replace "~1" "/") (str/replace "~0" "~"))
+        index (or (parse-long segment) -1)]
+    (cond
+      (map? v) (case (key-mode v)
+                 :string (get v segment)
+                 :keyword (get v (keyword segment))
+                 (when (>= index 0) (nth (seq v) index nil)))
+      (or (sequential? v) (set? v)) (when (>= index 0) (nth (seq v) index nil))
+      :else nil)))
+
+(defn page
+  "Items offset to offset + limit of the collection at path (a JSON pointer into the
+  encoded value) of the kept result id, marked for the JSON channel"
+  [id path offset limit level]
+  (let [v (get-in @kept [:values id] ::missing)]
+    (when (= v ::missing)
+      (throw (ex-info (str "No kept result " id ", it was dropped or the REPL restarted") {:id id})))
+    (let [target (reduce child v (rest (str/split path #"/" -1)))
+          _ (when-not (coll? target)
+              (throw (ex-info (str "Nothing to page at " (pr-str path) " of result " id) {:id id :path path})))
+          items (take limit (drop offset target))
+          more (boolean (seq (drop (+ offset limit) target)))]
+      (assoc (mark (cond
+                     (map? target) (into {} items)
+                     (set? target) (set items)
+                     :else (vec items))
+                   {:length limit :level level})
+             :page {"offset" offset
+                    "limit" limit
+                    "total" (when (counted? target) (count target))
+                    "more" more}))))
+
+(def trace-limit
+  "Stack frames kept of an error"
+  50)
+
+(defn- error-location
+  "Line and column of the form that failed, from Clojure's or Babashka's ex-data"
+  [data]
+  (when-let [line (or (:clojure.error/line data) (:line data))]
+    {:line line
+     :column (or (:clojure.error/column data) (:column data))
+     :file (or (:clojure.error/source data) (:file data))}))
+
+(defn- public-data
+  "ex-data without the interpreter's internals (call stacks, environments)"
+  [data]
+  (when data
+    (into {} (remove (fn [[k]] (and (keyword? k) (some-> (namespace k) (str/starts-with? "sci.impl"))))) data)))
+
+(defn error-data
+  "Throwable->map of e for the JSON channel: the via chain with the ex-data of each exception,
+  the root cause, the phase, the location of the failing form and the stack frames"
+  [e]
+  (when e
+    (let [m (Throwable->map e)
+          chain (take-while some? (iterate ex-cause e))]
+      (mark {:via (mapv (fn [{:keys [type message data]}]
+                          {:type (str type) :message message :data (public-data data)})
+                        (:via m))
+             :cause (:cause m)
+             :data (public-data (:data m))
+             :phase (some-> (:phase m) name)
+             :location (some (comp error-location ex-data) chain)
+             :trace (mapv (fn [[cls method file line]]
+                            {:class (str cls) :method (str method) :file file :line line})
+                          (take trace-limit (:trace m)))}
+            {:length trace-limit :level 6}))))
+
+(defonce ^:private baseline-namespaces
+  (set (map ns-name (all-ns))))
+
+(def ^:private helper-names
+  "Vars of getHelperFunctionsCode, injected into every chat namespace"
+  '#{list-namespaces get-ns-docs search-functions get-fn-signature})
+
+(defn- var-info [v]
+  (let [m (meta v)
+        value (when (bound? v) @v)]
+    {:kind (cond
+             (:macro m) "macro"
+             (instance? clojure.lang.MultiFn value) "multimethod"
+             (fn? value) "function"
+             (class? value) "class"
+             :else "value")
+     :type (cond (not (bound? v)) "unbound" (nil? value) "nil" :else (class-name value))
+     :arglists (some->> (:arglists m) (mapv pr-str))
+     :doc (:doc m)
+     :private (boolean (:private m))
+     :file (:file m)
+     :line (:line m)
+     ;; Changes when the var is redefined or its value is replaced
+     :version (System/identityHashCode value)}))
+
+(defn snapshot
+  "The interned vars of the namespaces an evaluation may define things in: ns (the session's own)
+  and every namespace created after this one was loaded, except other chats' (chat-*, see nrepl-sessions.js)"
+  [ns]
+  (mark (into {}
+              (for [n (all-ns)
+                    :let [ns-str (str (ns-name n))]
+                    :when (or (= ns-str ns)
+                              (and (not (contains? baseline-namespaces (ns-name n)))
+                                   (not (str/starts-with? ns-str "chat-"))))]
+                [ns-str (into {}
+                              (for [[sym v] (ns-interns n)
+                                    :when (not (contains? helper-names sym))]
+                                [(str sym) (var-info v)]))]))
+        {:length nil :level nil}))
+
+(in-ns 'user)
+`.trim();
+}
+
+/**
+ * Format evaluation limits as a Clojure map literal
+ * @param {Object} limits - { length, level }, missing or 0 means no limit
+ */
+function limitsLiteral(limits) {
+    return '{:length ' + (limits && limits.length || 'nil') + ' :level ' + (limits && limits.level || 'nil') + '}';
+}
+
+/**
+ * Wrap code to return its value through the JSON channel (see repl-talk.result/run)
+ * The forms are read and evaluated one after another in the session, so ns, in-ns and set!
+ * carry over to the next eval and errors are reported as usual, with lines of the code.
+ * Only the envelope of the last value is printed, within the limits
+ * @param {string} code - Code to evaluate
+ * @param {Object} limits - Optional { length, level } bound to *print-length* and *print-level*
+ * @returns {string} A single form evaluating code
+ */
+function wrapForJSONResult(code, limits) {
+    // A JSON string is a Clojure string literal too
+    return '(repl-talk.result/run ' + JSON.stringify(code) + ' ' + limitsLiteral(limits) + ')';
+}
+
+/**
+ * Code returning a page of a result kept by the JSON channel
+ * @param {string} resultId - Id of the kept result (resultId of the serialized result)
+ * @param {string} path - JSON pointer of the collection to page through ('' for the result itself)
+ * @param {number} offset - Index of the first item
+ * @param {number} limit - Number of items
+ * @param {number} level - Optional nesting limit of the items
+ * @returns {string} Code to evaluate
+ */
+function resultPageCode(resultId, path, offset, limit, level) {
+    return '(repl-talk.result/page ' + JSON.stringify(String(resultId)) + ' ' + JSON.stringify(path || '') + ' ' +
+           offset + ' ' + limit + ' ' + (level || 'nil') + ')';
+}
+
+/**
+ * Code returning the structure of the session's last exception (*e), see repl-talk.result/error-data
+ * @returns {string} Code to evaluate in the session the error happened in
+ */
+function errorDataCode() {
+    return '(repl-talk.result/error-data *e)';
+}
+
+/**
+ * Code returning a snapshot of the vars a session's evaluations can see, see repl-talk.result/snapshot
+ * @param {string} ns - The session's namespace
+ * @returns {string} Code to evaluate
+ */
+function snapshotCode(ns) {
+    return '(repl-talk.result/snapshot ' + JSON.stringify(ns) + ')';
+}
+
 module.exports = {
-    getHelperFunctionsCode: getHelperFunctionsCode
+    getHelperFunctionsCode: getHelperFunctionsCode,
+    getResultEncoderCode: getResultEncoderCode,
+    wrapForJSONResult: wrapForJSONResult,
+    resultPageCode: resultPageCode,
+    errorDataCode: errorDataCode,
+    snapshotCode: snapshotCode
 };
 
@@ -1,151 +1,436 @@
-/*global module*/
+/*global module,require*/
 
 /**
  * Code Analyzer Module
- * Parses Clojure code to extract function and variable definitions
+ * Reads Clojure code into forms (see edn-reader.readForms) to extract function and variable
+ * definitions, the namespace they are defined in and the require/ns forms they depend on
  */
 
+var ednReader = require('./edn-reader');
+
+// Forms whose body is evaluated at the top level, so definitions in it are found too
+var bodyStart = { 'do': 1, 'let': 2, 'letfn': 2 };
+
 /**
  * Extract function and variable definitions from Clojure code
+ * Understands defn, defn-, defmacro, defmulti, defmethod, def, defonce, defrecord, deftype
+ * and defprotocol, with docstrings, attribute maps, metadata and multiple arities.
+ * ns and in-ns forms set the namespace of the definitions after them.
  * @param {string} code - Clojure code string
- * @returns {Object} { functions: [...], variables: [...] }
+ * @param {string} namespace - Namespace the code is evaluated in (default: 'user')
+ * @returns {Object} { functions: [...], variables: [...], requires: [...] }
+ *   - functions: { name, type, signature, arglists, docstring, namespace, private, source, references }
+ *   - variables: { name, type, docstring, namespace, private, source, references }
+ *   - references: symbols the definition uses, unqualified or in its own namespace, without
+ *     the parameters and locals it binds itself
+ *   - requires: sources of the top-level ns, require, import, use and refer forms
  */
-function analyzeCode(code) {
+function analyzeCode(code, namespace) {
     var functions = [];
     var variables = [];
+    var requires = [];
 
     if (!code || typeof code !== 'string') {
-        return { functions: functions, variables: variables };
+        return { functions: functions, variables: variables, requires: requires };
     }
 
-    // Remove comments (lines starting with ;)
-    var codeWithoutComments = code.split('\n')
-        .filter(function(line) {
-            return !line.trim().match(/^\s*;/);
-        })
-        .join('\n');
-
-    // Extract defn definitions: (defn name [args] ...) or (defn name "docstring" [args] ...)
-    var defnPattern = /\(defn\s+([^\s\(\)\[\]]+)\s*(?:"[^"]*")?\s*(\[[^\]]*\])?/g;
-    var match;
-    while ((match = defnPattern.exec(codeWithoutComments)) !== null) {
-        var name = match[1];
-        var args = match[2] || '[]';
-        functions.push({
-            name: name,
-            type: 'defn',
-            signature: args,
-            docstring: extractDocstring(code, match.index),
-            namespace: 'user' // Default namespace
-        });
+    var currentNs = namespace || 'user';
+
+    function sourceOf(node) {
+        return node !== null && typeof node === 'object' && node.start !== undefined ?
+            code.substring(node.start, node.end) : ednReader.printString(node);
     }
 
-    // Extract defmacro definitions: (defmacro name [args] ...)
-    var defmacroPattern = /\(defmacro\s+([^\s\(\)\[\]]+)\s*(?:"[^"]*")?\s*(\[[^\]]*\])?/g;
-    while ((match = defmacroPattern.exec(codeWithoutComments)) !== null) {
-        var name = match[1];
-        var args = match[2] || '[]';
+    function addFunction(name, type, arglists, docstring, isPrivate, source) {
+        // Argument vectors as read, or already written out (the % arguments of #(...))
+        var signatures = arglists.map(function(arglist) {
+            return typeof arglist === 'string' ? arglist : sourceOf(arglist);
+        });
         functions.push({
             name: name,
-            type: 'defmacro',
-            signature: args,
-            docstring: extractDocstring(code, match.index),
-            namespace: 'user'
+            type: type,
+            signature: signatures.join(' ') || '[]',
+            arglists: signatures,
+            docstring: docstring,
+            namespace: currentNs,
+            private: isPrivate,
+            source: source
         });
     }
 
-    // Extract defmethod definitions: (defmethod name dispatch-val [args] ...)
-    var defmethodPattern = /\(defmethod\s+([^\s\(\)\[\]]+)\s+([^\s\(\)\[\]]+)\s*(\[[^\]]*\])?/g;
-    while ((match = defmethodPattern.exec(codeWithoutComments)) !== null) {
-        var name = match[1];
-        var dispatchVal = match[2];
-        var args = match[3] || '[]';
-        functions.push({
-            name: name + ' (dispatch: ' + dispatchVal + ')',
-            type: 'defmethod',
-            signature: args,
-            docstring: extractDocstring(code, match.index),
-            namespace: 'user'
-        });
+    function addVariable(name, type, docstring, isPrivate, source) {
+        variables.push({ name: name, type: type, docstring: docstring, namespace: currentNs, private: isPrivate, source: source });
     }
 
-    // Extract def with function value: (def name (fn [args] ...)) or (def name #(...))
-    var defWithFnPattern = /\(def\s+([^\s\(\)\[\]]+)\s*\(fn\s*(\[[^\]]*\])?/g;
-    while ((match = defWithFnPattern.exec(codeWithoutComments)) !== null) {
-        var name = match[1];
-        var args = match[2] || '[]';
-        functions.push({
-            name: name,
-            type: 'def (fn)',
-            signature: args,
-            docstring: null,
-            namespace: 'user'
-        });
+    function visit(form, source, topLevel) {
+        var head = headName(form);
+        if (!head) return;
+        var items = form.items;
+        var nameNode = items[1];
+        var name = isSymbol(nameNode) ? nameNode.name : null;
+
+        switch (head) {
+            case 'ns':
+                if (topLevel) requires.push(source);
+                if (name) currentNs = name;
+                return;
+            case 'in-ns':
+                var target = unquote(nameNode);
+                if (isSymbol(target)) currentNs = target.name;
+                return;
+            case 'require': case 'import': case 'use': case 'refer':
+                if (topLevel) requires.push(source);
+                return;
+        }
+
+        if (bodyStart[head]) {
+            items.slice(bodyStart[head]).forEach(function(item) { visit(item, source, false); });
+            return;
+        }
+        if (!name) return;
+
+        var defined = functions.length;
+        var definedVars = variables.length;
+        var isPrivate = head === 'defn-' || hasMeta(nameNode, 'private');
+        var rest = items.slice(2);
+        switch (head) {
+            case 'defn': case 'defn-': case 'defmacro':
+                var fnDoc = takeDocstring(rest);
+                if (isMap(rest[0])) rest.shift();
+                addFunction(name, head, arities(rest), fnDoc, isPrivate, source);
+                break;
+            case 'defmulti':
+                addFunction(name, head, [], takeDocstring(rest), isPrivate, source);
+                break;
+            case 'defmethod':
+                addFunction(name + ' (dispatch: ' + sourceOf(rest[0]) + ')', head, arities(rest.slice(1)), null, false, source);
+                break;
+            case 'def': case 'defonce':
+                // (def name "doc" value), a docstring alone is the value
+                var varDoc = rest.length > 1 ? takeDocstring(rest) : null;
+                var value = rest[0];
+                if (headName(value) === 'fn' || headName(value) === 'fn*') {
+                    addFunction(name, 'def (fn)', fnArities(value), varDoc, isPrivate, source);
+                } else {
+                    addVariable(name, rest.length > 0 ? inferType(value) : 'unknown', varDoc, isPrivate, source);
+                }
+                break;
+            case 'defrecord': case 'deftype':
+                addVariable(name, head === 'defrecord' ? 'record' : 'type', null, false, source);
+                addFunction('->' + name, head, rest[0] ? [rest[0]] : [], null, false, source);
+                if (head === 'defrecord') {
+                    functions.push(Object.assign({}, functions[functions.length - 1], { name: 'map->' + name, signature: '[m]', arglists: ['[m]'] }));
+                }
+                break;
+            case 'defprotocol':
+                addVariable(name, 'protocol', takeDocstring(rest), false, source);
+                rest.forEach(function(method) {
+                    if (!isList(method) || !isSymbol(method.items[0])) return;
+                    var signatures = method.items.slice(1).filter(isVector);
+                    var methodDoc = method.items.slice(1).filter(function(item) { return typeof item === 'string'; })[0] || null;
+                    addFunction(method.items[0].name, head, signatures, methodDoc, false, source);
+                });
+                break;
+        }
+
+        // What the definitions of this form use, except each other; a defmethod uses its multimethod
+        var newDefs = functions.slice(defined).concat(variables.slice(definedVars));
+        var ownNames = newDefs.map(function(def) { return def.name; }).concat(head === 'defmethod' ? [] : [name]);
+        var references = [];
+        switch (head) {
+            case 'defn': case 'defn-': case 'defmacro':
+                collectArities(rest, currentNs, references, []);
+                break;
+            case 'defmethod':
+                collectReferences([nameNode, rest[0]], currentNs, references, []);
+                collectArities(rest.slice(1), currentNs, references, []);
+                break;
+            case 'defrecord': case 'deftype':
+                collectMethods(rest.slice(1), currentNs, references, bindingNames(rest[0], []));
+                break;
+            case 'defprotocol':
+                // Only method signatures, nothing is evaluated
+                break;
+            default:
+                collectReferences(rest, currentNs, references, []);
+        }
+        references = references.filter(function(ref) { return ownNames.indexOf(ref) === -1; });
+        newDefs.forEach(function(def) { def.references = references; });
     }
 
-    // Extract simple def (variables): (def name value)
-    // This is trickier - we need to avoid matching def with fn values
-    // Look for def that's not followed by (fn or #(
-    var defVarPattern = /\(def\s+([^\s\(\)\[\]]+)\s+(?!\(fn\s|#\(|\(fn\[)/g;
-    var processedDefs = new Set();
-    while ((match = defVarPattern.exec(codeWithoutComments)) !== null) {
-        var name = match[1];
-        // Skip if we already processed this as a function
-        if (!processedDefs.has(name)) {
-            // Try to determine type from the value
-            var afterDef = codeWithoutComments.substring(match.index + match[0].length);
-            var type = inferType(afterDef);
-            variables.push({
-                name: name,
-                type: type
-            });
-            processedDefs.add(name);
+    readForms(code).forEach(function(top) {
+        visit(top.form, top.source, true);
+    });
+
+    return { functions: functions, variables: variables, requires: requires };
+}
+
+/**
+ * Split code into its top-level forms
+ * Code that cannot be read (e.g. an unclosed paren) yields the forms before the problem
+ * @param {string} code - Clojure code string
+ * @returns {Array} Array of { source, start, end, form } for each top-level form,
+ *   form as read by edn-reader.readForms
+ */
+function splitTopLevelForms(code) {
+    return readForms(code);
+}
+
+function readForms(code) {
+    try {
+        return ednReader.readForms(code);
+    } catch (err) {
+        return err.forms || [];
+    }
+}
+
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+// forms
+
+function isList(node) {
+    return node !== null && typeof node === 'object' && node.type === 'list';
+}
+
+function isVector(node) {
+    return node !== null && typeof node === 'object' && node.type === 'vector';
+}
+
+function isMap(node) {
+    return node !== null && typeof node === 'object' && node.type === 'map';
+}
+
+function isSymbol(node) {
+    return node !== null && typeof node === 'object' && node.type === 'symbol';
+}
+
+/**
+ * Name of the symbol a list starts with, e.g. 'defn' for (defn ...) and (clojure.core/defn ...)
+ */
+function headName(node) {
+    if (!isList(node) || !isSymbol(node.items[0])) return null;
+    var head = node.items[0];
+    return head.ns === null || head.ns === 'clojure.core' ? head.name : null;
+}
+
+/**
+ * The form inside (quote form), or the node itself
+ */
+function unquote(node) {
+    return headName(node) === 'quote' ? node.items[1] : node;
+}
+
+function hasMeta(node, key) {
+    return !!(node.meta && node.meta.entries.some(function(entry) {
+        return entry[0] && entry[0].type === 'keyword' && entry[0].name === key && entry[1] === true;
+    }));
+}
+
+/**
+ * Remove and return a leading docstring from the items after a definition's name
+ */
+function takeDocstring(items) {
+    return typeof items[0] === 'string' ? items.shift() : null;
+}
+
+/**
+ * Argument vectors of a fn body: [args] body... or ([args] body...) ([args] body...)...
+ */
+function arities(items) {
+    if (isVector(items[0])) return [items[0]];
+    return items.filter(function(item) { return isList(item) && isVector(item.items[0]); })
+        .map(function(item) { return item.items[0]; });
+}
+
+/**
+ * Argument vectors of (fn name? ...), or the % arguments of #(...)
+ */
+function fnArities(node) {
+    var items = node.items.slice(1);
+    if (headName(node) === 'fn*') {
+        var count = 0;
+        var variadic = false;
+        (function walk(item) {
+            if (isSymbol(item) && item.ns === null && /^%(\d*|&)$/.test(item.name)) {
+                if (item.name === '%&') variadic = true;
+                else count = Math.max(count, parseInt(item.name.substring(1), 10) || 1);
+            } else if (item !== null && typeof item === 'object' && item.items) {
+                item.items.forEach(walk);
+            }
+        })(items[0]);
+        var args = [];
+        for (var i = 1; i <= count; i++) args.push(count === 1 ? '%' : '%' + i);
+        if (variadic) args.push('& %&');
+        return ['[' + args.join(' ') + ']'];
+    }
+    if (isSymbol(items[0])) items.shift();
+    return arities(items);
+}
+
+// Forms that bind locals in a binding vector for their body, see collectBindings
+var bindingVectors = {
+    'let': true, 'loop': true, 'if-let': true, 'when-let': true, 'if-some': true, 'when-some': true,
+    'when-first': true, 'with-open': true, 'dotimes': true, 'for': true, 'doseq': true
+};
+
+/**
+ * Collect the names of the symbols in forms that may refer to vars of a namespace
+ * Quoted forms are data and skipped, locals bound by fn, let, loop and the like are left out
+ * @param {Array} forms - Forms as read by edn-reader
+ * @param {string} namespace - Namespace whose qualified symbols count too
+ * @param {Array} references - Names found so far, added to in place
+ * @param {Array} locals - Names bound around the forms
+ */
+function collectReferences(forms, namespace, references, locals) {
+    forms.forEach(function(node) {
+        if (node === null || typeof node !== 'object') return;
+        if (isSymbol(node)) {
+            var local = node.ns === null && (locals.indexOf(node.name) !== -1 || /^%(\d*|&)$/.test(node.name));
+            if (!local && (node.ns === null || node.ns === namespace) && references.indexOf(node.name) === -1) {
+                references.push(node.name);
+            }
+        } else if (node.type === 'map') {
+            node.entries.forEach(function(entry) { collectReferences(entry, namespace, references, locals); });
+        } else if (node.type === 'tagged') {
+            collectReferences([node.value], namespace, references, locals);
+        } else if (node.items && headName(node) !== 'quote') {
+            var head = headName(node);
+            var items = node.items;
+            if ((head === 'fn' || head === 'fn*') && items.length > 1) {
+                var fnName = isSymbol(items[1]) ? [items[1].name] : [];
+                collectArities(items.slice(1 + fnName.length), namespace, references, locals.concat(fnName));
+            } else if (bindingVectors[head] && isVector(items[1])) {
+                var scope = collectBindings(items[1].items, namespace, references, locals);
+                collectReferences(items.slice(2), namespace, references, scope);
+            } else if (head === 'letfn' && isVector(items[1])) {
+                var fns = items[1].items.filter(function(item) { return isList(item) && isSymbol(item.items[0]); });
+                var fnScope = locals.concat(fns.map(function(item) { return item.items[0].name; }));
+                fns.forEach(function(item) { collectArities(item.items.slice(1), namespace, references, fnScope); });
+                collectReferences(items.slice(2), namespace, references, fnScope);
+            } else if (head === 'catch' && isSymbol(items[2])) {
+                collectReferences([items[1]], namespace, references, locals);
+                collectReferences(items.slice(3), namespace, references, locals.concat([items[2].name]));
+            } else {
+                collectReferences(items, namespace, references, locals);
+            }
         }
+    });
+}
+
+/**
+ * Collect the references of a fn body, [params] body... or ([params] body...)..., with the
+ * params as locals
+ */
+function collectArities(items, namespace, references, locals) {
+    if (isVector(items[0])) {
+        var defaults = [];
+        var params = bindingNames(items[0], defaults);
+        collectReferences(defaults, namespace, references, locals);
+        collectReferences(items.slice(1), namespace, references, locals.concat(params));
+        return;
     }
+    items.forEach(function(item) {
+        if (isList(item) && isVector(item.items[0])) {
+            collectArities(item.items, namespace, references, locals);
+        } else {
+            collectReferences([item], namespace, references, locals);
+        }
+    });
+}
 
-    return { functions: functions, variables: variables };
+/**
+ * Collect the references of the protocols and methods after a defrecord or deftype's fields
+ */
+function collectMethods(items, namespace, references, fields) {
+    items.forEach(function(item) {
+        if (isList(item) && isSymbol(item.items[0])) {
+            collectArities(item.items.slice(1), namespace, references, fields);
+        } else {
+            collectReferences([item], namespace, references, fields);
+        }
+    });
 }
 
 /**
- * Extract docstring from code near a match position
- * @param {string} code - Full code string
- * @param {number} position - Position of the definition
- * @returns {string|null} Docstring or null
+ * Collect the references of a binding vector, each init seeing the names bound before it
+ * for and doseq modifiers (:let, :when, :while) are understood too
+ * @returns {Array} The locals with the bound names added
  */
-function extractDocstring(code, position) {
-    // Look for docstring after the function name
-    var afterPos = code.substring(position);
-    var docstringMatch = afterPos.match(/"([^"]*)"/);
-    if (docstringMatch) {
-        return docstringMatch[1];
+function collectBindings(bindings, namespace, references, locals) {
+    var scope = locals.slice();
+    for (var i = 0; i < bindings.length; i += 2) {
+        var pattern = bindings[i];
+        var init = bindings[i + 1];
+        if (pattern !== null && typeof pattern === 'object' && pattern.type === 'keyword') {
+            if (pattern.name === 'let' && isVector(init)) {
+                scope = collectBindings(init.items, namespace, references, scope);
+            } else {
+                collectReferences([init], namespace, references, scope);
+            }
+            continue;
+        }
+        var defaults = [];
+        collectReferences([init], namespace, references, scope);
+        var names = bindingNames(pattern, defaults);
+        collectReferences(defaults, namespace, references, scope);
+        scope = scope.concat(names);
     }
-    return null;
+    return scope;
 }
 
 /**
- * Infer type from a value expression
- * @param {string} valueExpr - Value expression string
- * @returns {string} Inferred type
+ * Names a binding form binds, destructuring vectors and maps (:keys, :syms, :strs, :as)
+ * @param {*} pattern - Binding form as read by edn-reader
+ * @param {Array} defaults - Forms evaluated by the pattern (:or defaults, map lookup keys),
+ *   added to in place
+ * @returns {Array} Bound names
  */
-function inferType(valueExpr) {
-    var trimmed = valueExpr.trim();
-
-    if (trimmed.startsWith('{')) {
-        return 'map';
-    } else if (trimmed.startsWith('[')) {
-        return 'vector';
-    } else if (trimmed.startsWith('(') && !trimmed.startsWith('(fn')) {
-        return 'list';
-    } else if (trimmed.startsWith('"') || trimmed.startsWith("'")) {
-        return 'string';
-    } else if (trimmed.match(/^\d/)) {
-        return 'number';
-    } else if (trimmed === 'true' || trimmed === 'false') {
-        return 'boolean';
-    } else if (trimmed === 'nil') {
-        return 'nil';
+function bindingNames(pattern, defaults) {
+    if (isSymbol(pattern)) return pattern.name === '&' ? [] : [pattern.name];
+    if (isVector(pattern)) {
+        return pattern.items.reduce(function(names, item) { return names.concat(bindingNames(item, defaults)); }, []);
     }
+    if (!isMap(pattern)) return [];
+
+    var names = [];
+    pattern.entries.forEach(function(entry) {
+        var key = entry[0];
+        var value = entry[1];
+        if (key === null || typeof key !== 'object' || key.type !== 'keyword') {
+            names = names.concat(bindingNames(key, defaults));
+            defaults.push(value);
+        } else if ((key.name === 'keys' || key.name === 'syms' || key.name === 'strs') && isVector(value)) {
+            value.items.forEach(function(item) {
+                if (item !== null && typeof item === 'object' && (item.type === 'symbol' || item.type === 'keyword')) {
+                    names.push(item.name);
+                }
+            });
+        } else if (key.name === 'as' && isSymbol(value)) {
+            names.push(value.name);
+        } else if (key.name === 'or' && isMap(value)) {
+            value.entries.forEach(function(def) { defaults.push(def[1]); });
+        }
+    });
+    return names;
+}
 
+/**
+ * Infer the type of a def's value
+ * @param {*} node - Value form as read by edn-reader
+ * @returns {string} Inferred type
+ */
+function inferType(node) {
+    node = unquote(node);
+    if (node === null) return 'nil';
+    if (typeof node === 'boolean') return 'boolean';
+    if (typeof node === 'number') return 'number';
+    if (typeof node === 'string') return 'string';
+
+    switch (node.type) {
+        case 'map': case 'vector': case 'set': case 'list': case 'keyword': case 'regex': case 'char':
+            return node.type;
+        case 'long': case 'bigint': case 'bigdec': case 'ratio':
+            return 'number';
+    }
     return 'unknown';
 }
 
@@ -156,27 +441,38 @@ function inferType(valueExpr) {
  * @returns {boolean} True if binding is requested
  */
 function requestsResultBinding(code) {
+    return parseResultBinding(code) !== null;
+}
+
+/**
+ * Read the result binding requested by a code comment
+ * ;; bind-result as files binds the result to files, a plain ;; bind-result (or ;; bind,
+ * ;; save-result) to the next numbered name (*r1*, *r2*, ...)
+ * @param {string} code - Clojure code string
+ * @returns {Object|null} { name } with null for a numbered name, or null if binding is not requested
+ */
+function parseResultBinding(code) {
     if (!code || typeof code !== 'string') {
-        return false;
+        return null;
     }
 
-    // Check for ;; bind-result comment
-    var bindPattern = /;;\s*bind-result/i;
-    if (bindPattern.test(code)) {
-        return true;
+    var match = /;;\s*(?:bind-result|bind|save-result)\b(?:[ \t]+as[ \t]+([^\s;()[\]{}"@^`~\\,]+))?/i.exec(code);
+    if (!match) {
+        return null;
     }
 
-    // Check for ;; bind or ;; save-result
-    var altPattern = /;;\s*(bind|save-result)/i;
-    if (altPattern.test(code)) {
-        return true;
+    // Only plain symbols can be bound, e.g. not a/b, 1st or :kw
+    var name = match[1];
+    if (name && !/^[A-Za-z*+!_?<>=-][A-Za-z0-9*+!_?<>='.-]*$/.test(name)) {
+        name = null;
     }
-
-    return false;
+    return { name: name || null };
 }
 
 module.exports = {
     analyzeCode: analyzeCode,
-    requestsResultBinding: requestsResultBinding
+    splitTopLevelForms: splitTopLevelForms,
+    requestsResultBinding: requestsResultBinding,
+    parseResultBinding: parseResultBinding
 };
 
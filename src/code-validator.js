@@ -3,9 +3,25 @@
 /**
  * Code Validator using clj-kondo
  * Validates Clojure code before execution to catch syntax errors and other issues early
+ *
+ * clj-kondo lints one input per process, so createLinter keeps a warm spare for each chat:
+ * one `clj-kondo --lint -` started ahead of time and waiting on stdin. It lints the chat's next
+ * snippet and exits, and a new spare is started as it is used. Each chat also gets a clj-kondo
+ * cache directory with the analysis of its definitions (see updateSession); snippets are
+ * linted in a namespace that refers them all, so functions defined in earlier evals resolve
+ * and calls to them are checked for arity like any other var. Private definitions are cached
+ * as public ones, since the snippet refers them from outside the chat's namespace.
  */
 
 var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var OUTPUT_CONFIG = '{:output {:format :json}}';
+
+// Referring the chat's namespace with :refer :all is how its vars reach the snippet
+var SNIPPET_CONFIG = '{:output {:format :json} :linters {:refer-all {:level :off}}}';
 
 /**
  * Validate Clojure code using clj-kondo
@@ -63,85 +79,326 @@ function validateCode(code, cljKondoPath, callback) {
         });
     });
 
-    cljKondo.on('close', function(code) {
+    cljKondo.on('close', function() {
         if (hasError) {
             return; // Already handled in error event
         }
+        callback(null, parseOutput(stdout, stderr));
+    });
 
-        // clj-kondo returns non-zero exit code if errors found
-        // But we still need to parse the output to get the actual errors
-        try {
-            var result = {
-                valid: true,
-                errors: [],
-                skipped: false
-            };
-
-            // Parse JSON output
-            if (stdout.trim()) {
-                var output = JSON.parse(stdout);
-
-                // clj-kondo output structure: {findings: [...]}
-                if (output.findings && Array.isArray(output.findings)) {
-                    // Separate errors and warnings
-                    var errors = output.findings.filter(function(finding) {
-                        return finding.level === 'error';
-                    });
-                    var warnings = output.findings.filter(function(finding) {
-                        return finding.level === 'warning';
-                    });
-
-                    // Only mark as invalid if there are errors (warnings are allowed)
-                    if (errors.length > 0) {
-                        result.valid = false;
-                        result.errors = errors.map(function(finding) {
-                            return {
-                                level: finding.level,
-                                message: finding.message,
-                                row: finding.row || 0,
-                                col: finding.col || 0,
-                                filename: finding.filename || 'stdin'
-                            };
-                        });
-                    }
-
-                    // Include warnings in result but don't block execution
-                    if (warnings.length > 0) {
-                        result.warnings = warnings.map(function(finding) {
-                            return {
-                                level: finding.level,
-                                message: finding.message,
-                                row: finding.row || 0,
-                                col: finding.col || 0,
-                                filename: finding.filename || 'stdin'
-                            };
-                        });
-                    }
+    // Write code to stdin
+    cljKondo.stdin.write(code, 'utf8');
+    cljKondo.stdin.end();
+}
+
+/**
+ * Turn clj-kondo's JSON output into a validation result
+ * clj-kondo exits non-zero when it finds errors, the findings tell what they are
+ * @param {string} stdout - clj-kondo output
+ * @param {string} stderr - clj-kondo error output, logged if stdout cannot be parsed
+ * @returns {Object} { valid, errors, warnings, skipped }
+ */
+function parseOutput(stdout, stderr) {
+    try {
+        var result = {
+            valid: true,
+            errors: [],
+            skipped: false
+        };
+
+        // Parse JSON output
+        if (stdout.trim()) {
+            var output = JSON.parse(stdout);
+
+            // clj-kondo output structure: {findings: [...]}
+            if (output.findings && Array.isArray(output.findings)) {
+                // Separate errors and warnings
+                var errors = output.findings.filter(function(finding) {
+                    return finding.level === 'error';
+                });
+                var warnings = output.findings.filter(function(finding) {
+                    return finding.level === 'warning';
+                });
+
+                // Only mark as invalid if there are errors (warnings are allowed)
+                if (errors.length > 0) {
+                    result.valid = false;
+                    result.errors = errors.map(describeFinding);
+                }
+
+                // Include warnings in result but don't block execution
+                if (warnings.length > 0) {
+                    result.warnings = warnings.map(describeFinding);
                 }
             }
+        }
+
+        return result;
+    } catch (parseErr) {
+        // If we can't parse the output, log it but don't fail
+        console.warn('Failed to parse clj-kondo output:', parseErr.message);
+        console.warn('clj-kondo stdout:', stdout);
+        console.warn('clj-kondo stderr:', stderr);
+        // Return as valid (graceful degradation)
+        return {
+            valid: true,
+            errors: [],
+            skipped: true,
+            reason: 'Failed to parse clj-kondo output'
+        };
+    }
+}
+
+function describeFinding(finding) {
+    return {
+        level: finding.level,
+        message: finding.message,
+        row: finding.row || 0,
+        col: finding.col || 0,
+        filename: finding.filename || 'stdin'
+    };
+}
+
+/**
+ * Create a linter that keeps clj-kondo processes warm and lints each chat's snippets
+ * against the chat's earlier definitions
+ * @param {Object} options - Linter options
+ *   - cljKondoPath: clj-kondo executable (default: 'clj-kondo')
+ *   - cacheDir: directory for the per-chat cache directories (default: <tmp>/repl-talk-kondo)
+ *   - keepWarm: start the next process for a chat as soon as one is used (default: true)
+ * @returns {Object} Linter with validate, updateSession, release, clearSession and shutdown
+ */
+function createLinter(options) {
+    options = options || {};
+    var cljKondoPath = options.cljKondoPath || 'clj-kondo';
+    var cacheDir = options.cacheDir || path.join(os.tmpdir(), 'repl-talk-kondo');
+    var keepWarm = options.keepWarm !== false;
+
+    var available = true;
+    var warm = {}; // sessionId ('' for snippets without a chat) -> process waiting on stdin
+    var sessions = {}; // sessionId -> { namespace, requires, updating, pending } once its definitions are cached
+
+    function sessionDir(sessionId) {
+        return path.join(cacheDir, String(sessionId).replace(/[^A-Za-z0-9-]/g, '-'));
+    }
+
+    function snippetArgs(sessionId) {
+        var args = ['--lint', '-', '--config', SNIPPET_CONFIG];
+        if (sessionId) args.push('--cache-dir', path.join(sessionDir(sessionId), 'cache'));
+        return args;
+    }
+
+    /**
+     * Start clj-kondo and collect what it writes until it exits
+     */
+    function start(args) {
+        var lint = { stdout: '', stderr: '', error: null, exited: false, onExit: null };
+        lint.process = childProcess.spawn(cljKondoPath, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        lint.process.stdout.on('data', function(data) { lint.stdout += data.toString(); });
+        lint.process.stderr.on('data', function(data) { lint.stderr += data.toString(); });
+        // Nothing is listening when a warm process cannot take input any more
+        lint.process.stdin.on('error', function() {});
+        lint.process.on('error', function(err) {
+            lint.error = err;
+            if (err.code === 'ENOENT' || err.code === 'EACCES') available = false;
+            finish();
+        });
+        lint.process.on('close', finish);
+
+        function finish() {
+            if (lint.exited) return;
+            lint.exited = true;
+            if (lint.onExit) lint.onExit();
+        }
+        return lint;
+    }
+
+    function warmUp(sessionId) {
+        if (!keepWarm || !available || warm[sessionId]) return;
+        warm[sessionId] = start(snippetArgs(sessionId));
+    }
+
+    /**
+     * Lint a snippet before it is evaluated
+     * In a chat with cached definitions the snippet is preceded by a line that refers them and
+     * requires what the chat required; rows are reported relative to the snippet
+     * @param {string} code - Code to lint
+     * @param {string} sessionId - Chat session ID, or null
+     * @param {Function} callback - Callback function (err, result) as for validateCode
+     */
+    function validate(code, sessionId, callback) {
+        if (!code || typeof code !== 'string') {
+            return callback(new Error('Code must be a non-empty string'), null);
+        }
+        var key = sessionId || '';
+        if (!available) {
+            return callback(null, { valid: true, errors: [], skipped: true, reason: 'clj-kondo not available' });
+        }
+
+        var lint = warm[key] && !warm[key].exited ? warm[key] : start(snippetArgs(sessionId));
+        delete warm[key];
+        warmUp(key);
+
+        // A snippet with its own ns form is linted as it is
+        var session = sessionId ? sessions[sessionId] : null;
+        var prefix = session && !/^\s*\(ns\s/m.test(code) ? preamble(session) + '\n' : '';
 
+        lint.onExit = function() {
+            if (lint.error) {
+                console.warn('clj-kondo not available:', lint.error.message);
+                console.warn('Skipping code validation. Install clj-kondo for pre-execution validation.');
+                return callback(null, { valid: true, errors: [], skipped: true, reason: 'clj-kondo not available' });
+            }
+            var result = parseOutput(lint.stdout, lint.stderr);
+            if (prefix) shiftRows(result);
             callback(null, result);
-        } catch (parseErr) {
-            // If we can't parse the output, log it but don't fail
-            console.warn('Failed to parse clj-kondo output:', parseErr.message);
-            console.warn('clj-kondo stdout:', stdout);
-            console.warn('clj-kondo stderr:', stderr);
-            // Return as valid (graceful degradation)
-            callback(null, {
-                valid: true,
-                errors: [],
-                skipped: true,
-                reason: 'Failed to parse clj-kondo output'
-            });
+        };
+        if (lint.exited) return lint.onExit();
+
+        lint.process.stdin.write(prefix + code, 'utf8');
+        lint.process.stdin.end();
+    }
+
+    /**
+     * Cache the analysis of a chat's definitions, so later snippets can use them
+     * Runs in the background, a change while it runs is cached after it
+     * @param {string} sessionId - Chat session ID
+     * @param {string} namespace - The chat's namespace
+     * @param {Object} tracked - { requires, definitions: [{ source }], declared } as from replState.getDefinitions
+     * @param {Function} callback - Optional callback function (err) once the cache is written
+     */
+    function updateSession(sessionId, namespace, tracked, callback) {
+        callback = callback || function() {};
+        if (!available) return callback(null);
+
+        var session = sessions[sessionId];
+        if (session && session.updating) {
+            session.pending = { namespace: namespace, tracked: tracked, callback: callback };
+            return;
+        }
+        session = sessions[sessionId] = session || {};
+        session.namespace = namespace;
+        session.requires = requireForms(tracked.requires);
+        session.updating = true;
+
+        var dir = sessionDir(sessionId);
+        var file = path.join(dir, namespace.replace(/-/g, '_') + '.clj');
+        var sources = [];
+        tracked.definitions.forEach(function(def) {
+            var source = publicSource(def.source);
+            if (sources.indexOf(source) === -1) sources.push(source);
+        });
+        var content = ['(ns ' + namespace + ')'].concat(session.requires)
+            .concat(tracked.declared && tracked.declared.length > 0 ? ['(declare ' + tracked.declared.join(' ') + ')'] : [])
+            .concat(sources).join('\n\n') + '\n';
+
+        try {
+            fs.mkdirSync(path.join(dir, 'cache'), { recursive: true });
+            fs.writeFileSync(file, content, 'utf8');
+        } catch (err) {
+            session.updating = false;
+            return callback(err);
         }
+
+        var lint = start(['--lint', file, '--cache-dir', path.join(dir, 'cache'), '--config', OUTPUT_CONFIG]);
+        lint.process.stdin.end();
+        lint.onExit = function() {
+            session.updating = false;
+            callback(lint.error);
+            var pending = session.pending;
+            if (pending && sessions[sessionId] === session) {
+                session.pending = null;
+                updateSession(sessionId, pending.namespace, pending.tracked, pending.callback);
+            }
+        };
+        if (lint.exited) lint.onExit();
+    }
+
+    /**
+     * Stop the process kept warm for a chat, e.g. when its browser disconnects
+     * @param {string} sessionId - Chat session ID
+     */
+    function release(sessionId) {
+        var lint = warm[sessionId];
+        delete warm[sessionId];
+        if (lint && !lint.exited) lint.process.kill();
+    }
+
+    /**
+     * Forget a chat's cached definitions, e.g. when its REPL state is cleared
+     * @param {string} sessionId - Chat session ID
+     */
+    function clearSession(sessionId) {
+        release(sessionId);
+        delete sessions[sessionId];
+        try {
+            fs.rmSync(sessionDir(sessionId), { recursive: true, force: true });
+        } catch (err) {
+            console.warn('Failed to remove clj-kondo cache for session', sessionId + ':', err.message);
+        }
+    }
+
+    /**
+     * Stop every warm process
+     */
+    function shutdown() {
+        Object.keys(warm).forEach(release);
+    }
+
+    return {
+        validate: validate,
+        updateSession: updateSession,
+        release: release,
+        clearSession: clearSession,
+        shutdown: shutdown
+    };
+}
+
+/**
+ * First line of a chat's snippets: a namespace referring the chat's definitions and the
+ * chat's requires, kept on one line so rows shift by exactly one
+ */
+function preamble(session) {
+    return ['(ns ' + session.namespace + '.snippet (:require [' + session.namespace + ' :refer :all]))']
+        .concat(session.requires.map(function(source) { return source.replace(/\s*\n\s*/g, ' '); }))
+        .join(' ');
+}
+
+/**
+ * A definition without its private marker (defn-, ^:private or ^{:private true}), so the
+ * snippet namespace can refer it
+ */
+function publicSource(source) {
+    return source
+        .replace(/^(\s*\()defn-(?=\s)/, '$1defn')
+        .replace(/^(\s*\(def\w*\s+)\^(?::private|\{\s*:private\s+true\s*\})\s+/, '$1');
+}
+
+/**
+ * The forms of a chat's requires that can be repeated in another namespace
+ */
+function requireForms(requires) {
+    return (requires || []).filter(function(source) {
+        return /^\((require|import|use|refer)[\s)]/.test(source);
     });
+}
 
-    // Write code to stdin
-    cljKondo.stdin.write(code, 'utf8');
-    cljKondo.stdin.end();
+/**
+ * Make the rows of a result relative to the snippet after the preamble line, dropping
+ * findings about the preamble itself
+ */
+function shiftRows(result) {
+    ['errors', 'warnings'].forEach(function(key) {
+        if (!result[key]) return;
+        result[key] = result[key].filter(function(finding) { return finding.row > 1; })
+            .map(function(finding) { return Object.assign({}, finding, { row: finding.row - 1 }); });
+    });
+    if (result.errors.length === 0) result.valid = true;
+    if (result.warnings && result.warnings.length === 0) delete result.warnings;
 }
 
 module.exports = {
-    validateCode: validateCode
+    validateCode: validateCode,
+    createLinter: createLinter
 };
 
@@ -36,6 +36,8 @@ function loadModelConfig(modelKey, modelConfig) {
 
     return {
         name: modelConfig.name || modelKey,
+        // API flavour: openai (any /chat/completions endpoint), anthropic or ollama (native /api/chat)
+        provider: process.env[envPrefix + 'PROVIDER'] || modelConfig.provider || 'openai',
         endpoint: process.env[envPrefix + 'ENDPOINT'] || resolveEnvVars(modelConfig.endpoint),
         apiKey: process.env[envPrefix + 'API_KEY'] ||
                 (modelKey === 'deepseek' ? (process.env.DEEPSEEK_API_KEY || '') : resolveEnvVars(modelConfig.apiKey)),
@@ -45,7 +47,24 @@ function loadModelConfig(modelKey, modelConfig) {
                      (modelConfig.temperature || 0.7),
         maxTokens: process.env[envPrefix + 'MAX_TOKENS'] ?
                    parseInt(process.env[envPrefix + 'MAX_TOKENS']) :
-                   (modelConfig.maxTokens || 4096)
+                   (modelConfig.maxTokens || 4096),
+        // Optional per-model override of evaluation.timeout (milliseconds)
+        evalTimeout: process.env[envPrefix + 'EVAL_TIMEOUT'] ?
+                     parseInt(process.env[envPrefix + 'EVAL_TIMEOUT']) :
+                     modelConfig.evalTimeout,
+        // Request token streaming (server-sent events) from the endpoint
+        stream: process.env[envPrefix + 'STREAM'] ?
+                process.env[envPrefix + 'STREAM'] === 'true' :
+                modelConfig.stream === true,
+        // Context window in tokens, requests are compacted to fit it (unset disables compaction)
+        contextWindow: process.env[envPrefix + 'CONTEXT_WINDOW'] ?
+                       parseInt(process.env[envPrefix + 'CONTEXT_WINDOW']) :
+                       modelConfig.contextWindow,
+        // Models (keys of models) tried in order when this one stays unavailable after retries
+        fallbackModels: process.env[envPrefix + 'FALLBACK_MODELS'] !== undefined ?
+                        process.env[envPrefix + 'FALLBACK_MODELS'].split(',').map(function(key) { return key.trim(); })
+                            .filter(function(key) { return key; }) :
+                        (modelConfig.fallbackModels || [])
     };
 }
 
@@ -92,8 +111,24 @@ var config = {
         hostname: process.env.NREPL_HOSTNAME || undefined,
         port: process.env.NREPL_PORT ? parseInt(process.env.NREPL_PORT) : undefined,
         babashkaPath: process.env.BABASHKA_PATH || 'bb',
+        // Run against the in-process fake nREPL server instead of Babashka (evals return nil)
+        fake: process.env.NREPL_FAKE ? process.env.NREPL_FAKE === 'true' :
+              !!(configJson.nrepl && configJson.nrepl.fake),
         verbose: process.env.NREPL_VERBOSE === 'true',
-        startTimeout: parseInt(process.env.NREPL_START_TIMEOUT || '10000')
+        startTimeout: parseInt(process.env.NREPL_START_TIMEOUT || '10000'),
+        // Close a chat's nREPL session after this many idle milliseconds (0 disables)
+        sessionIdleTimeout: process.env.NREPL_SESSION_IDLE_TIMEOUT ? parseInt(process.env.NREPL_SESSION_IDLE_TIMEOUT) :
+                            (configJson.nrepl && configJson.nrepl.sessionIdleTimeout !== undefined ?
+                             configJson.nrepl.sessionIdleTimeout : 1800000),
+        // Replay a resumed chat's stored definitions when its namespace is not in the running server
+        replayOnResume: process.env.NREPL_REPLAY_ON_RESUME ? process.env.NREPL_REPLAY_ON_RESUME === 'true' :
+                        !(configJson.nrepl && configJson.nrepl.replayOnResume === false),
+        // Backoff for restarting the server after it exits (maxAttempts 0 = retry forever)
+        reconnect: {
+            initialDelay: (configJson.nrepl && configJson.nrepl.reconnect && configJson.nrepl.reconnect.initialDelay) || 1000,
+            maxDelay: (configJson.nrepl && configJson.nrepl.reconnect && configJson.nrepl.reconnect.maxDelay) || 30000,
+            maxAttempts: (configJson.nrepl && configJson.nrepl.reconnect && configJson.nrepl.reconnect.maxAttempts) || 0
+        }
     },
 
     // Web Server Configuration
@@ -102,13 +137,89 @@ var config = {
         host: process.env.HOST || 'localhost'
     },
 
+    // Agent loop limits per user turn (0 disables a limit)
+    agent: {
+        // Tool calls the model may make before it has to summarize
+        maxToolCalls: process.env.AGENT_MAX_TOOL_CALLS ? parseInt(process.env.AGENT_MAX_TOOL_CALLS) :
+                      (configJson.agent && configJson.agent.maxToolCalls !== undefined ? configJson.agent.maxToolCalls : 25),
+        // Consecutive failed attempts to fix an error
+        maxRecoveryAttempts: process.env.AGENT_MAX_RECOVERY_ATTEMPTS ? parseInt(process.env.AGENT_MAX_RECOVERY_ATTEMPTS) :
+                             (configJson.agent && configJson.agent.maxRecoveryAttempts !== undefined ? configJson.agent.maxRecoveryAttempts : 5),
+        // Wall-clock milliseconds from the user's message to the final answer
+        maxTurnTime: process.env.AGENT_MAX_TURN_TIME ? parseInt(process.env.AGENT_MAX_TURN_TIME) :
+                     (configJson.agent && configJson.agent.maxTurnTime !== undefined ? configJson.agent.maxTurnTime : 600000)
+    },
+
+    // Retries of failed model requests (429, 5xx, timeouts, connection errors)
+    retry: {
+        // Retries per model before giving up or moving on to a fallback model
+        maxRetries: process.env.AI_MAX_RETRIES ? parseInt(process.env.AI_MAX_RETRIES) :
+                    (configJson.retry && configJson.retry.maxRetries !== undefined ? configJson.retry.maxRetries : 3),
+        // Backoff doubles from initialDelay up to maxDelay; a longer Retry-After gives up on the model
+        initialDelay: (configJson.retry && configJson.retry.initialDelay) || 1000,
+        maxDelay: (configJson.retry && configJson.retry.maxDelay) || 30000,
+        // Milliseconds without any data from the endpoint before the request counts as timed out
+        requestTimeout: process.env.AI_REQUEST_TIMEOUT ? parseInt(process.env.AI_REQUEST_TIMEOUT) :
+                        (configJson.retry && configJson.retry.requestTimeout) || 120000
+    },
+
+    // Context window management for models with a contextWindow
+    context: {
+        // Most recent user turns that are never trimmed or summarized
+        keepRecentTurns: (configJson.context && configJson.context.keepRecentTurns) || 2,
+        // Size older tool results are trimmed to before turns get summarized
+        toolResultMaxChars: (configJson.context && configJson.context.toolResultMaxChars) || 2000,
+        // Functions listed in the REPL state before it only lists the ones relevant to the request (0 lists all)
+        replStateFunctions: configJson.context && configJson.context.replStateFunctions !== undefined ?
+                            configJson.context.replStateFunctions : 30
+    },
+
+    // Evaluation Configuration
+    evaluation: {
+        // Default per-eval timeout in milliseconds (0 disables the timeout)
+        timeout: process.env.EVAL_TIMEOUT ? parseInt(process.env.EVAL_TIMEOUT) :
+                 (configJson.evaluation && configJson.evaluation.timeout !== undefined ?
+                  configJson.evaluation.timeout : 60000),
+        // How long to wait for an interrupt to take effect before restarting the session
+        interruptGracePeriod: configJson.evaluation && configJson.evaluation.interruptGracePeriod !== undefined ?
+                              configJson.evaluation.interruptGracePeriod : 5000,
+        // Return results as JSON with a type sidecar (repl-talk.result), falling back to printed EDN
+        jsonResults: process.env.EVAL_JSON_RESULTS ? process.env.EVAL_JSON_RESULTS === 'true' :
+                     !(configJson.evaluation && configJson.evaluation.jsonResults === false),
+        // Items kept of each collection and collections nested in a value, like *print-length*
+        // and *print-level* (0 disables); the full value stays in the REPL for paging
+        printLength: process.env.EVAL_PRINT_LENGTH ? parseInt(process.env.EVAL_PRINT_LENGTH) :
+                     (configJson.evaluation && configJson.evaluation.printLength !== undefined ?
+                      configJson.evaluation.printLength : 100),
+        printLevel: process.env.EVAL_PRINT_LEVEL ? parseInt(process.env.EVAL_PRINT_LEVEL) :
+                    (configJson.evaluation && configJson.evaluation.printLevel !== undefined ?
+                     configJson.evaluation.printLevel : 10),
+        // Bytes of JSON kept of a result value before it is cut down (0 disables)
+        maxValueBytes: process.env.EVAL_MAX_VALUE_BYTES ? parseInt(process.env.EVAL_MAX_VALUE_BYTES) :
+                       (configJson.evaluation && configJson.evaluation.maxValueBytes !== undefined ?
+                        configJson.evaluation.maxValueBytes : 20000)
+    },
+
+    // Session cassette: record every model request and eval to path, or replay them from it
+    cassette: {
+        mode: process.env.CASSETTE_MODE || (configJson.cassette && configJson.cassette.mode) || null,
+        path: process.env.CASSETTE_PATH || (configJson.cassette && configJson.cassette.path) || 'cassettes/session.json'
+    },
+
     // Code Validation Configuration
     codeValidation: {
         enabled: process.env.ENABLE_CODE_VALIDATION !== 'false' &&
                  (configJson.codeValidation === undefined || configJson.codeValidation.enabled !== false),
         cljKondoPath: process.env.CLJ_KONDO_PATH ||
                      (configJson.codeValidation && configJson.codeValidation.cljKondoPath) ||
-                     'clj-kondo'
+                     'clj-kondo',
+        // Start the next clj-kondo for a chat while the current snippet runs
+        keepWarm: process.env.CLJ_KONDO_KEEP_WARM !== 'false' &&
+                  (configJson.codeValidation === undefined || configJson.codeValidation.keepWarm !== false),
+        // Where each chat's definitions are analysed for linting (default: <tmp>/repl-talk-kondo)
+        cacheDir: process.env.CLJ_KONDO_CACHE_DIR ||
+                  (configJson.codeValidation && configJson.codeValidation.cacheDir) ||
+                  null
     }
 };
 
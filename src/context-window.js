@@ -0,0 +1,155 @@
+/*global module*/
+
+/**
+ * Context window management
+ * Estimates how many tokens a conversation takes and shrinks it for models with a
+ * configured contextWindow. Old tool payloads (results, replState, logs) are trimmed
+ * first; the AI client replaces old turns with a summary when that is not enough.
+ * Messages are copied rather than modified, the stored history stays intact.
+ */
+
+// Rough average for English text and code, close enough to keep a safety margin
+var CHARS_PER_TOKEN = 4;
+// Role, separators and other per-message framing
+var MESSAGE_OVERHEAD = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens of a chat message, including its tool calls
+ * @param {Object} message - OpenAI-shaped message
+ * @returns {number} Estimated token count
+ */
+function estimateMessageTokens(message) {
+    var tokens = MESSAGE_OVERHEAD + estimateTokens(message.content);
+    if (message.tool_calls) {
+        tokens += estimateTokens(JSON.stringify(message.tool_calls));
+    }
+    return tokens;
+}
+
+/**
+ * Estimate the number of tokens of a list of messages
+ * @param {Array} messages - OpenAI-shaped messages
+ * @returns {number} Estimated token count
+ */
+function estimateMessagesTokens(messages) {
+    return messages.reduce(function(total, message) {
+        return total + estimateMessageTokens(message);
+    }, 0);
+}
+
+/**
+ * Find where each user turn starts
+ * A turn is a user message followed by everything the assistant did to answer it
+ * @param {Array} messages - OpenAI-shaped messages
+ * @returns {Array} Indices of the user messages
+ */
+function turnStarts(messages) {
+    var starts = [];
+    messages.forEach(function(message, index) {
+        if (message.role === 'user') {
+            starts.push(index);
+        }
+    });
+    return starts;
+}
+
+function truncate(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    return text.slice(0, maxChars) + '... [' + (text.length - maxChars) + ' more characters omitted]';
+}
+
+/**
+ * Shrink a tool result to its status, error and a preview of the value
+ * @param {Object} message - Tool message
+ * @param {number} maxChars - Size the content is trimmed to
+ * @returns {Object} The message itself if it is small enough, otherwise a trimmed copy
+ */
+function trimToolMessage(message, maxChars) {
+    if (!message.content || message.content.length <= maxChars) {
+        return message;
+    }
+
+    var data = null;
+    try {
+        data = JSON.parse(message.content);
+    } catch (e) {
+        // Not a structured tool result, trim it as text
+    }
+
+    var trimmed;
+    if (data && typeof data === 'object') {
+        trimmed = { status: data.status, truncated: true };
+        if (data.code) {
+            trimmed.code = truncate(String(data.code), Math.floor(maxChars / 4));
+        }
+        if (data.error) {
+            trimmed.error = truncate(String(data.error), Math.floor(maxChars / 4));
+        }
+        if (data.result !== undefined) {
+            trimmed.result = truncate(JSON.stringify(data.result), Math.floor(maxChars / 2));
+        }
+    } else {
+        trimmed = { truncated: true, content: truncate(message.content, maxChars) };
+    }
+
+    return Object.assign({}, message, { content: JSON.stringify(trimmed) });
+}
+
+/**
+ * Trim the tool results of all but the most recent turns
+ * @param {Array} messages - OpenAI-shaped messages
+ * @param {number} keepRecentTurns - Number of trailing turns left untouched
+ * @param {number} maxChars - Size each older tool result is trimmed to
+ * @returns {Array} New message list
+ */
+function trimToolPayloads(messages, keepRecentTurns, maxChars) {
+    var starts = turnStarts(messages);
+    var keepFrom = keepRecentTurns > 0 ?
+        (starts.length > keepRecentTurns ? starts[starts.length - keepRecentTurns] : 0) :
+        messages.length;
+
+    return messages.map(function(message, index) {
+        return index < keepFrom && message.role === 'tool' ? trimToolMessage(message, maxChars) : message;
+    });
+}
+
+/**
+ * Render messages as a plain-text transcript, e.g. to ask a model for a summary
+ * @param {Array} messages - OpenAI-shaped messages
+ * @param {number} maxChars - Size each message is trimmed to
+ * @returns {string} Transcript
+ */
+function formatTranscript(messages, maxChars) {
+    return messages.map(function(message) {
+        var lines = [];
+        if (message.content) {
+            lines.push(message.role.toUpperCase() + ': ' + truncate(String(message.content), maxChars));
+        }
+        (message.tool_calls || []).forEach(function(toolCall) {
+            lines.push('ASSISTANT CALLED ' + toolCall.function.name + ': ' + truncate(toolCall.function.arguments || '', maxChars));
+        });
+        return lines.join('\n');
+    }).filter(function(text) {
+        return text.length > 0;
+    }).join('\n\n');
+}
+
+module.exports = {
+    estimateTokens: estimateTokens,
+    estimateMessageTokens: estimateMessageTokens,
+    estimateMessagesTokens: estimateMessagesTokens,
+    turnStarts: turnStarts,
+    trimToolMessage: trimToolMessage,
+    trimToolPayloads: trimToolPayloads,
+    formatTranscript: formatTranscript
+};
@@ -32,6 +32,7 @@ function initializeSchema() {
             role TEXT NOT NULL,
             content TEXT,
             tool_calls TEXT,
+            metadata TEXT,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (session_id) REFERENCES sessions(id)
         )
@@ -42,6 +43,119 @@ function initializeSchema() {
         CREATE INDEX IF NOT EXISTS idx_messages_session
         ON messages(session_id, created_at)
     `);
+
+    // Add metadata column to databases created before it existed
+    // Holds JSON, e.g. which fallback model produced an assistant message
+    var messageColumns = db.prepare('PRAGMA table_info(messages)').all();
+    if (!messageColumns.some(function(column) { return column.name === 'metadata'; })) {
+        db.exec('ALTER TABLE messages ADD COLUMN metadata TEXT');
+    }
+
+    // Create summaries table
+    // A summary stands in for the first turn_count user turns when the history
+    // is sent to the model; the messages themselves are kept
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS summaries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            content TEXT NOT NULL,
+            turn_count INTEGER NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (session_id) REFERENCES sessions(id)
+        )
+    `);
+
+    // Create REPL definitions table
+    // The require/ns forms, functions and variables a chat evaluated successfully, kept so
+    // its REPL can be rebuilt after a restart; position orders them by last (re)definition.
+    // Vars of the same name in different namespaces are different definitions; requires
+    // have no namespace ('')
+    var definitionsTable = `
+        CREATE TABLE IF NOT EXISTS repl_definitions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            kind TEXT NOT NULL,
+            name TEXT NOT NULL,
+            namespace TEXT NOT NULL DEFAULT '',
+            source TEXT NOT NULL,
+            info TEXT,
+            position INTEGER NOT NULL,
+            defined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (session_id, kind, namespace, name),
+            FOREIGN KEY (session_id) REFERENCES sessions(id)
+        )
+    `;
+    db.exec(definitionsTable);
+
+    // Databases created before definitions were keyed on their namespace get the new key;
+    // SQLite cannot change a table's constraints, so the rows are copied into a new table
+    var definitionsSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'repl_definitions'").get().sql;
+    if (definitionsSql.indexOf('UNIQUE (session_id, kind, namespace, name)') === -1) {
+        db.transaction(function() {
+            db.exec('ALTER TABLE repl_definitions RENAME TO repl_definitions_unkeyed');
+            db.exec(definitionsTable);
+            db.exec(`
+                INSERT INTO repl_definitions (id, session_id, kind, name, namespace, source, info, position, defined_at, updated_at)
+                SELECT id, session_id, kind, name, COALESCE(namespace, CASE kind WHEN 'require' THEN '' ELSE 'user' END),
+                       source, info, position, defined_at, updated_at
+                FROM repl_definitions_unkeyed
+            `);
+            db.exec('DROP TABLE repl_definitions_unkeyed');
+        })();
+    }
+
+    // Create REPL results table
+    // The recent results of a chat; bound_to names the var a result was bound to with ;; bind-result
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS repl_results (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            type TEXT,
+            value TEXT,
+            raw TEXT,
+            bound_to TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (session_id) REFERENCES sessions(id)
+        )
+    `);
+
+    // Create REPL bindings table
+    // Results bound to a name with ;; bind-result; raw is kept to bind them again after a restart
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS repl_bindings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            type TEXT,
+            count INTEGER,
+            preview TEXT,
+            raw TEXT,
+            position INTEGER NOT NULL,
+            bound_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (session_id, name),
+            FOREIGN KEY (session_id) REFERENCES sessions(id)
+        )
+    `);
+
+    // Create REPL versions table
+    // Every (re)definition and removal of a var, tied to the assistant message whose eval made it,
+    // so a chat's REPL can be rolled back to an earlier turn
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS repl_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id TEXT NOT NULL,
+            message_id INTEGER,
+            kind TEXT NOT NULL,
+            name TEXT NOT NULL,
+            namespace TEXT,
+            source TEXT,
+            info TEXT,
+            removed INTEGER NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (session_id) REFERENCES sessions(id)
+        )
+    `);
 }
 
 // Initialize schema on module load
@@ -114,16 +228,241 @@ function getSessionHistory(sessionId) {
  * @param {string} role - Message role (user, assistant, tool)
  * @param {string} content - Message content
  * @param {Array} toolCalls - Optional tool_calls array
+ * @param {Object} metadata - Optional details about the message, e.g. { model, fallbackFrom, fallbackReason }
  */
-function addMessage(sessionId, role, content, toolCalls) {
+function addMessage(sessionId, role, content, toolCalls, metadata) {
     var toolCallsJson = toolCalls ? JSON.stringify(toolCalls) : null;
-    var stmt = db.prepare('INSERT INTO messages (session_id, role, content, tool_calls) VALUES (?, ?, ?, ?)');
-    stmt.run(sessionId, role, content, toolCallsJson);
+    var metadataJson = metadata ? JSON.stringify(metadata) : null;
+    var stmt = db.prepare('INSERT INTO messages (session_id, role, content, tool_calls, metadata) VALUES (?, ?, ?, ?, ?)');
+    stmt.run(sessionId, role, content, toolCallsJson, metadataJson);
 
     // Update session activity
     updateSessionActivity(sessionId);
 }
 
+/**
+ * Get the ID of the latest message of a session with a role
+ * @param {string} sessionId - The session ID
+ * @param {string} role - Message role (user, assistant, tool)
+ * @returns {number|null} Message ID, null if the session has no such message
+ */
+function getLatestMessageId(sessionId, role) {
+    var stmt = db.prepare('SELECT id FROM messages WHERE session_id = ? AND role = ? ORDER BY id DESC LIMIT 1');
+    var row = stmt.get(sessionId, role);
+    return row ? row.id : null;
+}
+
+/**
+ * Get the user message that started the turn a message belongs to
+ * @param {string} sessionId - The session ID
+ * @param {number} messageId - ID of a message of the turn
+ * @returns {Object|null} { id, content, created_at } or null if no user message came before it
+ */
+function getTurnMessage(sessionId, messageId) {
+    var stmt = db.prepare("SELECT id, content, created_at FROM messages WHERE session_id = ? AND role = 'user' AND id <= ? ORDER BY id DESC LIMIT 1");
+    return stmt.get(sessionId, messageId) || null;
+}
+
+/**
+ * Get the metadata recorded for the messages of a session
+ * Kept apart from getSessionHistory, whose messages are sent to the model as they are
+ * @param {string} sessionId - The session ID
+ * @returns {Array} Array of { role, metadata, created_at } for messages that have metadata
+ */
+function getMessageMetadata(sessionId) {
+    var stmt = db.prepare('SELECT role, metadata, created_at FROM messages WHERE session_id = ? AND metadata IS NOT NULL ORDER BY created_at ASC, id ASC');
+    return stmt.all(sessionId).map(function(row) {
+        return { role: row.role, metadata: JSON.parse(row.metadata), created_at: row.created_at };
+    });
+}
+
+/**
+ * Save a summary of the earliest turns of a session
+ * @param {string} sessionId - The session ID
+ * @param {string} content - Summary text
+ * @param {number} turnCount - Number of user turns the summary covers
+ */
+function addSummary(sessionId, content, turnCount) {
+    var stmt = db.prepare('INSERT INTO summaries (session_id, content, turn_count) VALUES (?, ?, ?)');
+    stmt.run(sessionId, content, turnCount);
+}
+
+/**
+ * Get the most recent summary of a session
+ * @param {string} sessionId - The session ID
+ * @returns {Object|null} { content, turnCount } or null if the session was never summarized
+ */
+function getLatestSummary(sessionId) {
+    var stmt = db.prepare('SELECT content, turn_count FROM summaries WHERE session_id = ? ORDER BY id DESC LIMIT 1');
+    var row = stmt.get(sessionId);
+    return row ? { content: row.content, turnCount: row.turn_count } : null;
+}
+
+/**
+ * Save a definition of a session's REPL, replacing an earlier one of the same kind, namespace and name
+ * The definition moves to the end of the replay order
+ * @param {string} sessionId - The session ID
+ * @param {Object} definition - { kind: 'require'|'function'|'variable', name, namespace, source, info }
+ *   info holds the details shown to the model, e.g. { signature, docstring } or { type }
+ */
+function saveDefinition(sessionId, definition) {
+    var stmt = db.prepare(`
+        INSERT INTO repl_definitions (session_id, kind, name, namespace, source, info, position)
+        VALUES (?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM repl_definitions WHERE session_id = ?))
+        ON CONFLICT (session_id, kind, namespace, name) DO UPDATE SET
+            source = excluded.source,
+            info = excluded.info,
+            position = excluded.position,
+            updated_at = CURRENT_TIMESTAMP
+    `);
+    stmt.run(sessionId, definition.kind, definition.name, definition.namespace || '', definition.source,
+             definition.info ? JSON.stringify(definition.info) : null, sessionId);
+}
+
+/**
+ * Get the definitions of a session's REPL in replay order
+ * @param {string} sessionId - The session ID
+ * @returns {Array} Array of { kind, name, namespace (null for requires), source, info, definedAt, updatedAt }
+ */
+function getDefinitions(sessionId) {
+    var stmt = db.prepare('SELECT kind, name, namespace, source, info, defined_at, updated_at FROM repl_definitions WHERE session_id = ? ORDER BY position ASC');
+    return stmt.all(sessionId).map(function(row) {
+        return {
+            kind: row.kind,
+            name: row.name,
+            namespace: row.namespace || null,
+            source: row.source,
+            info: row.info ? JSON.parse(row.info) : {},
+            definedAt: row.defined_at,
+            updatedAt: row.updated_at
+        };
+    });
+}
+
+/**
+ * Delete a definition of a session's REPL, e.g. because its var was removed
+ * @param {string} sessionId - The session ID
+ * @param {string} kind - 'require', 'function' or 'variable'
+ * @param {string} name - Definition name
+ * @param {string} namespace - Namespace of the var, none for requires
+ */
+function deleteDefinition(sessionId, kind, name, namespace) {
+    var stmt = db.prepare('DELETE FROM repl_definitions WHERE session_id = ? AND kind = ? AND namespace = ? AND name = ?');
+    stmt.run(sessionId, kind, namespace || '', name);
+}
+
+/**
+ * Save a result of a session's REPL, keeping the most recent ones
+ * @param {string} sessionId - The session ID
+ * @param {Object} result - { type, value, raw, boundTo }, value is stored as JSON
+ * @param {number} keep - Number of results kept per session
+ */
+function addResult(sessionId, result, keep) {
+    var stmt = db.prepare('INSERT INTO repl_results (session_id, type, value, raw, bound_to) VALUES (?, ?, ?, ?, ?)');
+    stmt.run(sessionId, result.type || null, JSON.stringify(result.value === undefined ? null : result.value),
+             result.raw || null, result.boundTo || null);
+
+    var prune = db.prepare('DELETE FROM repl_results WHERE session_id = ? AND id NOT IN (SELECT id FROM repl_results WHERE session_id = ? ORDER BY id DESC LIMIT ?)');
+    prune.run(sessionId, sessionId, keep);
+}
+
+/**
+ * Get the kept results of a session's REPL, oldest first
+ * @param {string} sessionId - The session ID
+ * @returns {Array} Array of { type, value, raw, boundTo, createdAt }
+ */
+function getResults(sessionId) {
+    var stmt = db.prepare('SELECT type, value, raw, bound_to, created_at FROM repl_results WHERE session_id = ? ORDER BY id ASC');
+    return stmt.all(sessionId).map(function(row) {
+        return { type: row.type, value: JSON.parse(row.value), raw: row.raw, boundTo: row.bound_to, createdAt: row.created_at };
+    });
+}
+
+/**
+ * Save a result bound to a name, replacing an earlier binding of the name
+ * @param {string} sessionId - The session ID
+ * @param {Object} binding - { name, type, count, preview, raw }
+ */
+function saveBinding(sessionId, binding) {
+    var stmt = db.prepare(`
+        INSERT INTO repl_bindings (session_id, name, type, count, preview, raw, position)
+        VALUES (?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM repl_bindings WHERE session_id = ?))
+        ON CONFLICT (session_id, name) DO UPDATE SET
+            type = excluded.type,
+            count = excluded.count,
+            preview = excluded.preview,
+            raw = excluded.raw,
+            position = excluded.position,
+            bound_at = CURRENT_TIMESTAMP
+    `);
+    stmt.run(sessionId, binding.name, binding.type || null, binding.count === undefined ? null : binding.count,
+             binding.preview || null, binding.raw || null, sessionId);
+}
+
+/**
+ * Get the bound results of a session's REPL in the order they were bound
+ * @param {string} sessionId - The session ID
+ * @returns {Array} Array of { name, type, count, preview, raw, boundAt }
+ */
+function getBindings(sessionId) {
+    var stmt = db.prepare('SELECT name, type, count, preview, raw, bound_at FROM repl_bindings WHERE session_id = ? ORDER BY position ASC');
+    return stmt.all(sessionId).map(function(row) {
+        return { name: row.name, type: row.type, count: row.count, preview: row.preview, raw: row.raw, boundAt: row.bound_at };
+    });
+}
+
+/**
+ * Delete a bound result of a session's REPL
+ * @param {string} sessionId - The session ID
+ * @param {string} name - Name the result was bound to
+ */
+function deleteBinding(sessionId, name) {
+    db.prepare('DELETE FROM repl_bindings WHERE session_id = ? AND name = ?').run(sessionId, name);
+}
+
+/**
+ * Append a version of a var to a session's REPL history
+ * @param {string} sessionId - The session ID
+ * @param {Object} version - { kind, name, namespace, source, info, removed, messageId }
+ */
+function addVersion(sessionId, version) {
+    var stmt = db.prepare('INSERT INTO repl_versions (session_id, message_id, kind, name, namespace, source, info, removed) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+    stmt.run(sessionId, version.messageId || null, version.kind, version.name, version.namespace || null, version.source || null,
+             version.info ? JSON.stringify(version.info) : null, version.removed ? 1 : 0);
+}
+
+/**
+ * Get the version history of a session's REPL, oldest first
+ * @param {string} sessionId - The session ID
+ * @returns {Array} Array of { kind, name, namespace, source, info, removed, messageId, at }
+ */
+function getVersions(sessionId) {
+    var stmt = db.prepare('SELECT message_id, kind, name, namespace, source, info, removed, created_at FROM repl_versions WHERE session_id = ? ORDER BY id ASC');
+    return stmt.all(sessionId).map(function(row) {
+        return {
+            kind: row.kind,
+            name: row.name,
+            namespace: row.namespace,
+            source: row.source,
+            info: row.info ? JSON.parse(row.info) : {},
+            removed: row.removed === 1,
+            messageId: row.message_id,
+            at: Date.parse(row.created_at + 'Z') || null
+        };
+    });
+}
+
+/**
+ * Delete the stored definitions, results and version history of a session's REPL
+ * @param {string} sessionId - The session ID
+ */
+function clearReplState(sessionId) {
+    db.prepare('DELETE FROM repl_definitions WHERE session_id = ?').run(sessionId);
+    db.prepare('DELETE FROM repl_results WHERE session_id = ?').run(sessionId);
+    db.prepare('DELETE FROM repl_bindings WHERE session_id = ?').run(sessionId);
+    db.prepare('DELETE FROM repl_versions WHERE session_id = ?').run(sessionId);
+}
+
 /**
  * Update the last_activity timestamp for a session
  * @param {string} sessionId - The session ID
@@ -138,9 +477,12 @@ function updateSessionActivity(sessionId) {
  * @param {string} sessionId - The session ID
  */
 function deleteSession(sessionId) {
-    // Delete messages first (foreign key constraint)
+    // Delete messages, summaries and REPL state first (foreign key constraint)
     var deleteMessages = db.prepare('DELETE FROM messages WHERE session_id = ?');
     deleteMessages.run(sessionId);
+    var deleteSummaries = db.prepare('DELETE FROM summaries WHERE session_id = ?');
+    deleteSummaries.run(sessionId);
+    clearReplState(sessionId);
 
     // Delete session
     var deleteSession = db.prepare('DELETE FROM sessions WHERE id = ?');
@@ -169,6 +511,22 @@ module.exports = {
     createSession: createSession,
     getSessionHistory: getSessionHistory,
     addMessage: addMessage,
+    getMessageMetadata: getMessageMetadata,
+    getLatestMessageId: getLatestMessageId,
+    getTurnMessage: getTurnMessage,
+    addSummary: addSummary,
+    getLatestSummary: getLatestSummary,
+    saveDefinition: saveDefinition,
+    getDefinitions: getDefinitions,
+    deleteDefinition: deleteDefinition,
+    addResult: addResult,
+    getResults: getResults,
+    saveBinding: saveBinding,
+    getBindings: getBindings,
+    deleteBinding: deleteBinding,
+    addVersion: addVersion,
+    getVersions: getVersions,
+    clearReplState: clearReplState,
     updateSessionActivity: updateSessionActivity,
     deleteSession: deleteSession,
     sessionExists: sessionExists,
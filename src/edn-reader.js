@@ -0,0 +1,631 @@
+/*global module*/
+
+/**
+ * EDN reader for printed Clojure values
+ * nREPL returns every value as the string Clojure printed, e.g. "{:a #{1 2} :b \\x}".
+ * readString turns it into a typed representation that keeps the Clojure types JS has
+ * no equivalent for, toJS turns that into plain JS for visualization and the model.
+ *
+ * Typed representation:
+ *   nil, true/false, strings        null, booleans, strings
+ *   longs and doubles               numbers (##Inf, ##-Inf and ##NaN too)
+ *   { type: 'keyword', ns, name }   ns is null for unqualified keywords
+ *   { type: 'symbol', ns, name }
+ *   { type: 'char', value }
+ *   { type: 'long', value }         integer outside the safe JS range, value is a string
+ *   { type: 'bigint', value }       1N
+ *   { type: 'bigdec', value }       1.5M
+ *   { type: 'ratio', numerator, denominator }
+ *   { type: 'list' | 'vector' | 'set', items }
+ *   { type: 'map', entries: [[key, value], ...] }
+ *   { type: 'tagged', tag, value }  #inst, #uuid, #object[...], records and any other tag
+ *   { type: 'regex', source }
+ *   { type: 'var', ns, name }       #'user/f
+ * Collections, symbols and tagged values carry metadata (^{...}) as a map node in meta.
+ *
+ * Input that is not a single readable value throws an Error with the position
+ * (error.line, error.column) of the problem.
+ *
+ * readForms reads Clojure source instead: every top-level form, each collection, symbol,
+ * keyword and tagged node with its start and end offset in the source. It also reads what
+ * only appears in code:
+ *   `x ~x ~@x                       (syntax-quote x), (clojure.core/unquote x), (clojure.core/unquote-splicing x)
+ *   #(inc %)                        (fn* (inc %))
+ *   #?(:clj a) #?@(:clj [a])        { type: 'tagged', tag: '?' or '?@', value: list }
+ *   ::name ::alias/name             keyword with auto: true, ns is the alias or null
+ */
+
+// Characters ending a token (symbol, number, keyword, char)
+var terminators = '";@^`~()[]{}\\';
+var whitespace = ' \t\n\r\f,';
+
+var namedChars = {
+    newline: '\n',
+    space: ' ',
+    tab: '\t',
+    return: '\r',
+    backspace: '\b',
+    formfeed: '\f'
+};
+
+var stringEscapes = { t: '\t', r: '\r', n: '\n', b: '\b', f: '\f', '\\': '\\', '"': '"' };
+
+var intPattern = /^([-+]?)(?:(0)|([1-9][0-9]*)|0[xX]([0-9A-Fa-f]+)|0([0-7]+)|([1-9][0-9]?)[rR]([0-9A-Za-z]+))(N)?$/;
+var ratioPattern = /^([-+]?[0-9]+)\/([0-9]+)$/;
+var floatPattern = /^[-+]?[0-9]+(\.[0-9]*)?([eE][-+]?[0-9]+)?(M)?$/;
+
+/**
+ * Read the top-level forms of Clojure source
+ * @param {string} str - Clojure source
+ * @returns {Array} [{ form, start, end, source }] in source order, form as in readString
+ * @throws {Error} With line and column when a form cannot be read, error.forms has the
+ *   forms before it
+ */
+function readForms(str) {
+    var reader = { str: String(str), pos: 0, code: true };
+    var forms = [];
+    try {
+        for (;;) {
+            skipWhitespace(reader);
+            if (reader.pos >= reader.str.length) return forms;
+            var start = reader.pos;
+            var form = readForm(reader);
+            forms.push({ form: form, start: start, end: reader.pos, source: reader.str.slice(start, reader.pos) });
+        }
+    } catch (err) {
+        err.forms = forms;
+        throw err;
+    }
+}
+
+/**
+ * Read a single EDN value
+ * @param {string} str - Printed value
+ * @returns {*} Typed representation (see above)
+ * @throws {Error} With line and column when str cannot be read
+ */
+function readString(str) {
+    var reader = { str: String(str), pos: 0 };
+
+    skipWhitespace(reader);
+    if (reader.pos >= reader.str.length) {
+        throw parseError(reader, 'Nothing to read');
+    }
+    var value = readForm(reader);
+    skipWhitespace(reader);
+    if (reader.pos < reader.str.length) {
+        throw parseError(reader, 'Unexpected ' + JSON.stringify(reader.str[reader.pos]) + ' after the value');
+    }
+    return value;
+}
+
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+// reader
+
+function readForm(reader) {
+    skipWhitespace(reader);
+    var start = reader.pos;
+    var value = readValue(reader);
+    // Source positions of the nodes that can carry them
+    if (reader.code && value !== null && typeof value === 'object') {
+        value.start = start;
+        value.end = reader.pos;
+    }
+    return value;
+}
+
+function readValue(reader) {
+    if (reader.pos >= reader.str.length) {
+        throw parseError(reader, 'Unexpected end of input');
+    }
+
+    var ch = reader.str[reader.pos];
+    switch (ch) {
+        case '(': reader.pos++; return { type: 'list', items: readDelimited(reader, ')') };
+        case '[': reader.pos++; return { type: 'vector', items: readDelimited(reader, ']') };
+        case '{': reader.pos++; return readMap(reader, null);
+        case ')': case ']': case '}':
+            throw parseError(reader, 'Unmatched delimiter ' + ch);
+        case '"': reader.pos++; return readStringLiteral(reader);
+        case '\\': reader.pos++; return readChar(reader);
+        case '#': reader.pos++; return readDispatch(reader);
+        case '^': reader.pos++; return readMeta(reader);
+        case '\'': reader.pos++; return wrap('quote', readForm(reader));
+        case '@': reader.pos++; return wrap('clojure.core/deref', readForm(reader));
+        case '`': case '~':
+            if (!reader.code) {
+                throw parseError(reader, 'Syntax quote and unquote are not supported');
+            }
+            reader.pos++;
+            if (ch === '`') return wrap('syntax-quote', readForm(reader));
+            if (reader.str[reader.pos] === '@') {
+                reader.pos++;
+                return wrap('clojure.core/unquote-splicing', readForm(reader));
+            }
+            return wrap('clojure.core/unquote', readForm(reader));
+    }
+
+    var start = reader.pos;
+    var token = readToken(reader);
+    if (/^[-+]?[0-9]/.test(token)) {
+        return readNumber(reader, token, start);
+    }
+    if (token[0] === ':') {
+        return readKeyword(reader, token, start);
+    }
+    if (token === 'nil') return null;
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    return readSymbol(reader, token, start);
+}
+
+function readDelimited(reader, close) {
+    var start = reader.pos - 1;
+    var items = [];
+    for (;;) {
+        skipWhitespace(reader);
+        if (reader.pos >= reader.str.length) {
+            throw parseError(reader, 'Unterminated collection, expected ' + close, start);
+        }
+        if (reader.str[reader.pos] === close) {
+            reader.pos++;
+            return items;
+        }
+        items.push(readForm(reader));
+    }
+}
+
+function readMap(reader, namespace) {
+    var start = reader.pos - 1;
+    var items = readDelimited(reader, '}');
+    if (items.length % 2 !== 0) {
+        throw parseError(reader, 'Map literal must contain an even number of forms', start);
+    }
+    var entries = [];
+    for (var i = 0; i < items.length; i += 2) {
+        entries.push([namespace ? qualifyKey(items[i], namespace) : items[i], items[i + 1]]);
+    }
+    return { type: 'map', entries: entries };
+}
+
+function readStringLiteral(reader) {
+    var start = reader.pos - 1;
+    var result = '';
+    for (;;) {
+        if (reader.pos >= reader.str.length) {
+            throw parseError(reader, 'Unterminated string', start);
+        }
+        var ch = reader.str[reader.pos++];
+        if (ch === '"') return result;
+        if (ch !== '\\') {
+            result += ch;
+            continue;
+        }
+
+        var escape = reader.str[reader.pos++];
+        if (stringEscapes[escape] !== undefined) {
+            result += stringEscapes[escape];
+        } else if (escape === 'u') {
+            var hex = reader.str.substr(reader.pos, 4);
+            if (!/^[0-9A-Fa-f]{4}$/.test(hex)) {
+                throw parseError(reader, 'Invalid unicode escape \\u' + hex, reader.pos - 2);
+            }
+            result += String.fromCharCode(parseInt(hex, 16));
+            reader.pos += 4;
+        } else if (/[0-7]/.test(escape || '')) {
+            var octal = /^[0-7]{1,3}/.exec(reader.str.substr(reader.pos - 1, 3))[0];
+            result += String.fromCharCode(parseInt(octal, 8));
+            reader.pos += octal.length - 1;
+        } else {
+            throw parseError(reader, 'Unsupported escape character \\' + (escape || ''), reader.pos - 2);
+        }
+    }
+}
+
+function readChar(reader) {
+    var start = reader.pos - 1;
+    if (reader.pos >= reader.str.length) {
+        throw parseError(reader, 'Unexpected end of input in character literal', start);
+    }
+    // The first character may be a terminator itself, e.g. \( or \"
+    var token = reader.str[reader.pos++] + readToken(reader);
+    if (token.length === 1) return { type: 'char', value: token };
+    if (namedChars[token]) return { type: 'char', value: namedChars[token] };
+    if (/^u[0-9A-Fa-f]{4}$/.test(token)) {
+        return { type: 'char', value: String.fromCharCode(parseInt(token.slice(1), 16)) };
+    }
+    if (/^o[0-7]{1,3}$/.test(token) && parseInt(token.slice(1), 8) <= 255) {
+        return { type: 'char', value: String.fromCharCode(parseInt(token.slice(1), 8)) };
+    }
+    throw parseError(reader, 'Unsupported character \\' + token, start);
+}
+
+function readDispatch(reader) {
+    var start = reader.pos - 1;
+    var ch = reader.str[reader.pos];
+    switch (ch) {
+        case '{':
+            reader.pos++;
+            return { type: 'set', items: readDelimited(reader, '}') };
+        case '"':
+            reader.pos++;
+            return { type: 'regex', source: readRegex(reader, start) };
+        case '\'':
+            reader.pos++;
+            var symbol = readForm(reader);
+            if (!symbol || symbol.type !== 'symbol') {
+                throw parseError(reader, 'Expected a symbol after #\'', start);
+            }
+            return { type: 'var', ns: symbol.ns, name: symbol.name };
+        case '#':
+            reader.pos++;
+            return readSymbolicValue(reader, start);
+        case ':':
+            reader.pos++;
+            return readNamespacedMap(reader, start);
+        case '(':
+            if (!reader.code) break;
+            reader.pos++;
+            return wrap('fn*', { type: 'list', items: readDelimited(reader, ')') });
+        case '?':
+            if (!reader.code) break;
+            reader.pos++;
+            var splicing = reader.str[reader.pos] === '@';
+            if (splicing) reader.pos++;
+            return { type: 'tagged', tag: splicing ? '?@' : '?', value: readForm(reader) };
+    }
+
+    if (ch && /[A-Za-z]/.test(ch)) {
+        var tag = readToken(reader);
+        var value = readForm(reader);
+        return { type: 'tagged', tag: tag, value: value };
+    }
+    throw parseError(reader, 'Unreadable form #' + (ch || ''), start);
+}
+
+function readRegex(reader, start) {
+    var source = '';
+    for (;;) {
+        if (reader.pos >= reader.str.length) {
+            throw parseError(reader, 'Unterminated regular expression', start);
+        }
+        var ch = reader.str[reader.pos++];
+        if (ch === '"') return source;
+        source += ch;
+        // Escapes are kept as they are, only \" must not end the literal
+        if (ch === '\\' && reader.pos < reader.str.length) {
+            source += reader.str[reader.pos++];
+        }
+    }
+}
+
+function readSymbolicValue(reader, start) {
+    var token = readToken(reader);
+    if (token === 'Inf') return Infinity;
+    if (token === '-Inf') return -Infinity;
+    if (token === 'NaN') return NaN;
+    throw parseError(reader, 'Unknown symbolic value ##' + token, start);
+}
+
+function readNamespacedMap(reader, start) {
+    var autoResolved = reader.str[reader.pos] === ':';
+    if (autoResolved && !reader.code) {
+        throw parseError(reader, 'Auto-resolved namespaced maps (#::) cannot be read outside the REPL', start);
+    }
+    if (autoResolved) reader.pos++;
+    var namespace = readToken(reader);
+    if ((!namespace && !autoResolved) || namespace.indexOf('/') > -1) {
+        throw parseError(reader, 'Invalid namespace for namespaced map: ' + namespace, start);
+    }
+    skipWhitespace(reader);
+    if (reader.str[reader.pos] !== '{') {
+        throw parseError(reader, 'Namespaced map must be followed by a map', start);
+    }
+    reader.pos++;
+    // Keys of #::{} stay as written, the namespace is only known to the REPL
+    return readMap(reader, autoResolved ? null : namespace);
+}
+
+function readMeta(reader) {
+    var start = reader.pos - 1;
+    var meta = readForm(reader);
+    if (meta && (meta.type === 'symbol' || typeof meta === 'string')) {
+        meta = { type: 'map', entries: [[keyword(null, 'tag'), meta]] };
+    } else if (meta && meta.type === 'keyword') {
+        meta = { type: 'map', entries: [[meta, true]] };
+    } else if (!meta || meta.type !== 'map') {
+        throw parseError(reader, 'Metadata must be a symbol, keyword, string or map', start);
+    }
+
+    var target = readForm(reader);
+    var types = ['list', 'vector', 'set', 'map', 'symbol', 'tagged'];
+    if (!target || types.indexOf(target.type) === -1) {
+        throw parseError(reader, 'Metadata can only be applied to collections, symbols and tagged values', start);
+    }
+    target.meta = target.meta ? { type: 'map', entries: target.meta.entries.concat(meta.entries) } : meta;
+    return target;
+}
+
+function readNumber(reader, token, start) {
+    var match = intPattern.exec(token);
+    if (match) {
+        var sign = match[1] === '-' ? '-' : '';
+        var digits = match[2] || match[3];
+        var value;
+        if (digits !== undefined) {
+            value = sign + digits;
+        } else {
+            var radix = match[4] ? 16 : match[5] ? 8 : parseInt(match[6], 10);
+            var text = match[4] || match[5] || match[7];
+            if (radix > 36 || !validDigits(text, radix)) {
+                throw parseError(reader, 'Invalid number: ' + token, start);
+            }
+            value = sign + toDecimalString(text, radix);
+        }
+        if (match[8]) return { type: 'bigint', value: value.replace(/^-0$/, '0') };
+        var number = Number(value);
+        return Number.isSafeInteger(number) ? number : { type: 'long', value: value };
+    }
+
+    match = ratioPattern.exec(token);
+    if (match) {
+        if (/^0+$/.test(match[2])) {
+            throw parseError(reader, 'Divide by zero in ratio ' + token, start);
+        }
+        return { type: 'ratio', numerator: match[1].replace(/^\+/, ''), denominator: match[2] };
+    }
+
+    match = floatPattern.exec(token);
+    if (match) {
+        var decimal = match[3] ? token.slice(0, -1) : token;
+        if (match[3]) return { type: 'bigdec', value: decimal.replace(/^\+/, '') };
+        return parseFloat(decimal);
+    }
+
+    throw parseError(reader, 'Invalid number: ' + token, start);
+}
+
+function readKeyword(reader, token, start) {
+    if (token[1] === ':') {
+        var resolved = reader.code && splitName(token.slice(2));
+        if (!resolved) {
+            throw parseError(reader, 'Auto-resolved keywords (' + token + ') cannot be read outside the REPL', start);
+        }
+        return { type: 'keyword', ns: resolved.ns, name: resolved.name, auto: true };
+    }
+    var parts = splitName(token.slice(1));
+    if (!parts) {
+        throw parseError(reader, 'Invalid keyword: ' + token, start);
+    }
+    return keyword(parts.ns, parts.name);
+}
+
+function readSymbol(reader, token, start) {
+    var parts = splitName(token);
+    if (!parts) {
+        throw parseError(reader, 'Invalid symbol: ' + token, start);
+    }
+    return { type: 'symbol', ns: parts.ns, name: parts.name };
+}
+
+/**
+ * Skip #_ and the form after it, returns true if something was skipped
+ */
+function readDiscard(reader) {
+    if (reader.str[reader.pos] !== '#' || reader.str[reader.pos + 1] !== '_') return false;
+    reader.pos += 2;
+    readForm(reader);
+    return true;
+}
+
+function readToken(reader) {
+    var start = reader.pos;
+    while (reader.pos < reader.str.length) {
+        var ch = reader.str[reader.pos];
+        if (whitespace.indexOf(ch) > -1 || terminators.indexOf(ch) > -1) break;
+        reader.pos++;
+    }
+    return reader.str.slice(start, reader.pos);
+}
+
+function skipWhitespace(reader) {
+    while (reader.pos < reader.str.length) {
+        var ch = reader.str[reader.pos];
+        if (whitespace.indexOf(ch) > -1) {
+            reader.pos++;
+        } else if (ch === ';') {
+            while (reader.pos < reader.str.length && reader.str[reader.pos] !== '\n') reader.pos++;
+        } else if (readDiscard(reader)) {
+            continue;
+        } else {
+            return;
+        }
+    }
+}
+
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+// helper
+
+function keyword(ns, name) {
+    return { type: 'keyword', ns: ns, name: name };
+}
+
+function wrap(symbolName, form) {
+    var parts = splitName(symbolName);
+    return { type: 'list', items: [{ type: 'symbol', ns: parts.ns, name: parts.name }, form] };
+}
+
+/**
+ * Split ns/name, null if the name is malformed ('/' alone and ns// are valid names)
+ */
+function splitName(text) {
+    if (!text) return null;
+    if (text === '/') return { ns: null, name: '/' };
+    var slash = text.indexOf('/');
+    if (slash === -1) return /:$/.test(text) ? null : { ns: null, name: text };
+    var ns = text.slice(0, slash);
+    var name = text.slice(slash + 1);
+    if (!ns || !name || (name !== '/' && name.indexOf('/') > -1) || /:$/.test(name)) return null;
+    return { ns: ns, name: name };
+}
+
+/**
+ * Qualify a key of #:ns{...}: unqualified keywords and symbols get ns, :_/a loses its namespace
+ */
+function qualifyKey(key, namespace) {
+    if (!key || (key.type !== 'keyword' && key.type !== 'symbol')) return key;
+    if (key.ns === '_') return { type: key.type, ns: null, name: key.name };
+    if (key.ns === null) return { type: key.type, ns: namespace, name: key.name };
+    return key;
+}
+
+function validDigits(text, radix) {
+    return text.split('').every(function(digit) {
+        var value = parseInt(digit, 36);
+        return !isNaN(value) && value < radix;
+    });
+}
+
+function toDecimalString(text, radix) {
+    var value = BigInt(0);
+    var base = BigInt(radix);
+    text.toLowerCase().split('').forEach(function(digit) {
+        value = value * base + BigInt(parseInt(digit, 36));
+    });
+    return value.toString();
+}
+
+function parseError(reader, message, position) {
+    if (position === undefined) position = reader.pos;
+    var before = reader.str.slice(0, position).split('\n');
+    var line = before.length;
+    var column = before[before.length - 1].length + 1;
+    var error = new Error(message + ' (line ' + line + ', column ' + column + ')');
+    error.line = line;
+    error.column = column;
+    error.position = position;
+    return error;
+}
+
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+// conversion
+
+/**
+ * Convert a typed value to plain JS
+ * Keywords become ':ns/name' strings, symbols and chars strings, big and ratio numbers
+ * numbers (integers that do not fit stay strings), sets and lists arrays, maps
+ * objects (keyword keys without the colon, other non-string keys printed as EDN),
+ * records their fields, #inst and #uuid their string and other tagged values their EDN
+ * @param {*} value - Typed representation from readString
+ * @returns {*} Plain JS value
+ */
+function toJS(value) {
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        return isFinite(value) ? value : printString(value);
+    }
+
+    switch (value.type) {
+        case 'keyword':
+            return ':' + qualifiedName(value);
+        case 'symbol':
+            return qualifiedName(value);
+        case 'char':
+            return value.value;
+        case 'long':
+        case 'bigint':
+            var integer = Number(value.value);
+            return Number.isSafeInteger(integer) ? integer : value.value;
+        case 'bigdec':
+            return Number(value.value);
+        case 'ratio':
+            return Number(value.numerator) / Number(value.denominator);
+        case 'list':
+        case 'vector':
+        case 'set':
+            return value.items.map(toJS);
+        case 'map':
+            var object = {};
+            value.entries.forEach(function(entry) {
+                object[mapKey(entry[0])] = toJS(entry[1]);
+            });
+            return object;
+        case 'tagged':
+            if ((value.tag === 'inst' || value.tag === 'uuid') && typeof value.value === 'string') {
+                return value.value;
+            }
+            if (value.value && value.value.type === 'map') {
+                return toJS(value.value);
+            }
+            return printString(value);
+        default:
+            return printString(value);
+    }
+}
+
+function mapKey(key) {
+    if (typeof key === 'string') return key;
+    if (key && key.type === 'keyword') return qualifiedName(key);
+    return printString(key);
+}
+
+function qualifiedName(node) {
+    return node.ns ? node.ns + '/' + node.name : node.name;
+}
+
+/**
+ * Print a typed value as EDN
+ * @param {*} value - Typed representation from readString
+ * @returns {string} EDN text
+ */
+function printString(value) {
+    if (value === null) return 'nil';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'number') {
+        if (isNaN(value)) return '##NaN';
+        if (!isFinite(value)) return value > 0 ? '##Inf' : '##-Inf';
+        return String(value);
+    }
+
+    switch (value.type) {
+        case 'keyword': return ':' + qualifiedName(value);
+        case 'symbol': return qualifiedName(value);
+        case 'char': return '\\' + printChar(value.value);
+        case 'long': return value.value;
+        case 'bigint': return value.value + 'N';
+        case 'bigdec': return value.value + 'M';
+        case 'ratio': return value.numerator + '/' + value.denominator;
+        case 'list': return '(' + value.items.map(printString).join(' ') + ')';
+        case 'vector': return '[' + value.items.map(printString).join(' ') + ']';
+        case 'set': return '#{' + value.items.map(printString).join(' ') + '}';
+        case 'map':
+            return '{' + value.entries.map(function(entry) {
+                return printString(entry[0]) + ' ' + printString(entry[1]);
+            }).join(', ') + '}';
+        case 'tagged':
+            return '#' + value.tag + (value.value && typeof value.value === 'object' &&
+                                      ['vector', 'map'].indexOf(value.value.type) > -1 ? '' : ' ') + printString(value.value);
+        case 'regex': return '#"' + value.source + '"';
+        case 'var': return '#\'' + qualifiedName(value);
+        default:
+            throw new Error('Not an EDN value: ' + JSON.stringify(value));
+    }
+}
+
+function printChar(ch) {
+    var names = Object.keys(namedChars);
+    for (var i = 0; i < names.length; i++) {
+        if (namedChars[names[i]] === ch) return names[i];
+    }
+    return ch;
+}
+
+module.exports = {
+    readString: readString,
+    readForms: readForms,
+    toJS: toJS,
+    printString: printString
+};
@@ -105,7 +105,10 @@ function consumeNreplMessageStream(emit, messages) {
     return [];
 }
 
-function nreplSend(socket, messageStream, msgSpec, callback) {
+// callback receives all messages once the request is "done", the optional
+// onMessages is called with each partial message sequence as it arrives
+// (e.g. out/err of a running eval)
+function nreplSend(socket, messageStream, msgSpec, callback, onMessages) {
     var msg = {id: msgSpec.id || uuid()};
     Object.keys(msgSpec).forEach(function(k) {
         if (msgSpec[k] !== undefined) msg[k] = msgSpec[k]; });
@@ -121,12 +124,18 @@ function nreplSend(socket, messageStream, msgSpec, callback) {
 
     function errHandler(err) { errors.push(err); }
     function msgHandler(_messages) {
-        var done = _messages.some(function(msg) { return !!msg.status; });
-            // return msg.status && msg.status.indexOf("done") > -1; });
+        // Wait for the terminal "done" status: interrupted or failed evals
+        // report "interrupted" / "eval-error" first and "done" afterwards
+        var done = _messages.some(function(msg) {
+            return msg.status && msg.status.indexOf("done") > -1; });
         messages = messages.concat(_messages);
+        if (onMessages) {
+            try { onMessages(_messages); }
+            catch (e) { console.error("error in nrepl onMessages handler: ", e.stack || e); }
+        }
         if (!done) return;
         messageStream.removeListener('error', errHandler);
-        messageStream.removeListener(msgHandlerName, errHandler);
+        messageStream.removeListener(msgHandlerName, msgHandler);
         callback && callback(errors.length > 0 ? errors : null, messages);
     }
 }
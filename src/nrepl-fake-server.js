@@ -0,0 +1,300 @@
+/*global module,require,console,setTimeout,clearTimeout,Buffer*/
+
+/**
+ * Fake nREPL server
+ * An in-process nREPL server speaking bencode over TCP, used instead of Babashka
+ * when nrepl.fake is set (see nrepl-server.js) and in tests. It supports the clone,
+ * describe, eval, interrupt, close and ls-sessions ops.
+ *
+ * Evaluation is scripted. Eval requests are matched against rules { match, reply },
+ * the first matching rule answers, unmatched code evaluates to nil. match is the exact
+ * code string, a RegExp or a function (code, request). reply is an object, or a
+ * function (code, request) returning one:
+ *   { value: '3', out: '...', err: '...' }           value and output
+ *   { ex: 'class ...', rootEx: 'class ...', err }    exception, status eval-error
+ *   { status: ['error', 'namespace-not-found'] }     error status instead of a value
+ *   { messages: [{ out: '1' }, { value: '2' }] }     raw messages, 'done' is added
+ *   { hang: true }                                   runs until interrupted
+ *   { hang: true, ignoreInterrupt: true }            cannot be interrupted either
+ * Any reply may add delay (milliseconds before each message) and chunked: true
+ * (every message is written in several pieces).
+ *
+ * Events:
+ *   - 'request' (request): every decoded request
+ *   - 'exit' (code): the server was crashed with crash()
+ */
+
+var net = require('net');
+var events = require('events');
+var crypto = require('crypto');
+var bencode = require('bencode');
+
+var supportedOps = ['clone', 'close', 'describe', 'eval', 'interrupt', 'ls-sessions'];
+
+/**
+ * Create a fake server
+ * @param {Object} options - Optional { rules, verbose }. The rules array is used as is,
+ *   so rules added later (or by a server restarted with the same options) are shared
+ * @returns {Object} Server (EventEmitter) with listen, close, crash, addRule, requests and sessions
+ */
+function createFakeServer(options) {
+    options = options || {};
+    if (!options.rules) options.rules = [];
+
+    var server = new events.EventEmitter();
+    server.rules = options.rules;
+    server.requests = [];
+    server.sessions = {}; // session id -> { running: { eval id -> evaluation } }
+
+    var sockets = [];
+    var tcpServer = net.createServer(handleConnection);
+
+    /**
+     * Answer eval requests matching code with reply
+     * @returns {Object} The server, for chaining
+     */
+    server.addRule = function(match, reply) {
+        server.rules.push({ match: match, reply: reply });
+        return server;
+    };
+
+    /**
+     * Start listening
+     * @param {number} port - Port, 0 picks a free one
+     * @param {string} hostname - Interface to bind
+     * @param {Function} callback - Callback function (err, { hostname, port })
+     */
+    server.listen = function(port, hostname, callback) {
+        tcpServer.once('error', function(err) { callback(err, null); });
+        tcpServer.listen(port || 0, hostname || '127.0.0.1', function() {
+            var address = tcpServer.address();
+            options.verbose && console.log('Fake nREPL server listening on', address.address + ':' + address.port);
+            callback(null, { hostname: address.address, port: address.port });
+        });
+    };
+
+    /**
+     * Stop listening and drop all connections
+     * @param {Function} callback - Callback function ()
+     */
+    server.close = function(callback) {
+        Object.keys(server.sessions).forEach(function(sessionId) {
+            cancelAll(server.sessions[sessionId]);
+        });
+        sockets.forEach(function(socket) { socket.destroy(); });
+        sockets = [];
+        tcpServer.close(function() {
+            if (callback) callback();
+        });
+    };
+
+    /**
+     * Simulate the server process dying: connections drop and 'exit' is emitted
+     * @param {number} code - Exit code reported with the event
+     */
+    server.crash = function(code) {
+        server.close();
+        server.emit('exit', code === undefined ? 1 : code);
+    };
+
+    // -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+    // connections and ops
+
+    function handleConnection(socket) {
+        var buffer = Buffer.alloc(0);
+        sockets.push(socket);
+
+        socket.on('data', function(chunk) {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length > 0) {
+                var request;
+                try {
+                    request = bencode.decode(buffer, 'utf8');
+                } catch (e) {
+                    // Incomplete message, wait for the rest
+                    return;
+                }
+                buffer = buffer.slice(bencode.encode(request).length);
+                handleRequest(socket, request);
+            }
+        });
+        // The client going away is not an error of the server
+        socket.on('error', function() {});
+        socket.on('close', function() {
+            sockets = sockets.filter(function(ea) { return ea !== socket; });
+        });
+    }
+
+    function handleRequest(socket, request) {
+        server.requests.push(request);
+        server.emit('request', request);
+
+        switch (request.op) {
+            case 'clone': return handleClone(socket, request);
+            case 'close': return handleClose(socket, request);
+            case 'describe': return handleDescribe(socket, request);
+            case 'eval': return handleEval(socket, request);
+            case 'interrupt': return handleInterrupt(socket, request);
+            case 'ls-sessions':
+                return send(socket, request, { sessions: Object.keys(server.sessions), status: ['done'] });
+            default:
+                return send(socket, request, { status: ['error', 'unknown-op', 'done'] });
+        }
+    }
+
+    function handleClone(socket, request) {
+        var sessionId = crypto.randomUUID();
+        server.sessions[sessionId] = { running: {} };
+        send(socket, request, { 'new-session': sessionId, status: ['done'] });
+    }
+
+    function handleClose(socket, request) {
+        var session = server.sessions[request.session];
+        if (!session) {
+            return send(socket, request, { status: ['error', 'unknown-session', 'done'] });
+        }
+        cancelAll(session);
+        delete server.sessions[request.session];
+        send(socket, request, { status: ['session-closed', 'done'] });
+    }
+
+    function handleDescribe(socket, request) {
+        var ops = {};
+        supportedOps.forEach(function(op) { ops[op] = {}; });
+        send(socket, request, {
+            ops: ops,
+            versions: { 'fake-nrepl': { 'version-string': '1.0.0' } },
+            status: ['done']
+        });
+    }
+
+    function handleEval(socket, request) {
+        if (request.session && !server.sessions[request.session]) {
+            return send(socket, request, { status: ['error', 'unknown-session', 'done'] });
+        }
+
+        var reply = findReply(request.code || '', request);
+        var evaluation = { socket: socket, request: request, reply: reply, timers: [] };
+        var session = server.sessions[request.session];
+        if (session) {
+            session.running[request.id] = evaluation;
+        }
+
+        play(evaluation, replyMessages(reply, request.ns || 'user'), function() {
+            if (!reply.hang && session) {
+                delete session.running[request.id];
+            }
+        });
+    }
+
+    function handleInterrupt(socket, request) {
+        var session = server.sessions[request.session];
+        var running = session ? session.running : {};
+        var evalId = request['interrupt-id'] || Object.keys(running)[0];
+        var evaluation = evalId && running[evalId];
+
+        if (!evaluation) {
+            return send(socket, request, { status: ['session-idle', 'done'] });
+        }
+        if (!evaluation.reply.ignoreInterrupt) {
+            cancel(evaluation);
+            delete running[evalId];
+            send(evaluation.socket, evaluation.request, { status: ['interrupted'] });
+            send(evaluation.socket, evaluation.request, { status: ['done'] });
+        }
+        send(socket, request, { status: ['done'] });
+    }
+
+    // -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+    // helper
+
+    function findReply(code, request) {
+        for (var i = 0; i < server.rules.length; i++) {
+            var rule = server.rules[i];
+            var matches = typeof rule.match === 'function' ? rule.match(code, request) :
+                rule.match instanceof RegExp ? rule.match.test(code) :
+                rule.match === code;
+            if (matches) {
+                var reply = typeof rule.reply === 'function' ? rule.reply(code, request) : rule.reply;
+                return reply || {};
+            }
+        }
+        return {};
+    }
+
+    function replyMessages(reply, ns) {
+        var messages;
+        if (reply.messages) {
+            messages = reply.messages.slice();
+        } else {
+            messages = [];
+            if (reply.out) messages.push({ out: reply.out });
+            if (reply.err) messages.push({ err: reply.err });
+            if (reply.ex || reply.rootEx) {
+                messages.push({ ex: reply.ex || reply.rootEx, 'root-ex': reply.rootEx || reply.ex, status: ['eval-error'] });
+            } else if (reply.status) {
+                messages.push({ status: reply.status });
+            } else if (!reply.hang) {
+                messages.push({ value: reply.value !== undefined ? String(reply.value) : 'nil', ns: ns });
+            }
+        }
+
+        var last = messages[messages.length - 1];
+        var hasDone = last && last.status && last.status.indexOf('done') > -1;
+        if (!reply.hang && !hasDone) {
+            messages.push({ status: ['done'] });
+        }
+        return messages;
+    }
+
+    function play(evaluation, messages, callback) {
+        var delay = evaluation.reply.delay || 0;
+        var index = 0;
+
+        function next() {
+            if (index >= messages.length) return callback();
+            var message = messages[index++];
+            if (!delay) {
+                send(evaluation.socket, evaluation.request, message, evaluation.reply.chunked);
+                return next();
+            }
+            evaluation.timers.push(setTimeout(function() {
+                send(evaluation.socket, evaluation.request, message, evaluation.reply.chunked);
+                next();
+            }, delay));
+        }
+        next();
+    }
+
+    function cancel(evaluation) {
+        evaluation.timers.forEach(clearTimeout);
+        evaluation.timers = [];
+    }
+
+    function cancelAll(session) {
+        Object.keys(session.running).forEach(function(evalId) {
+            cancel(session.running[evalId]);
+        });
+        session.running = {};
+    }
+
+    function send(socket, request, message, chunked) {
+        if (socket.destroyed) return;
+        var data = bencode.encode(Object.assign({ id: request.id, session: request.session }, message));
+        if (!chunked) {
+            socket.write(data);
+            return;
+        }
+        // Split the message so the client has to reassemble it
+        var size = Math.max(Math.ceil(data.length / 3), 1);
+        for (var offset = 0; offset < data.length; offset += size) {
+            socket.write(data.slice(offset, offset + size));
+        }
+    }
+
+    return server;
+}
+
+module.exports = {
+    createFakeServer: createFakeServer
+};
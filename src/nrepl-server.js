@@ -3,7 +3,8 @@
 /*
  * This will start a Babashka nREPL server via `bb --nrepl-server` to which the node
  * client will connect. If hostname and port are provided, it will connect to an
- * existing server instead of spawning a new one.
+ * existing server instead of spawning a new one. With the fake option an in-process
+ * fake server is started instead (see nrepl-fake-server.js), no Babashka required.
  *
  */
 
@@ -11,6 +12,7 @@ var path = require("path");
 var ps = require("child_process");
 var util = require("util");
 var merge = Object.assign;
+var fakeServer = require("./nrepl-fake-server");
 
 // note, the JVM will stick around when we just kill the spawning process
 // so we have to do a tree kill for the process. unfortunately the "tree-kill"
@@ -47,6 +49,15 @@ function startSentinel(options, serverState, thenDo) {
 
     proc.on('close', function(_) { serverState.exited = true; });
 
+    // e.g. babashka not found - report instead of crashing on an unhandled 'error'
+    proc.on('error', function(error) {
+        serverState.exited = true;
+        if (thenDoCalled) return;
+        thenDoCalled = true;
+        clearTimeout(fallbackTimer);
+        thenDo && thenDo(error, null);
+    });
+
     // Also set a fallback timer - if no message detected, assume server started after delay
     var fallbackTimer = setTimeout(function() {
         if (!serverState.started && !thenDoCalled) {
@@ -203,6 +214,28 @@ function startServer(hostname, port, projectPath, babashkaPath, thenDo) {
     });
 }
 
+function startFakeServer(options, thenDo) {
+    // fake: true or the options of the fake server (e.g. { rules: [...] })
+    var fake = fakeServer.createFakeServer(options.fake === true ? { verbose: options.verbose } : options.fake);
+    fake.listen(options.port, options.hostname, function(err, address) {
+        if (err) { thenDo(err, null); return; }
+        var serverState = {
+            proc: null,
+            fake: fake,
+            stdout: Buffer.alloc(0),
+            stderr: Buffer.alloc(0),
+            hostname: address.hostname,
+            port: address.port,
+            started: true,
+            exited: false,
+            timedout: undefined,
+            external: false
+        };
+        fake.once('exit', function() { serverState.exited = true; });
+        thenDo(null, serverState);
+    });
+}
+
 
 // -=-=-=-=-=-=-=-=-=-=-
 // the actual interface
@@ -216,11 +249,13 @@ var defaultOptions = {
     // if both are provided, connect to existing server instead of spawning
     hostname: undefined,
     port: undefined,
-    babashkaPath: 'bb' // path to babashka executable
+    babashkaPath: 'bb', // path to babashka executable
+    fake: false // start the in-process fake server instead, true or fake server options
 }
 
 function start(options, thenDo) {
     options = merge(merge({}, defaultOptions), options);
+    if (options.fake) { startFakeServer(options, thenDo); return; }
     startServer(options.hostname, options.port,
                 options.projectPath, options.babashkaPath, function(err, serverState) {
                     if (err) thenDo(err, null);
@@ -236,6 +271,13 @@ function stop(serverState, thenDo) {
     }
 
     if (serverState.exited) { thenDo(null); return; }
+    if (serverState.fake) {
+        serverState.fake.close(function() {
+            serverState.exited = true;
+            thenDo && thenDo(null);
+        });
+        return;
+    }
     if (!serverState.proc) { thenDo(null); return; }
 
     var timeout = setTimeout(function() {
@@ -0,0 +1,219 @@
+/*global module,require,console,setInterval,clearInterval*/
+
+/**
+ * nREPL Session Manager
+ * Gives every chat session its own cloned nREPL session and namespace, so
+ * browsers evaluating at the same time do not see each other's definitions
+ * or *last-result*. Sessions are created lazily on first use and closed with
+ * the nREPL `close` op when the chat ends or has been idle too long.
+ */
+
+var defaultOptions = {
+    idleTimeout: 30 * 60 * 1000, // milliseconds, 0 keeps sessions until the chat ends
+    sweepInterval: 60 * 1000 // how often idle sessions are looked for
+};
+
+/**
+ * Namespace used for a chat session's definitions
+ * @param {string} chatId - Chat session ID
+ * @returns {string} Namespace name
+ */
+function namespaceFor(chatId) {
+    return 'chat-' + String(chatId).replace(/[^A-Za-z0-9-]/g, '-');
+}
+
+/**
+ * Create a session manager
+ * @param {Object} options - Manager options
+ *   - getConnection: function() returning the current nREPL connection, or null
+ *   - setupSession: function(connection, chatSession, callback) run after a session is created,
+ *     e.g. to inject helpers; its result is kept as chatSession.setupResult
+ *   - isBusy: function(chatId) returning true while the chat has an evaluation running
+ *   - idleTimeout: milliseconds of inactivity before a session is closed (0 disables)
+ *   - sweepInterval: milliseconds between idle checks
+ * @returns {Object} Session manager
+ */
+function createSessionManager(options) {
+    options = Object.assign({}, defaultOptions, options);
+
+    var sessions = {}; // chatId -> { chatId, session, ns, lastUsed, setupResult }
+    var pending = {}; // chatId -> [callbacks] while a session is being created
+    var sweepTimer = null;
+
+    /**
+     * Get the nREPL session for a chat, creating it if needed
+     * @param {string} chatId - Chat session ID
+     * @param {Function} callback - Callback function (err, chatSession)
+     */
+    function acquire(chatId, callback) {
+        var existing = sessions[chatId];
+        if (existing) {
+            existing.lastUsed = Date.now();
+            return callback(null, existing);
+        }
+
+        if (pending[chatId]) {
+            pending[chatId].push(callback);
+            return;
+        }
+        pending[chatId] = [callback];
+
+        createSession(chatId, function(err, chatSession) {
+            var callbacks = pending[chatId];
+            delete pending[chatId];
+            if (!err) {
+                sessions[chatId] = chatSession;
+            }
+            callbacks.forEach(function(cb) { cb(err, err ? null : chatSession); });
+        });
+    }
+
+    /**
+     * Get the chat's session without creating one
+     * @param {string} chatId - Chat session ID
+     * @returns {Object|null} Chat session
+     */
+    function get(chatId) {
+        return sessions[chatId] || null;
+    }
+
+    /**
+     * Close a chat's nREPL session
+     * Definitions stay in the chat's namespace and are found again if the chat resumes
+     * @param {string} chatId - Chat session ID
+     * @param {Function} callback - Optional callback function (err)
+     */
+    function release(chatId, callback) {
+        var chatSession = sessions[chatId];
+        delete sessions[chatId];
+        callback = callback || function() {};
+
+        var connection = options.getConnection();
+        if (!chatSession || !connection) {
+            return callback(null);
+        }
+
+        connection.close(chatSession.session, function(err) {
+            if (err) {
+                console.warn('Failed to close nREPL session', chatSession.session + ':', err);
+            } else {
+                console.log('Closed nREPL session', chatSession.session, 'for chat', chatId);
+            }
+            callback(err || null);
+        });
+    }
+
+    /**
+     * Replace a chat's session (e.g. one stuck in an eval that ignores interrupt)
+     * @param {string} chatId - Chat session ID
+     * @param {Function} callback - Callback function (err, chatSession)
+     */
+    function replace(chatId, callback) {
+        release(chatId, function() {
+            acquire(chatId, callback);
+        });
+    }
+
+    /**
+     * Forget all sessions without closing them, for when the nREPL server went away
+     * @returns {Array} IDs of the chats that had a session
+     */
+    function reset() {
+        var chatIds = Object.keys(sessions);
+        sessions = {};
+        return chatIds;
+    }
+
+    /**
+     * Close sessions that have been idle longer than idleTimeout
+     */
+    function sweep() {
+        if (!options.idleTimeout) return;
+
+        var now = Date.now();
+        Object.keys(sessions).forEach(function(chatId) {
+            var chatSession = sessions[chatId];
+            var busy = options.isBusy && options.isBusy(chatId);
+            if (!busy && now - chatSession.lastUsed > options.idleTimeout) {
+                console.log('nREPL session for chat', chatId, 'idle for', now - chatSession.lastUsed, 'ms, closing');
+                release(chatId);
+            }
+        });
+    }
+
+    /**
+     * Start closing idle sessions periodically
+     */
+    function start() {
+        if (sweepTimer || !options.idleTimeout) return;
+        sweepTimer = setInterval(sweep, Math.min(options.sweepInterval, options.idleTimeout));
+        // Don't keep the process alive just for the sweep
+        if (sweepTimer.unref) sweepTimer.unref();
+    }
+
+    /**
+     * Stop the idle sweep
+     */
+    function stop() {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+
+    // -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+    // helper
+
+    function createSession(chatId, callback) {
+        var connection = options.getConnection();
+        if (!connection) {
+            return callback(new Error('nREPL not connected'));
+        }
+
+        connection.clone(function(err, messages) {
+            var newSession = messages && messages[0] && messages[0]['new-session'];
+            if (err || !newSession) {
+                console.error('Failed to create nREPL session for chat', chatId + ':', err);
+                return callback(err || new Error('No new-session in clone response'));
+            }
+
+            var chatSession = {
+                chatId: chatId,
+                session: newSession,
+                ns: namespaceFor(chatId),
+                lastUsed: Date.now(),
+                setupResult: null
+            };
+
+            // Create the chat's namespace so evals can run in it
+            connection.eval('(ns ' + chatSession.ns + ')', 'user', newSession, function(err) {
+                if (err) {
+                    return callback(err);
+                }
+                console.log('Created nREPL session', newSession, 'in namespace', chatSession.ns, 'for chat', chatId);
+
+                options.setupSession(connection, chatSession, function(setupErr, setupResult) {
+                    if (setupErr) {
+                        console.warn('Warning: nREPL session setup failed for chat', chatId + ':', setupErr);
+                    }
+                    chatSession.setupResult = setupResult || null;
+                    callback(null, chatSession);
+                });
+            });
+        });
+    }
+
+    return {
+        acquire: acquire,
+        get: get,
+        release: release,
+        replace: replace,
+        reset: reset,
+        sweep: sweep,
+        start: start,
+        stop: stop
+    };
+}
+
+module.exports = {
+    createSessionManager: createSessionManager,
+    namespaceFor: namespaceFor
+};
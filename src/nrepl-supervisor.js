@@ -0,0 +1,253 @@
+/*global module,require,console,setTimeout,clearTimeout*/
+
+/**
+ * nREPL Supervisor
+ * Owns the Babashka nREPL server process, the client connection and the
+ * evaluation session. When the server process exits or the connection drops,
+ * it restarts the server with exponential backoff, reconnects, clones a new
+ * session and runs the session setup hook again.
+ *
+ * Events:
+ *   - 'disconnected' (err): server exited or connection was lost
+ *   - 'reconnecting' ({ attempt, delay }): a restart attempt is scheduled
+ *   - 'reconnected' (setupResult): connection and session are back
+ *   - 'gave-up' (err): reconnect.maxAttempts was reached
+ */
+
+var events = require('events');
+var nreplServer = require('./nrepl-server');
+var nreplClient = require('./nrepl-client');
+
+var defaultReconnectOptions = {
+    initialDelay: 1000, // milliseconds before the first restart attempt
+    maxDelay: 30000, // upper bound for the backoff delay
+    maxAttempts: 0 // 0 keeps trying forever
+};
+
+/**
+ * Create a supervisor
+ * @param {Object} options - Supervisor options
+ *   - server: options passed to nreplServer.start
+ *   - verbose: log nREPL connection details
+ *   - reconnect: { initialDelay, maxDelay, maxAttempts }
+ *   - sessionSetup: function(connection, session, setupOptions, callback) run for every new session,
+ *     setupOptions.reconnect is true when the session replaces one lost in a crash
+ * @returns {Object} Supervisor (EventEmitter) with start, stop and replaceSession
+ */
+function createSupervisor(options) {
+    var supervisor = new events.EventEmitter();
+    var reconnectOptions = Object.assign({}, defaultReconnectOptions, options.reconnect || {});
+    var sessionSetup = options.sessionSetup || function(connection, session, setupOptions, callback) { callback(null); };
+
+    supervisor.serverState = null;
+    supervisor.connection = null;
+    supervisor.session = null;
+    supervisor.connected = false;
+    supervisor.reconnecting = false;
+
+    var stopped = false;
+    var reconnectAttempt = 0;
+    var reconnectTimer = null;
+
+    /**
+     * Start the server, connect and create the initial session
+     * @param {Function} callback - Callback function (err, setupResult)
+     */
+    supervisor.start = function(callback) {
+        connectOnce({ reconnect: false }, callback);
+    };
+
+    /**
+     * Stop supervising and shut down the connection and server
+     * @param {Function} callback - Callback function ()
+     */
+    supervisor.stop = function(callback) {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+
+        if (supervisor.connection) {
+            supervisor.connection.end();
+        }
+
+        var serverState = supervisor.serverState;
+        if (serverState && !serverState.external) {
+            nreplServer.stop(serverState, function() {
+                if (callback) callback();
+            });
+        } else if (callback) {
+            callback();
+        }
+    };
+
+    /**
+     * Replace a session (e.g. one stuck in an eval that ignores interrupt)
+     * Closes the old session, clones a new one and runs the session setup hook
+     * @param {string} oldSession - Session to replace
+     * @param {Function} callback - Callback function (err, newSession)
+     */
+    supervisor.replaceSession = function(oldSession, callback) {
+        var connection = supervisor.connection;
+        if (!connection || !supervisor.connected) {
+            return callback(new Error('nREPL not connected'), null);
+        }
+
+        connection.close(oldSession, function(closeErr) {
+            if (closeErr) {
+                console.warn('Failed to close nREPL session', oldSession + ':', closeErr);
+            }
+
+            createSession(connection, { reconnect: false }, function(err, newSession) {
+                if (err) return callback(err, null);
+                if (supervisor.session === oldSession) {
+                    supervisor.session = newSession;
+                }
+                console.log('Replaced nREPL session', oldSession, 'with', newSession);
+                callback(null, newSession);
+            });
+        });
+    };
+
+    // -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+    // helper
+
+    function connectOnce(setupOptions, callback) {
+        var established = false;
+        var lost = false;
+        var callbackCalled = false;
+
+        function done(err, result) {
+            if (callbackCalled) return;
+            callbackCalled = true;
+            callback(err, result);
+        }
+
+        nreplServer.start(options.server, function(err, serverState) {
+            if (err) return done(err, null);
+
+            supervisor.serverState = serverState;
+
+            if (serverState.proc) {
+                // Without an error listener a failed spawn would crash the process
+                serverState.proc.on('error', function(procErr) {
+                    console.error('nREPL server process error:', procErr.message);
+                });
+                serverState.proc.once('close', function(code) {
+                    handleLost(new Error('nREPL server exited with code ' + code));
+                });
+            } else if (serverState.fake) {
+                serverState.fake.once('exit', function(code) {
+                    handleLost(new Error('Fake nREPL server exited with code ' + code));
+                });
+            }
+
+            var connection = nreplClient.connect({
+                host: serverState.hostname || 'localhost',
+                port: serverState.port,
+                verbose: options.verbose
+            });
+            supervisor.connection = connection;
+
+            connection.on('error', function(connErr) {
+                console.error('nREPL connection error:', connErr.message || connErr);
+                handleLost(connErr);
+            });
+            connection.on('close', function() {
+                handleLost(new Error('nREPL connection closed'));
+            });
+
+            connection.once('connect', function() {
+                options.verbose && console.log('Connected to nREPL server');
+
+                createSession(connection, setupOptions, function(err, session, setupResult) {
+                    if (err) {
+                        handleLost(err);
+                        return;
+                    }
+                    established = true;
+                    supervisor.session = session;
+                    supervisor.connected = true;
+                    done(null, setupResult);
+                });
+            });
+
+            function handleLost(lostErr) {
+                if (lost || stopped) return;
+                lost = true;
+
+                shutdown(connection, serverState);
+
+                if (!established) {
+                    // This attempt never came up - report to whoever started it
+                    return done(lostErr, null);
+                }
+
+                supervisor.connected = false;
+                supervisor.session = null;
+                console.error('Lost nREPL server:', lostErr.message);
+                supervisor.emit('disconnected', lostErr);
+                scheduleReconnect();
+            }
+        });
+    }
+
+    function createSession(connection, setupOptions, callback) {
+        connection.clone(function(err, messages) {
+            var newSession = messages && messages[0] && messages[0]['new-session'];
+            if (err || !newSession) {
+                console.error('Failed to create nREPL session:', err);
+                return callback(err || new Error('No new-session in clone response'), null);
+            }
+            console.log('Created nREPL session:', newSession);
+
+            sessionSetup(connection, newSession, setupOptions, function(setupErr, setupResult) {
+                if (setupErr) {
+                    console.warn('Warning: nREPL session setup failed:', setupErr);
+                }
+                callback(null, newSession, setupResult);
+            });
+        });
+    }
+
+    function shutdown(connection, serverState) {
+        connection.destroy();
+        if (serverState && !serverState.external && !serverState.exited) {
+            nreplServer.stop(serverState, function() {});
+        }
+    }
+
+    function scheduleReconnect() {
+        if (stopped) return;
+
+        reconnectAttempt++;
+        if (reconnectOptions.maxAttempts && reconnectAttempt > reconnectOptions.maxAttempts) {
+            supervisor.reconnecting = false;
+            console.error('Giving up on nREPL server after', reconnectOptions.maxAttempts, 'attempts');
+            supervisor.emit('gave-up', new Error('nREPL server could not be restarted'));
+            return;
+        }
+
+        var delay = Math.min(reconnectOptions.initialDelay * Math.pow(2, reconnectAttempt - 1),
+                             reconnectOptions.maxDelay);
+        supervisor.reconnecting = true;
+        console.log('Restarting nREPL server in', delay, 'ms (attempt ' + reconnectAttempt + ')');
+        supervisor.emit('reconnecting', { attempt: reconnectAttempt, delay: delay });
+
+        reconnectTimer = setTimeout(function() {
+            connectOnce({ reconnect: true }, function(err, setupResult) {
+                if (err) {
+                    console.error('nREPL restart attempt failed:', err.message || err);
+                    return scheduleReconnect();
+                }
+                reconnectAttempt = 0;
+                supervisor.reconnecting = false;
+                supervisor.emit('reconnected', setupResult);
+            });
+        }, delay);
+    }
+
+    return supervisor;
+}
+
+module.exports = {
+    createSupervisor: createSupervisor
+};
@@ -0,0 +1,279 @@
+/*global module,require*/
+
+/**
+ * Model API providers
+ * The AI client keeps its history, tool schema and tool results in the OpenAI
+ * chat completions shape. Each provider translates that shape into its native
+ * request and translates the native response back.
+ *
+ * A provider has:
+ *   - buildRequest(endpointInfo, messages, tools, options) -> { url, headers, body }
+ *     options.toolChoice 'none' keeps the tools declared but forbids calling them
+ *   - parseResponse(json) -> OpenAI-shaped response { choices: [{ message, finish_reason }], usage }
+ *   - createStreamAccumulator(onContent) -> accumulator for streamed bodies (see chat-stream.js)
+ */
+
+var chatStream = require('./chat-stream');
+
+var ANTHROPIC_VERSION = '2023-06-01';
+
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+// OpenAI-compatible /chat/completions (OpenAI, DeepSeek, Ollama's /v1, ...)
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+
+var openaiProvider = {
+    buildRequest: function(endpointInfo, messages, tools, options) {
+        var body = {
+            model: endpointInfo.model,
+            messages: messages,
+            tools: tools,
+            tool_choice: options && options.toolChoice === 'none' ? 'none' : 'auto',
+            temperature: endpointInfo.temperature,
+            max_tokens: endpointInfo.maxTokens
+        };
+        if (endpointInfo.stream) {
+            body.stream = true;
+        }
+
+        return {
+            url: endpointInfo.endpoint + '/chat/completions',
+            headers: { 'Authorization': 'Bearer ' + endpointInfo.apiKey },
+            body: body
+        };
+    },
+
+    parseResponse: function(json) {
+        return json;
+    },
+
+    createStreamAccumulator: chatStream.createStreamAccumulator
+};
+
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+// Anthropic Messages API
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+
+var anthropicProvider = {
+    buildRequest: function(endpointInfo, messages, tools, options) {
+        var system = messages.filter(function(msg) { return msg.role === 'system'; })
+            .map(function(msg) { return msg.content; })
+            .join('\n\n');
+
+        var body = {
+            model: endpointInfo.model,
+            max_tokens: endpointInfo.maxTokens,
+            temperature: endpointInfo.temperature,
+            messages: toAnthropicMessages(messages),
+            tools: tools.map(function(tool) {
+                return {
+                    name: tool.function.name,
+                    description: tool.function.description,
+                    input_schema: tool.function.parameters
+                };
+            }),
+            // Tools stay declared even when calls are forbidden, history with tool_use blocks requires them
+            tool_choice: { type: options && options.toolChoice === 'none' ? 'none' : 'auto' }
+        };
+        if (system) {
+            body.system = system;
+        }
+        if (endpointInfo.stream) {
+            body.stream = true;
+        }
+
+        return {
+            url: endpointInfo.endpoint + '/messages',
+            headers: {
+                'x-api-key': endpointInfo.apiKey,
+                'anthropic-version': ANTHROPIC_VERSION
+            },
+            body: body
+        };
+    },
+
+    parseResponse: function(json) {
+        var texts = [];
+        var toolCalls = [];
+        (json.content || []).forEach(function(block) {
+            if (block.type === 'text') {
+                texts.push(block.text);
+            } else if (block.type === 'tool_use') {
+                toolCalls.push({
+                    id: block.id,
+                    type: 'function',
+                    function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+                });
+            }
+        });
+
+        var message = { role: 'assistant', content: texts.length > 0 ? texts.join('') : null };
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls;
+        }
+
+        var response = {
+            id: json.id,
+            model: json.model,
+            choices: [{ index: 0, message: message, finish_reason: chatStream.anthropicFinishReason(json.stop_reason) }]
+        };
+        if (json.usage) {
+            response.usage = chatStream.anthropicUsage(json.usage);
+        }
+        return response;
+    },
+
+    createStreamAccumulator: chatStream.createAnthropicStreamAccumulator
+};
+
+/**
+ * Translate OpenAI-shaped history into Anthropic messages
+ * Tool calls become tool_use blocks, tool results become tool_result blocks in a user turn,
+ * and consecutive messages of the same role are merged since roles must alternate
+ */
+function toAnthropicMessages(messages) {
+    var result = [];
+
+    function push(role, blocks) {
+        if (blocks.length === 0) return;
+        var last = result[result.length - 1];
+        if (last && last.role === role) {
+            last.content = last.content.concat(blocks);
+        } else {
+            result.push({ role: role, content: blocks });
+        }
+    }
+
+    messages.forEach(function(msg) {
+        if (msg.role === 'system') return;
+
+        var blocks = [];
+        if (msg.role === 'tool') {
+            push('user', [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content || '' }]);
+            return;
+        }
+
+        if (msg.content) {
+            blocks.push({ type: 'text', text: msg.content });
+        }
+        if (msg.role === 'assistant' && msg.tool_calls) {
+            msg.tool_calls.forEach(function(toolCall) {
+                blocks.push({
+                    type: 'tool_use',
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    input: parseArguments(toolCall.function.arguments)
+                });
+            });
+        }
+        push(msg.role === 'assistant' ? 'assistant' : 'user', blocks);
+    });
+
+    return result;
+}
+
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+// Ollama native /api/chat
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+
+var ollamaProvider = {
+    buildRequest: function(endpointInfo, messages, tools, options) {
+        var headers = {};
+        if (endpointInfo.apiKey) {
+            // Plain Ollama ignores it, authenticating proxies in front of it need it
+            headers['Authorization'] = 'Bearer ' + endpointInfo.apiKey;
+        }
+
+        return {
+            url: endpointInfo.endpoint + '/api/chat',
+            headers: headers,
+            body: {
+                model: endpointInfo.model,
+                messages: toOllamaMessages(messages),
+                // Ollama has no tool_choice, leaving the tools out is the only way to forbid calls
+                tools: options && options.toolChoice === 'none' ? undefined : tools,
+                stream: !!endpointInfo.stream,
+                options: {
+                    temperature: endpointInfo.temperature,
+                    num_predict: endpointInfo.maxTokens
+                }
+            }
+        };
+    },
+
+    parseResponse: function(json) {
+        var accumulator = chatStream.createOllamaStreamAccumulator();
+        accumulator.write(JSON.stringify(json) + '\n');
+        var result = accumulator.end();
+        if (result.error) {
+            throw result.error;
+        }
+        return result.response;
+    },
+
+    createStreamAccumulator: chatStream.createOllamaStreamAccumulator
+};
+
+/**
+ * Translate OpenAI-shaped history into Ollama messages
+ * Ollama takes tool call arguments as objects and has no tool call ids
+ */
+function toOllamaMessages(messages) {
+    var toolNames = {}; // tool_call_id -> function name
+
+    return messages.map(function(msg) {
+        if (msg.role === 'assistant' && msg.tool_calls) {
+            msg.tool_calls.forEach(function(toolCall) {
+                toolNames[toolCall.id] = toolCall.function.name;
+            });
+            return {
+                role: 'assistant',
+                content: msg.content || '',
+                tool_calls: msg.tool_calls.map(function(toolCall) {
+                    return { function: { name: toolCall.function.name, arguments: parseArguments(toolCall.function.arguments) } };
+                })
+            };
+        }
+        if (msg.role === 'tool') {
+            return { role: 'tool', content: msg.content || '', tool_name: toolNames[msg.tool_call_id] };
+        }
+        return { role: msg.role, content: msg.content || '' };
+    });
+}
+
+// -=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-
+
+function parseArguments(args) {
+    if (!args) return {};
+    if (typeof args !== 'string') return args;
+    try {
+        return JSON.parse(args);
+    } catch (e) {
+        // Leave malformed arguments visible to the model rather than dropping them
+        return { raw: args };
+    }
+}
+
+var providers = {
+    openai: openaiProvider,
+    anthropic: anthropicProvider,
+    ollama: ollamaProvider
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (openai, anthropic, ollama), defaults to openai
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+    var provider = providers[name || 'openai'];
+    if (!provider) {
+        throw new Error('Unknown provider: ' + name + '. Available providers: ' + Object.keys(providers).join(', '));
+    }
+    return provider;
+}
+
+module.exports = {
+    getProvider: getProvider,
+    toAnthropicMessages: toAnthropicMessages,
+    toOllamaMessages: toOllamaMessages
+};
@@ -1,13 +1,41 @@
-/*global module*/
+/*global module,require*/
 
 /**
  * REPL State Tracking Module
  * Tracks functions, variables, and execution results per session
+ * When the REPL can describe itself, the vars come from snapshots taken after each eval
+ * (repl-talk.result/snapshot); the definitions found by code analysis are kept for replay.
+ * Every definition is also appended to a version history, tied to the assistant message
+ * whose eval made it, so the REPL can be rolled back to an earlier turn.
+ * The vars each definition uses form a dependency graph (see getDependencyGraph), which
+ * orders replay and export and tells what a redefinition affects
  */
 
+var codeAnalyzer = require('./code-analyzer');
+
 // In-memory state storage: sessionId -> state
 var sessionStates = {};
 
+// Monotonic counter so definitions made within the same millisecond keep their order
+var definitionSequence = 0;
+
+// Results kept per session
+var RESULT_HISTORY_SIZE = 10;
+
+// Where definitions and results are persisted (db.js), null keeps state in memory only
+var store = null;
+
+/**
+ * Persist definitions and results so a session's state survives restarts
+ * State of a session that is not in memory yet is loaded from the store
+ * @param {Object} newStore - { saveDefinition, getDefinitions, deleteDefinition, addResult, getResults,
+ *   saveBinding, getBindings, deleteBinding, addVersion, getVersions, clearReplState } as in db.js,
+ *   or null to stop persisting
+ */
+function setStore(newStore) {
+    store = newStore;
+}
+
 /**
  * Get or create state for a session
  * @param {string} sessionId - Session ID
@@ -18,19 +46,113 @@ function getSessionState(sessionId) {
         sessionStates[sessionId] = {
             lastResult: null,
             resultHistory: [], // Keep last N results (e.g., 10)
-            functions: {}, // name -> { name, signature, docstring, namespace, definedAt }
-            variables: {} // name -> { name, type, definedAt }
+            functions: {}, // 'ns/name' (see varKey) -> { name, signature, docstring, namespace, source, definedAt }
+            variables: {}, // 'ns/name' -> { name, type, namespace, source, definedAt }
+            requires: [], // Source of require/ns/import forms, in evaluation order
+            snapshot: null, // Vars found in the REPL after the last eval: ns -> name -> info (see applySnapshot)
+            lastChanges: null, // { added, changed, removed } between the last two snapshots
+            bindings: {}, // name -> { name, type, count, preview, raw, boundAt, sequence } of bound results
+            bindingNumber: 0, // Number of the last numbered binding (*r1*, *r2*, ...)
+            versions: [] // Every (re)definition and removal in order, see recordVersion
         };
+        if (store) {
+            loadSessionState(sessionId, sessionStates[sessionId]);
+        }
     }
     return sessionStates[sessionId];
 }
 
+/**
+ * Fill a new session state with the definitions and results stored for the session
+ * @param {string} sessionId - Session ID
+ * @param {Object} state - Empty state object
+ */
+function loadSessionState(sessionId, state) {
+    store.getDefinitions(sessionId).forEach(function(def) {
+        var definedAt = Date.parse(def.updatedAt + 'Z') || Date.now();
+        if (def.kind === 'require') {
+            state.requires.push(def.source);
+        } else if (def.kind === 'function') {
+            state.functions[varKey(def.namespace, def.name)] = {
+                name: def.name,
+                signature: def.info.signature || null,
+                docstring: def.info.docstring || null,
+                namespace: def.namespace || 'user',
+                source: def.source,
+                definedAt: definedAt,
+                sequence: ++definitionSequence
+            };
+        } else if (def.kind === 'variable') {
+            state.variables[varKey(def.namespace, def.name)] = {
+                name: def.name,
+                type: def.info.type || 'unknown',
+                namespace: def.namespace || 'user',
+                source: def.source,
+                definedAt: definedAt,
+                sequence: ++definitionSequence
+            };
+        }
+    });
+
+    store.getResults(sessionId).forEach(function(result) {
+        state.resultHistory.push({
+            value: result.value,
+            type: result.type,
+            raw: result.raw,
+            boundTo: result.boundTo,
+            timestamp: Date.parse(result.createdAt + 'Z') || Date.now()
+        });
+    });
+    state.lastResult = state.resultHistory.length > 0 ? state.resultHistory[state.resultHistory.length - 1] : null;
+
+    store.getBindings(sessionId).forEach(function(binding) {
+        state.bindings[binding.name] = {
+            name: binding.name,
+            type: binding.type,
+            count: binding.count,
+            preview: binding.preview,
+            raw: binding.raw,
+            boundAt: Date.parse(binding.boundAt + 'Z') || Date.now(),
+            sequence: ++definitionSequence
+        };
+        state.bindingNumber = Math.max(state.bindingNumber, bindingNumber(binding.name));
+    });
+
+    store.getVersions(sessionId).forEach(function(version) {
+        version.sequence = ++definitionSequence;
+        state.versions.push(version);
+    });
+}
+
+/**
+ * Check whether a session has state in memory or in the store
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} True if anything was tracked for the session
+ */
+function hasSessionState(sessionId) {
+    if (sessionStates[sessionId]) return true;
+    return !!store && (store.getDefinitions(sessionId).length > 0 || store.getResults(sessionId).length > 0 ||
+                       store.getBindings(sessionId).length > 0);
+}
+
 /**
  * Clear state for a session
  * @param {string} sessionId - Session ID
  */
 function clearSessionState(sessionId) {
     delete sessionStates[sessionId];
+    if (store) {
+        store.clearReplState(sessionId);
+    }
+}
+
+/**
+ * Forget a session's in-memory state, keeping what was stored
+ * Used when a chat ends; the state is loaded again if the chat resumes
+ * @param {string} sessionId - Session ID
+ */
+function unloadSessionState(sessionId) {
+    delete sessionStates[sessionId];
 }
 
 /**
@@ -38,12 +160,17 @@ function clearSessionState(sessionId) {
  * @param {string} sessionId - Session ID
  * @param {*} value - Result value
  * @param {string} type - Result type (e.g., 'map', 'vector', 'string')
+ * @param {Object} options - Optional { raw: printed EDN, if the whole value was printed,
+ *   boundTo: var the result was bound to with ;; bind-result, e.g. 'files' or '*r2*' }
  */
-function updateLastResult(sessionId, value, type) {
+function updateLastResult(sessionId, value, type, options) {
     var state = getSessionState(sessionId);
+    options = options || {};
     var resultEntry = {
         value: value,
         type: type,
+        raw: options.raw || null,
+        boundTo: options.boundTo || null,
         timestamp: Date.now()
     };
 
@@ -51,26 +178,187 @@ function updateLastResult(sessionId, value, type) {
 
     // Add to history (keep last 10)
     state.resultHistory.push(resultEntry);
-    if (state.resultHistory.length > 10) {
+    if (state.resultHistory.length > RESULT_HISTORY_SIZE) {
         state.resultHistory.shift();
     }
+
+    if (store) {
+        store.addResult(sessionId, resultEntry, RESULT_HISTORY_SIZE);
+    }
+}
+
+/**
+ * Number of a numbered binding name
+ * @param {string} name - Binding name, e.g. '*r3*'
+ * @returns {number} The number, 0 for other names
+ */
+function bindingNumber(name) {
+    var match = /^\*r(\d+)\*$/.exec(name);
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Get the name the next unnamed ;; bind-result binds to, like a notebook's Out[n]
+ * The number is only used up once a result is bound to it
+ * @param {string} sessionId - Session ID
+ * @returns {string} e.g. '*r1*'
+ */
+function nextBindingName(sessionId) {
+    return '*r' + (getSessionState(sessionId).bindingNumber + 1) + '*';
+}
+
+/**
+ * Count the items of a collection or the characters of a string
+ * @param {*} value - Result value
+ * @returns {number|null} Count, null for other values
+ */
+function getValueCount(value) {
+    if (Array.isArray(value) || typeof value === 'string') {
+        return value.length;
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).length;
+    }
+    return null;
+}
+
+/**
+ * Record a result bound to a var with ;; bind-result, replacing an earlier binding of the name
+ * @param {string} sessionId - Session ID
+ * @param {string} name - Var the result was bound to
+ * @param {*} value - Result value
+ * @param {string} type - Result type (e.g., 'map', 'vector', 'string')
+ * @param {Object} options - Optional { raw: printed EDN, if the whole value was printed,
+ *   count: item count of the whole value when the value was truncated,
+ *   messageId: assistant message whose eval bound it }
+ */
+function addBinding(sessionId, name, value, type, options) {
+    options = options || {};
+    var binding = defineBinding(sessionId, {
+        name: name,
+        type: type || 'unknown',
+        count: options.count !== undefined && options.count !== null ? options.count : getValueCount(value),
+        preview: getValuePreview(value),
+        raw: options.raw || null
+    });
+    recordVersion(sessionId, {
+        kind: 'binding',
+        name: name,
+        // A value that was not printed whole cannot be bound again
+        source: binding.raw ? bindingSource(name, binding.raw) : null,
+        info: { type: binding.type, count: binding.count, preview: binding.preview, raw: binding.raw },
+        messageId: options.messageId
+    });
+}
+
+/**
+ * Form that binds a printed result to a name again
+ */
+function bindingSource(name, raw) {
+    return '(def ' + name + " '" + raw + ')';
+}
+
+/**
+ * Set a bound result in the state and the store
+ * @returns {Object} The binding
+ */
+function defineBinding(sessionId, info) {
+    var state = getSessionState(sessionId);
+    var binding = {
+        name: info.name,
+        type: info.type,
+        count: info.count,
+        preview: info.preview,
+        raw: info.raw,
+        boundAt: Date.now(),
+        sequence: ++definitionSequence
+    };
+    state.bindings[binding.name] = binding;
+    state.bindingNumber = Math.max(state.bindingNumber, bindingNumber(binding.name));
+
+    if (store) {
+        store.saveBinding(sessionId, binding);
+    }
+    return binding;
+}
+
+/**
+ * Forget a bound result
+ * @param {string} sessionId - Session ID
+ * @param {string} name - Var the result was bound to
+ * @returns {boolean} True if the name was bound
+ */
+function removeBinding(sessionId, name) {
+    var state = getSessionState(sessionId);
+    if (!state.bindings[name]) {
+        return false;
+    }
+    delete state.bindings[name];
+    if (store) {
+        store.deleteBinding(sessionId, name);
+    }
+    return true;
+}
+
+/**
+ * List a session's bound results, oldest first
+ * @param {string} sessionId - Session ID
+ * @returns {Array} Array of { name, type, count, preview, boundAt }
+ */
+function getBindings(sessionId) {
+    var state = getSessionState(sessionId);
+    return Object.keys(state.bindings).map(function(name) { return state.bindings[name]; })
+        .sort(function(a, b) { return a.sequence - b.sequence; })
+        .map(function(binding) {
+            return { name: binding.name, type: binding.type, count: binding.count, preview: binding.preview, boundAt: binding.boundAt };
+        });
 }
 
 /**
  * Add a function to the state
  * @param {string} sessionId - Session ID
  * @param {string} name - Function name
- * @param {Object} funcInfo - Function information { signature, docstring, namespace }
+ * @param {Object} funcInfo - Function information { signature, docstring, namespace, source,
+ *   messageId: assistant message whose eval defined it }
  */
 function addFunction(sessionId, name, funcInfo) {
+    var func = defineFunction(sessionId, name, funcInfo);
+    recordVersion(sessionId, {
+        kind: 'function',
+        name: name,
+        namespace: func.namespace,
+        source: func.source,
+        info: { signature: func.signature, docstring: func.docstring },
+        messageId: funcInfo.messageId
+    });
+}
+
+/**
+ * Set a function in the state and the store
+ * @returns {Object} The function
+ */
+function defineFunction(sessionId, name, funcInfo) {
     var state = getSessionState(sessionId);
-    state.functions[name] = {
+    var func = state.functions[varKey(funcInfo.namespace, name)] = {
         name: name,
         signature: funcInfo.signature || null,
         docstring: funcInfo.docstring || null,
         namespace: funcInfo.namespace || 'user',
-        definedAt: Date.now()
+        source: funcInfo.source || null,
+        definedAt: Date.now(),
+        sequence: ++definitionSequence
     };
+
+    if (store && funcInfo.source) {
+        store.saveDefinition(sessionId, {
+            kind: 'function',
+            name: name,
+            namespace: func.namespace,
+            source: funcInfo.source,
+            info: { signature: func.signature, docstring: func.docstring }
+        });
+    }
+    return func;
 }
 
 /**
@@ -78,25 +366,557 @@ function addFunction(sessionId, name, funcInfo) {
  * @param {string} sessionId - Session ID
  * @param {string} name - Variable name
  * @param {string} type - Variable type
+ * @param {string} source - Optional source of the defining form
+ * @param {number} messageId - Optional assistant message whose eval defined it
+ * @param {string} namespace - Optional namespace it was defined in (default: user)
+ */
+function addVariable(sessionId, name, type, source, messageId, namespace) {
+    var variable = defineVariable(sessionId, name, type, source, namespace);
+    recordVersion(sessionId, {
+        kind: 'variable',
+        name: name,
+        namespace: variable.namespace,
+        source: source || null,
+        info: { type: type || 'unknown' },
+        messageId: messageId
+    });
+}
+
+/**
+ * Set a variable in the state and the store
+ * @returns {Object} The variable
  */
-function addVariable(sessionId, name, type) {
+function defineVariable(sessionId, name, type, source, namespace) {
     var state = getSessionState(sessionId);
-    state.variables[name] = {
+    var variable = state.variables[varKey(namespace, name)] = {
         name: name,
         type: type || 'unknown',
-        definedAt: Date.now()
+        namespace: namespace || 'user',
+        source: source || null,
+        definedAt: Date.now(),
+        sequence: ++definitionSequence
+    };
+
+    if (store && source) {
+        store.saveDefinition(sessionId, { kind: 'variable', name: name, namespace: variable.namespace, source: source,
+                                          info: { type: variable.type } });
+    }
+    return variable;
+}
+
+/**
+ * Key of a function or variable in the state, vars of the same name in different namespaces
+ * are different vars
+ */
+function varKey(namespace, name) {
+    return (namespace || 'user') + '/' + name;
+}
+
+/**
+ * The function or variable of a name, in the namespace if there is one there, else in any
+ */
+function findVar(defs, name, namespace) {
+    var entry = defs[varKey(namespace, name)];
+    Object.keys(defs).forEach(function(key) {
+        if (!entry && defs[key].name === name) entry = defs[key];
+    });
+    return entry || null;
+}
+
+/**
+ * Record a require/ns/import form that definitions may depend on
+ * @param {string} sessionId - Session ID
+ * @param {string} source - Source of the form
+ * @param {number} messageId - Optional assistant message whose eval made it
+ */
+function addRequire(sessionId, source, messageId) {
+    var state = getSessionState(sessionId);
+    if (source && state.requires.indexOf(source) === -1) {
+        state.requires.push(source);
+        if (store) {
+            store.saveDefinition(sessionId, { kind: 'require', name: source, source: source });
+        }
+        recordVersion(sessionId, { kind: 'require', name: source, source: source, messageId: messageId });
+    }
+}
+
+/**
+ * Append a definition, or the removal of one, to a session's version history
+ * @param {string} sessionId - Session ID
+ * @param {Object} version - { kind: 'require'|'function'|'variable'|'binding', name, namespace, source,
+ *   info, removed, messageId }; source is null for a binding that cannot be made again
+ */
+function recordVersion(sessionId, version) {
+    var state = getSessionState(sessionId);
+    var entry = {
+        kind: version.kind,
+        name: version.name,
+        namespace: version.namespace || null,
+        source: version.source || null,
+        info: version.info || {},
+        removed: !!version.removed,
+        messageId: version.messageId || null,
+        at: Date.now(),
+        sequence: ++definitionSequence
     };
+    state.versions.push(entry);
+    if (store) {
+        store.addVersion(sessionId, entry);
+    }
+}
+
+/**
+ * Get the assistant turns a session can be rolled back to, oldest first
+ * @param {string} sessionId - Session ID
+ * @returns {Array} Array of { messageId, names: vars (re)defined or removed by the turn's evals, at }
+ */
+function getCheckpoints(sessionId) {
+    var checkpoints = [];
+    var byMessage = {};
+    getSessionState(sessionId).versions.forEach(function(version) {
+        if (!version.messageId || version.kind === 'require') return;
+        var checkpoint = byMessage[version.messageId];
+        if (!checkpoint) {
+            checkpoint = byMessage[version.messageId] = { messageId: version.messageId, names: [], at: version.at };
+            checkpoints.push(checkpoint);
+        }
+        if (checkpoint.names.indexOf(version.name) === -1) {
+            checkpoint.names.push(version.name);
+        }
+    });
+    return checkpoints.sort(function(a, b) { return a.messageId - b.messageId; });
+}
+
+/**
+ * Work out how to bring the REPL back to the definitions as of an assistant message
+ * Vars first defined later are unmapped and vars redefined (or removed) later get their
+ * earlier form back; require/ns forms are left alone
+ * @param {string} sessionId - Session ID
+ * @param {number} messageId - Assistant message to roll back to, 0 for before any definition
+ * @returns {Object} { messageId, unmap: [{ kind, name, namespace: null for bindings, which are in the
+ *   chat's namespace }], restore: versions to evaluate in order }
+ */
+function planRollback(sessionId, messageId) {
+    var state = getSessionState(sessionId);
+
+    // The last version of each var as of the message
+    var target = {};
+    state.versions.forEach(function(version) {
+        if (version.kind !== 'require' && (version.messageId || 0) <= messageId) {
+            target[varKey(version.namespace, version.name)] = version;
+        }
+    });
+
+    var current = {};
+    [['function', state.functions], ['variable', state.variables]].forEach(function(kind) {
+        Object.keys(kind[1]).forEach(function(key) {
+            var entry = kind[1][key];
+            current[key] = { kind: kind[0], name: entry.name, namespace: entry.namespace, source: entry.source };
+        });
+    });
+    Object.keys(state.bindings).forEach(function(name) {
+        var binding = state.bindings[name];
+        current[varKey(null, name)] = { kind: 'binding', name: name, namespace: null,
+                                        source: binding.raw ? bindingSource(name, binding.raw) : null };
+    });
+
+    var plan = { messageId: messageId, unmap: [], restore: [] };
+    Object.keys(current).forEach(function(key) {
+        if (!target[key] || target[key].removed) {
+            plan.unmap.push({ kind: current[key].kind, name: current[key].name, namespace: current[key].namespace });
+        }
+    });
+    Object.keys(target).map(function(key) { return target[key]; })
+        .filter(function(version) {
+            // A binding whose value was not printed whole is left as it is
+            var now = current[varKey(version.namespace, version.name)];
+            return !version.removed && version.source && (!now || now.kind !== version.kind || now.source !== version.source);
+        })
+        .sort(function(a, b) { return a.sequence - b.sequence; })
+        .forEach(function(version) {
+            plan.restore.push(version);
+        });
+    return plan;
+}
+
+/**
+ * Update the state after a rollback planned with planRollback was evaluated
+ * @param {string} sessionId - Session ID
+ * @param {Object} plan - Plan from planRollback
+ * @param {Array} failedNames - Names whose earlier form failed to evaluate, left as they were
+ * @returns {Object} { removed: names unmapped, restored: names defined again }
+ */
+function applyRollback(sessionId, plan, failedNames) {
+    var state = getSessionState(sessionId);
+    failedNames = failedNames || [];
+
+    plan.unmap.forEach(function(entry) {
+        forgetVar(sessionId, entry.name, entry.namespace);
+    });
+
+    var restored = [];
+    plan.restore.forEach(function(version) {
+        if (failedNames.indexOf(version.name) !== -1) return;
+        forgetVar(sessionId, version.name, version.namespace);
+        if (version.kind === 'function') {
+            defineFunction(sessionId, version.name, {
+                signature: version.info.signature,
+                docstring: version.info.docstring,
+                namespace: version.namespace,
+                source: version.source
+            });
+        } else if (version.kind === 'variable') {
+            defineVariable(sessionId, version.name, version.info.type, version.source, version.namespace);
+        } else {
+            defineBinding(sessionId, {
+                name: version.name,
+                type: version.info.type,
+                count: version.info.count,
+                preview: version.info.preview,
+                raw: version.info.raw
+            });
+        }
+        restored.push(version.name);
+    });
+
+    state.lastChanges = null;
+    return { removed: plan.unmap.map(function(entry) { return entry.name; }), restored: restored };
+}
+
+/**
+ * Drop the function or variable of a name in a namespace, and a binding of the name, from the
+ * state and the store
+ */
+function forgetVar(sessionId, name, namespace) {
+    var state = getSessionState(sessionId);
+    var key = varKey(namespace, name);
+    if (state.functions[key]) {
+        if (store) store.deleteDefinition(sessionId, 'function', name, state.functions[key].namespace);
+        delete state.functions[key];
+    }
+    if (state.variables[key]) {
+        if (store) store.deleteDefinition(sessionId, 'variable', name, state.variables[key].namespace);
+        delete state.variables[key];
+    }
+    if (state.bindings[name]) {
+        delete state.bindings[name];
+        if (store) store.deleteBinding(sessionId, name);
+    }
+}
+
+/**
+ * Compare two snapshots of a session's vars
+ * @param {Object} previous - Earlier snapshot { ns: { name: info } }, null for none
+ * @param {Object} next - Later snapshot
+ * @returns {Object} { added, changed, removed }, lists of { name: 'ns/name', kind, type, arglists, doc }
+ *   (removed only has name); a var changed if it was redefined or its metadata changed
+ */
+function diffSnapshots(previous, next) {
+    var diff = { added: [], changed: [], removed: [] };
+    previous = previous || {};
+    next = next || {};
+
+    function describe(ns, name, info) {
+        return { name: ns + '/' + name, kind: info.kind, type: info.type, arglists: info.arglists || null, doc: info.doc || null };
+    }
+
+    Object.keys(next).forEach(function(ns) {
+        Object.keys(next[ns]).forEach(function(name) {
+            var before = previous[ns] && previous[ns][name];
+            if (!before) {
+                diff.added.push(describe(ns, name, next[ns][name]));
+            } else if (JSON.stringify(before) !== JSON.stringify(next[ns][name])) {
+                diff.changed.push(describe(ns, name, next[ns][name]));
+            }
+        });
+    });
+    Object.keys(previous).forEach(function(ns) {
+        Object.keys(previous[ns]).forEach(function(name) {
+            if (!next[ns] || !next[ns][name]) {
+                diff.removed.push({ name: ns + '/' + name });
+            }
+        });
+    });
+    return diff;
+}
+
+/**
+ * Record the vars found in the REPL after an eval (repl-talk.result/snapshot) and what changed
+ * Definitions tracked for replay whose var is gone are dropped
+ * @param {string} sessionId - Session ID
+ * @param {Object} snapshot - { ns: { name: { kind, type, arglists, doc, private, file, line, version } } }
+ * @param {number} messageId - Optional assistant message whose eval the snapshot follows
+ * @returns {Object} { added, changed, removed } compared to the previous snapshot
+ */
+function applySnapshot(sessionId, snapshot, messageId) {
+    var state = getSessionState(sessionId);
+    var diff = diffSnapshots(state.snapshot, snapshot);
+
+    diff.removed.forEach(function(removed) {
+        var ns = removed.name.slice(0, removed.name.indexOf('/'));
+        var name = removed.name.slice(removed.name.indexOf('/') + 1);
+        var kind = state.functions[removed.name] ? 'function' : state.variables[removed.name] ? 'variable' : null;
+        if (kind) {
+            forgetVar(sessionId, name, ns);
+            recordVersion(sessionId, { kind: kind, name: name, namespace: ns, removed: true, messageId: messageId });
+        }
+    });
+
+    state.snapshot = snapshot;
+    state.lastChanges = diff;
+    return diff;
+}
+
+/**
+ * Get the forms needed to recreate a session's definitions in a fresh REPL
+ * Requires come first, then definitions in dependency order, then bound results
+ * @param {string} sessionId - Session ID
+ * @returns {Array} Array of source strings
+ */
+function getReplaySources(sessionId) {
+    var state = getSessionState(sessionId);
+    var tracked = getDefinitions(sessionId);
+
+    var sources = tracked.requires.slice();
+    if (tracked.declared.length > 0) {
+        sources.push('(declare ' + tracked.declared.join(' ') + ')');
+    }
+    tracked.definitions.forEach(function(def) {
+        // Several definitions may come from the same form
+        if (sources.indexOf(def.source) === -1) {
+            sources.push(def.source);
+        }
+    });
+
+    // Bound results are rebound from their printed value, which reads back only if it was printed whole
+    var bindings = Object.keys(state.bindings).map(function(name) { return state.bindings[name]; })
+        .filter(function(binding) { return binding.raw; })
+        .sort(function(a, b) { return a.sequence - b.sequence; });
+    bindings.forEach(function(binding) {
+        sources.push('(def ' + binding.name + " '" + binding.raw + ')');
+    });
+    if (bindings.length > 0) {
+        sources.push('(def *last-result* ' + bindings[bindings.length - 1].name + ')');
+    }
+    return sources;
+}
+
+/**
+ * Get the require/ns forms and the definitions tracked for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { requires: sources in evaluation order,
+ *   definitions: [{ kind: 'function'|'variable', name, namespace, source, references }] in dependency order,
+ *   declared: names that refer to each other and must be declared first (see orderDefinitions) }
+ */
+function getDefinitions(sessionId) {
+    var state = getSessionState(sessionId);
+    function list(kind, defs) {
+        return Object.keys(defs).map(function(key) {
+            return { kind: kind, entry: defs[key] };
+        });
+    }
+    var definitions = list('function', state.functions).concat(list('variable', state.variables))
+        .filter(function(def) { return def.entry.source; })
+        .sort(function(a, b) { return a.entry.sequence - b.entry.sequence; })
+        .map(function(def) {
+            var entry = def.entry;
+            return { kind: def.kind, name: entry.name, namespace: entry.namespace, source: entry.source,
+                     references: definitionReferences(entry) };
+        });
+    var ordered = orderDefinitions(definitions);
+    return { requires: state.requires.slice(), definitions: ordered.definitions, declared: ordered.declared };
+}
+
+/**
+ * Order definitions so each comes after the definitions of the vars it uses, which must exist
+ * when a form is compiled; otherwise they keep their order
+ * @param {Array} definitions - [{ name, source, references }] in the order they were (re)defined
+ * @returns {Object} { definitions: in dependency order, declared: names of the definitions that
+ *   refer to each other, left in their order }
+ */
+function orderDefinitions(definitions) {
+    // One node per form, a form may define several names
+    var nodes = [];
+    var bySource = {};
+    definitions.forEach(function(def) {
+        var node = bySource[def.source];
+        if (!node) {
+            node = bySource[def.source] = { definitions: [], names: [], references: [], deps: [] };
+            nodes.push(node);
+        }
+        node.definitions.push(def);
+        // A defmethod ("name (dispatch: val)") adds to its multimethod rather than defining a name
+        if (def.name.indexOf(' ') === -1) node.names.push(def.name);
+        node.references = node.references.concat(def.references || []);
+    });
+
+    var providers = {};
+    nodes.forEach(function(node) {
+        node.names.forEach(function(name) { providers[name] = node; });
+    });
+    nodes.forEach(function(node) {
+        node.references.forEach(function(name) {
+            var provider = providers[name];
+            if (provider && provider !== node && node.deps.indexOf(provider) === -1) {
+                node.deps.push(provider);
+            }
+        });
+    });
+
+    // Repeatedly take the earliest form whose dependencies are all placed
+    var placed = [];
+    var remaining = nodes.slice();
+    var progress = true;
+    while (remaining.length > 0 && progress) {
+        progress = false;
+        for (var i = 0; i < remaining.length; i++) {
+            var ready = remaining[i].deps.every(function(dep) { return placed.indexOf(dep) !== -1; });
+            if (ready) {
+                placed.push(remaining.splice(i, 1)[0]);
+                progress = true;
+                break;
+            }
+        }
+    }
+
+    var declared = [];
+    remaining.forEach(function(node) {
+        declared = declared.concat(node.names);
+    });
+    var ordered = [];
+    placed.concat(remaining).forEach(function(node) {
+        ordered = ordered.concat(node.definitions);
+    });
+    return { definitions: ordered, declared: declared };
+}
+
+/**
+ * Names a tracked function or variable uses, read from its source once
+ * Includes locals and core functions, match them against the session's vars
+ */
+function definitionReferences(entry) {
+    if (!entry.references) {
+        var analysis = codeAnalyzer.analyzeCode(entry.source || '', entry.namespace);
+        var def = analysis.functions.concat(analysis.variables).filter(function(d) { return d.name === entry.name; })[0];
+        entry.references = def ? def.references : [];
+    }
+    return entry.references;
+}
+
+/**
+ * Get which of a session's vars each function and variable uses
+ * @param {string} sessionId - Session ID
+ * @returns {Object} name -> { kind: 'function'|'variable'|'binding', references: names of the
+ *   session's vars it uses, dependents: names of the vars that use it }
+ */
+function getDependencyGraph(sessionId) {
+    var state = getSessionState(sessionId);
+    var graph = {};
+    var entries = {};
+    [['function', state.functions], ['variable', state.variables], ['binding', state.bindings]].forEach(function(kind) {
+        Object.keys(kind[1]).forEach(function(key) {
+            var name = kind[1][key].name;
+            graph[name] = graph[name] || { kind: kind[0], references: [], dependents: [] };
+            if (kind[0] !== 'binding' && !entries[name]) entries[name] = kind[1][key];
+        });
+    });
+
+    Object.keys(graph).forEach(function(name) {
+        var entry = entries[name];
+        if (!entry || !entry.source) return;
+        graph[name].references = definitionReferences(entry).filter(function(ref) {
+            return ref !== name && graph[ref];
+        });
+        graph[name].references.forEach(function(ref) {
+            graph[ref].dependents.push(name);
+        });
+    });
+    return graph;
+}
+
+/**
+ * Get the vars that use any of names, directly or through other vars
+ * @param {string} sessionId - Session ID
+ * @param {Array} names - Var names
+ * @returns {Array} Names of the dependent vars, nearest first, not including names
+ */
+function getDependents(sessionId, names) {
+    var graph = getDependencyGraph(sessionId);
+    var found = [];
+    var queue = names.slice();
+    while (queue.length > 0) {
+        var node = graph[queue.shift()];
+        (node ? node.dependents : []).forEach(function(dependent) {
+            if (names.indexOf(dependent) === -1 && found.indexOf(dependent) === -1) {
+                found.push(dependent);
+                queue.push(dependent);
+            }
+        });
+    }
+    return found;
+}
+
+/**
+ * Work out what code would affect by redefining vars other definitions use
+ * @param {string} sessionId - Session ID
+ * @param {string} code - Code about to be evaluated
+ * @param {string} namespace - Namespace it is evaluated in
+ * @returns {Array} [{ name, dependents, signature: { from, to } when a function's arguments change, or null }]
+ *   for each redefined var something else uses; dependents redefined by the same code are left out
+ */
+function getRedefinitionImpact(sessionId, code, namespace) {
+    var state = getSessionState(sessionId);
+    var analysis = codeAnalyzer.analyzeCode(code, namespace);
+    var definitions = analysis.functions.concat(analysis.variables);
+    var redefined = definitions.map(function(def) { return def.name; });
+
+    function normalize(signature) {
+        return signature ? signature.replace(/\s+/g, ' ').trim() : null;
+    }
+
+    var impact = [];
+    definitions.forEach(function(def) {
+        var func = findVar(state.functions, def.name, def.namespace);
+        if (!func && !findVar(state.variables, def.name, def.namespace)) return;
+        var dependents = getDependents(sessionId, [def.name]).filter(function(name) {
+            return redefined.indexOf(name) === -1;
+        });
+        if (dependents.length === 0) return;
+
+        var before = func ? normalize(func.signature) : null;
+        var after = def.signature ? normalize(def.signature) : null;
+        impact.push({
+            name: def.name,
+            dependents: dependents,
+            signature: before && after && before !== after ? { from: before, to: after } : null
+        });
+    });
+    return impact;
+}
+
+/**
+ * Get IDs of all sessions with tracked state
+ * @returns {Array} Array of session IDs
+ */
+function getSessionIds() {
+    return Object.keys(sessionStates);
 }
 
 /**
  * Get state summary for a session (formatted for AI)
+ * With more than options.maxFunctions functions, only the ones relevant to options.relevantTo
+ * are listed: those it mentions, those the last eval changed, and the vars they use
  * @param {string} sessionId - Session ID
- * @returns {Object} State summary
+ * @param {Object} options - Optional { relevantTo: text of the request, maxFunctions (0 lists all) }
+ * @returns {Object} State summary, with functionsOmitted when functions were left out
  */
-function getStateSummary(sessionId) {
+function getStateSummary(sessionId, options) {
+    options = options || {};
     var state = getSessionState(sessionId);
+    var hasChanges = state.lastChanges && (state.lastChanges.added.length > 0 ||
+                                           state.lastChanges.changed.length > 0 || state.lastChanges.removed.length > 0);
 
-    return {
+    var summary = {
         lastResult: state.lastResult ? {
             type: state.lastResult.type,
             preview: getValuePreview(state.lastResult.value),
@@ -109,7 +929,7 @@ function getStateSummary(sessionId) {
                 timestamp: r.timestamp
             };
         }),
-        functions: Object.keys(state.functions).map(function(name) {
+        functions: state.snapshot ? snapshotVars(state.snapshot, true) : Object.keys(state.functions).map(function(name) {
             var func = state.functions[name];
             return {
                 name: func.name,
@@ -118,14 +938,88 @@ function getStateSummary(sessionId) {
                 namespace: func.namespace
             };
         }),
-        variables: Object.keys(state.variables).map(function(name) {
+        variables: state.snapshot ? snapshotVars(state.snapshot, false) : Object.keys(state.variables).map(function(name) {
             var varInfo = state.variables[name];
             return {
                 name: varInfo.name,
                 type: varInfo.type
             };
-        })
+        }),
+        // Results bound with ;; bind-result, referenced by name in later code
+        bindings: getBindings(sessionId),
+        // What the last eval added, redefined or removed
+        changes: hasChanges ? state.lastChanges : undefined
     };
+
+    if (options.maxFunctions && options.relevantTo && summary.functions.length > options.maxFunctions) {
+        var relevant = relevantNames(sessionId, options.relevantTo);
+        var total = summary.functions.length;
+        summary.functions = summary.functions.filter(function(func) { return relevant.indexOf(func.name) !== -1; });
+        summary.functionsOmitted = total - summary.functions.length;
+    }
+    return summary;
+}
+
+/**
+ * Names of the vars a request is about: the ones it mentions and the ones the last eval changed,
+ * with every var they use
+ * @param {string} sessionId - Session ID
+ * @param {string} text - Text of the request
+ * @returns {Array} Var names
+ */
+function relevantNames(sessionId, text) {
+    var state = getSessionState(sessionId);
+    var graph = getDependencyGraph(sessionId);
+    var words = (text.toLowerCase().match(/[^\s,()[\]{}"'`;]+/g) || []).map(function(word) {
+        return word.replace(/[.:]+$/, '');
+    });
+    var phrase = ' ' + words.join(' ').replace(/-/g, ' ') + ' ';
+
+    var names = Object.keys(graph).filter(function(name) {
+        var lower = name.toLowerCase();
+        // shout-all is mentioned by "shout-all" as well as by "shout all"
+        return words.indexOf(lower) !== -1 || phrase.indexOf(' ' + lower.replace(/-/g, ' ') + ' ') !== -1;
+    });
+    if (state.lastChanges) {
+        state.lastChanges.added.concat(state.lastChanges.changed).forEach(function(change) {
+            var name = change.name.slice(change.name.indexOf('/') + 1);
+            if (names.indexOf(name) === -1) names.push(name);
+        });
+    }
+
+    for (var i = 0; i < names.length; i++) {
+        (graph[names[i]] ? graph[names[i]].references : []).forEach(function(ref) {
+            if (names.indexOf(ref) === -1) names.push(ref);
+        });
+    }
+    return names;
+}
+
+/**
+ * List the functions (functions, macros, multimethods) or the other vars of a snapshot
+ * in the shape of the tracked functions and variables
+ */
+function snapshotVars(snapshot, functions) {
+    var vars = [];
+    Object.keys(snapshot).forEach(function(ns) {
+        Object.keys(snapshot[ns]).forEach(function(name) {
+            var info = snapshot[ns][name];
+            var isFunction = info.kind === 'function' || info.kind === 'macro' || info.kind === 'multimethod';
+            if (isFunction !== functions) return;
+            vars.push(functions ? {
+                name: name,
+                signature: info.arglists ? info.arglists.join(' ') : null,
+                docstring: info.doc || null,
+                namespace: ns,
+                kind: info.kind
+            } : {
+                name: name,
+                type: info.type,
+                namespace: ns
+            });
+        });
+    });
+    return vars;
 }
 
 /**
@@ -159,11 +1053,31 @@ function getValuePreview(value) {
 }
 
 module.exports = {
+    setStore: setStore,
     getSessionState: getSessionState,
+    hasSessionState: hasSessionState,
     clearSessionState: clearSessionState,
+    unloadSessionState: unloadSessionState,
     updateLastResult: updateLastResult,
     addFunction: addFunction,
     addVariable: addVariable,
+    addRequire: addRequire,
+    getCheckpoints: getCheckpoints,
+    planRollback: planRollback,
+    applyRollback: applyRollback,
+    nextBindingName: nextBindingName,
+    addBinding: addBinding,
+    removeBinding: removeBinding,
+    getBindings: getBindings,
+    getReplaySources: getReplaySources,
+    getDefinitions: getDefinitions,
+    orderDefinitions: orderDefinitions,
+    getDependencyGraph: getDependencyGraph,
+    getDependents: getDependents,
+    getRedefinitionImpact: getRedefinitionImpact,
+    diffSnapshots: diffSnapshots,
+    applySnapshot: applySnapshot,
+    getSessionIds: getSessionIds,
     getStateSummary: getStateSummary
 };
 
@@ -1,18 +1,24 @@
-/*global module,console*/
+/*global module,require,Buffer*/
 
 /**
  * Handles serialization of Clojure nREPL results to JSON
  * and determines visualization type for canvas rendering
  */
 
+var ednReader = require('./edn-reader');
+
 /**
  * Serialize Clojure result from nREPL to JSON
  * Handles maps, lists, strings, numbers, keywords, etc.
  * @param {Array} nreplMessages - Array of nREPL messages
  * @param {number} executionTime - Execution time in milliseconds (optional)
+ * @param {Object} options - Optional settings
+ *   - maxValueBytes: cut value and raw down to about this many bytes, recording where in truncation
  * @returns {Object} Serialized result with structured logs
  */
-function serializeResult(nreplMessages, executionTime) {
+function serializeResult(nreplMessages, executionTime, options) {
+    var maxValueBytes = options && options.maxValueBytes;
+
     if (!nreplMessages || nreplMessages.length === 0) {
         return { value: null, error: null, type: 'null', logs: [], executionTime: executionTime };
     }
@@ -29,6 +35,7 @@ function serializeResult(nreplMessages, executionTime) {
     var timestamp = new Date().toISOString();
 
     var hasErrorStatus = false;
+    var wasInterrupted = false;
 
     nreplMessages.forEach(function(msg) {
         if (msg.value !== undefined && msg.value !== null) {
@@ -68,6 +75,10 @@ function serializeResult(nreplMessages, executionTime) {
         if (msg.status && msg.status.indexOf('error') > -1) {
             hasErrorStatus = true;
         }
+        // An interrupted eval is reported with its own status, not as an error
+        if (msg.status && msg.status.indexOf('interrupted') > -1) {
+            wasInterrupted = true;
+        }
 
         if (msg.ex) {
             // msg.ex might be a Java class name or error message
@@ -94,6 +105,18 @@ function serializeResult(nreplMessages, executionTime) {
         }
     });
 
+    if (wasInterrupted) {
+        return {
+            value: null,
+            error: 'Evaluation interrupted',
+            type: 'interrupted',
+            stdout: out || undefined,
+            stderr: err || undefined,
+            logs: logs,
+            executionTime: executionTime
+        };
+    }
+
     // If we have error status but no error yet, try to set error from available sources
     if (hasErrorStatus && !error) {
         // Prefer rootCause, then rootEx, then err
@@ -148,322 +171,276 @@ function serializeResult(nreplMessages, executionTime) {
         };
     }
 
-    // Try to parse the value as Clojure data structure
-    // nREPL returns values as strings, so we need to parse them
-    var parsedValue = null;
-    var parseError = null;
-    var useRawValue = false;
+    // nREPL returns values as printed Clojure, read them back as EDN.
+    // edn keeps the Clojure types (keywords, sets, ratios, ...), value is plain JS
+    if (value === null || value === undefined) {
+        return { value: null, type: 'null', stdout: out || undefined, stderr: err || undefined,
+                 logs: logs, executionTime: executionTime };
+    }
+
+    var edn;
+    try {
+        edn = ednReader.readString(value);
+    } catch (e) {
+        return {
+            value: null,
+            raw: limitString(value, maxValueBytes),
+            type: 'unreadable',
+            stdout: out || undefined,
+            stderr: err || undefined,
+            parseError: 'Could not read the result as EDN: ' + e.message,
+            logs: logs,
+            executionTime: executionTime
+        };
+    }
 
-    if (value !== null && value !== undefined) {
+    // Results wrapped by evalClojure arrive as JSON with a type sidecar (see clojure-helpers.js)
+    var truncation = [];
+    var resultId;
+    var page;
+    if (edn && edn.type === 'tagged' && edn.tag === 'repl-talk/json' && typeof edn.value === 'string') {
         try {
-            // Try to parse as JSON first (if it's already JSON)
-            parsedValue = JSON.parse(value);
-        } catch (e1) {
-            try {
-                // Try to parse as Clojure EDN-like structure
-                parsedValue = parseClojureValue(value);
-
-                // Validate the parsed result - check if it's clearly malformed
-                if (!isValidParsedResult(parsedValue, value)) {
-                    console.warn('Parsed result appears malformed, falling back to raw value');
-                    useRawValue = true;
-                    parsedValue = value;
-                    parseError = 'Parsing produced malformed result';
-                }
-            } catch (e2) {
-                // If parsing fails, treat as string
-                parsedValue = value;
-                parseError = e2.message;
-            }
+            var decoded = decodeJSONResult(edn.value);
+            edn = decoded.edn;
+            truncation = decoded.truncation;
+            resultId = decoded.id;
+            page = decoded.page;
+            value = ednReader.printString(edn);
+        } catch (e) {
+            return {
+                value: null,
+                raw: limitString(value, maxValueBytes),
+                type: 'unreadable',
+                stdout: out || undefined,
+                stderr: err || undefined,
+                parseError: 'Could not decode the JSON result: ' + e.message,
+                logs: logs,
+                executionTime: executionTime
+            };
         }
     }
 
-    // Determine result type for visualization
-    // If we're using raw value, treat it as a string
-    var resultType = useRawValue ? 'string' : determineType(parsedValue);
-
+    var parsedValue = ednReader.toJS(edn);
+    var type = determineType(parsedValue, edn);
+    if (maxValueBytes) {
+        parsedValue = limitValueSize(parsedValue, maxValueBytes, '', truncation);
+    }
     return {
         value: parsedValue,
-        raw: value,
-        type: resultType,
+        raw: limitString(value, maxValueBytes),
+        edn: edn,
+        type: type,
+        truncated: truncation.length > 0 || undefined,
+        truncation: truncation.length > 0 ? truncation : undefined,
+        resultId: resultId,
+        page: page,
         stdout: out || undefined,
         stderr: err || undefined,
-        parseError: parseError || undefined,
         logs: logs,
         executionTime: executionTime
     };
 }
 
 /**
- * Validate that a parsed result is not clearly malformed
- * Returns false if the result appears to be a parsing failure
+ * JSON pointer of a child of the value at path
  */
-function isValidParsedResult(parsed, raw) {
-    if (typeof parsed === 'string') {
-        // If raw value looks like a complex structure but parsed is just a string,
-        // it might be a parsing failure
-        var rawTrimmed = raw.trim();
-        if ((rawTrimmed.startsWith('[') || rawTrimmed.startsWith('{') || rawTrimmed.startsWith('(')) &&
-            !rawTrimmed.startsWith('"')) {
-            // Raw looks like a collection but parsed is a string - likely malformed
-            return false;
-        }
-        return true;
-    }
-
-    if (Array.isArray(parsed)) {
-        // Check if array contains string fragments that look like parsing failures
-        // e.g., ['{:name', '".cursor",', ':size'] instead of [{name: '.cursor', size: ...}]
-        if (parsed.length > 0) {
-            var firstItem = parsed[0];
-            // If first item is a string that looks like a fragment of a map/vector
-            if (typeof firstItem === 'string') {
-                // Check for common patterns that indicate parsing failure
-                if (firstItem.startsWith('{') || firstItem.startsWith('[') ||
-                    firstItem.startsWith(':') && firstItem.length < 50) {
-                    // Check if raw value suggests this should be objects, not strings
-                    var rawTrimmed = raw.trim();
-                    if (rawTrimmed.startsWith('[') && rawTrimmed.includes('{:') &&
-                        parsed.every(function(item) { return typeof item === 'string'; })) {
-                        // Array of strings when we expect objects - likely malformed
-                        return false;
-                    }
-                }
-            }
-        }
-        return true;
-    }
-
-    if (typeof parsed === 'object' && parsed !== null) {
-        // Check if object is empty when raw suggests it should have content
-        var keys = Object.keys(parsed);
-        var rawTrimmed = raw.trim();
-        if (keys.length === 0 && rawTrimmed.startsWith('{') && rawTrimmed.length > 2) {
-            // Empty object when raw suggests content - might be malformed
-            return false;
-        }
-        return true;
-    }
-
-    return true;
+function childPath(path, key) {
+    return path + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
 }
 
 /**
- * Parse Clojure EDN-like value with proper bracket/brace awareness
- * Handles nested structures (vectors, lists, maps)
+ * Size of a value as JSON in bytes
  */
-function parseClojureValue(str) {
-    str = str.trim();
-    if (str === '') return str;
-
-    // Try to detect and parse common Clojure structures
-    if (str === 'nil') return null;
-    if (str === 'true') return true;
-    if (str === 'false') return false;
-
-    // Try to parse as number
-    if (/^-?\d+$/.test(str)) {
-        return parseInt(str, 10);
-    }
-    if (/^-?\d+\.\d+$/.test(str)) {
-        return parseFloat(str);
-    }
-
-    // Try to parse as string (starts and ends with ")
-    if (str.startsWith('"') && str.endsWith('"')) {
-        try {
-            return JSON.parse(str); // JSON strings are compatible
-        } catch (e) {
-            // If JSON parsing fails, return the string without quotes
-            return str.slice(1, -1);
-        }
-    }
+function jsonSize(value) {
+    return Buffer.byteLength(JSON.stringify(value === undefined ? null : value));
+}
 
-    // Try to parse as keyword (starts with :)
-    if (str.startsWith(':')) {
+/**
+ * Cut a string down to about maxBytes bytes, marking the cut with ' ...'
+ * @returns {string} The string itself when it fits or no limit is given
+ */
+function limitString(str, maxBytes) {
+    if (!maxBytes || typeof str !== 'string' || Buffer.byteLength(str) <= maxBytes) {
         return str;
     }
-
-    // Try to parse as vector (starts with [ and ends with ])
-    if (str.startsWith('[') && str.endsWith(']')) {
-        return parseCollection(str, '[', ']');
-    }
-
-    // Try to parse as list (starts with ( and ends with ))
-    if (str.startsWith('(') && str.endsWith(')')) {
-        return parseCollection(str, '(', ')');
-    }
-
-    // Try to parse as map (starts with { and ends with })
-    if (str.startsWith('{') && str.endsWith('}')) {
-        return parseMap(str);
-    }
-
-    // Default: return as string
-    return str;
+    return Buffer.from(str).subarray(0, maxBytes).toString().replace(/\uFFFD$/, '') + ' ...';
 }
 
 /**
- * Parse a collection (vector or list) with proper bracket matching
+ * Cut a plain JS value down to about maxBytes bytes of JSON, keeping a prefix of each
+ * collection and string that does not fit
+ * @param {*} value - Plain JS value
+ * @param {number} maxBytes - Size limit
+ * @param {string} path - JSON pointer of the value
+ * @param {Array} markers - Receives { path, shown, total, reason: 'bytes' } for every cut
+ * @returns {*} The value itself when it fits
  */
-function parseCollection(str, openChar, closeChar) {
-    var inner = str.slice(1, -1).trim();
-    if (inner === '') return [];
-
-    var items = [];
-    var current = '';
-    var depth = 0;
-    var inString = false;
-    var escapeNext = false;
-
-    for (var i = 0; i < inner.length; i++) {
-        var char = inner[i];
-        var prevChar = i > 0 ? inner[i - 1] : '';
-
-        if (escapeNext) {
-            current += char;
-            escapeNext = false;
-            continue;
-        }
-
-        if (char === '\\') {
-            current += char;
-            escapeNext = true;
-            continue;
-        }
-
-        if (char === '"' && prevChar !== '\\') {
-            inString = !inString;
-            current += char;
-            continue;
-        }
+function limitValueSize(value, maxBytes, path, markers) {
+    if (jsonSize(value) <= maxBytes) {
+        return value;
+    }
 
-        if (inString) {
-            current += char;
-            continue;
+    if (typeof value === 'string') {
+        // Longest prefix that fits, a character takes at least one byte
+        var low = 0;
+        var high = Math.min(value.length, maxBytes);
+        while (low < high) {
+            var middle = Math.ceil((low + high) / 2);
+            if (jsonSize(value.slice(0, middle)) <= maxBytes) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
         }
+        var cut = value.slice(0, low);
+        markers.push({ path: path, shown: cut.length, total: value.length, reason: 'bytes' });
+        return cut;
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
 
-        // Track depth for nested structures
-        if (char === '[' || char === '(' || char === '{') {
-            depth++;
-            current += char;
-        } else if (char === ']' || char === ')' || char === '}') {
-            depth--;
-            current += char;
-        } else if (depth === 0 && (char === ' ' || char === '\n' || char === '\t')) {
-            // Only split on whitespace when at top level
-            if (current.trim()) {
-                items.push(current.trim());
-                current = '';
+    var isArray = Array.isArray(value);
+    var keys = isArray ? null : Object.keys(value);
+    var total = isArray ? value.length : keys.length;
+    var limited = isArray ? [] : {};
+    var used = 2;
+    for (var i = 0; i < total; i++) {
+        var key = isArray ? i : keys[i];
+        var separator = (i > 0 ? 1 : 0) + (isArray ? 0 : jsonSize(key) + 1);
+        var size = separator + jsonSize(value[key]);
+        if (used + size > maxBytes) {
+            // Keep the start of the item that does not fit if there is room for it
+            var room = maxBytes - used - separator;
+            if (room > 16 && value[key] !== null && (typeof value[key] === 'object' || typeof value[key] === 'string')) {
+                limited[key] = limitValueSize(value[key], room, childPath(path, key), markers);
+                i++;
             }
-        } else {
-            current += char;
+            break;
         }
+        limited[key] = value[key];
+        used += size;
     }
-
-    // Add the last item if any
-    if (current.trim()) {
-        items.push(current.trim());
+    if (i < total) {
+        markers.push({ path: path, shown: i, total: total, reason: 'bytes' });
     }
-
-    return items.map(parseClojureValue);
+    return limited;
 }
 
 /**
- * Parse a map with proper brace matching
+ * Decode a JSON result envelope into the typed representation of edn-reader.js
+ * @param {string} json - Envelope { value, types, keys, truncated, id, page }
+ * @returns {Object} { edn, truncation, id, page } where truncation lists the collections
+ *   cut at the length or level limit as { path, shown, total, reason }
  */
-function parseMap(str) {
-    var inner = str.slice(1, -1).trim();
-    if (inner === '') return {};
-
-    var map = {};
-    var current = '';
-    var depth = 0;
-    var inString = false;
-    var escapeNext = false;
-    var key = null;
-    var keyStart = 0;
-
-    for (var i = 0; i < inner.length; i++) {
-        var char = inner[i];
-        var prevChar = i > 0 ? inner[i - 1] : '';
-
-        if (escapeNext) {
-            current += char;
-            escapeNext = false;
-            continue;
-        }
+function decodeJSONResult(json) {
+    var envelope = JSON.parse(json);
+    var types = envelope.types || {};
+    var keyTypes = envelope.keys || {};
+    var truncatedPaths = envelope.truncated || {};
+
+    // Built directly rather than read, (keyword "a b") is not readable but still a keyword
+    function named(type, str) {
+        var slash = str.indexOf('/');
+        if (slash > 0 && slash < str.length - 1) {
+            return { type: type, ns: str.slice(0, slash), name: str.slice(slash + 1) };
+        }
+        return { type: type, ns: null, name: str };
+    }
 
-        if (char === '\\') {
-            current += char;
-            escapeNext = true;
-            continue;
-        }
+    function decodeItems(items, path) {
+        return items.map(function(item, index) {
+            return decode(item, childPath(path, index));
+        });
+    }
 
-        if (char === '"' && prevChar !== '\\') {
-            inString = !inString;
-            current += char;
-            continue;
+    function decodeMap(value, path) {
+        if (keyTypes[path] === 'entries') {
+            return {
+                type: 'map',
+                entries: value.map(function(entry, index) {
+                    return [decode(entry[0], path + '/' + index + '/0'), decode(entry[1], path + '/' + index + '/1')];
+                })
+            };
         }
+        return {
+            type: 'map',
+            entries: Object.keys(value).map(function(key) {
+                var mapKey = keyTypes[path] === 'keyword' ? named('keyword', key) : key;
+                return [mapKey, decode(value[key], childPath(path, key))];
+            })
+        };
+    }
 
-        if (inString) {
-            current += char;
-            continue;
-        }
+    function decode(value, path) {
+        var type = types[path] || '';
+        var node;
 
-        // Track depth for nested structures
-        if (char === '[' || char === '(' || char === '{') {
-            depth++;
-            current += char;
-        } else if (char === ']' || char === ')' || char === '}') {
-            depth--;
-            current += char;
-        } else if (depth === 0) {
-            if (char === ' ' || char === '\n' || char === '\t' || char === ',') {
-                // Whitespace or comma at top level
-                if (current.trim()) {
-                    if (key === null) {
-                        // This is a key
-                        key = current.trim();
-                        current = '';
-                    } else {
-                        // This is a value
-                        var parsedKey = parseClojureValue(key);
-                        var parsedValue = parseClojureValue(current.trim());
-                        // Convert keyword to string key
-                        var mapKey = typeof parsedKey === 'string' && parsedKey.startsWith(':')
-                            ? parsedKey.slice(1)
-                            : String(parsedKey);
-                        map[mapKey] = parsedValue;
-                        key = null;
-                        current = '';
-                    }
-                }
-            } else {
-                current += char;
+        if (type === 'keyword') return named('keyword', value);
+        if (type === 'symbol') return named('symbol', value);
+        if (type === 'edn') return ednReader.readString(value);
+        if (type.indexOf('object:') === 0) {
+            // Usually printed like #object[java.io.File 0x1a2b "file.txt"], otherwise keep the class and the printed form
+            try {
+                return ednReader.readString(value);
+            } catch (e) {
+                return { type: 'tagged', tag: 'object', value: {
+                    type: 'vector', items: [{ type: 'symbol', ns: null, name: type.slice(7) }, value]
+                } };
             }
+        }
+        // Left out at the level limit, printed like Clojure's ... for *print-length*
+        if (type === 'elided') return { type: 'symbol', ns: null, name: '...' };
+        if (type.indexOf('record:') === 0) {
+            node = { type: 'tagged', tag: type.slice(7), value: decodeMap(value, path) };
+        } else if (Array.isArray(value) && keyTypes[path] !== 'entries') {
+            node = { type: type === 'set' ? 'set' : type === 'list' ? 'list' : 'vector', items: decodeItems(value, path) };
+        } else if (value !== null && typeof value === 'object') {
+            node = decodeMap(value, path);
         } else {
-            current += char;
+            return value;
         }
-    }
 
-    // Handle the last key-value pair
-    if (current.trim()) {
-        if (key === null) {
-            // Odd number of elements - malformed map, return empty
-            console.warn('Malformed map: odd number of elements');
-            return {};
-        } else {
-            var parsedKey = parseClojureValue(key);
-            var parsedValue = parseClojureValue(current.trim());
-            var mapKey = typeof parsedKey === 'string' && parsedKey.startsWith(':')
-                ? parsedKey.slice(1)
-                : String(parsedKey);
-            map[mapKey] = parsedValue;
+        if (truncatedPaths[path]) {
+            node.truncated = { shown: truncatedPaths[path].shown, total: truncatedPaths[path].total };
         }
+        return node;
     }
 
-    return map;
+    return {
+        edn: decode(envelope.value, ''),
+        truncation: Object.keys(truncatedPaths).map(function(path) {
+            var marker = truncatedPaths[path];
+            return { path: path, shown: marker.shown, total: marker.total, reason: marker.reason };
+        }),
+        id: envelope.id,
+        page: envelope.page
+    };
+}
+
+/**
+ * Build a timeout result from the messages received before an eval timed out
+ * Keeps any partial stdout/stderr so the AI can see how far the code got
+ * @param {Array} partialMessages - nREPL messages received so far
+ * @param {number} elapsed - Time the eval ran before timing out, in milliseconds
+ * @returns {Object} Serialized result with type 'timeout'
+ */
+function serializeTimeout(partialMessages, elapsed) {
+    var outputOnly = (partialMessages || []).map(function(msg) {
+        return { out: msg.out, err: msg.err };
+    });
+    var partial = serializeResult(outputOnly, elapsed);
+
+    return {
+        value: null,
+        error: 'Evaluation timed out after ' + elapsed + 'ms',
+        type: 'timeout',
+        elapsed: elapsed,
+        stdout: partial.stdout,
+        stderr: partial.stderr,
+        logs: partial.logs,
+        executionTime: elapsed
+    };
 }
 
 /**
@@ -485,8 +462,10 @@ function isHTML(str) {
 
 /**
  * Determine the type of result for visualization routing
+ * @param {*} value - Plain JS value
+ * @param {*} edn - Optional typed representation of the value (see edn-reader.js)
  */
-function determineType(value) {
+function determineType(value, edn) {
     if (value === null || value === undefined) {
         return 'null';
     }
@@ -514,6 +493,11 @@ function determineType(value) {
         return 'string';
     }
 
+    // Sets become arrays in JS, keep them apart from vectors
+    if (edn && edn.type === 'set') {
+        return 'set';
+    }
+
     if (Array.isArray(value)) {
         // Check if array of numbers (potential chart data)
         if (value.length > 0 && typeof value[0] === 'number') {
@@ -545,6 +529,147 @@ function determineType(value) {
     return 'unknown';
 }
 
+/**
+ * Error categories, checked in order against the exception types and messages of an error
+ * (root cause first) or, without structured data, against the error text
+ */
+var ERROR_CATEGORIES = [
+    { category: 'syntax', phases: ['read-source'],
+      pattern: /EOF while reading|Unmatched delimiter|Unexpected EOF|Invalid token|ReaderException|Map literal must contain an even number/i,
+      hint: 'The code could not be read. Check for unbalanced parentheses, brackets and quotes.' },
+    { category: 'unresolved-symbol', pattern: /Unable to resolve symbol|Could not resolve symbol|No such var|No such namespace/i,
+      hint: 'A symbol could not be resolved. Check its spelling, define it first or require its namespace.' },
+    { category: 'missing-dependency', pattern: /Could not locate|Could not find namespace|ClassNotFoundException|Unable to resolve classname/i,
+      hint: 'Missing dependency. Add proper require statement.' },
+    { category: 'arity', pattern: /ArityException|Wrong number of args/i,
+      hint: 'Wrong number of arguments. Check function signature.' },
+    { category: 'null-pointer', pattern: /NullPointerException/,
+      hint: 'A nil value was used where a value was expected. Check for missing keys or empty results.' },
+    { category: 'type', pattern: /ClassCastException|IllegalArgumentException|cannot be cast|Don't know how to create ISeq/i,
+      hint: 'Type mismatch error. Check data types and conversions.' },
+    { category: 'io', pattern: /FileNotFoundException|NoSuchFileException|No such file|AccessDeniedException|IOException/,
+      hint: 'File or path not found. Verify the path exists.' },
+    { category: 'index', pattern: /IndexOutOfBoundsException/,
+      hint: 'An index is out of range. Check collection sizes before using nth or get.' },
+    { category: 'arithmetic', pattern: /ArithmeticException|Divide by zero/i,
+      hint: 'Arithmetic error, e.g. a division by zero. Check the numbers involved.' },
+    { category: 'compile', phases: ['macro-syntax-check', 'macroexpansion', 'compile-syntax-check', 'compilation'],
+      pattern: /CompilerException|Syntax error/,
+      hint: 'Syntax error. Review Clojure syntax.' },
+    { category: 'assertion', pattern: /AssertionError|Assert failed/,
+      hint: 'An assertion or precondition failed. Check the values passed in.' },
+    { category: 'ex-info', pattern: /ExceptionInfo/,
+      hint: 'The code threw ex-info. Its message and data explain why.' }
+];
+
+/**
+ * Namespaces and class prefixes of frames that are not user code
+ */
+var SYSTEM_FRAME_PATTERN = /^(clojure\.|java\.|javax\.|jdk\.|sun\.|sci\.|babashka\.|nrepl\.|repl_talk\.|cheshire\.)/;
+
+/**
+ * Categorize an error
+ * @param {Array} texts - Exception types and messages, most specific (root cause) first
+ * @param {string} phase - Optional Clojure error phase (e.g. 'read-source', 'compile-syntax-check')
+ * @returns {Object} { category, hint }, category is 'other' if no rule matches
+ */
+function categorizeError(texts, phase) {
+    for (var t = 0; t < texts.length; t++) {
+        for (var i = 0; i < ERROR_CATEGORIES.length; i++) {
+            if (texts[t] && ERROR_CATEGORIES[i].pattern.test(texts[t])) {
+                return { category: ERROR_CATEGORIES[i].category, hint: ERROR_CATEGORIES[i].hint };
+            }
+        }
+    }
+    for (var p = 0; phase && p < ERROR_CATEGORIES.length; p++) {
+        if (ERROR_CATEGORIES[p].phases && ERROR_CATEGORIES[p].phases.indexOf(phase) > -1) {
+            return { category: ERROR_CATEGORIES[p].category, hint: ERROR_CATEGORIES[p].hint };
+        }
+    }
+    return { category: 'other', hint: null };
+}
+
+/**
+ * Build the structured description of a failed evaluation from repl-talk.result/error-data
+ * @param {Object} data - Plain JS value of error-data { via, cause, data, phase, location, trace }
+ * @param {Object} options - Optional settings
+ *   - code: the snippet that was submitted, to quote the failing line
+ *   - lineOffset: lines the evaluated code had in front of the snippet (e.g. a wrapper)
+ * @returns {Object|null} { category, hint, cause, causeType, phase, via, data, location, userFrame, trace },
+ *   location and userFrame lines are lines of the snippet
+ */
+function structureException(data, options) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.via)) {
+        return null;
+    }
+    options = options || {};
+    var lineOffset = options.lineOffset || 0;
+    var snippetLines = typeof options.code === 'string' ? options.code.split('\n') : null;
+
+    // Line of the evaluated code -> line of the snippet, null when it falls outside of it
+    function snippetLine(line) {
+        if (typeof line !== 'number') return null;
+        var mapped = line - lineOffset;
+        if (mapped < 1 || (snippetLines && mapped > snippetLines.length)) return null;
+        return mapped;
+    }
+
+    var via = data.via.map(function(entry) {
+        return { type: entry.type, message: entry.message || null, data: entry.data || null };
+    });
+    var root = via[via.length - 1] || {};
+    var trace = Array.isArray(data.trace) ? data.trace : [];
+
+    var texts = [];
+    via.slice().reverse().forEach(function(entry) {
+        texts.push(entry.type + ': ' + (entry.message || ''));
+    });
+    var categorized = categorizeError(texts, data.phase);
+
+    var location = null;
+    var locationLine = data.location && snippetLine(data.location.line);
+    if (locationLine) {
+        location = {
+            line: locationLine,
+            column: data.location.column || null,
+            source: snippetLines ? snippetLines[locationLine - 1] : null
+        };
+    }
+
+    // Evaluated code runs as classes like user$eval123 or demo$my_fn, with NO_SOURCE_FILE
+    // or no file; otherwise the failing form is the closest thing to a user frame
+    var userFrame = null;
+    for (var i = 0; i < trace.length; i++) {
+        var frame = trace[i];
+        if (!SYSTEM_FRAME_PATTERN.test(frame.class || '') &&
+            (!frame.file || frame.file === 'NO_SOURCE_FILE' || /^NO_SOURCE_PATH|\.clj[cs]?$/.test(frame.file))) {
+            userFrame = {
+                name: (frame.class || '').replace(/\$/g, '/').replace(/_/g, '-'),
+                method: frame.method,
+                file: frame.file || null,
+                line: snippetLine(frame.line)
+            };
+            break;
+        }
+    }
+    if (!userFrame && location) {
+        userFrame = { name: null, method: null, file: data.location.file || null, line: location.line, column: location.column };
+    }
+
+    return {
+        category: categorized.category,
+        hint: categorized.hint,
+        cause: data.cause || root.message || null,
+        causeType: root.type || null,
+        phase: data.phase || null,
+        via: via,
+        data: data.data || null,
+        location: location,
+        userFrame: userFrame,
+        trace: trace
+    };
+}
+
 /**
  * Format result for display in canvas
  */
@@ -556,10 +681,19 @@ function formatForVisualization(result) {
         stdout: result.stdout,
         stderr: result.stderr,
         error: result.error,
+        parseError: result.parseError,
+        truncated: result.truncated,
+        truncation: result.truncation,
+        resultId: result.resultId,
+        page: result.page,
         logs: result.logs || [],
         executionTime: result.executionTime
     };
 
+    if (result.type === 'timeout') {
+        formatted.elapsed = result.elapsed;
+    }
+
     // Enhanced error formatting for AI consumption
     if (result.type === 'error' && result.error) {
         // Add structured error information to help AI understand and fix
@@ -569,17 +703,19 @@ function formatForVisualization(result) {
             context: 'Code execution failed. Analyze the error and generate corrected code.'
         };
 
-        // Provide hints based on error patterns
-        if (result.error.includes('IllegalArgumentException')) {
-            formatted.errorDetails.hint = 'Type mismatch error. Check data types and conversions.';
-        } else if (result.error.includes('FileNotFoundException') || result.error.includes('No such file')) {
-            formatted.errorDetails.hint = 'File or path not found. Verify the path exists.';
-        } else if (result.error.includes('ClassNotFoundException') || result.error.includes('Could not locate')) {
-            formatted.errorDetails.hint = 'Missing dependency. Add proper require statement.';
-        } else if (result.error.includes('CompilerException') || result.error.includes('Syntax error')) {
-            formatted.errorDetails.hint = 'Syntax error. Review Clojure syntax.';
-        } else if (result.error.includes('ArityException')) {
-            formatted.errorDetails.hint = 'Wrong number of arguments. Check function signature.';
+        // Categorize from the structured exception when the REPL provided one, else from the error text
+        var exception = result.exception;
+        var categorized = exception ? { category: exception.category, hint: exception.hint } :
+                                      categorizeError([result.rootEx, result.error], null);
+        formatted.errorDetails.category = categorized.category;
+        if (categorized.hint) {
+            formatted.errorDetails.hint = categorized.hint;
+        }
+        if (exception) {
+            formatted.exception = exception;
+            formatted.errorDetails.cause = exception.cause;
+            formatted.errorDetails.location = exception.location;
+            formatted.errorDetails.userFrame = exception.userFrame;
         }
     }
 
@@ -603,8 +739,11 @@ function formatForVisualization(result) {
 
 module.exports = {
     serializeResult: serializeResult,
+    serializeTimeout: serializeTimeout,
     determineType: determineType,
     formatForVisualization: formatForVisualization,
+    structureException: structureException,
+    categorizeError: categorizeError,
     isHTML: isHTML
 };
 
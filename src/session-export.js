@@ -0,0 +1,227 @@
+/*global module,require*/
+
+/**
+ * Session export
+ * Turns the definitions tracked for a chat (see repl-state.js) into files that can be
+ * committed to a repo: a Clojure namespace or a Babashka script, plus a bb.edn task stub.
+ *
+ * Definitions come in dependency order (see replState.getDefinitions), names that refer to
+ * each other are declared up front. The chat's
+ * require/ns/import forms become the ns form's :require and :import clauses, keeping only
+ * the ones the definitions use.
+ *
+ * Both formats get a -main that calls the function named by its first argument, unless the
+ * chat defined one:
+ *   bb chat.bb shout hello          ; script
+ *   bb -m chat.session-1a2b3c4d shout hello
+ */
+
+var codeAnalyzer = require('./code-analyzer');
+var replState = require('./repl-state');
+
+var formats = ['namespace', 'script'];
+
+/**
+ * Export the definitions tracked for a chat
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} options - { format: 'namespace' (default) or 'script', namespace, task: bb.edn task name }
+ * @returns {Object} { namespace, format, files: [{ path, content }] }, the source file first
+ */
+function exportSession(sessionId, options) {
+    options = Object.assign({ namespace: 'chat.session-' + String(sessionId).slice(0, 8) }, options);
+    return buildExport(replState.getDefinitions(sessionId), options);
+}
+
+/**
+ * Build the export files from tracked definitions
+ * @param {Object} tracked - { requires, definitions: [{ kind, name, source }], declared } as from replState.getDefinitions
+ * @param {Object} options - { format, namespace, task, header: comment line at the top of the source file }
+ * @returns {Object} { namespace, format, files: [{ path, content }] }
+ * Throws if the format or namespace is not valid
+ */
+function buildExport(tracked, options) {
+    var format = options.format || 'namespace';
+    if (formats.indexOf(format) === -1) {
+        throw new Error('Unknown export format ' + format + ', expected one of ' + formats.join(', '));
+    }
+    var ns = options.namespace;
+    if (!/^[A-Za-z][A-Za-z0-9_-]*(\.[A-Za-z][A-Za-z0-9_-]*)*$/.test(ns || '')) {
+        throw new Error('Not a valid namespace name: ' + ns);
+    }
+
+    var forms = [];
+    tracked.definitions.forEach(function(def) {
+        // Several definitions may come from the same form
+        if (forms.indexOf(def.source) === -1) forms.push(def.source);
+    });
+    var declared = tracked.declared || [];
+
+    var tokens = {};
+    forms.forEach(function(form) {
+        symbolTokens(form).forEach(function(token) { tokens[token] = true; });
+    });
+
+    var clauses = nsClauses(tracked.requires, tokens);
+    var nsForm = '(ns ' + ns + clauses.map(function(clause) { return '\n  ' + clause; }).join('') + ')';
+
+    var parts = [];
+    if (options.header) parts.push(';; ' + options.header);
+    parts.push(nsForm);
+    if (declared.length > 0) {
+        parts.push('(declare ' + declared.join(' ') + ')');
+    }
+    parts = parts.concat(forms);
+
+    var functions = tracked.definitions.filter(function(def) { return def.kind === 'function' && def.name.indexOf(' ') === -1; })
+        .map(function(def) { return def.name; });
+    if (functions.indexOf('-main') === -1) {
+        parts.push(mainForm(ns, functions));
+    }
+
+    var lastSegment = ns.split('.').pop();
+    var task = options.task || lastSegment;
+    if (!/^[A-Za-z][\w-]*$/.test(task)) {
+        throw new Error('Not a valid task name: ' + task);
+    }
+    var sourcePath;
+    var taskBody;
+    if (format === 'script') {
+        parts.unshift('#!/usr/bin/env bb');
+        parts.push('(when (= *file* (System/getProperty "babashka.file"))\n  (apply -main *command-line-args*))');
+        sourcePath = lastSegment + '.bb';
+        taskBody = '{:doc "Run a function exported from the chat"\n' +
+            '   :task (apply shell "bb" "' + sourcePath + '" *command-line-args*)}';
+    } else {
+        sourcePath = 'src/' + ns.replace(/-/g, '_').replace(/\./g, '/') + '.clj';
+        taskBody = '{:doc "Run a function exported from the chat"\n' +
+            '   :requires ([' + ns + ' :as chat])\n' +
+            '   :task (apply chat/-main *command-line-args*)}';
+    }
+
+    var bbEdn = '{' + (format === 'namespace' ? ':paths ["src"]\n ' : '') + ':tasks\n {' + task + '\n  ' + taskBody + '}}\n';
+
+    return {
+        namespace: ns,
+        format: format,
+        files: [
+            { path: sourcePath, content: parts.join('\n\n') + '\n' },
+            { path: 'bb.edn', content: bbEdn }
+        ]
+    };
+}
+
+/**
+ * -main that calls a public function of the namespace by name with string arguments
+ */
+function mainForm(ns, functions) {
+    return '(defn -main\n' +
+        '  "Calls the function named by the first argument with the other arguments and prints the result"\n' +
+        '  [& [f & args]]\n' +
+        "  (if-let [v (and f (get (ns-publics '" + ns + ') (symbol f)))]\n' +
+        '    (prn (apply v args))\n' +
+        '    (println "Usage: <function> [args...]\\nFunctions:" ' + JSON.stringify(functions.join(' ')) + ')))';
+}
+
+/**
+ * Symbols (and qualified symbols) a form mentions, ignoring strings, comments and characters
+ * @param {string} source - Clojure source
+ * @returns {Array} Tokens
+ */
+function symbolTokens(source) {
+    var stripped = source
+        .replace(/"(?:\\.|[^"\\])*"/g, ' ')
+        .replace(/;[^\n]*/g, ' ')
+        .replace(/\\(?:newline|space|tab|.)/g, ' ');
+    return stripped.match(/[^\s,()[\]{}"'`~@^#;]+/g) || [];
+}
+
+/**
+ * Collect the :require and :import clauses of an ns form from the chat's require/ns/import forms
+ * @param {Array} requires - Sources of (require ...), (import ...), (use ...) and (ns ...) forms
+ * @param {Object} tokens - Set of symbols the exported definitions mention
+ * @returns {Array} Clause sources, e.g. ['(:require [clojure.string :as str])']
+ */
+function nsClauses(requires, tokens) {
+    var specs = { require: [], import: [], use: [] };
+    var other = [];
+
+    function add(kind, spec) {
+        spec = spec.replace(/\s+/g, ' ');
+        if (specs[kind].indexOf(spec) === -1) specs[kind].push(spec);
+    }
+
+    requires.forEach(function(source) {
+        var match = /^\((ns|require|import|use)\s+([\s\S]*)\)$/.exec(source.trim());
+        if (!match) return;
+        if (match[1] !== 'ns') {
+            clauseSpecs(match[2]).forEach(function(spec) { add(match[1], spec); });
+            return;
+        }
+        // Only the clauses of an ns form, not its name or docstring
+        codeAnalyzer.splitTopLevelForms(match[2]).forEach(function(form) {
+            var clause = /^\(:(require|import|use)\s+([\s\S]*)\)$/.exec(form.source);
+            if (clause) {
+                clauseSpecs(clause[2]).forEach(function(spec) { add(clause[1], spec); });
+            } else if (/^\(:/.test(form.source) && other.indexOf(form.source) === -1) {
+                other.push(form.source);
+            }
+        });
+    });
+
+    var clauses = [];
+    ['require', 'use', 'import'].forEach(function(kind) {
+        var used = specs[kind].filter(function(spec) {
+            return kind === 'import' ? importUsed(spec, tokens) : requireUsed(spec, tokens);
+        });
+        if (used.length > 0) clauses.push('(:' + kind + ' ' + used.join('\n   ') + ')');
+    });
+    return clauses.concat(other);
+}
+
+/**
+ * Split the arguments of a require/import/use into specs, dropping quotes
+ * e.g. "'[clojure.string :as str] 'clojure.set" -> ['[clojure.string :as str]', 'clojure.set']
+ */
+function clauseSpecs(body) {
+    return codeAnalyzer.splitTopLevelForms(body).map(function(top) {
+        var form = top.form;
+        var quoted = form && form.type === 'list' && form.items[0] && form.items[0].name === 'quote';
+        var spec = quoted ? form.items[1] : form;
+        return spec && spec.start !== undefined ? body.substring(spec.start, spec.end) : null;
+    }).filter(function(spec) { return spec !== null && spec[0] !== ':'; });
+}
+
+/**
+ * Whether a require or use spec is needed: its alias, namespace or a referred name is mentioned
+ */
+function requireUsed(spec, tokens) {
+    var parts = spec.replace(/^[[(]|[\])]$/g, '').trim().split(/\s+/);
+    var ns = parts[0];
+    var alias = parts.indexOf(':as') !== -1 ? parts[parts.indexOf(':as') + 1] : null;
+    if (/:refer\s+:all/.test(spec) || /^\(/.test(spec)) return true;
+
+    var referMatch = /:refer\s+\[([^\]]*)\]/.exec(spec);
+    var referred = referMatch ? referMatch[1].trim().split(/\s+/) : [];
+    return Object.keys(tokens).some(function(token) {
+        var slash = token.indexOf('/');
+        var prefix = slash > 0 ? token.substring(0, slash) : null;
+        return prefix === ns || (alias && prefix === alias) || referred.indexOf(token) !== -1;
+    });
+}
+
+/**
+ * Whether an import spec is needed: one of its classes is mentioned
+ */
+function importUsed(spec, tokens) {
+    var parts = spec.replace(/^[[(]|[\])]$/g, '').trim().split(/\s+/);
+    var classes = parts.length > 1 ? parts.slice(1) : [parts[0].split('.').pop()];
+    return Object.keys(tokens).some(function(token) {
+        var name = token.replace(/\.$/, '').split('/')[0];
+        return classes.indexOf(name) !== -1 || (parts.length === 1 && name === parts[0]);
+    });
+}
+
+module.exports = {
+    exportSession: exportSession,
+    buildExport: buildExport
+};
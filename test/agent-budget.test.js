@@ -0,0 +1,91 @@
+/*global test*/
+/**
+ * Tests for agent loop budgets
+ * Runs the AI client against the mock LLM server, which keeps asking for tool calls unless tools are forbidden
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var baseConfig = require('../src/config');
+var aiClient = require('../src/ai-client');
+var mockLLM = require('./support/mock-llm-server');
+
+function runTurn(agent, evalResult, callback) {
+    mockLLM.start(function(request) {
+        return request.tool_choice === 'none' ? { content: '<div>Summary so far</div>' } : { code: '(/ 1 0)' };
+    }, function(err, server) {
+        assert.ifError(err);
+        var evals = 0;
+        var evalCallback = function(code, cb) {
+            evals++;
+            cb(null, evalResult);
+        };
+        var config = mockLLM.createConfig(baseConfig, server);
+        config.agent = agent;
+        var client = aiClient.createAIClient(config, evalCallback, [], null, null);
+
+        client.sendMessage('Keep going', 'mock', function(err, response) {
+            server.close();
+            callback(err, response, server.requests, evals, client);
+        });
+    });
+}
+
+test('tool call budget stops the loop and asks for a summary', function(t, done) {
+    runTurn({ maxToolCalls: 3, maxRecoveryAttempts: 0, maxTurnTime: 0 }, { type: 'number', value: 1 },
+        function(err, response, requests, evals, client) {
+            assert.ifError(err);
+            assert.strictEqual(evals, 3, 'No tool calls past the budget');
+            assert.strictEqual(response.budgetExhausted.budget, 'toolCalls');
+            assert.strictEqual(response.html, '<div>Summary so far</div>');
+
+            var summaryRequest = requests[requests.length - 1];
+            assert.strictEqual(summaryRequest.tool_choice, 'none', 'Summary request must forbid tools');
+            assert.match(summaryRequest.messages[summaryRequest.messages.length - 1].content, /Do not call any more tools/);
+            assert.ok(!client.conversationHistory.some(function(msg) { return /^STOP:/.test(msg.content || ''); }),
+                      'The summary instruction is not kept in history');
+            done();
+        });
+});
+
+test('error recovery budget stops repeated failing fixes', function(t, done) {
+    runTurn({ maxToolCalls: 0, maxRecoveryAttempts: 2, maxTurnTime: 0 },
+        { type: 'error', error: 'Divide by zero', value: null },
+        function(err, response, requests, evals) {
+            assert.ifError(err);
+            assert.strictEqual(response.budgetExhausted.budget, 'recoveryAttempts');
+            assert.strictEqual(evals, 3, 'The first failure plus two failed fixes');
+            done();
+        });
+});
+
+test('tool call budget is checked before each call of a turn', function(t, done) {
+    mockLLM.start(function(request) {
+        return request.tool_choice === 'none' ? { content: '<div>Summary so far</div>' } :
+            { toolCalls: [{ code: '(+ 1 1)' }, { code: '(+ 2 2)' }, { code: '(+ 3 3)' }] };
+    }, function(err, server) {
+        assert.ifError(err);
+        var evaluated = [];
+        var config = mockLLM.createConfig(baseConfig, server);
+        config.agent = { maxToolCalls: 1, maxRecoveryAttempts: 0, maxTurnTime: 0 };
+        var client = aiClient.createAIClient(config, function(code, cb) {
+            evaluated.push(code);
+            cb(null, { type: 'number', value: 2 });
+        }, [], null, null);
+
+        client.sendMessage('Add some numbers', 'mock', function(err, response) {
+            server.close();
+            assert.ifError(err);
+            assert.deepStrictEqual(evaluated, ['(+ 1 1)'], 'Only one call of the turn is evaluated');
+            assert.strictEqual(response.budgetExhausted.budget, 'toolCalls');
+
+            var skipped = client.conversationHistory.filter(function(msg) {
+                return msg.role === 'tool' && JSON.parse(msg.content).status === 'budget_exhausted';
+            });
+            assert.deepStrictEqual(skipped.map(function(msg) { return msg.tool_call_id; }), ['call_0_1', 'call_0_2'],
+                                   'The calls past the budget are answered without running');
+            done();
+        });
+    });
+});
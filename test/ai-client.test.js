@@ -0,0 +1,206 @@
+/*global test*/
+/**
+ * End-to-end tests for the AI client
+ * Drives createAIClient against the mock LLM server (test/support/mock-llm-server.js)
+ * and asserts the messages it sends, error recovery and HTML extraction
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var baseConfig = require('../src/config');
+var aiClient = require('../src/ai-client');
+var mockLLM = require('./support/mock-llm-server');
+
+var shortPrompts = { systemPrompt: 'You are a test assistant.', codeModePromptTemplate: '' };
+
+function createConfig(server, overrides) {
+    var config = mockLLM.createConfig(baseConfig, server, overrides);
+    config.ai = Object.assign({}, config.ai, shortPrompts);
+    return config;
+}
+
+/**
+ * Eval callback answering from a map of code -> result, recording the code it was given
+ */
+function createEval(results, evaluated) {
+    return function(code, callback) {
+        evaluated.push(code);
+        callback(null, results[code]);
+    };
+}
+
+test('tool calls are evaluated and their results sent back before the final answer', function(t, done) {
+    mockLLM.start([
+        { code: '(+ 1 2)' },
+        { content: '<div>3</div>' }
+    ], function(err, server) {
+        assert.ifError(err);
+        var evaluated = [];
+        var client = aiClient.createAIClient(createConfig(server),
+                                             createEval({ '(+ 1 2)': { type: 'number', value: 3 } }, evaluated), []);
+
+        client.sendMessage('Add one and two', 'mock', function(err, response) {
+            server.close();
+            assert.ifError(err);
+            assert.deepStrictEqual(evaluated, ['(+ 1 2)']);
+            assert.strictEqual(response.type, 'html');
+            assert.strictEqual(response.html, '<div>3</div>');
+
+            var messages = server.requests[1].messages;
+            assert.deepStrictEqual(messages.map(function(msg) { return msg.role; }), ['system', 'user', 'assistant', 'tool']);
+            assert.strictEqual(messages[0].content, 'You are a test assistant.');
+            assert.strictEqual(messages[3].tool_call_id, messages[2].tool_calls[0].id);
+
+            var toolResult = JSON.parse(messages[3].content);
+            assert.strictEqual(toolResult.status, 'success');
+            assert.strictEqual(toolResult.result.value, 3);
+            assert.strictEqual(server.remaining(), 0);
+            done();
+        });
+    });
+});
+
+test('failed code is sent back with the error until the model fixes it', function(t, done) {
+    mockLLM.start(mockLLM.loadFixture('error-recovery'), function(err, server) {
+        assert.ifError(err);
+        var evaluated = [];
+        var statuses = [];
+        var client = aiClient.createAIClient(createConfig(server), createEval({
+            '(/ 1 0)': { type: 'error', error: 'Divide by zero', value: null },
+            '(/ 1 1)': { type: 'number', value: 1 }
+        }, evaluated), [], null, function(status) { statuses.push(status); });
+
+        client.sendMessage('Divide', 'mock', function(err, response) {
+            server.close();
+            assert.ifError(err);
+            assert.deepStrictEqual(evaluated, ['(/ 1 0)', '(/ 1 1)']);
+
+            var errorResult = JSON.parse(server.requests[1].messages[3].content);
+            assert.strictEqual(errorResult.status, 'error');
+            assert.strictEqual(errorResult.code, '(/ 1 0)');
+            assert.strictEqual(errorResult.error, 'Divide by zero');
+
+            // Commentary of the fix attempt is dropped from the history
+            assert.strictEqual(server.requests[2].messages[4].content, '');
+            assert.deepStrictEqual(statuses, [
+                'Code execution failed. AI is analyzing the error and generating a fix...',
+                'Code executed successfully!'
+            ]);
+
+            assert.strictEqual(response.html, '<div class="result">1</div>', 'Commentary around the HTML is stripped');
+            assert.strictEqual(client.inErrorRecovery, false);
+            done();
+        });
+    });
+});
+
+test('orphaned and duplicate tool messages are removed from the request', function(t, done) {
+    var history = [
+        { role: 'tool', tool_call_id: 'orphan', content: '{}' },
+        { role: 'user', content: 'Add one and two' },
+        { role: 'assistant', content: '', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'eval_clojure', arguments: '{"code_string":"(+ 1 2)"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"status":"error"}' },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"status":"success"}' },
+        { role: 'tool', tool_call_id: 'call_2', content: '{}' },
+        { role: 'assistant', content: '<div>3</div>' }
+    ];
+
+    mockLLM.start([{ content: '<div>Hi</div>' }], function(err, server) {
+        assert.ifError(err);
+        var client = aiClient.createAIClient(createConfig(server), function() {}, history);
+
+        client.sendMessage('Thanks', 'mock', function(err) {
+            server.close();
+            assert.ifError(err);
+            var messages = server.requests[0].messages;
+            assert.deepStrictEqual(messages.slice(1), [
+                history[1],
+                history[2],
+                history[4],
+                history[6],
+                { role: 'user', content: 'Thanks' }
+            ]);
+            done();
+        });
+    });
+});
+
+test('streamed responses are reported as partial HTML and rebuilt', function(t, done) {
+    mockLLM.start([
+        { code: '(+ 1 2)' },
+        { content: '<div><p>The sum is 3</p></div>' }
+    ], function(err, server) {
+        assert.ifError(err);
+        var partials = [];
+        var client = aiClient.createAIClient(createConfig(server, { stream: true }),
+                                             createEval({ '(+ 1 2)': { type: 'number', value: 3 } }, []),
+                                             [], null, null, null, function(html) { partials.push(html); });
+
+        client.sendMessage('Add', 'mock', function(err, response) {
+            server.close();
+            assert.ifError(err);
+            assert.strictEqual(server.requests[0].stream, true);
+            assert.strictEqual(response.html, '<div><p>The sum is 3</p></div>');
+            assert.ok(partials.length > 1, 'HTML is reported while it is generated');
+            assert.strictEqual(partials[partials.length - 1], response.html);
+            done();
+        });
+    });
+});
+
+test('the model pages through a cut down result with fetch_result_page', function(t, done) {
+    mockLLM.start([
+        { toolCalls: [{ name: 'fetch_result_page', arguments: JSON.stringify({ result_id: 'r3', path: '/files', offset: 100, limit: 50 }) }] },
+        { content: '<div>150 files</div>' }
+    ], function(err, server) {
+        assert.ifError(err);
+        var pageRequests = [];
+        var client = aiClient.createAIClient(createConfig(server), createEval({}, []), []);
+        client.resultPageCallback = function(request, callback) {
+            pageRequests.push(request);
+            callback(null, { type: 'list', data: ['f100.txt'], page: { offset: 100, limit: 50, total: 150, more: false } });
+        };
+
+        client.sendMessage('List all files', 'mock', function(err, response) {
+            server.close();
+            assert.ifError(err);
+            assert.strictEqual(response.html, '<div>150 files</div>');
+            assert.deepStrictEqual(server.requests[0].tools.map(function(tool) { return tool.function.name; }),
+                                   ['eval_clojure', 'fetch_result_page']);
+            assert.deepStrictEqual(pageRequests, [{ resultId: 'r3', path: '/files', offset: 100, limit: 50 }]);
+
+            var toolResult = JSON.parse(server.requests[1].messages[3].content);
+            assert.strictEqual(toolResult.status, 'success');
+            assert.strictEqual(toolResult.result.page.total, 150);
+            done();
+        });
+    });
+});
+
+test('malformed fetch_result_page arguments are answered with a tool error', function(t, done) {
+    mockLLM.start([
+        { toolCalls: [{ name: 'fetch_result_page', arguments: '{"result_id": "r3", ' }] },
+        { content: '<div>Could not page</div>' }
+    ], function(err, server) {
+        assert.ifError(err);
+        var pageRequests = [];
+        var client = aiClient.createAIClient(createConfig(server), createEval({}, []), []);
+        client.resultPageCallback = function(request, callback) {
+            pageRequests.push(request);
+            callback(null, { type: 'list', data: [] });
+        };
+
+        client.sendMessage('List all files', 'mock', function(err, response) {
+            server.close();
+            assert.ifError(err);
+            assert.strictEqual(response.html, '<div>Could not page</div>');
+            assert.deepStrictEqual(pageRequests, []);
+
+            var toolResult = JSON.parse(server.requests[1].messages[3].content);
+            assert.strictEqual(toolResult.status, 'invalid_arguments');
+            assert.match(toolResult.error, /^Invalid tool arguments: /);
+            done();
+        });
+    });
+});
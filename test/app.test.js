@@ -0,0 +1,269 @@
+/*global test,setImmediate,setTimeout*/
+/**
+ * App tests
+ * Runs the app in-process against the fake nREPL server and the mock LLM server
+ * (test/support/app-harness.js), with the chats opened over WebSockets like the browser does
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var clojureHelpers = require('../src/clojure-helpers');
+var harness = require('./support/app-harness');
+
+var limits = { length: 100, level: 10 };
+var env = null;
+
+test.before(function() {
+    return new Promise(function(resolve, reject) {
+        harness.start({ evaluation: { printLength: limits.length, printLevel: limits.level, interruptGracePeriod: 200 } },
+                      function(err, started) {
+                          if (err) return reject(err);
+                          env = started;
+                          resolve();
+                      });
+    });
+});
+
+test.after(function() {
+    return new Promise(function(resolve) { env.stop(resolve); });
+});
+
+/**
+ * The code of an eval sent through the JSON channel (see clojureHelpers.wrapForJSONResult), else null
+ */
+function runCode(code) {
+    var match = /^\(repl-talk\.result\/run ("(?:[^"\\]|\\.)*") /.exec(code);
+    return match ? JSON.parse(match[1]) : null;
+}
+
+/**
+ * A JSON envelope as repl-talk.result prints it
+ */
+function printed(envelope) {
+    return '#repl-talk/json ' + JSON.stringify(JSON.stringify(envelope));
+}
+
+/**
+ * The nREPL session a code was run in through the JSON channel
+ */
+function sessionOf(code) {
+    return env.fake().requests.filter(function(request) {
+        return request.op === 'eval' && runCode(request.code || '') === code;
+    })[0].session;
+}
+
+/**
+ * Codes evaluated in an nREPL session
+ */
+function evalsIn(session) {
+    return env.fake().requests.filter(function(request) {
+        return request.op === 'eval' && request.session === session;
+    }).map(function(request) { return request.code; });
+}
+
+test('code runs as one form in the chat session and only its envelope comes back', function(t, done) {
+    var code = '(println "hi")\n(mapv str "ab")';
+    env.rules.push({
+        match: function(sent) { return runCode(sent) === code; },
+        reply: { messages: [{ out: 'hi\n' }, { value: printed({ value: ['a', 'b'], id: 'r7' }) }] }
+    });
+
+    env.connect(function(err, browser) {
+        assert.ifError(err);
+        env.app.evalClojure(code, function(err, result) {
+            assert.ifError(err);
+            assert.strictEqual(result.type, 'list');
+            assert.deepStrictEqual(result.data, ['a', 'b']);
+            assert.strictEqual(result.resultId, 'r7');
+            assert.strictEqual(result.stdout, 'hi\n');
+
+            // Snapshots and pages go to the default session, so nothing but the code shifts the chat's *1
+            var chatSession = env.app.appState.chatSessions.get(browser.sessionId);
+            var helperEvals = evalsIn(chatSession.session).filter(function(sent) { return /repl-talk\.result\//.test(sent); });
+            assert.deepStrictEqual(helperEvals, [clojureHelpers.wrapForJSONResult(code, limits)]);
+            assert.ok(evalsIn(env.app.appState.nreplSession).indexOf(clojureHelpers.snapshotCode(chatSession.ns)) > -1);
+            browser.close(done);
+        }, { sessionId: browser.sessionId });
+    });
+});
+
+test('an infinite seq comes back cut at the print length with a truncation marker', function(t, done) {
+    var first = [];
+    for (var i = 0; i < limits.length; i++) first.push(i);
+    env.rules.push({
+        // The limits are bound by the wrapper itself, whatever the server does with print options
+        match: function(sent) { return runCode(sent) === '(range)' && /\{:length 100 :level 10\}\)$/.test(sent); },
+        reply: { value: printed({ value: first, types: { '': 'list' }, truncated: { '': { shown: 100, total: null, reason: 'length' } }, id: 'r8' }) }
+    });
+
+    env.connect(function(err, browser) {
+        assert.ifError(err);
+        env.app.evalClojure('(range)', function(err, result) {
+            assert.ifError(err);
+            assert.strictEqual(result.data.length, 100);
+            assert.strictEqual(result.truncated, true);
+            assert.deepStrictEqual(result.truncation, [{ path: '', shown: 100, total: null, reason: 'length' }]);
+            assert.strictEqual(result.resultId, 'r8');
+            browser.close(done);
+        }, { sessionId: browser.sessionId });
+    });
+});
+
+test('an eval past its timeout is interrupted and reported as a timeout', function(t, done) {
+    env.rules.push({ match: function(sent) { return runCode(sent) === '(loop [] (recur))'; }, reply: { hang: true } });
+
+    env.connect(function(err, browser) {
+        assert.ifError(err);
+        env.app.evalClojure('(loop [] (recur))', function(err, result) {
+            assert.ifError(err);
+            assert.strictEqual(result.type, 'timeout');
+            assert.strictEqual(result.sessionRestarted, undefined);
+            assert.strictEqual(env.app.appState.chatSessions.get(browser.sessionId).session, sessionOf('(loop [] (recur))'));
+            browser.close(done);
+        }, { sessionId: browser.sessionId, timeout: 50 });
+    });
+});
+
+test('an eval that ignores the interrupt has its session restarted after the grace period', function(t, done) {
+    env.rules.push({
+        match: function(sent) { return runCode(sent) === '(Thread/sleep Long/MAX_VALUE)'; },
+        reply: { hang: true, ignoreInterrupt: true }
+    });
+
+    env.connect(function(err, browser) {
+        assert.ifError(err);
+        env.app.evalClojure('(Thread/sleep Long/MAX_VALUE)', function(err, result) {
+            assert.ifError(err);
+            assert.strictEqual(result.type, 'timeout');
+            assert.strictEqual(result.sessionRestarted, true);
+            assert.notStrictEqual(env.app.appState.chatSessions.get(browser.sessionId).session,
+                                  sessionOf('(Thread/sleep Long/MAX_VALUE)'));
+            browser.close(done);
+        }, { sessionId: browser.sessionId, timeout: 50 });
+    });
+});
+
+test('an eval that finishes during the grace period keeps its value', function(t, done) {
+    env.rules.push({
+        match: function(sent) { return runCode(sent) === '(do (Thread/sleep 80) :late)'; },
+        reply: { value: printed({ value: 'late', id: 'r9' }), delay: 80, ignoreInterrupt: true }
+    });
+
+    env.connect(function(err, browser) {
+        assert.ifError(err);
+        env.app.evalClojure('(do (Thread/sleep 80) :late)', function(err, result) {
+            assert.ifError(err);
+            assert.notStrictEqual(result.type, 'timeout');
+            assert.strictEqual(result.data, 'late');
+            assert.strictEqual(result.sessionRestarted, undefined);
+            browser.close(done);
+        }, { sessionId: browser.sessionId, timeout: 50 });
+    });
+});
+
+test('a chat closed during an eval is released when the eval finishes', function(t, done) {
+    env.rules.push({
+        match: function(sent) { return runCode(sent) === '(do (Thread/sleep 100) :slow)'; },
+        reply: { value: printed({ value: 'slow', id: 'r10' }), delay: 100 }
+    });
+
+    env.connect(function(err, browser) {
+        assert.ifError(err);
+        var sessionId = browser.sessionId;
+        var closed = false;
+        env.app.evalClojure('(do (Thread/sleep 100) :slow)', function(err, result) {
+            assert.ifError(err);
+            assert.strictEqual(result.data, 'slow');
+            assert.ok(closed, 'the browser closed before the result came');
+            // Released after the result is delivered
+            setImmediate(function() {
+                assert.strictEqual(env.app.appState.chatSessions.get(sessionId), null);
+                assert.strictEqual(env.app.appState.closedChats[sessionId], undefined);
+                done();
+            });
+        }, { sessionId: sessionId });
+
+        (function closeWhenRunning() {
+            var running = Object.keys(env.app.appState.runningEvaluations).some(function(key) {
+                return env.app.appState.runningEvaluations[key].sessionId === sessionId;
+            });
+            if (!running) return setTimeout(closeWhenRunning, 5);
+            browser.close(function() {
+                setTimeout(function() {
+                    closed = true;
+                    assert.ok(env.app.appState.chatSessions.get(sessionId));
+                    assert.strictEqual(env.app.appState.closedChats[sessionId], true);
+                }, 20);
+            });
+        })();
+    });
+});
+
+test('a running eval is cancelled from its own chat only and the model gets an interrupted result', function(t, done) {
+    var code = '(doseq [i (range)] (Thread/sleep 1000))';
+    env.rules.push({ match: function(sent) { return runCode(sent) === code; }, reply: { hang: true } });
+    env.replies.push({ code: code }, { content: '<div>Stopped</div>' });
+    var llmRequests = env.llm.requests.length;
+
+    env.connect(function(err, browser) {
+        assert.ifError(err);
+        browser.send({ type: 'user_message', message: 'Count forever' });
+        browser.next('code_preview', function(preview) {
+            browser.send({ type: 'code_approved', messageId: preview.messageId });
+
+            (function cancelWhenRunning() {
+                if (!env.app.appState.runningEvaluations[preview.messageId]) return setTimeout(cancelWhenRunning, 5);
+
+                env.connect(function(err, other) {
+                    assert.ifError(err);
+                    other.send({ type: 'cancel_execution', messageId: preview.messageId });
+                    other.next('error', function(message) {
+                        assert.strictEqual(message.message, 'No running evaluation found');
+                        assert.ok(env.app.appState.runningEvaluations[preview.messageId], 'still running');
+
+                        browser.send({ type: 'cancel_execution', messageId: preview.messageId });
+                        browser.next('execution_finished', function(finished) {
+                            assert.strictEqual(finished.status, 'interrupted');
+                            browser.next('result', function() {
+                                var toolMessage = env.llm.requests[llmRequests + 1].messages.filter(function(msg) {
+                                    return msg.role === 'tool';
+                                }).pop();
+                                assert.match(toolMessage.content, /interrupted/i);
+                                other.close(function() { browser.close(done); });
+                            });
+                        });
+                    });
+                });
+            })();
+        });
+    });
+});
+
+// Crashes the shared fake server, so it runs last
+test('after a crash the chat definitions are replayed into the restarted server', function(t, done) {
+    var code = '(defn square [x] (* x x))';
+
+    env.connect(function(err, browser) {
+        assert.ifError(err);
+        env.app.evalClojure(code, function(err, result) {
+            assert.ifError(err);
+            assert.notStrictEqual(result.type, 'error');
+
+            var crashed = env.fake();
+            crashed.crash();
+            browser.next('reconnected', function(message) {
+                assert.deepStrictEqual(message, { type: 'reconnected', replayed: 1, failed: [] });
+
+                var restarted = env.fake();
+                assert.notStrictEqual(restarted, crashed);
+                var chatSession = env.app.appState.chatSessions.get(browser.sessionId);
+                var replayed = evalsIn(chatSession.session);
+                assert.strictEqual(replayed[replayed.length - 1], code);
+                // Helpers come back in the default session too
+                assert.ok(evalsIn(env.app.appState.nreplSession).indexOf(clojureHelpers.getHelperFunctionsCode()) > -1);
+                browser.close(done);
+            });
+        }, { sessionId: browser.sessionId });
+    });
+});
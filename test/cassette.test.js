@@ -0,0 +1,142 @@
+/*global test*/
+/**
+ * Session cassette tests
+ * Records a session against the mock LLM and fake nREPL servers, and replays a recorded
+ * session (test/fixtures/cassettes) with neither a model nor Babashka available
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var baseConfig = require('../src/config');
+var aiClient = require('../src/ai-client');
+var cassettes = require('../src/cassette');
+var nreplClient = require('../src/nrepl-client');
+var fakeServer = require('../src/nrepl-fake-server');
+var resultHandler = require('../src/result-handler');
+var mockLLM = require('./support/mock-llm-server');
+
+var fixturePath = path.join(__dirname, 'fixtures/cassettes/add-numbers.json');
+
+function createConfig(config) {
+    config.ai = Object.assign({}, config.ai, { systemPrompt: 'You are a test assistant.', codeModePromptTemplate: '' });
+    config.retry = { maxRetries: 2, initialDelay: 10, maxDelay: 1000, requestTimeout: 5000 };
+    config.agent = { maxToolCalls: 0, maxRecoveryAttempts: 0, maxTurnTime: 0 };
+    return config;
+}
+
+/**
+ * Start a fake nREPL server and return an eval callback running code on it the way
+ * evalClojure does, recording the evals to cassette when it is recording
+ * @param {Array} rules - Fake server rules
+ * @param {Object} cassette - Cassette
+ * @param {Function} callback - Callback (evalCallback, close)
+ */
+function startRepl(rules, cassette, callback) {
+    var server = fakeServer.createFakeServer({ rules: rules });
+    server.listen(0, '127.0.0.1', function(err, address) {
+        assert.ifError(err);
+        var connection = nreplClient.connect({ host: address.hostname, port: address.port });
+        connection.once('connect', function() {
+            callback(function(code, cb) {
+                connection.eval(code, 'user', undefined, function(err, messages) {
+                    cassette.recordEval(code, 'user', err, messages);
+                    cb(err, resultHandler.formatForVisualization(resultHandler.serializeResult(messages, 1)));
+                });
+            }, function() {
+                connection.end();
+                server.close();
+            });
+        });
+    });
+}
+
+test('recording captures model exchanges and evals, without API keys', function(t, done) {
+    var cassettePath = path.join(os.tmpdir(), 'repl-talk-cassette-' + process.pid, 'session.json');
+    var cassette = cassettes.createCassette({ mode: 'record', path: cassettePath });
+
+    mockLLM.start([{ code: '(+ 1 2)' }, { content: '<div>3</div>' }], function(err, server) {
+        assert.ifError(err);
+        startRepl([{ match: '(+ 1 2)', reply: { value: '3', out: 'adding\n' } }], cassette, function(evalCallback, closeRepl) {
+            var client = aiClient.createAIClient(createConfig(mockLLM.createConfig(baseConfig, server, { apiKey: 'secret-key' })),
+                                                 evalCallback, []);
+            client.cassette = cassette;
+
+            client.sendMessage('Add', 'mock', function(err, response) {
+                server.close();
+                closeRepl();
+                assert.ifError(err);
+                assert.strictEqual(response.html, '<div>3</div>');
+
+                var recorded = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+                fs.rmSync(path.dirname(cassettePath), { recursive: true, force: true });
+                assert.deepStrictEqual(recorded.entries.map(function(entry) { return entry.type; }), ['llm', 'nrepl', 'llm']);
+                assert.strictEqual(recorded.entries[0].request.body.model, 'mock');
+                assert.strictEqual(recorded.entries[2].response.choices[0].message.content, '<div>3</div>');
+                assert.strictEqual(JSON.stringify(recorded).indexOf('secret-key'), -1, 'Headers are not recorded');
+
+                var evalEntry = recorded.entries[1];
+                assert.strictEqual(evalEntry.code, '(+ 1 2)');
+                assert.deepStrictEqual(evalEntry.messages, [
+                    { out: 'adding\n' },
+                    { value: '3', ns: 'user' },
+                    { status: ['done'] }
+                ]);
+                done();
+            });
+        });
+    });
+});
+
+test('a recorded session replays without the model or Babashka', function(t, done) {
+    var cassette = cassettes.createCassette({ mode: 'replay', path: fixturePath });
+    var config = createConfig(Object.assign({}, baseConfig));
+    config.ai.defaultModel = 'deepseek';
+    // Nothing listens there, every request has to come from the cassette
+    config.ai.models = { deepseek: { endpoint: 'http://127.0.0.1:9/v1', apiKey: 'none', model: 'deepseek-chat', temperature: 0, maxTokens: 100 } };
+
+    startRepl(cassette.fakeServerRules(), cassette, function(evalCallback, closeRepl) {
+        var results = [];
+        var statuses = [];
+        var client = aiClient.createAIClient(config, function(code, cb) {
+            evalCallback(code, function(err, result) {
+                results.push(result);
+                cb(err, result);
+            });
+        }, [], null, function(status) { statuses.push(status); });
+        client.cassette = cassette;
+
+        client.sendMessage('Add up the numbers from 1 to 10', 'deepseek', function(err, response) {
+            closeRepl();
+            assert.ifError(err);
+            assert.strictEqual(response.html, '<div class="result">The sum is 55</div>');
+            assert.ok(statuses.some(function(status) { return /status 503.*Retrying/.test(status); }), 'Recorded errors are replayed');
+
+            assert.strictEqual(results.length, 1);
+            assert.strictEqual(results[0].data, 55);
+            assert.strictEqual(results[0].stdout, 'summing\n');
+            assert.deepStrictEqual(cassette.remaining(), { llm: 0, nrepl: 0 });
+            done();
+        });
+    });
+});
+
+test('replaying past the end of the cassette fails the request', function(t, done) {
+    var cassette = cassettes.createCassette({ mode: 'replay', path: fixturePath });
+    var requests = 0;
+    function next() {
+        cassette.replayRequest({ body: { model: 'deepseek-chat' } }, function(err) {
+            requests++;
+            if (requests < 4) return next();
+            assert.match(err.message, /no more recorded model responses/);
+            assert.strictEqual(cassette.takeEval('(reduce + (range 1 11))').messages[1].value, '55');
+            assert.strictEqual(cassette.takeEval('(reduce + (range 1 11))'), null, 'Each recording is used once');
+            assert.throws(function() { cassettes.createCassette({ mode: 'rewind', path: fixturePath }); }, /Unknown cassette mode/);
+            done();
+        });
+    }
+    next();
+});
@@ -0,0 +1,63 @@
+/*global test*/
+/**
+ * Tests for streamed chat completion parsing
+ * Verifies SSE deltas are rebuilt into the non-streaming response shape
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var chatStream = require('../src/chat-stream');
+
+function sse(chunk) {
+    return 'data: ' + JSON.stringify(chunk) + '\n\n';
+}
+
+test('content deltas are joined and reported as they arrive', function() {
+    var seen = [];
+    var accumulator = chatStream.createStreamAccumulator(function(content) { seen.push(content); });
+
+    // Split an event across writes like a real socket would
+    var body = sse({ id: 'c1', choices: [{ index: 0, delta: { role: 'assistant', content: '<div>' } }] }) +
+        ': keep-alive\n\n' +
+        sse({ id: 'c1', choices: [{ index: 0, delta: { content: 'Hello</div>' } }] }) +
+        sse({ id: 'c1', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }) +
+        'data: [DONE]\n\n';
+    accumulator.write(body.slice(0, 30));
+    accumulator.write(body.slice(30));
+
+    var result = accumulator.end();
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(result.response.choices[0].message, { role: 'assistant', content: '<div>Hello</div>' });
+    assert.strictEqual(result.response.choices[0].finish_reason, 'stop');
+    assert.deepStrictEqual(seen, ['<div>', '<div>Hello</div>']);
+});
+
+test('tool call fragments are assembled by index', function() {
+    var accumulator = chatStream.createStreamAccumulator();
+
+    accumulator.write(sse({ choices: [{ delta: { role: 'assistant', tool_calls: [
+        { index: 0, id: 'call_1', type: 'function', function: { name: 'eval_clojure', arguments: '' } }
+    ] } }] }));
+    accumulator.write(sse({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"code_st' } }] } }] }));
+    accumulator.write(sse({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ring":"(+ 1 2)"}' } }] } }] }));
+    accumulator.write(sse({ choices: [{ delta: {}, finish_reason: 'tool_calls' }] }));
+    accumulator.write('data: [DONE]\n\n');
+
+    var message = accumulator.end().response.choices[0].message;
+    assert.strictEqual(message.content, null, 'No text means null content, as in the non-streaming API');
+    assert.deepStrictEqual(message.tool_calls, [{
+        id: 'call_1',
+        type: 'function',
+        function: { name: 'eval_clojure', arguments: '{"code_string":"(+ 1 2)"}' }
+    }]);
+});
+
+test('error events fail the stream', function() {
+    var accumulator = chatStream.createStreamAccumulator();
+    accumulator.write(sse({ error: { message: 'model overloaded' } }));
+
+    var result = accumulator.end();
+    assert.strictEqual(result.response, null);
+    assert.match(result.error.message, /model overloaded/);
+});
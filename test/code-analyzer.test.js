@@ -0,0 +1,101 @@
+/*global test*/
+/**
+ * Code analyzer tests
+ * Definitions are read from forms rather than matched in the text, so every arity, metadata
+ * and the namespace of ns/in-ns are picked up and code inside strings and comments is not
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var codeAnalyzer = require('../src/code-analyzer');
+
+function names(list) {
+    return list.map(function(def) { return def.name; });
+}
+
+test('definitions in strings and comments are ignored', function() {
+    var analysis = codeAnalyzer.analyzeCode('(def usage "(defn fake [] 1)")\n' +
+                                            '(println 1) ; (defn commented [] 2)\n' +
+                                            '#_(defn discarded [] 3)\n' +
+                                            '(comment (defn scratch [] 4))', 'chat-a');
+    assert.deepStrictEqual(names(analysis.functions), []);
+    assert.deepStrictEqual(analysis.variables, [{ name: 'usage', type: 'string', docstring: null, namespace: 'chat-a',
+                                                  private: false, source: '(def usage "(defn fake [] 1)")', references: [] }]);
+});
+
+test('functions keep every arity, their docstring and whether they are private', function() {
+    var source = '(defn- ^:private helper\n  "Adds things"\n  {:added "1.0"}\n  ([x] x)\n  ([x y] (+ x y)))';
+    var analysis = codeAnalyzer.analyzeCode(source + '\n(defmacro unless [test & body] `(if ~test nil (do ~@body)))\n' +
+                                            '(def add2 #(+ %1 %2))\n(def twice (fn twice [f x] (f (f x))))');
+    assert.deepStrictEqual(analysis.functions[0], {
+        name: 'helper', type: 'defn-', signature: '[x] [x y]', arglists: ['[x]', '[x y]'], docstring: 'Adds things',
+        namespace: 'user', private: true, source: source, references: ['+']
+    });
+    assert.deepStrictEqual(analysis.functions.slice(1).map(function(f) { return [f.name, f.type, f.signature]; }), [
+        ['unless', 'defmacro', '[test & body]'],
+        ['add2', 'def (fn)', '[%1 %2]'],
+        ['twice', 'def (fn)', '[f x]']
+    ]);
+});
+
+test('records, types, protocols and multimethods define their vars', function() {
+    var analysis = codeAnalyzer.analyzeCode('(defrecord Point [x y])\n(deftype Box [v])\n' +
+                                            '(defprotocol Shape "Shapes" (area [s] "Area of s") (scale [s k] [s kx ky]))\n' +
+                                            '(defmulti describe :kind)\n(defmethod describe :circle [{:keys [r]}] r)\n' +
+                                            '(defonce counter (atom 0))');
+    assert.deepStrictEqual(analysis.functions.map(function(f) { return [f.name, f.signature]; }), [
+        ['->Point', '[x y]'],
+        ['map->Point', '[m]'],
+        ['->Box', '[v]'],
+        ['area', '[s]'],
+        ['scale', '[s k] [s kx ky]'],
+        ['describe', '[]'],
+        ['describe (dispatch: :circle)', '[{:keys [r]}]']
+    ]);
+    assert.strictEqual(analysis.functions[3].docstring, 'Area of s');
+    assert.deepStrictEqual(analysis.variables.map(function(v) { return [v.name, v.type]; }),
+                           [['Point', 'record'], ['Box', 'type'], ['Shape', 'protocol'], ['counter', 'list']]);
+});
+
+test('definitions record the symbols they use, not quoted data or other namespaces', function() {
+    var analysis = codeAnalyzer.analyzeCode('(defn shout [s] (str/upper-case (exclaim s)))\n' +
+                                            "(defn tags [] (chat-a/lookup '(exclaim) :shout))\n" +
+                                            '(defmulti area :shape)\n(defmethod area :circle [c] (* pi (:r c)))', 'chat-a');
+    assert.deepStrictEqual(analysis.functions.map(function(f) { return [f.name, f.references]; }), [
+        ['shout', ['exclaim']],
+        ['tags', ['lookup']],
+        ['area', []],
+        ['area (dispatch: :circle)', ['area', '*', 'pi']]
+    ]);
+});
+
+test('parameters and locals a definition binds are not references', function() {
+    var analysis = codeAnalyzer.analyzeCode('(defn totals [{:keys [items] :or {items default-items}} & [limit]]\n' +
+                                            '  (let [[head & more] items, n (count more)]\n' +
+                                            '    (loop [i 0 acc []] (if (< i n) (recur (inc i) (conj acc (price head))) acc))))\n' +
+                                            '(def pairs (for [x xs :let [y (f x)] :when (pos? y)] (fn [z] #(vector x y z %))))\n' +
+                                            '(defrecord Cart [lines] Total (total [this] (reduce + (map cost lines))))', 'chat-a');
+    assert.deepStrictEqual(analysis.functions[0].references,
+                           ['default-items', 'count', 'if', '<', 'recur', 'inc', 'conj', 'price']);
+    assert.deepStrictEqual(analysis.variables.map(function(v) { return [v.name, v.references]; }), [
+        ['pairs', ['xs', 'f', 'pos?', 'vector']],
+        ['Cart', ['Total', 'reduce', '+', 'map', 'cost']]
+    ]);
+});
+
+test('ns and in-ns set the namespace of the definitions after them', function() {
+    var analysis = codeAnalyzer.analyzeCode('(defn before [])\n' +
+                                            '(ns demo.core (:require [clojure.string :as str]))\n(def total 3)\n' +
+                                            "(in-ns 'demo.other)\n(do (def a 1) (let [n 2] (defn add [x] (+ x n))))", 'chat-a');
+    assert.deepStrictEqual(analysis.requires, ['(ns demo.core (:require [clojure.string :as str]))']);
+    assert.deepStrictEqual(analysis.functions.map(function(f) { return [f.name, f.namespace]; }),
+                           [['before', 'chat-a'], ['add', 'demo.other']]);
+    assert.deepStrictEqual(analysis.variables.map(function(v) { return [v.name, v.namespace]; }),
+                           [['total', 'demo.core'], ['a', 'demo.other']]);
+    assert.strictEqual(analysis.functions[1].source, '(do (def a 1) (let [n 2] (defn add [x] (+ x n))))',
+                       'A definition inside do or let is replayed with its whole form');
+
+    // Forms before unreadable code are still analyzed
+    assert.deepStrictEqual(names(codeAnalyzer.analyzeCode('(defn ok [] 1)\n(defn broken [').functions), ['ok']);
+});
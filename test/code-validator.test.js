@@ -0,0 +1,145 @@
+/*global test*/
+/**
+ * Code validator tests
+ * The linter keeps a clj-kondo process warm per chat and lints snippets against a cache of
+ * the chat's definitions; test/support/fake-clj-kondo.js stands in for clj-kondo
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var codeValidator = require('../src/code-validator');
+
+var fakeKondo = path.join(__dirname, 'support', 'fake-clj-kondo.js');
+
+function setup() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-validator-test-'));
+    process.env.FAKE_KONDO_LOG = path.join(dir, 'kondo.log');
+    var linter = codeValidator.createLinter({ cljKondoPath: fakeKondo, cacheDir: path.join(dir, 'cache') });
+    return {
+        dir: dir,
+        linter: linter,
+        events: function() {
+            if (!fs.existsSync(process.env.FAKE_KONDO_LOG)) return [];
+            return fs.readFileSync(process.env.FAKE_KONDO_LOG, 'utf8').trim().split('\n').map(JSON.parse);
+        },
+        done: function() {
+            linter.shutdown();
+            delete process.env.FAKE_KONDO_LOG;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+function waitFor(check, callback) {
+    var started = Date.now();
+    (function poll() {
+        if (check()) return callback();
+        if (Date.now() - started > 10000) return callback(new Error('Timed out waiting'));
+        setTimeout(poll, 20);
+    })();
+}
+
+test('a chat\'s next snippet is linted by a process started ahead of time', function(t, done) {
+    var env = setup();
+    env.linter.validate('(+ 1 2)', 'warm-chat', function(err, result) {
+        assert.ifError(err);
+        assert.strictEqual(result.valid, true);
+
+        // Started, but still waiting for its snippet
+        function waiting() {
+            var events = env.events();
+            return events.filter(function(e) {
+                return e.event === 'start' && !events.some(function(l) { return l.event === 'lint' && l.pid === e.pid; });
+            })[0];
+        }
+        waitFor(waiting, function(err) {
+            assert.ifError(err);
+            var warmPid = waiting().pid;
+            env.linter.validate('(+ 3 4)', 'warm-chat', function(err) {
+                assert.ifError(err);
+                var lints = env.events().filter(function(e) { return e.event === 'lint'; });
+                assert.strictEqual(lints[lints.length - 1].pid, warmPid);
+                assert.ok(lints[lints.length - 1].args.indexOf('--cache-dir') !== -1);
+                env.done();
+                done();
+            });
+        });
+    });
+});
+
+test('snippets resolve the chat\'s earlier definitions and report rows of the snippet', function(t, done) {
+    var env = setup();
+    var code = '(my-shout "a")';
+    env.linter.validate(code, 'cache-chat', function(err, result) {
+        assert.ifError(err);
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.errors[0].message, 'Unresolved symbol: my-shout');
+
+        env.linter.updateSession('cache-chat', 'chat-cache-chat', {
+            requires: ["(require '[clojure.string :as str])", '(ns chat-cache-chat)'],
+            definitions: [{ kind: 'function', name: 'my-shout', source: '(defn my-shout [s] (str/upper-case s))' }],
+            declared: []
+        }, function(err) {
+            assert.ifError(err);
+            var file = fs.readFileSync(path.join(env.dir, 'cache', 'cache-chat', 'chat_cache_chat.clj'), 'utf8');
+            assert.strictEqual(file, "(ns chat-cache-chat)\n\n(require '[clojure.string :as str])\n\n" +
+                               '(defn my-shout [s] (str/upper-case s))\n');
+
+            env.linter.validate(code + '\n(my-shout "a" "b")', 'cache-chat', function(err, result) {
+                assert.ifError(err);
+                assert.strictEqual(result.valid, false);
+                assert.deepStrictEqual(result.errors.map(function(e) { return [e.row, e.message]; }),
+                                       [[2, 'my-shout is called with 2 args but expects 1']]);
+
+                env.linter.clearSession('cache-chat');
+                assert.strictEqual(fs.existsSync(path.join(env.dir, 'cache', 'cache-chat')), false);
+                env.linter.validate(code, 'cache-chat', function(err, result) {
+                    assert.ifError(err);
+                    assert.strictEqual(result.valid, false, 'A cleared chat no longer resolves its definitions');
+                    env.done();
+                    done();
+                });
+            });
+        });
+    });
+});
+
+test('snippets resolve the chat\'s private definitions', function(t, done) {
+    var env = setup();
+    env.linter.updateSession('private-chat', 'chat-private-chat', {
+        requires: [],
+        definitions: [{ kind: 'function', name: 'my-helper', source: '(defn- my-helper [x] (inc x))' },
+                      { kind: 'variable', name: 'limit', source: '(def ^:private limit 10)' }],
+        declared: []
+    }, function(err) {
+        assert.ifError(err);
+        var file = fs.readFileSync(path.join(env.dir, 'cache', 'private-chat', 'chat_private_chat.clj'), 'utf8');
+        assert.strictEqual(file, '(ns chat-private-chat)\n\n(defn my-helper [x] (inc x))\n\n(def limit 10)\n');
+
+        env.linter.validate('(my-helper 1)\n(my-helper)', 'private-chat', function(err, result) {
+            assert.ifError(err);
+            assert.deepStrictEqual(result.errors.map(function(e) { return [e.row, e.message]; }),
+                                   [[2, 'my-helper is called with 0 args but expects 1']]);
+            env.done();
+            done();
+        });
+    });
+});
+
+test('validation is skipped when clj-kondo is not installed', function(t, done) {
+    var linter = codeValidator.createLinter({ cljKondoPath: path.join(os.tmpdir(), 'no-such-clj-kondo-' + process.pid) });
+    linter.validate('(+ 1 2)', 'missing-chat', function(err, result) {
+        assert.ifError(err);
+        assert.deepStrictEqual(result, { valid: true, errors: [], skipped: true, reason: 'clj-kondo not available' });
+        linter.validate('(+ 1 2)', 'missing-chat', function(err, result) {
+            assert.ifError(err);
+            assert.strictEqual(result.skipped, true);
+            linter.shutdown();
+            done();
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/*global test*/
+/**
+ * Tests for context window management
+ * Verifies token estimation, tool payload trimming and history summarization against the mock LLM server
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var baseConfig = require('../src/config');
+var aiClient = require('../src/ai-client');
+var contextWindow = require('../src/context-window');
+var mockLLM = require('./support/mock-llm-server');
+
+var bigResult = new Array(2001).join('x'); // 2000 characters
+
+/**
+ * History of answered turns, each with one large tool result
+ */
+function createHistory(turns) {
+    var history = [];
+    for (var i = 0; i < turns; i++) {
+        history.push({ role: 'user', content: 'Question ' + i });
+        history.push({ role: 'assistant', content: '', tool_calls: [{
+            id: 'call_' + i,
+            type: 'function',
+            function: { name: 'eval_clojure', arguments: JSON.stringify({ code_string: '(slurp "file-' + i + '")' }) }
+        }] });
+        history.push({
+            role: 'tool',
+            tool_call_id: 'call_' + i,
+            name: 'eval_clojure',
+            content: JSON.stringify({ status: 'success', result: { type: 'string', value: bigResult }, replState: { functions: [] } })
+        });
+        history.push({ role: 'assistant', content: '<div>Answer ' + i + '</div>' });
+    }
+    return history;
+}
+
+/**
+ * Start the mock server answering summary requests (tools forbidden) and regular requests differently
+ * @param {Function} callback - Callback (server)
+ */
+function startServer(callback) {
+    mockLLM.start(function(request) {
+        return { content: request.tool_choice === 'none' ? 'The user read files 0 to 2.' : '<div>Done</div>' };
+    }, function(err, server) {
+        assert.ifError(err);
+        callback(server);
+    });
+}
+
+function createConfig(server, contextWindowSize) {
+    var config = mockLLM.createConfig(baseConfig, server, { contextWindow: contextWindowSize });
+    config.ai = Object.assign({}, config.ai, {
+        systemPrompt: 'You are a test assistant.',
+        codeModePromptTemplate: '',
+        tool: { name: 'eval_clojure', description: 'Evaluates Clojure code', parameterDescription: 'Code' }
+    });
+    config.context = { keepRecentTurns: 2, toolResultMaxChars: 200 };
+    return config;
+}
+
+test('token estimates grow with content and tool calls', function() {
+    assert.strictEqual(contextWindow.estimateTokens(''), 0);
+    assert.strictEqual(contextWindow.estimateTokens('abcdefgh'), 2);
+
+    var history = createHistory(1);
+    assert.ok(contextWindow.estimateMessageTokens(history[1]) > contextWindow.estimateMessageTokens({ role: 'assistant', content: '' }));
+    assert.ok(contextWindow.estimateMessagesTokens(history) > 500);
+});
+
+test('old tool results are trimmed, recent turns and originals are not', function() {
+    var history = createHistory(3);
+    var trimmed = contextWindow.trimToolPayloads(history, 2, 200);
+
+    var oldResult = JSON.parse(trimmed[2].content);
+    assert.strictEqual(oldResult.status, 'success');
+    assert.strictEqual(oldResult.truncated, true);
+    assert.strictEqual(oldResult.replState, undefined);
+    assert.ok(trimmed[2].content.length < 400);
+
+    assert.strictEqual(trimmed[6], history[6], 'Recent turns are left as they are');
+    assert.ok(history[2].content.length > 2000, 'The original message is not modified');
+});
+
+test('requests fit the context window by trimming before summarizing', function(t, done) {
+    startServer(function(server) {
+        var requests = server.requests;
+        // Room for the history once the old tool results are trimmed
+        var config = createConfig(server, 2000);
+        var client = aiClient.createAIClient(config, function() {}, createHistory(4), null, null);
+
+        client.sendMessage('Next question', 'mock', function(err) {
+            server.close();
+            assert.ifError(err);
+            assert.strictEqual(requests.length, 1, 'No summary needed');
+            assert.strictEqual(requests[0].messages.length, 1 + 4 * 4 + 1);
+            assert.ok(JSON.parse(requests[0].messages[3].content).truncated);
+            done();
+        });
+    });
+});
+
+test('old turns are replaced by a saved summary when trimming is not enough', function(t, done) {
+    startServer(function(server) {
+        var requests = server.requests;
+        var config = createConfig(server, 1000);
+        var saved = [];
+        var client = aiClient.createAIClient(config, function() {}, createHistory(4), null, null, null, null, null,
+                                             function(summary) { saved.push(summary); });
+
+        client.sendMessage('Next question', 'mock', function(err, response) {
+            server.close();
+            assert.ifError(err);
+            assert.strictEqual(response.html, '<div>Done</div>');
+
+            assert.strictEqual(requests.length, 2, 'One summary request, then the real request');
+            assert.strictEqual(requests[0].tool_choice, 'none');
+            assert.match(requests[0].messages[1].content, /Question 0/);
+
+            // Four old turns plus the new question, the last two turns are kept
+            assert.deepStrictEqual(saved, [{ content: 'The user read files 0 to 2.', turnCount: 3 }]);
+
+            var messages = requests[1].messages;
+            assert.match(messages[1].content, /The user read files 0 to 2\./);
+            assert.ok(!messages.some(function(msg) { return msg.content === 'Question 0'; }), 'Summarized turns are left out');
+            assert.strictEqual(messages[2].content, 'Question 3');
+            assert.strictEqual(messages[messages.length - 1].content, 'Next question');
+
+            assert.strictEqual(client.conversationHistory[0].content, 'Question 0', 'History itself stays intact');
+            done();
+        });
+    });
+});
+
+test('a loaded summary stands in for the turns it covers', function(t, done) {
+    startServer(function(server) {
+        var requests = server.requests;
+        var config = createConfig(server, 0);
+        var client = aiClient.createAIClient(config, function() {}, createHistory(2), null, null, null, null,
+                                             { content: 'Earlier: file 0 was read.', turnCount: 1 });
+
+        client.sendMessage('Next question', 'mock', function(err) {
+            server.close();
+            assert.ifError(err);
+            var messages = requests[0].messages;
+            assert.match(messages[1].content, /Earlier: file 0 was read\./);
+            assert.strictEqual(messages[2].content, 'Question 1');
+            done();
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/*global test*/
+/**
+ * EDN reader tests
+ * Reads printed Clojure values into the typed representation and plain JS,
+ * and checks that unreadable results are reported instead of passed on as strings
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var ednReader = require('../src/edn-reader');
+var resultHandler = require('../src/result-handler');
+
+function read(str) {
+    return ednReader.readString(str);
+}
+
+function keyword(name, ns) {
+    return { type: 'keyword', ns: ns || null, name: name };
+}
+
+test('scalars keep their Clojure types', function() {
+    assert.strictEqual(read('nil'), null);
+    assert.strictEqual(read('false'), false);
+    assert.strictEqual(read('-42'), -42);
+    assert.strictEqual(read('3.5e2'), 350);
+    assert.strictEqual(read('0x1F'), 31);
+    assert.strictEqual(read('2r101'), 5);
+    assert.strictEqual(read('##Inf'), Infinity);
+    assert.ok(Number.isNaN(read('##NaN')));
+    assert.strictEqual(read('"tab\\there \\"quoted\\" \\u00e9"'), 'tab\there "quoted" é');
+
+    assert.deepStrictEqual(read('1N'), { type: 'bigint', value: '1' });
+    assert.deepStrictEqual(read('1.50M'), { type: 'bigdec', value: '1.50' });
+    assert.deepStrictEqual(read('9223372036854775807'), { type: 'long', value: '9223372036854775807' });
+    assert.deepStrictEqual(read('-1/3'), { type: 'ratio', numerator: '-1', denominator: '3' });
+    assert.deepStrictEqual(read('\\a'), { type: 'char', value: 'a' });
+    assert.deepStrictEqual(read('\\newline'), { type: 'char', value: '\n' });
+    assert.deepStrictEqual(read('\\u0041'), { type: 'char', value: 'A' });
+    assert.deepStrictEqual(read(':user/name'), keyword('name', 'user'));
+    assert.deepStrictEqual(read('clojure.core/+'), { type: 'symbol', ns: 'clojure.core', name: '+' });
+    assert.deepStrictEqual(read('#\'user/f'), { type: 'var', ns: 'user', name: 'f' });
+    assert.deepStrictEqual(read('#"\\d+"'), { type: 'regex', source: '\\d+' });
+});
+
+test('collections distinguish sets, vectors and lists and keep non-string map keys', function() {
+    assert.deepStrictEqual(read('#{1 2}'), { type: 'set', items: [1, 2] });
+    assert.deepStrictEqual(read('[1, (2) ; comment\n #_ ignored]'), {
+        type: 'vector',
+        items: [1, { type: 'list', items: [2] }]
+    });
+    assert.deepStrictEqual(read('{:a "x", [1] \\b, nil 2}'), {
+        type: 'map',
+        entries: [[keyword('a'), 'x'], [{ type: 'vector', items: [1] }, { type: 'char', value: 'b' }], [null, 2]]
+    });
+    assert.deepStrictEqual(read('#:user{:a 1 :_/b 2 :other/c 3 "s" 4}').entries.map(function(entry) { return entry[0]; }), [
+        keyword('a', 'user'), keyword('b'), keyword('c', 'other'), 's'
+    ]);
+});
+
+test('tagged literals, records and metadata', function() {
+    assert.deepStrictEqual(read('#inst "2024-01-01T00:00:00.000-00:00"'),
+                           { type: 'tagged', tag: 'inst', value: '2024-01-01T00:00:00.000-00:00' });
+    assert.deepStrictEqual(read('#user.Person{:name "Ada"}'), {
+        type: 'tagged', tag: 'user.Person', value: { type: 'map', entries: [[keyword('name'), 'Ada']] }
+    });
+
+    var atom = read('#object[clojure.lang.Atom 0x5f2 {:status :ready, :val 1}]');
+    assert.strictEqual(atom.tag, 'object');
+    assert.strictEqual(atom.value.type, 'vector');
+
+    var withMeta = read('^:private ^{:doc "Docs"} [1]');
+    assert.deepStrictEqual(withMeta.meta.entries, [[keyword('doc'), 'Docs'], [keyword('private'), true]]);
+    assert.deepStrictEqual(read('^String s').meta.entries, [[keyword('tag'), { type: 'symbol', ns: null, name: 'String' }]]);
+});
+
+test('toJS gives the plain values used for visualization', function() {
+    function toJS(str) { return ednReader.toJS(read(str)); }
+
+    assert.deepStrictEqual(toJS('{:name "Ada" :tags #{:a} :ratio 1/4 :n 10N :user/id 7}'),
+                           { name: 'Ada', tags: [':a'], ratio: 0.25, n: 10, 'user/id': 7 });
+    assert.deepStrictEqual(toJS('{[1 2] :v, nil 3, "s" \\c}'), { '[1 2]': ':v', nil: 3, s: 'c' });
+    assert.deepStrictEqual(toJS('[#user.Person{:name "Ada"} #uuid "f81d4fae-7dec-11d0-a765-00a0c91e6bf6" ##-Inf]'),
+                           [{ name: 'Ada' }, 'f81d4fae-7dec-11d0-a765-00a0c91e6bf6', '##-Inf']);
+    assert.strictEqual(toJS('12345678901234567890N'), '12345678901234567890');
+    assert.strictEqual(toJS('(quote sym)')[1], 'sym');
+    assert.strictEqual(ednReader.printString(read('{:a #{\\x}, "b" [1/2 2N]}')), '{:a #{\\x}, "b" [1/2 2N]}');
+});
+
+test('unreadable input throws with its position', function() {
+    var cases = {
+        '(1 2': /Unterminated collection/,
+        '{:a}': /even number of forms/,
+        '#<Thing>': /Unreadable form #</,
+        '[1] 2': /after the value/,
+        '::local': /Auto-resolved keywords/,
+        '1/0': /Divide by zero/,
+        '12abc': /Invalid number/,
+        '"open': /Unterminated string/,
+        '^:meta 1': /Metadata can only be applied/
+    };
+    Object.keys(cases).forEach(function(input) {
+        assert.throws(function() { read(input); }, cases[input], input);
+    });
+
+    try {
+        read('[1\n  :a ]]');
+        assert.fail('Extra delimiter should not be read');
+    } catch (e) {
+        assert.strictEqual(e.line, 2);
+        assert.strictEqual(e.column, 7);
+    }
+});
+
+test('source code is read into top-level forms with positions', function() {
+    var code = '(ns demo) ; setup\n(defmacro m [x] `(inc ~x ~@[1]))\n#(+ % ::k)\n#?(:clj 1)';
+    var forms = ednReader.readForms(code);
+    assert.deepStrictEqual(forms.map(function(f) { return f.source; }),
+                           ['(ns demo)', '(defmacro m [x] `(inc ~x ~@[1]))', '#(+ % ::k)', '#?(:clj 1)']);
+
+    var body = forms[1].form.items[3];
+    assert.strictEqual(body.items[0].name, 'syntax-quote');
+    assert.deepStrictEqual(body.items[1].items.slice(1).map(function(item) { return item.items[0].name; }),
+                           ['unquote', 'unquote-splicing']);
+    assert.strictEqual(code.substring(body.start, body.end), '`(inc ~x ~@[1])');
+
+    var fn = forms[2].form;
+    assert.strictEqual(fn.items[0].name, 'fn*');
+    assert.deepStrictEqual(fn.items[1].items[2], { type: 'keyword', ns: null, name: 'k', auto: true, start: 57, end: 60 });
+    assert.strictEqual(forms[3].form.tag, '?');
+
+    // Code is only read this way, a printed value cannot contain it
+    assert.throws(function() { read('`a'); }, /Syntax quote/);
+    try {
+        ednReader.readForms('(def a 1)\n(defn b [');
+        assert.fail('Unclosed form should not be read');
+    } catch (e) {
+        assert.strictEqual(e.line, 2);
+        assert.deepStrictEqual(e.forms.map(function(f) { return f.source; }), ['(def a 1)']);
+    }
+});
+
+test('serializeResult reads values as EDN and reports unreadable ones', function() {
+    var result = resultHandler.serializeResult([{ value: '[{:name "a.txt" :size 3} {:name "b.txt" :size 5}]' }, { status: ['done'] }], 1);
+    assert.strictEqual(result.type, 'table-data');
+    assert.deepStrictEqual(result.value, [{ name: 'a.txt', size: 3 }, { name: 'b.txt', size: 5 }]);
+    assert.strictEqual(result.edn.type, 'vector');
+
+    var set = resultHandler.serializeResult([{ value: '#{:a}' }, { status: ['done'] }], 1);
+    assert.deepStrictEqual(set.value, [':a']);
+    assert.strictEqual(set.edn.type, 'set');
+
+    var unreadable = resultHandler.serializeResult([{ value: '#<Promise pending>' }, { status: ['done'] }], 1);
+    assert.strictEqual(unreadable.type, 'unreadable');
+    assert.strictEqual(unreadable.value, null);
+    assert.strictEqual(unreadable.raw, '#<Promise pending>');
+    assert.match(unreadable.parseError, /Unreadable form #< \(line 1, column 1\)/);
+    assert.strictEqual(resultHandler.formatForVisualization(unreadable).parseError, unreadable.parseError);
+});
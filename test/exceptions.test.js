@@ -0,0 +1,92 @@
+/*global test*/
+/**
+ * Structured exception tests
+ * Turns repl-talk.result/error-data output into a categorized error with the failing
+ * line of the submitted code and the first user frame
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var clojureHelpers = require('../src/clojure-helpers');
+var resultHandler = require('../src/result-handler');
+
+var code = '(defn avg [xs]\n  (/ (reduce + xs) (count xs)))\n(avg [])';
+
+test('a JVM Clojure error maps to the snippet and its first user frame', function() {
+    var exception = resultHandler.structureException({
+        via: [
+            { type: 'clojure.lang.Compiler$CompilerException', message: 'Syntax error macroexpanding at (3:1).',
+              data: { 'clojure.error/phase': 'execution', 'clojure.error/line': 5, 'clojure.error/column': 1 } },
+            { type: 'java.lang.ArithmeticException', message: 'Divide by zero', data: null }
+        ],
+        cause: 'Divide by zero',
+        data: null,
+        phase: 'execution',
+        location: { line: 5, column: 1, file: 'NO_SOURCE_PATH' },
+        trace: [
+            { class: 'clojure.lang.Numbers', method: 'divide', file: 'Numbers.java', line: 190 },
+            { class: 'user$avg', method: 'invokeStatic', file: 'NO_SOURCE_FILE', line: 4 },
+            { class: 'clojure.lang.Compiler', method: 'eval', file: 'Compiler.java', line: 7194 }
+        ]
+    }, { code: code, lineOffset: 2 });
+
+    assert.strictEqual(exception.category, 'arithmetic');
+    assert.strictEqual(exception.cause, 'Divide by zero');
+    assert.strictEqual(exception.causeType, 'java.lang.ArithmeticException');
+    assert.deepStrictEqual(exception.location, { line: 3, column: 1, source: '(avg [])' });
+    assert.deepStrictEqual(exception.userFrame, { name: 'user/avg', method: 'invokeStatic', file: 'NO_SOURCE_FILE', line: 2 });
+    assert.strictEqual(exception.via.length, 2);
+});
+
+test('a Babashka error uses the location sci reports', function() {
+    var exception = resultHandler.structureException({
+        via: [
+            { type: 'clojure.lang.ExceptionInfo', message: 'Could not resolve symbol: totl',
+              data: { type: ':sci/error', line: 2, column: 4, file: null } }
+        ],
+        cause: 'Could not resolve symbol: totl',
+        data: { type: ':sci/error', line: 2, column: 4, file: null },
+        phase: null,
+        location: { line: 2, column: 4, file: null },
+        trace: [{ class: 'sci.impl.utils$throw_error_with_location', method: 'invokeStatic', file: 'utils.cljc', line: 41 }]
+    }, { code: '(let [total 1]\n   totl)' });
+
+    assert.strictEqual(exception.category, 'unresolved-symbol');
+    assert.match(exception.hint, /could not be resolved/);
+    assert.deepStrictEqual(exception.location, { line: 2, column: 4, source: '   totl)' });
+    assert.deepStrictEqual(exception.userFrame, { name: null, method: null, file: null, line: 2, column: 4 });
+
+    // Lines outside the snippet (e.g. in a required namespace) are not mapped onto it
+    var elsewhere = resultHandler.structureException({ via: [], location: { line: 40, column: 1 } }, { code: '(f)' });
+    assert.strictEqual(elsewhere.location, null);
+    assert.strictEqual(resultHandler.structureException(null), null);
+});
+
+test('errors are categorized in formatForVisualization, from text when nothing structured came back', function() {
+    var plain = resultHandler.formatForVisualization({
+        type: 'error', error: 'clojure.lang.ArityException: Wrong number of args (2) passed to: user/f'
+    });
+    assert.strictEqual(plain.errorDetails.category, 'arity');
+    assert.match(plain.errorDetails.hint, /Wrong number of arguments/);
+    assert.strictEqual(plain.exception, undefined);
+
+    var unknown = resultHandler.formatForVisualization({ type: 'error', error: 'Something odd' });
+    assert.strictEqual(unknown.errorDetails.category, 'other');
+
+    var envelope = {
+        value: { via: [{ type: 'clojure.lang.ExceptionInfo', message: 'Bad input', data: { id: 7 } }],
+                 cause: 'Bad input', data: { id: 7 }, phase: null, location: null, trace: [] },
+        keys: { '': 'keyword', '/via/0': 'keyword', '/via/0/data': 'keyword', '/data': 'keyword' }
+    };
+    var described = resultHandler.serializeResult([
+        { value: '#repl-talk/json ' + JSON.stringify(JSON.stringify(envelope)) }, { status: ['done'] }
+    ], 0);
+    var formatted = resultHandler.formatForVisualization({
+        type: 'error', error: 'Bad input', exception: resultHandler.structureException(described.value, { code: '(f)' })
+    });
+    assert.strictEqual(formatted.errorDetails.category, 'ex-info');
+    assert.deepStrictEqual(formatted.exception.data, { id: 7 });
+    assert.strictEqual(formatted.errorDetails.cause, 'Bad input');
+    assert.strictEqual(clojureHelpers.errorDataCode(), '(repl-talk.result/error-data *e)');
+});
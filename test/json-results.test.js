@@ -0,0 +1,153 @@
+/*global test,Buffer*/
+/**
+ * JSON result channel tests
+ * Decodes #repl-talk/json envelopes, as printed by the repl-talk.result namespace,
+ * into the same typed values as printed EDN
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var clojureHelpers = require('../src/clojure-helpers');
+var resultHandler = require('../src/result-handler');
+
+/**
+ * Serialize an eval that returned the envelope, printed the way pr-str prints it
+ * @param {Object} envelope - { value, types, keys, truncated }
+ */
+function serializeEnvelope(envelope) {
+    var printed = '#repl-talk/json ' + JSON.stringify(JSON.stringify(envelope));
+    return resultHandler.serializeResult([{ value: printed }, { status: ['done'] }], 1);
+}
+
+test('code is run as a string within the limits and pages are requested by id', function() {
+    assert.strictEqual(clojureHelpers.wrapForJSONResult('(ns demo)\n(str "a" \\b)', { length: 100, level: 0 }),
+                       '(repl-talk.result/run "(ns demo)\\n(str \\"a\\" \\\\b)" {:length 100 :level nil})');
+    assert.doesNotMatch(clojureHelpers.getResultEncoderCode(), /:type ::json|load-string/,
+                        'The value keeps its own type and ns changes are not undone by load');
+    assert.strictEqual(clojureHelpers.resultPageCode('r2', '/files', 100, 50, 10),
+                       '(repl-talk.result/page "r2" "/files" 100 50 10)');
+    assert.match(clojureHelpers.getResultEncoderCode(), /^\(ns repl-talk\.result/);
+});
+
+test('the type sidecar restores keywords, sets, records and objects', function() {
+    var result = serializeEnvelope({
+        value: {
+            name: 'Ada',
+            status: 'active',
+            tags: ['math', 'user/admin'],
+            joined: '#inst "2024-01-01T00:00:00.000-00:00"',
+            big: '12345678901234567890N',
+            point: { x: 1, y: 2 },
+            file: '#object[java.io.File 0x1a2b "a.txt"]',
+            atom: '#<Atom 1>'
+        },
+        keys: { '': 'keyword', '/point': 'keyword' },
+        types: {
+            '/status': 'keyword',
+            '/tags': 'set',
+            '/tags/0': 'keyword',
+            '/tags/1': 'keyword',
+            '/joined': 'edn',
+            '/big': 'edn',
+            '/point': 'record:user.Point',
+            '/file': 'object:java.io.File',
+            '/atom': 'object:clojure.lang.Atom'
+        }
+    });
+
+    assert.strictEqual(result.type, 'map');
+    assert.strictEqual(result.raw.indexOf('#repl-talk/json'), -1, 'raw is the value printed as EDN');
+    assert.deepStrictEqual(result.value, {
+        name: 'Ada',
+        status: ':active',
+        tags: [':math', ':user/admin'],
+        joined: '2024-01-01T00:00:00.000-00:00',
+        big: '12345678901234567890',
+        point: { x: 1, y: 2 },
+        file: '#object[java.io.File 6699 "a.txt"]',
+        atom: '#object[clojure.lang.Atom "#<Atom 1>"]'
+    });
+
+    var entries = {};
+    result.edn.entries.forEach(function(entry) { entries[entry[0].name] = entry[1]; });
+    assert.strictEqual(entries.tags.type, 'set');
+    assert.deepStrictEqual(entries.tags.items[1], { type: 'keyword', ns: 'user', name: 'admin' });
+    assert.deepStrictEqual(entries.point.tag, 'user.Point');
+    assert.deepStrictEqual(entries.joined, { type: 'tagged', tag: 'inst', value: '2024-01-01T00:00:00.000-00:00' });
+    assert.strictEqual(entries.file.value.items[0].name, 'java.io.File');
+});
+
+test('non-keyword map keys arrive as entries and lazy seqs report truncation', function() {
+    var result = serializeEnvelope({
+        value: [[[1, 2], 'pair'], ['a', 3]],
+        keys: { '': 'entries' },
+        types: { '/0/0': 'list' }
+    });
+    assert.deepStrictEqual(result.edn.entries[0][0], { type: 'list', items: [1, 2] });
+    assert.deepStrictEqual(result.value, { '(1 2)': 'pair', a: 3 });
+    assert.strictEqual(result.truncated, undefined);
+
+    var numbers = serializeEnvelope({
+        value: [0, 1, 2],
+        types: { '': 'list' },
+        truncated: { '': { shown: 3, total: null, reason: 'length' } },
+        id: 'r0'
+    });
+    assert.strictEqual(numbers.type, 'chart-data');
+    assert.strictEqual(numbers.truncated, true);
+    assert.deepStrictEqual(numbers.edn.truncated, { shown: 3, total: null });
+    var formatted = resultHandler.formatForVisualization(numbers);
+    assert.strictEqual(formatted.truncated, true);
+    assert.strictEqual(formatted.resultId, 'r0');
+    assert.deepStrictEqual(formatted.truncation, [{ path: '', shown: 3, total: null, reason: 'length' }]);
+
+    var set = serializeEnvelope({ value: [1, 2], types: { '': 'set' } });
+    assert.strictEqual(set.type, 'set');
+});
+
+test('collections past the level limit are elided and pages carry their position', function() {
+    var result = serializeEnvelope({
+        value: { tree: [1, null] },
+        keys: { '': 'keyword' },
+        types: { '/tree/1': 'elided' },
+        truncated: { '/tree/1': { shown: 0, total: 2, reason: 'level' } },
+        id: 'r1'
+    });
+    assert.deepStrictEqual(result.value, { tree: [1, '...'] });
+    assert.strictEqual(result.raw, '{:tree [1 ...]}');
+    assert.deepStrictEqual(result.truncation, [{ path: '/tree/1', shown: 0, total: 2, reason: 'level' }]);
+
+    var page = serializeEnvelope({ value: [5, 6], page: { offset: 5, limit: 2, total: 10, more: true } });
+    assert.deepStrictEqual(page.value, [5, 6]);
+    assert.deepStrictEqual(resultHandler.formatForVisualization(page).page, { offset: 5, limit: 2, total: 10, more: true });
+});
+
+test('values over the byte cap keep a prefix of each collection and string', function() {
+    var files = [];
+    for (var i = 0; i < 200; i++) {
+        files.push('"file-' + i + '.txt"');
+    }
+    var result = resultHandler.serializeResult([{ value: '{:dir "/tmp" :files [' + files.join(' ') + ']}' }, { status: ['done'] }], 1,
+                                               { maxValueBytes: 500 });
+    assert.ok(Buffer.byteLength(JSON.stringify(result.value)) <= 500);
+    assert.strictEqual(result.value.dir, '/tmp');
+    assert.deepStrictEqual(result.value.files.slice(0, 2), ['file-0.txt', 'file-1.txt']);
+    assert.strictEqual(result.truncated, true);
+    assert.deepStrictEqual(result.truncation, [{ path: '/files', shown: result.value.files.length, total: 200, reason: 'bytes' }]);
+    assert.ok(Buffer.byteLength(result.raw) <= 504 && /\.\.\.$/.test(result.raw));
+    assert.strictEqual(result.edn.entries[1][1].items.length, 200, 'The typed value is kept whole');
+
+    var text = resultHandler.serializeResult([{ value: JSON.stringify('é'.repeat(1000)) }, { status: ['done'] }], 1, { maxValueBytes: 101 });
+    assert.strictEqual(text.value, 'é'.repeat(49));
+    assert.deepStrictEqual(text.truncation, [{ path: '', shown: 49, total: 1000, reason: 'bytes' }]);
+
+    var small = resultHandler.serializeResult([{ value: '[1 2]' }, { status: ['done'] }], 1, { maxValueBytes: 500 });
+    assert.strictEqual(small.truncated, undefined);
+});
+
+test('a broken envelope is reported instead of shown as a string', function() {
+    var result = resultHandler.serializeResult([{ value: '#repl-talk/json "{not json"' }, { status: ['done'] }], 1);
+    assert.strictEqual(result.type, 'unreadable');
+    assert.match(result.parseError, /Could not decode the JSON result/);
+});
@@ -0,0 +1,111 @@
+/*global test*/
+/**
+ * Tests for retries and model fallback of LLM requests
+ * Runs the AI client against mock LLM servers that fail in scripted ways
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var baseConfig = require('../src/config');
+var aiClient = require('../src/ai-client');
+var mockLLM = require('./support/mock-llm-server');
+
+/**
+ * Start a mock server, the last reply of the script repeats
+ * @param {Array} replies - Scripted replies (see test/support/mock-llm-server.js)
+ * @param {Function} callback - Callback (server, endpoint, requests)
+ */
+function startEndpoint(replies, callback) {
+    mockLLM.start(function(request, index) {
+        return replies[Math.min(index, replies.length - 1)];
+    }, function(err, server) {
+        assert.ifError(err);
+        callback(server, server.endpoint, server.requests);
+    });
+}
+
+function createConfig(models) {
+    var config = Object.assign({}, baseConfig);
+    var modelConfigs = {};
+    Object.keys(models).forEach(function(key) {
+        modelConfigs[key] = Object.assign({ apiKey: 'test', model: key, temperature: 0, maxTokens: 100 }, models[key]);
+    });
+    config.ai = Object.assign({}, baseConfig.ai, { defaultModel: Object.keys(models)[0], models: modelConfigs });
+    config.retry = { maxRetries: 2, initialDelay: 10, maxDelay: 1000, requestTimeout: 5000 };
+    config.agent = { maxToolCalls: 0, maxRecoveryAttempts: 0, maxTurnTime: 0 };
+    return config;
+}
+
+test('rate limits and server errors are retried, honouring Retry-After', function(t, done) {
+    startEndpoint([
+        { status: 429, headers: { 'Retry-After': '0' }, body: { error: 'slow down' } },
+        { status: 503, body: { error: 'overloaded' } },
+        { content: '<div>3</div>' }
+    ], function(server, endpoint, requests) {
+        var statuses = [];
+        var client = aiClient.createAIClient(createConfig({ primary: { endpoint: endpoint } }), function() {}, [], null,
+                                             function(message) { statuses.push(message); });
+
+        client.sendMessage('Add', 'primary', function(err, response) {
+            server.close();
+            assert.ifError(err);
+            assert.strictEqual(response.html, '<div>3</div>');
+            assert.strictEqual(requests.length, 3);
+            assert.strictEqual(statuses.filter(function(status) { return /Retrying/.test(status); }).length, 2);
+            done();
+        });
+    });
+});
+
+test('client errors fail the turn without retrying', function(t, done) {
+    startEndpoint([{ status: 400, body: { error: 'bad request' } }], function(server, endpoint, requests) {
+        var client = aiClient.createAIClient(createConfig({ primary: { endpoint: endpoint } }), function() {}, []);
+
+        client.sendMessage('Add', 'primary', function(err) {
+            server.close();
+            assert.match(err.message, /status 400/);
+            assert.strictEqual(requests.length, 1);
+            done();
+        });
+    });
+});
+
+test('the turn continues on a fallback model and records it', function(t, done) {
+    startEndpoint([{ status: 500, body: { error: 'down' } }], function(primaryServer, primaryEndpoint, primaryRequests) {
+        startEndpoint([{ code: '(+ 1 2)' }, { content: '<div>3</div>' }], function(fallbackServer, fallbackEndpoint, fallbackRequests) {
+            var config = createConfig({
+                primary: { endpoint: primaryEndpoint, fallbackModels: ['missing', 'backup'] },
+                backup: { endpoint: fallbackEndpoint }
+            });
+            var saved = [];
+            var statuses = [];
+            var evalCallback = function(code, cb) { cb(null, { type: 'number', value: 3 }); };
+            var client = aiClient.createAIClient(config, evalCallback, [{ role: 'user', content: 'Earlier question' }],
+                function(role, content, toolCalls, metadata) { saved.push({ role: role, metadata: metadata }); },
+                function(message) { statuses.push(message); });
+
+            client.sendMessage('Add', 'primary', function(err, response) {
+                primaryServer.close();
+                fallbackServer.close();
+                assert.ifError(err);
+                assert.strictEqual(response.html, '<div>3</div>');
+
+                assert.strictEqual(primaryRequests.length, 3, 'The first request plus two retries');
+                assert.strictEqual(fallbackRequests.length, 2, 'The tool result goes straight to the fallback');
+                assert.strictEqual(fallbackRequests[0].model, 'backup');
+                assert.strictEqual(fallbackRequests[0].messages[1].content, 'Earlier question', 'Same history');
+
+                assert.ok(statuses.some(function(status) { return /primary is unavailable.*Continuing with backup/.test(status); }));
+                var assistantMessages = saved.filter(function(entry) { return entry.role === 'assistant'; });
+                assert.strictEqual(assistantMessages.length, 2);
+                assistantMessages.forEach(function(entry) {
+                    assert.strictEqual(entry.metadata.model, 'backup');
+                    assert.strictEqual(entry.metadata.fallbackFrom, 'primary');
+                    assert.match(entry.metadata.fallbackReason, /status 500/);
+                });
+                done();
+            });
+        });
+    });
+});
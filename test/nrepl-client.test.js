@@ -0,0 +1,54 @@
+/*global test*/
+/**
+ * nREPL Client Tests
+ * Runs against the fake nREPL server, no Babashka required
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var nreplClient = require('../src/nrepl-client');
+var fakeServer = require('../src/nrepl-fake-server');
+
+/**
+ * Start a fake server that answers every eval with the given messages, written 10ms apart
+ * and each split over several writes
+ */
+function startServer(replies, callback) {
+    var server = fakeServer.createFakeServer({
+        rules: [{ match: function() { return true; }, reply: { messages: replies, delay: 10, chunked: true } }]
+    });
+    server.listen(0, '127.0.0.1', function(err, address) {
+        assert.ifError(err);
+        callback(server, address.port);
+    });
+}
+
+test('send reports partial message sequences before done', function(t, done) {
+    var replies = [
+        { out: 'step 1\n' },
+        { err: 'warning\n' },
+        { value: 'nil' },
+        { status: ['done'] }
+    ];
+
+    startServer(replies, function(server, port) {
+        var connection = nreplClient.connect({ host: '127.0.0.1', port: port });
+        var partial = [];
+
+        connection.once('connect', function() {
+            connection.send({ op: 'eval', code: '(println "step 1")' }, function(err, messages) {
+                assert.ifError(err);
+                assert.strictEqual(messages.length, 4, 'Callback should receive all messages');
+                assert.deepStrictEqual(partial.slice(0, 2).map(function(msg) { return msg.out || msg.err; }),
+                                       ['step 1\n', 'warning\n'], 'Output should be seen while running');
+                assert.strictEqual(partial.length, 4, 'Every message should reach onMessages');
+
+                connection.end();
+                server.close(function() { done(); });
+            }, function(messages) {
+                partial = partial.concat(messages);
+            });
+        });
+    });
+});
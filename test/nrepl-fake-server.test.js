@@ -0,0 +1,173 @@
+/*global test*/
+/**
+ * Fake nREPL Server Tests
+ * Exercises the nREPL client, result serialization and crash recovery without Babashka
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var nreplClient = require('../src/nrepl-client');
+var nreplServer = require('../src/nrepl-server');
+var nreplSupervisor = require('../src/nrepl-supervisor');
+var fakeServer = require('../src/nrepl-fake-server');
+var resultHandler = require('../src/result-handler');
+
+/**
+ * Start a fake server with the given rules and connect to it
+ * @param {Array} rules - Eval rules, see nrepl-fake-server.js
+ * @param {Function} callback - Callback (server, connection, session)
+ */
+function connect(rules, callback) {
+    var server = fakeServer.createFakeServer({ rules: rules });
+    server.listen(0, '127.0.0.1', function(err, address) {
+        assert.ifError(err);
+        var connection = nreplClient.connect({ host: address.hostname, port: address.port });
+        connection.once('connect', function() {
+            connection.clone(function(err, messages) {
+                assert.ifError(err);
+                callback(server, connection, messages[0]['new-session']);
+            });
+        });
+    });
+}
+
+function finish(server, connection, done) {
+    connection.end();
+    server.close(function() { done(); });
+}
+
+test('clone, describe, eval and close', function(t, done) {
+    connect([{ match: '(+ 1 2)', reply: { value: '3', out: 'adding\n' } }], function(server, connection, session) {
+        assert.ok(server.sessions[session], 'Clone creates a session');
+
+        connection.describe(session, false, function(err, messages) {
+            assert.ifError(err);
+            assert.ok(messages[0].ops.eval && messages[0].ops.interrupt);
+
+            connection.send({ op: 'eval', code: '(+ 1 2)', ns: 'chat-1', session: session }, function(err, messages) {
+                assert.ifError(err);
+                var result = resultHandler.serializeResult(messages, 1);
+                assert.strictEqual(result.value, 3);
+                assert.strictEqual(result.stdout, 'adding\n');
+                assert.ok(messages.some(function(msg) { return msg.ns === 'chat-1'; }), 'Values report the eval namespace');
+
+                connection.eval('(unknown)', 'user', session, function(err, messages) {
+                    assert.ifError(err);
+                    assert.strictEqual(messages[0].value, 'nil', 'Unmatched code evaluates to nil');
+
+                    connection.close(session, function(err, messages) {
+                        assert.ifError(err);
+                        assert.ok(messages[0].status.indexOf('session-closed') > -1);
+                        assert.strictEqual(server.sessions[session], undefined);
+                        finish(server, connection, done);
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('exceptions are reported with ex, root-ex and eval-error', function(t, done) {
+    connect([{
+        match: /\(\/ 1 0\)/,
+        reply: { err: 'Execution error (ArithmeticException) at user/eval1 (REPL:1).\nDivide by zero\n',
+                 ex: 'class java.lang.ArithmeticException', rootEx: 'class java.lang.ArithmeticException' }
+    }], function(server, connection, session) {
+        connection.eval('(/ 1 0)', 'user', session, function(err, messages) {
+            assert.ifError(err);
+            var result = resultHandler.serializeResult(messages, 1);
+            assert.strictEqual(result.type, 'error');
+            assert.strictEqual(result.rootEx, 'class java.lang.ArithmeticException');
+            assert.match(result.error, /Divide by zero/);
+            finish(server, connection, done);
+        });
+    });
+});
+
+test('hanging evals finish when interrupted, unless they ignore it', function(t, done) {
+    connect([
+        { match: '(loop [] (recur))', reply: { hang: true, out: 'looping\n' } },
+        { match: '(stubborn)', reply: { hang: true, ignoreInterrupt: true } }
+    ], function(server, connection, session) {
+        var evalMsg = connection.send({ op: 'eval', code: '(loop [] (recur))', session: session }, function(err, messages) {
+            assert.ifError(err);
+            assert.strictEqual(resultHandler.serializeResult(messages, 1).type, 'interrupted');
+
+            var stubborn = connection.send({ op: 'eval', code: '(stubborn)', session: session }, function() {
+                assert.fail('An eval that ignores interrupts never finishes');
+            });
+            connection.interrupt(session, stubborn.id, function(err) {
+                assert.ifError(err);
+                assert.ok(server.sessions[session].running[stubborn.id], 'Still running after the interrupt');
+                finish(server, connection, done);
+            });
+        });
+
+        setTimeout(function() {
+            connection.interrupt(session, evalMsg.id, function(err, messages) {
+                assert.ifError(err);
+                assert.deepStrictEqual(messages[0].status, ['done']);
+            });
+        }, 20);
+    });
+});
+
+test('error statuses and unknown ops', function(t, done) {
+    connect([{ match: '(in-ns-missing)', reply: { status: ['error', 'namespace-not-found'] } }], function(server, connection, session) {
+        connection.eval('(in-ns-missing)', 'nope', session, function(err, messages) {
+            assert.ifError(err);
+            assert.ok(messages[0].status.indexOf('namespace-not-found') > -1);
+
+            connection.send({ op: 'load-file', file: '(+ 1 2)' }, function(err, messages) {
+                assert.ifError(err);
+                assert.ok(messages[0].status.indexOf('unknown-op') > -1);
+                finish(server, connection, done);
+            });
+        });
+    });
+});
+
+test('the supervisor restarts a crashed fake server and sets up a new session', function(t, done) {
+    var setups = [];
+    var supervisor = nreplSupervisor.createSupervisor({
+        server: { fake: { rules: [{ match: '(+ 1 2)', reply: { value: '3' } }] } },
+        reconnect: { initialDelay: 10, maxDelay: 10, maxAttempts: 3 },
+        sessionSetup: function(connection, session, setupOptions, callback) {
+            setups.push(setupOptions.reconnect);
+            callback(null, session);
+        }
+    });
+
+    supervisor.start(function(err) {
+        assert.ifError(err);
+        var firstSession = supervisor.session;
+
+        supervisor.once('reconnected', function() {
+            assert.deepStrictEqual(setups, [false, true]);
+            assert.notStrictEqual(supervisor.session, firstSession);
+
+            supervisor.connection.eval('(+ 1 2)', 'user', supervisor.session, function(err, messages) {
+                assert.ifError(err);
+                assert.strictEqual(messages[0].value, '3', 'Rules survive the restart');
+                supervisor.stop(function() { done(); });
+            });
+        });
+
+        supervisor.serverState.fake.crash();
+    });
+});
+
+test('nreplServer.start and stop run the fake server when configured', function(t, done) {
+    nreplServer.start({ fake: true }, function(err, serverState) {
+        assert.ifError(err);
+        assert.strictEqual(serverState.started, true);
+        assert.strictEqual(serverState.proc, null);
+        assert.ok(serverState.port > 0);
+
+        nreplServer.stop(serverState, function() {
+            assert.strictEqual(serverState.exited, true);
+            done();
+        });
+    });
+});
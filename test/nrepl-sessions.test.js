@@ -0,0 +1,115 @@
+/*global test*/
+/**
+ * nREPL Session Manager Tests
+ * Uses a stub connection, no Babashka required
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var nreplSessions = require('../src/nrepl-sessions');
+
+function createStubConnection() {
+    var connection = {
+        cloned: 0,
+        closed: [],
+        evals: [],
+        clone: function(callback) {
+            connection.cloned++;
+            var session = 'session-' + connection.cloned;
+            setImmediate(function() { callback(null, [{ 'new-session': session, status: ['done'] }]); });
+        },
+        close: function(session, callback) {
+            connection.closed.push(session);
+            setImmediate(function() { callback(null, [{ status: ['session-closed', 'done'] }]); });
+        },
+        eval: function(code, ns, session, callback) {
+            connection.evals.push({ code: code, ns: ns, session: session });
+            setImmediate(function() { callback(null, [{ value: 'nil', status: ['done'] }]); });
+        }
+    };
+    return connection;
+}
+
+function createManager(connection, extraOptions) {
+    return nreplSessions.createSessionManager(Object.assign({
+        getConnection: function() { return connection; },
+        setupSession: function(con, chatSession, callback) { callback(null, { setup: chatSession.ns }); }
+    }, extraOptions));
+}
+
+test('each chat gets its own session and namespace', function(t, done) {
+    var connection = createStubConnection();
+    var manager = createManager(connection);
+
+    manager.acquire('chat-a', function(err, a) {
+        assert.ifError(err);
+        manager.acquire('chat-b', function(err, b) {
+            assert.ifError(err);
+            assert.notStrictEqual(a.session, b.session, 'Chats should not share an nREPL session');
+            assert.notStrictEqual(a.ns, b.ns, 'Chats should not share a namespace');
+            assert.deepStrictEqual(a.setupResult, { setup: a.ns }, 'Setup result should be kept');
+            assert.ok(connection.evals.some(function(e) { return e.code === '(ns ' + a.ns + ')'; }),
+                      'Chat namespace should be created');
+            done();
+        });
+    });
+});
+
+test('concurrent acquires share one lazily created session', function(t, done) {
+    var connection = createStubConnection();
+    var manager = createManager(connection);
+    var sessions = [];
+
+    function collect(err, chatSession) {
+        assert.ifError(err);
+        sessions.push(chatSession.session);
+        if (sessions.length === 2) {
+            assert.strictEqual(connection.cloned, 1, 'Only one clone should be sent');
+            assert.strictEqual(sessions[0], sessions[1]);
+            done();
+        }
+    }
+
+    assert.strictEqual(manager.get('chat-a'), null, 'Sessions should not exist before first use');
+    manager.acquire('chat-a', collect);
+    manager.acquire('chat-a', collect);
+});
+
+test('idle sessions are closed unless busy', function(t, done) {
+    var connection = createStubConnection();
+    var busy = { 'chat-b': true };
+    var manager = createManager(connection, {
+        idleTimeout: 1000,
+        isBusy: function(chatId) { return !!busy[chatId]; }
+    });
+
+    manager.acquire('chat-a', function(err, a) {
+        manager.acquire('chat-b', function(err, b) {
+            a.lastUsed -= 5000;
+            b.lastUsed -= 5000;
+            manager.sweep();
+
+            setImmediate(function() {
+                assert.deepStrictEqual(connection.closed, [a.session], 'Only the idle, non-busy session should close');
+                assert.strictEqual(manager.get('chat-a'), null);
+                assert.ok(manager.get('chat-b'));
+                done();
+            });
+        });
+    });
+});
+
+test('reset forgets sessions without closing them', function(t, done) {
+    var connection = createStubConnection();
+    var manager = createManager(connection);
+
+    manager.acquire('chat-a', function(err, a) {
+        assert.deepStrictEqual(manager.reset(), ['chat-a']);
+        assert.strictEqual(connection.closed.length, 0, 'Dead sessions should not be closed');
+        manager.acquire('chat-a', function(err, again) {
+            assert.notStrictEqual(again.session, a.session, 'A new session should be cloned');
+            done();
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/*global test*/
+/**
+ * nREPL Supervisor Tests
+ * Crashes the fake nREPL server (src/nrepl-fake-server.js), no Babashka required
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var net = require('net');
+
+var nreplSupervisor = require('../src/nrepl-supervisor');
+
+var helperCode = '(ns repl-talk.helpers)';
+
+/**
+ * A supervisor of a fake server whose session setup evaluates helperCode, like the app injects
+ * its helpers; setups records the setup options of every session
+ */
+function createSupervisor(server, reconnect) {
+    var setups = [];
+    var supervisor = nreplSupervisor.createSupervisor({
+        server: server,
+        reconnect: reconnect,
+        sessionSetup: function(connection, session, setupOptions, callback) {
+            setups.push(setupOptions);
+            connection.eval(helperCode, 'user', session, function(err) {
+                callback(err, { session: session });
+            });
+        }
+    });
+    supervisor.setups = setups;
+    return supervisor;
+}
+
+/**
+ * A port that was free a moment ago
+ */
+function freePort(callback) {
+    var probe = net.createServer();
+    probe.listen(0, '127.0.0.1', function() {
+        var port = probe.address().port;
+        probe.close(function() { callback(port); });
+    });
+}
+
+test('a crashed server is restarted and its session set up again', function(t, done) {
+    var supervisor = createSupervisor({ fake: { rules: [] } }, { initialDelay: 10, maxDelay: 100, maxAttempts: 0 });
+    var events = [];
+    supervisor.on('disconnected', function() { events.push('disconnected'); });
+    supervisor.on('reconnecting', function(info) { events.push(['reconnecting', info]); });
+
+    supervisor.start(function(err, setupResult) {
+        assert.ifError(err);
+        var crashed = supervisor.serverState.fake;
+        assert.strictEqual(setupResult.session, supervisor.session);
+
+        supervisor.on('reconnected', function(setupResult) {
+            assert.deepStrictEqual(events, ['disconnected', ['reconnecting', { attempt: 1, delay: 10 }]]);
+            assert.ok(supervisor.connected);
+            assert.strictEqual(supervisor.reconnecting, false);
+            assert.strictEqual(setupResult.session, supervisor.session);
+
+            // The helpers are injected into the new server's session
+            var restarted = supervisor.serverState.fake;
+            assert.notStrictEqual(restarted, crashed);
+            assert.deepStrictEqual(supervisor.setups, [{ reconnect: false }, { reconnect: true }]);
+            assert.ok(restarted.requests.some(function(request) {
+                return request.op === 'eval' && request.code === helperCode && request.session === supervisor.session;
+            }));
+            supervisor.stop(done);
+        });
+
+        crashed.crash();
+        assert.strictEqual(supervisor.connected, false);
+        assert.strictEqual(supervisor.session, null);
+    });
+});
+
+test('restarts back off exponentially up to the max delay and give up after max attempts', function(t, done) {
+    freePort(function(port) {
+        var supervisor = createSupervisor({ fake: { rules: [] }, port: port },
+                                          { initialDelay: 40, maxDelay: 100, maxAttempts: 3 });
+        // Holds the server's port, so every restart fails
+        var blocker = net.createServer();
+        var attempts = [];
+
+        supervisor.on('reconnecting', function(info) {
+            attempts.push({ attempt: info.attempt, delay: info.delay, at: Date.now() });
+        });
+        supervisor.on('reconnected', function() {
+            assert.fail('The server should not come back while its port is taken');
+        });
+        supervisor.on('gave-up', function(err) {
+            assert.match(err.message, /could not be restarted/);
+            assert.deepStrictEqual(attempts.map(function(a) { return [a.attempt, a.delay]; }),
+                                   [[1, 40], [2, 80], [3, 100]]);
+            // Each attempt waits its delay before the next one is scheduled
+            for (var i = 1; i < attempts.length; i++) {
+                assert.ok(attempts[i].at - attempts[i - 1].at >= attempts[i - 1].delay - 1,
+                          'attempt ' + attempts[i].attempt + ' came too early');
+            }
+            assert.strictEqual(supervisor.reconnecting, false);
+            assert.strictEqual(supervisor.connected, false);
+            supervisor.stop(function() { blocker.close(function() { done(); }); });
+        });
+
+        supervisor.start(function(err) {
+            assert.ifError(err);
+            var crashed = supervisor.serverState.fake;
+            crashed.close(function() {
+                blocker.listen(port, '127.0.0.1', function() {
+                    crashed.crash();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,140 @@
+/*global test*/
+/**
+ * Tests for model API providers
+ * Verifies history, tool schema and tool results are translated to and from native formats
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var providers = require('../src/providers');
+var chatStream = require('../src/chat-stream');
+
+var evalTool = {
+    type: 'function',
+    function: {
+        name: 'eval_clojure',
+        description: 'Evaluates Clojure code',
+        parameters: { type: 'object', properties: { code_string: { type: 'string' } }, required: ['code_string'] }
+    }
+};
+
+var history = [
+    { role: 'system', content: 'You are a Clojure expert.' },
+    { role: 'user', content: 'Add one and two' },
+    { role: 'assistant', content: '', tool_calls: [
+        { id: 'call_1', type: 'function', function: { name: 'eval_clojure', arguments: '{"code_string":"(+ 1 2)"}' } }
+    ] },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"status":"success","value":"3"}' },
+    { role: 'assistant', content: '<div>3</div>' },
+    { role: 'user', content: 'Thanks' }
+];
+
+var endpointInfo = {
+    endpoint: 'https://api.example.com/v1',
+    apiKey: 'secret',
+    model: 'some-model',
+    temperature: 0.2,
+    maxTokens: 1024
+};
+
+test('openai provider passes the request through unchanged', function() {
+    var request = providers.getProvider('openai').buildRequest(endpointInfo, history, [evalTool]);
+    assert.strictEqual(request.url, 'https://api.example.com/v1/chat/completions');
+    assert.strictEqual(request.headers.Authorization, 'Bearer secret');
+    assert.strictEqual(request.body.messages, history);
+    assert.deepStrictEqual(request.body.tools, [evalTool]);
+    assert.strictEqual(request.body.stream, undefined, 'Streaming is off unless configured');
+});
+
+test('anthropic provider translates history, tools and tool results', function() {
+    var request = providers.getProvider('anthropic').buildRequest(endpointInfo, history, [evalTool]);
+
+    assert.strictEqual(request.url, 'https://api.example.com/v1/messages');
+    assert.strictEqual(request.headers['x-api-key'], 'secret');
+    assert.ok(request.headers['anthropic-version']);
+    assert.strictEqual(request.body.system, 'You are a Clojure expert.');
+    assert.deepStrictEqual(request.body.tools, [{
+        name: 'eval_clojure',
+        description: 'Evaluates Clojure code',
+        input_schema: evalTool.function.parameters
+    }]);
+    assert.deepStrictEqual(request.body.messages, [
+        { role: 'user', content: [{ type: 'text', text: 'Add one and two' }] },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'eval_clojure', input: { code_string: '(+ 1 2)' } }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: '{"status":"success","value":"3"}' }] },
+        { role: 'assistant', content: [{ type: 'text', text: '<div>3</div>' }] },
+        { role: 'user', content: [{ type: 'text', text: 'Thanks' }] }
+    ]);
+});
+
+test('anthropic responses are returned in the OpenAI shape', function() {
+    var response = providers.getProvider('anthropic').parseResponse({
+        id: 'msg_1',
+        content: [
+            { type: 'text', text: 'Let me check.' },
+            { type: 'tool_use', id: 'toolu_1', name: 'eval_clojure', input: { code_string: '(+ 1 2)' } }
+        ],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 10, output_tokens: 5 }
+    });
+
+    assert.deepStrictEqual(response.choices[0].message, {
+        role: 'assistant',
+        content: 'Let me check.',
+        tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'eval_clojure', arguments: '{"code_string":"(+ 1 2)"}' } }]
+    });
+    assert.strictEqual(response.choices[0].finish_reason, 'tool_calls');
+    assert.deepStrictEqual(response.usage, { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+});
+
+test('anthropic streams rebuild text and tool calls', function() {
+    var accumulator = chatStream.createAnthropicStreamAccumulator();
+    [
+        { type: 'message_start', message: { id: 'msg_1', usage: { input_tokens: 10, output_tokens: 1 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'eval_clojure', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"code_string":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"(+ 1 2)"}' } },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 7 } },
+        { type: 'message_stop' }
+    ].forEach(function(event) {
+        accumulator.write('event: ' + event.type + '\ndata: ' + JSON.stringify(event) + '\n\n');
+    });
+
+    var response = accumulator.end().response;
+    assert.strictEqual(response.choices[0].message.content, 'Checking');
+    assert.strictEqual(response.choices[0].message.tool_calls[0].function.arguments, '{"code_string":"(+ 1 2)"}');
+    assert.strictEqual(response.choices[0].finish_reason, 'tool_calls');
+    assert.deepStrictEqual(response.usage, { prompt_tokens: 10, completion_tokens: 7, total_tokens: 17 });
+});
+
+test('ollama provider uses object arguments and assigns tool call ids', function() {
+    var ollama = providers.getProvider('ollama');
+    var request = ollama.buildRequest(Object.assign({}, endpointInfo, { endpoint: 'http://localhost:11434' }), history, [evalTool]);
+
+    assert.strictEqual(request.url, 'http://localhost:11434/api/chat');
+    assert.strictEqual(request.body.stream, false);
+    assert.deepStrictEqual(request.body.messages[2].tool_calls,
+                           [{ function: { name: 'eval_clojure', arguments: { code_string: '(+ 1 2)' } } }]);
+    assert.deepStrictEqual(request.body.messages[3],
+                           { role: 'tool', content: '{"status":"success","value":"3"}', tool_name: 'eval_clojure' });
+
+    var response = ollama.parseResponse({
+        model: 'qwen3:8b',
+        message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'eval_clojure', arguments: { code_string: '(+ 1 2)' } } }] },
+        done: true,
+        prompt_eval_count: 20,
+        eval_count: 4
+    });
+    var toolCall = response.choices[0].message.tool_calls[0];
+    assert.ok(toolCall.id, 'Tool calls need an id to pair them with results');
+    assert.strictEqual(toolCall.function.arguments, '{"code_string":"(+ 1 2)"}');
+    assert.strictEqual(response.choices[0].finish_reason, 'tool_calls');
+});
+
+test('unknown providers are rejected', function() {
+    assert.throws(function() { providers.getProvider('bogus'); }, /Unknown provider: bogus/);
+});
@@ -13,6 +13,8 @@ var nreplServer = require('../src/nrepl-server');
 var nreplClient = require('../src/nrepl-client');
 var aiClient = require('../src/ai-client');
 var resultHandler = require('../src/result-handler');
+var codeAnalyzer = require('../src/code-analyzer');
+var replState = require('../src/repl-state');
 
 // Test state
 var testState = {
@@ -487,6 +489,62 @@ var testSuite = test('REPL Loop Tests', {
     });
 });
 
+// Interrupted evaluations are not reported as errors
+test('Result handler reports interrupted evaluations distinctly', function() {
+    var interruptedMessages = [
+        { out: 'working...\n' },
+        { status: ['interrupted'] },
+        { status: ['done'] }
+    ];
+    var interruptedResult = resultHandler.serializeResult(interruptedMessages, 0);
+    assert.strictEqual(interruptedResult.type, 'interrupted', 'Result type should be interrupted');
+    assert.strictEqual(interruptedResult.value, null, 'Interrupted result should have no value');
+    assert.strictEqual(interruptedResult.stdout, 'working...\n', 'Partial stdout should be kept');
+});
+
+// Timed out evaluations keep partial output
+test('Result handler builds timeout results from partial messages', function() {
+    var partialMessages = [
+        { out: 'step 1\n' },
+        { out: 'step 2\n' }
+    ];
+    var timeoutResult = resultHandler.serializeTimeout(partialMessages, 5000);
+    assert.strictEqual(timeoutResult.type, 'timeout', 'Result type should be timeout');
+    assert.strictEqual(timeoutResult.elapsed, 5000, 'Elapsed time should be recorded');
+    assert.strictEqual(timeoutResult.stdout, 'step 1\nstep 2\n', 'Partial stdout should be kept');
+    assert.strictEqual(timeoutResult.logs.length, 2, 'Partial output should be logged');
+
+    var formatted = resultHandler.formatForVisualization(timeoutResult);
+    assert.strictEqual(formatted.elapsed, 5000, 'Formatted result should include elapsed time');
+});
+
+// Tracked definitions can be replayed into a fresh nREPL session
+test('REPL state keeps definition sources for replay', function() {
+    var code = '(require \'[clojure.string :as str])\n' +
+        '(def greeting "hi (there)")\n' +
+        '; (defn commented-out [] 1)\n' +
+        '(defn shout [s] (str/upper-case s))';
+    var analysis = codeAnalyzer.analyzeCode(code);
+    assert.deepStrictEqual(analysis.requires, ['(require \'[clojure.string :as str])']);
+    assert.strictEqual(analysis.variables[0].source, '(def greeting "hi (there)")');
+    assert.strictEqual(analysis.functions.length, 1, 'Commented definitions should be ignored');
+    assert.strictEqual(analysis.functions[0].source, '(defn shout [s] (str/upper-case s))');
+
+    var sessionId = 'replay-test-session';
+    replState.addRequire(sessionId, analysis.requires[0]);
+    replState.addVariable(sessionId, 'greeting', analysis.variables[0].type, analysis.variables[0].source);
+    replState.addFunction(sessionId, 'shout', { source: analysis.functions[0].source });
+    replState.addFunction(sessionId, 'shout', { source: '(defn shout [s] (str s "!"))' });
+
+    assert.deepStrictEqual(replState.getReplaySources(sessionId), [
+        '(require \'[clojure.string :as str])',
+        '(def greeting "hi (there)")',
+        '(defn shout [s] (str s "!"))'
+    ], 'Requires come first, redefinitions replace earlier sources');
+    assert.ok(replState.getSessionIds().indexOf(sessionId) > -1);
+    replState.clearSessionState(sessionId);
+});
+
 // Export for test runner
 module.exports = testSuite;
 
@@ -0,0 +1,275 @@
+/*global test*/
+/**
+ * REPL state tests
+ * Vars reported by repl-talk.result/snapshot replace the ones found by code analysis,
+ * and consecutive snapshots are diffed into what an eval added, changed and removed.
+ * Definitions and results persisted to the database are loaded again for replay, and the
+ * version history of each var rolls the REPL back to an earlier assistant turn. The vars each
+ * definition uses order replay, tell what a redefinition affects and prune the summary
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var clojureHelpers = require('../src/clojure-helpers');
+var codeAnalyzer = require('../src/code-analyzer');
+var db = require('../src/db');
+var replState = require('../src/repl-state');
+
+function fn(arglists, version) {
+    return { kind: 'function', type: 'clojure.lang.AFunction', arglists: arglists, doc: null, private: false,
+             file: null, line: 1, version: version };
+}
+
+function value(type, version) {
+    return { kind: 'value', type: type, arglists: null, doc: null, private: false, file: null, line: 2, version: version };
+}
+
+test('consecutive snapshots are diffed into added, changed and removed vars', function() {
+    var first = { 'chat-a': { shout: fn(['[s]'], 1), total: value('java.lang.Long', 2) } };
+    var second = {
+        'chat-a': { shout: fn(['[s]', '[s n]'], 3), total: value('java.lang.Long', 2) },
+        demo: { Point: value('java.lang.Class', 4), '->Point': fn(['[x y]'], 5) }
+    };
+
+    assert.deepStrictEqual(replState.diffSnapshots(null, first).added.map(function(v) { return v.name; }),
+                           ['chat-a/shout', 'chat-a/total']);
+
+    var diff = replState.diffSnapshots(first, second);
+    assert.deepStrictEqual(diff.added.map(function(v) { return v.name; }), ['demo/Point', 'demo/->Point']);
+    assert.deepStrictEqual(diff.changed, [{ name: 'chat-a/shout', kind: 'function', type: 'clojure.lang.AFunction',
+                                            arglists: ['[s]', '[s n]'], doc: null }]);
+    assert.deepStrictEqual(diff.removed, []);
+
+    assert.deepStrictEqual(replState.diffSnapshots(second, { demo: second.demo }).removed,
+                           [{ name: 'chat-a/shout' }, { name: 'chat-a/total' }]);
+});
+
+test('the state summary lists the vars of the latest snapshot and its changes', function() {
+    var sessionId = 'snapshot-test-' + process.pid;
+    replState.addFunction(sessionId, 'shout', { namespace: 'chat-a', source: '(defn shout [s] (str s "!"))' });
+    replState.addVariable(sessionId, 'total', 'number', '(def total 3)', null, 'chat-a');
+
+    // Before the first snapshot the analyzed definitions are listed
+    assert.deepStrictEqual(replState.getStateSummary(sessionId).functions.map(function(f) { return f.name; }), ['shout']);
+
+    replState.applySnapshot(sessionId, { 'chat-a': { shout: fn(['[s]'], 1), total: value('java.lang.Long', 2) } });
+    var changes = replState.applySnapshot(sessionId, { 'chat-a': { shout: fn(['[s]'], 1) } });
+    assert.deepStrictEqual(changes.removed, [{ name: 'chat-a/total' }]);
+
+    var summary = replState.getStateSummary(sessionId);
+    assert.deepStrictEqual(summary.functions, [{ name: 'shout', signature: '[s]', docstring: null, namespace: 'chat-a', kind: 'function' }]);
+    assert.deepStrictEqual(summary.variables, []);
+    assert.deepStrictEqual(summary.changes.removed, [{ name: 'chat-a/total' }]);
+
+    // A removed var is not replayed after a crash
+    assert.deepStrictEqual(replState.getReplaySources(sessionId), ['(defn shout [s] (str s "!"))']);
+
+    replState.applySnapshot(sessionId, { 'chat-a': { shout: fn(['[s]'], 1) } });
+    assert.strictEqual(replState.getStateSummary(sessionId).changes, undefined, 'No changes, nothing to report');
+    replState.clearSessionState(sessionId);
+
+    assert.strictEqual(clojureHelpers.snapshotCode('chat-a'), '(repl-talk.result/snapshot "chat-a")');
+});
+
+test('definitions and results are stored and loaded again in replay order', function() {
+    var sessionId = db.createSession();
+    replState.setStore(db);
+    try {
+        db.addMessage(sessionId, 'user', 'Shout the names', null);
+        db.addMessage(sessionId, 'assistant', '', [{ id: 'call_1', type: 'function' }]);
+        var messageId = db.getLatestMessageId(sessionId, 'assistant');
+        assert.strictEqual(db.getTurnMessage(sessionId, messageId).content, 'Shout the names');
+
+        replState.addRequire(sessionId, "(require '[clojure.string :as str])");
+        replState.addVariable(sessionId, 'names', 'vector', '(def names ["ada" "alan"])', null, 'chat-a');
+        replState.addFunction(sessionId, 'shout', { signature: '[s]', namespace: 'chat-a', source: '(defn shout [s] (str/upper-case s))',
+                                                    messageId: messageId });
+        replState.addVariable(sessionId, 'names', 'vector', '(def names ["grace"])', null, 'chat-a');
+        replState.addBinding(sessionId, 'loud', ['GRACE'], 'vector', { raw: '["GRACE"]' });
+        replState.addBinding(sessionId, '*r1*', 'a', 'string', { raw: '"a"' });
+        replState.updateLastResult(sessionId, ['GRACE'], 'vector', { raw: '["GRACE"]', boundTo: 'loud' });
+        replState.updateLastResult(sessionId, 'GRACE', 'string', { raw: '"GRACE"' });
+
+        assert.deepStrictEqual(db.getDefinitions(sessionId).map(function(d) { return d.kind + ' ' + d.name; }),
+                               ["require (require '[clojure.string :as str])", 'function shout', 'variable names']);
+
+        // As after a restart: the chat's state is gone from memory and loaded from the database
+        replState.unloadSessionState(sessionId);
+        assert.ok(replState.hasSessionState(sessionId));
+        var state = replState.getSessionState(sessionId);
+        assert.deepStrictEqual(state.functions['chat-a/shout'].signature, '[s]');
+        assert.strictEqual(state.variables['chat-a/names'].type, 'vector');
+        assert.deepStrictEqual(state.resultHistory.map(function(r) { return r.value; }), [['GRACE'], 'GRACE']);
+        assert.strictEqual(state.lastResult.value, 'GRACE');
+        assert.deepStrictEqual(replState.getReplaySources(sessionId), [
+            "(require '[clojure.string :as str])",
+            '(defn shout [s] (str/upper-case s))',
+            '(def names ["grace"])',
+            "(def loud '[\"GRACE\"])",
+            "(def *r1* '\"a\")",
+            '(def *last-result* *r1*)'
+        ]);
+        assert.deepStrictEqual(replState.getBindings(sessionId).map(function(b) { return b.name + ' ' + b.count; }), ['loud 1', '*r1* 1']);
+        assert.strictEqual(replState.nextBindingName(sessionId), '*r2*');
+        assert.deepStrictEqual(replState.getCheckpoints(sessionId).map(function(c) { return [c.messageId, c.names]; }),
+                               [[messageId, ['shout']]]);
+
+        // Vars removed from the REPL are removed from the database too
+        replState.applySnapshot(sessionId, { 'chat-a': { shout: fn(['[s]'], 1), names: value('clojure.lang.PersistentVector', 2) } });
+        replState.applySnapshot(sessionId, { 'chat-a': { names: value('clojure.lang.PersistentVector', 2) } });
+        assert.deepStrictEqual(db.getDefinitions(sessionId).map(function(d) { return d.name; }),
+                               ["(require '[clojure.string :as str])", 'names']);
+
+        replState.clearSessionState(sessionId);
+        assert.strictEqual(replState.hasSessionState(sessionId), false);
+        assert.deepStrictEqual(db.getResults(sessionId), []);
+        assert.deepStrictEqual(db.getBindings(sessionId), []);
+        assert.deepStrictEqual(db.getVersions(sessionId), []);
+    } finally {
+        replState.setStore(null);
+        replState.clearSessionState(sessionId);
+        db.deleteSession(sessionId);
+    }
+});
+
+test('vars of the same name in different namespaces are stored and replayed apart', function() {
+    var sessionId = db.createSession();
+    replState.setStore(db);
+    try {
+        replState.addRequire(sessionId, '(ns demo.core)');
+        replState.addVariable(sessionId, 'total', 'number', '(def total 1)', null, 'demo.core');
+        replState.addRequire(sessionId, '(in-ns \'chat-a)');
+        replState.addVariable(sessionId, 'total', 'number', '(def total 2)', null, 'chat-a');
+        replState.addVariable(sessionId, 'total', 'number', '(def total 3)', null, 'chat-a');
+
+        assert.deepStrictEqual(db.getDefinitions(sessionId).filter(function(d) { return d.kind === 'variable'; })
+            .map(function(d) { return d.namespace + '/' + d.name + ' ' + d.source; }),
+                               ['demo.core/total (def total 1)', 'chat-a/total (def total 3)']);
+
+        replState.unloadSessionState(sessionId);
+        assert.deepStrictEqual(replState.getReplaySources(sessionId),
+                               ['(ns demo.core)', "(in-ns 'chat-a)", '(def total 1)', '(def total 3)']);
+
+        // Removing one of them leaves the other
+        var both = { 'demo.core': { total: value('java.lang.Long', 1) }, 'chat-a': { total: value('java.lang.Long', 2) } };
+        replState.applySnapshot(sessionId, both);
+        replState.applySnapshot(sessionId, { 'chat-a': both['chat-a'] });
+        assert.deepStrictEqual(db.getDefinitions(sessionId).filter(function(d) { return d.kind === 'variable'; })
+            .map(function(d) { return d.namespace + '/' + d.name; }), ['chat-a/total']);
+    } finally {
+        replState.setStore(null);
+        replState.clearSessionState(sessionId);
+        db.deleteSession(sessionId);
+    }
+});
+
+test('results are bound by name or numbered like notebook outputs', function() {
+    assert.deepStrictEqual(codeAnalyzer.parseResultBinding(';; bind-result as files\n(fs/list-dir ".")'), { name: 'files' });
+    assert.deepStrictEqual(codeAnalyzer.parseResultBinding('(+ 1 2) ;; bind-result'), { name: null });
+    assert.deepStrictEqual(codeAnalyzer.parseResultBinding(';; bind-result as other.ns/x'), { name: null }, 'Only plain symbols are bound');
+    assert.strictEqual(codeAnalyzer.parseResultBinding('(+ 1 2)'), null);
+    assert.strictEqual(codeAnalyzer.requestsResultBinding(';; save-result'), true);
+
+    var sessionId = 'bindings-test-' + process.pid;
+    assert.strictEqual(replState.nextBindingName(sessionId), '*r1*');
+    replState.addBinding(sessionId, '*r1*', [1, 2, 3], 'vector');
+    replState.addBinding(sessionId, 'files', { a: 1, b: 2 }, 'map', { count: 40 });
+    assert.strictEqual(replState.nextBindingName(sessionId), '*r2*');
+
+    // Rebinding a name replaces it and moves it to the end
+    replState.addBinding(sessionId, '*r1*', 'abc', 'string');
+    assert.deepStrictEqual(replState.getStateSummary(sessionId).bindings.map(function(b) {
+        return [b.name, b.type, b.count, b.preview];
+    }), [['files', 'map', 40, '{2 keys}'], ['*r1*', 'string', 3, 'abc']]);
+
+    assert.strictEqual(replState.removeBinding(sessionId, 'files'), true);
+    assert.strictEqual(replState.removeBinding(sessionId, 'files'), false);
+    assert.deepStrictEqual(replState.getBindings(sessionId).map(function(b) { return b.name; }), ['*r1*']);
+    replState.clearSessionState(sessionId);
+});
+
+test('the REPL is rolled back to the definitions as of an assistant turn', function() {
+    var sessionId = 'rollback-test-' + process.pid;
+    replState.addFunction(sessionId, 'shout', { namespace: 'chat-a', source: '(defn shout [s] (str s "!"))', messageId: 10 });
+    replState.addVariable(sessionId, 'total', 'number', '(def total 3)', 10, 'chat-a');
+    replState.addFunction(sessionId, 'shout', { namespace: 'chat-a', source: '(defn shout [s] (str s !))', messageId: 20 });
+    replState.addFunction(sessionId, 'helper', { namespace: 'chat-a', source: '(defn helper [])', messageId: 20 });
+    replState.addBinding(sessionId, '*r1*', [1], 'vector', { raw: '[1]', messageId: 20 });
+    replState.applySnapshot(sessionId, { 'chat-a': { shout: fn(['[s]'], 1), total: value('java.lang.Long', 2) } });
+    replState.applySnapshot(sessionId, { 'chat-a': { shout: fn(['[s]'], 1) } }, 20);
+
+    assert.deepStrictEqual(replState.getCheckpoints(sessionId).map(function(c) { return [c.messageId, c.names]; }),
+                           [[10, ['shout', 'total']], [20, ['shout', 'helper', '*r1*', 'total']]]);
+
+    var plan = replState.planRollback(sessionId, 10);
+    assert.deepStrictEqual(plan.unmap, [{ kind: 'function', name: 'helper', namespace: 'chat-a' },
+                                        { kind: 'binding', name: '*r1*', namespace: null }]);
+    assert.deepStrictEqual(plan.restore.map(function(v) { return v.source; }), ['(defn shout [s] (str s "!"))', '(def total 3)']);
+
+    // A form that fails to evaluate again leaves the var as it is
+    var summary = replState.applyRollback(sessionId, plan, ['total']);
+    assert.deepStrictEqual(summary, { removed: ['helper', '*r1*'], restored: ['shout'] });
+    var state = replState.getSessionState(sessionId);
+    assert.strictEqual(state.functions['chat-a/shout'].source, '(defn shout [s] (str s "!"))');
+    assert.strictEqual(state.variables['chat-a/total'], undefined);
+    assert.deepStrictEqual(replState.getBindings(sessionId), []);
+
+    // Rolling forward again is a rollback to the later turn
+    var forward = replState.planRollback(sessionId, 20);
+    assert.deepStrictEqual(forward.unmap, []);
+    assert.deepStrictEqual(forward.restore.map(function(v) { return v.name; }), ['shout', 'helper', '*r1*']);
+    assert.deepStrictEqual(replState.planRollback(sessionId, 0).unmap.map(function(u) { return u.name; }), ['shout']);
+    replState.clearSessionState(sessionId);
+});
+
+test('definitions are replayed after the definitions they use', function() {
+    var sessionId = 'graph-order-test-' + process.pid;
+    replState.addFunction(sessionId, 'shout', { source: '(defn shout [s] (str/upper-case (exclaim s)))' });
+    replState.addVariable(sessionId, 'greeting', 'string', '(def greeting "shout exclaim")');
+    // Redefined after its user
+    replState.addFunction(sessionId, 'exclaim', { source: '(defn exclaim [s] (str s \\!))' });
+    replState.addFunction(sessionId, 'ping', { source: '(defn ping [n] (when (pos? n) (pong (dec n))))' });
+    replState.addFunction(sessionId, 'pong', { source: '(defn pong [n] (ping n))' });
+
+    assert.deepStrictEqual(replState.getReplaySources(sessionId), [
+        '(declare ping pong)',
+        '(def greeting "shout exclaim")',
+        '(defn exclaim [s] (str s \\!))',
+        '(defn shout [s] (str/upper-case (exclaim s)))',
+        '(defn ping [n] (when (pos? n) (pong (dec n))))',
+        '(defn pong [n] (ping n))'
+    ], 'Names that refer to each other are declared');
+
+    var graph = replState.getDependencyGraph(sessionId);
+    assert.deepStrictEqual(graph.shout, { kind: 'function', references: ['exclaim'], dependents: [] });
+    assert.deepStrictEqual(graph.exclaim.dependents, ['shout']);
+    assert.deepStrictEqual(graph.greeting.references, [], 'Names in strings are not references');
+    replState.clearSessionState(sessionId);
+});
+
+test('redefinitions warn about the vars that use them and the summary lists relevant functions', function() {
+    var sessionId = 'graph-impact-test-' + process.pid;
+    replState.addVariable(sessionId, 'names', 'vector', '(def names ["ada" "alan"])');
+    replState.addFunction(sessionId, 'exclaim', { signature: '[s]', source: '(defn exclaim [s] (str s "!"))' });
+    replState.addFunction(sessionId, 'shout', { signature: '[s]', source: '(defn shout [s] (str/upper-case (exclaim s)))' });
+    replState.addFunction(sessionId, 'shout-all', { signature: '[]', source: '(defn shout-all [] (map shout names))' });
+    replState.addFunction(sessionId, 'parse-csv', { signature: '[text]', source: '(defn parse-csv [text] (str/split text #","))' });
+
+    assert.deepStrictEqual(replState.getDependents(sessionId, ['exclaim']), ['shout', 'shout-all']);
+    assert.deepStrictEqual(replState.getRedefinitionImpact(sessionId, '(defn exclaim [s n] (str s (repeat n "!")))', 'chat-a'), [
+        { name: 'exclaim', dependents: ['shout', 'shout-all'], signature: { from: '[s]', to: '[s n]' } }
+    ]);
+    assert.deepStrictEqual(replState.getRedefinitionImpact(sessionId, '(defn exclaim [s] s)\n(defn shout [s] (exclaim s))', 'chat-a'), [
+        { name: 'exclaim', dependents: ['shout-all'], signature: null },
+        { name: 'shout', dependents: ['shout-all'], signature: null }
+    ], 'Dependents redefined by the same code are not affected');
+    assert.deepStrictEqual(replState.getRedefinitionImpact(sessionId, '(defn parse-csv [t] t)', 'chat-a'), []);
+
+    var summary = replState.getStateSummary(sessionId, { relevantTo: 'Shout all the names again', maxFunctions: 2 });
+    assert.deepStrictEqual(summary.functions.map(function(f) { return f.name; }), ['exclaim', 'shout', 'shout-all']);
+    assert.strictEqual(summary.functionsOmitted, 1);
+    assert.strictEqual(replState.getStateSummary(sessionId, { relevantTo: 'Shout', maxFunctions: 10 }).functions.length, 4,
+                       'A few functions are all listed');
+    replState.clearSessionState(sessionId);
+});
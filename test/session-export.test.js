@@ -0,0 +1,58 @@
+/*global test*/
+/**
+ * Session export tests
+ * A chat's definitions are written out in dependency order with the requires they use,
+ * as a namespace or a Babashka script with a -main and a bb.edn task
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+
+var replState = require('../src/repl-state');
+var sessionExport = require('../src/session-export');
+
+test('a chat is exported as a namespace with the requires it uses', function() {
+    var sessionId = 'export-test-' + process.pid;
+    replState.addRequire(sessionId, "(require '[clojure.string :as str] '[clojure.set :as set])");
+    replState.addRequire(sessionId, '(ns chat-a (:require [babashka.fs :as fs] [clojure.walk :refer [postwalk]]) (:import [java.time LocalDate]))');
+    replState.addFunction(sessionId, 'shout', { source: '(defn shout [s] (str/upper-case s))' });
+    replState.addFunction(sessionId, 'tidy', { source: '(defn tidy [m] (postwalk identity m))' });
+    replState.addVariable(sessionId, 'today', 'unknown', '(def today (LocalDate/now))');
+
+    try {
+        var result = sessionExport.exportSession(sessionId, { namespace: 'my-tools.chat' });
+        assert.deepStrictEqual(result.files.map(function(f) { return f.path; }), ['src/my_tools/chat.clj', 'bb.edn']);
+
+        var source = result.files[0].content;
+        assert.ok(source.indexOf('(ns my-tools.chat\n' +
+                                 '  (:require [clojure.string :as str]\n' +
+                                 '   [clojure.walk :refer [postwalk]])\n' +
+                                 '  (:import [java.time LocalDate]))') === 0, source);
+        assert.ok(source.indexOf("(get (ns-publics 'my-tools.chat) (symbol f))") !== -1, 'A -main calls functions by name');
+        assert.ok(source.indexOf('"shout tidy"') !== -1);
+        assert.ok(/:requires \(\[my-tools\.chat :as chat\]\)/.test(result.files[1].content));
+        assert.ok(/^\{:paths \["src"\]\n :tasks\n \{chat\n/.test(result.files[1].content), result.files[1].content);
+
+        assert.throws(function() { sessionExport.exportSession(sessionId, { namespace: 'bad ns' }); }, /Not a valid namespace/);
+        assert.throws(function() { sessionExport.exportSession(sessionId, { format: 'jar' }); }, /Unknown export format/);
+    } finally {
+        replState.clearSessionState(sessionId);
+    }
+});
+
+test('a chat is exported as a Babashka script that runs -main', function() {
+    var result = sessionExport.buildExport({
+        requires: [],
+        definitions: [
+            { kind: 'function', name: '-main', source: '(defn -main [& args] (println args))' }
+        ]
+    }, { format: 'script', namespace: 'chat.tools', task: 'tools' });
+
+    var source = result.files[0].content;
+    assert.strictEqual(result.files[0].path, 'tools.bb');
+    assert.ok(source.indexOf('#!/usr/bin/env bb\n\n(ns chat.tools)') === 0, source);
+    assert.strictEqual(source.indexOf('ns-publics'), -1, 'The chat\'s own -main is kept');
+    assert.ok(/\(when \(= \*file\* \(System\/getProperty "babashka.file"\)\)\n  \(apply -main \*command-line-args\*\)\)\n$/.test(source));
+    assert.strictEqual(result.files[1].content, '{:tasks\n {tools\n  {:doc "Run a function exported from the chat"\n' +
+                       '   :task (apply shell "bb" "tools.bb" *command-line-args*)}}}\n');
+});
@@ -0,0 +1,149 @@
+/*global module,require,setTimeout,clearTimeout*/
+
+/**
+ * Runs the app (src/app.js) in-process for tests: against the fake nREPL server
+ * (src/nrepl-fake-server.js) instead of Babashka and the mock LLM server instead of a model,
+ * with browsers played by WebSocket clients.
+ *
+ * The app reads the shared config (src/config.js), so a test file starts one app and
+ * shares it between its tests; each test adds the fake server rules and model replies
+ * it needs and connects its own chats.
+ */
+
+var WebSocket = require('ws');
+
+var config = require('../../src/config');
+var mockLLM = require('./mock-llm-server');
+
+/**
+ * Start the app
+ * @param {Object} options - Optional { evaluation, nrepl } settings merged into the config
+ * @param {Function} callback - Callback (err, harness) with
+ *   - app: the app module, app.appState its state
+ *   - rules: the fake server's rules, shared with servers restarted after a crash
+ *   - fake(): the running fake server
+ *   - replies: model replies, used one per request (see mock-llm-server.js)
+ *   - llm: the mock LLM server, llm.requests the requests it got
+ *   - connect(callback): a browser, see connect below
+ *   - stop(callback)
+ */
+function start(options, callback) {
+    options = options || {};
+    var rules = [];
+    var replies = [];
+
+    mockLLM.start(function() { return replies.shift(); }, function(err, llm) {
+        if (err) return callback(err, null);
+
+        var mockConfig = mockLLM.createConfig(config, llm);
+        config.ai.defaultModel = mockConfig.ai.defaultModel;
+        config.ai.models = mockConfig.ai.models;
+        config.ai.systemPrompt = 'You are a test assistant.';
+        config.ai.codeModePromptTemplate = '';
+        config.retry = Object.assign({}, config.retry, { maxRetries: 0, requestTimeout: 5000 });
+        config.nrepl = Object.assign({}, config.nrepl, {
+            fake: { rules: rules },
+            port: undefined,
+            reconnect: { initialDelay: 10, maxDelay: 100, maxAttempts: 0 }
+        }, options.nrepl);
+        config.evaluation = Object.assign({}, config.evaluation, options.evaluation);
+        config.codeValidation = Object.assign({}, config.codeValidation, { enabled: false });
+        config.server = { port: 0, host: '127.0.0.1' };
+
+        var app = require('../../src/app');
+        app.initialize(function(err) {
+            if (err) return callback(err, null);
+            app.setupWebServer(function() {
+                callback(null, {
+                    app: app,
+                    rules: rules,
+                    replies: replies,
+                    llm: llm,
+                    fake: function() { return app.appState.nreplServerState.fake; },
+                    connect: function(cb) { connect(app.appState.httpServer.address().port, null, cb); },
+                    resume: function(sessionId, cb) { connect(app.appState.httpServer.address().port, sessionId, cb); },
+                    stop: function(cb) {
+                        app.cleanup(function() { llm.close(cb); });
+                    }
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Open a chat like a browser does
+ * @param {number} port - Port of the app's web server
+ * @param {string} sessionId - Chat to resume, null for a new one
+ * @param {Function} callback - Callback (err, browser) with
+ *   - sessionId: the chat's session ID
+ *   - messages: everything the app sent
+ *   - send(message)
+ *   - next(type, callback): callback (message) with the first message of a type not taken yet,
+ *     waiting for it if it has not come
+ *   - close(callback)
+ */
+function connect(port, sessionId, callback) {
+    var ws = new WebSocket('ws://127.0.0.1:' + port + (sessionId ? '/?session=' + sessionId : ''));
+    var browser = { sessionId: null, messages: [], waiting: [] };
+    var taken = [];
+
+    function deliver() {
+        for (var i = 0; i < browser.waiting.length; i++) {
+            var wait = browser.waiting[i];
+            var index = findMessage(wait.type);
+            if (index !== -1) {
+                taken.push(index);
+                clearTimeout(wait.timer);
+                browser.waiting.splice(i, 1);
+                wait.callback(browser.messages[index]);
+                // The callback may wait for more messages
+                return deliver();
+            }
+        }
+    }
+
+    function findMessage(type) {
+        for (var i = 0; i < browser.messages.length; i++) {
+            if (browser.messages[i].type === type && taken.indexOf(i) === -1) return i;
+        }
+        return -1;
+    }
+
+    browser.send = function(message) {
+        ws.send(JSON.stringify(message));
+    };
+
+    browser.next = function(type, cb) {
+        var wait = { type: type, callback: cb };
+        // A message that never comes fails the test instead of hanging it
+        wait.timer = setTimeout(function() {
+            throw new Error('No ' + type + ' message, got: ' +
+                            browser.messages.map(function(msg) { return msg.type; }).join(', '));
+        }, 10000);
+        browser.waiting.push(wait);
+        deliver();
+    };
+
+    browser.close = function(cb) {
+        ws.once('close', function() { if (cb) cb(); });
+        ws.close();
+    };
+
+    ws.on('message', function(data) {
+        var message = JSON.parse(data);
+        browser.messages.push(message);
+        if (!browser.sessionId && message.sessionId) {
+            browser.sessionId = message.sessionId;
+            callback(null, browser);
+        }
+        deliver();
+    });
+    ws.on('error', function(err) {
+        if (!browser.sessionId) callback(err, null);
+    });
+}
+
+module.exports = {
+    start: start
+};
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/*global require,process*/
+
+/**
+ * Stand-in for the clj-kondo executable in tests
+ * Understands the two ways code-validator.js runs clj-kondo:
+ *   --lint <file> --cache-dir <dir>   writes the names the file defns to <dir>/names.json,
+ *                                     leaving out private (defn-) ones
+ *   --lint - [--cache-dir <dir>]      reports calls to my-* functions defined neither in the
+ *                                     input nor in the cache, or called with the wrong arity
+ * Each run appends { pid, event: 'start' | 'lint', args } lines to $FAKE_KONDO_LOG, so tests
+ * can tell which process linted which input.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var args = process.argv.slice(2);
+var target = args[args.indexOf('--lint') + 1];
+var cacheDir = args.indexOf('--cache-dir') !== -1 ? args[args.indexOf('--cache-dir') + 1] : null;
+
+function log(event) {
+    if (process.env.FAKE_KONDO_LOG) {
+        fs.appendFileSync(process.env.FAKE_KONDO_LOG, JSON.stringify({ pid: process.pid, event: event, args: args }) + '\n');
+    }
+}
+
+function definitions(source, publicOnly) {
+    var names = {};
+    var re = /\(defn(-?)\s+([^\s()[\]]+)\s+\[([^\]]*)\]/g;
+    var match;
+    while ((match = re.exec(source))) {
+        // Other namespaces cannot refer private vars
+        if (publicOnly && match[1]) continue;
+        names[match[2]] = match[3].trim() ? match[3].trim().split(/\s+/).length : 0;
+    }
+    return names;
+}
+
+function lint(source) {
+    var known = definitions(source);
+    if (cacheDir && fs.existsSync(path.join(cacheDir, 'names.json'))) {
+        known = Object.assign(JSON.parse(fs.readFileSync(path.join(cacheDir, 'names.json'), 'utf8')), known);
+    }
+    var findings = [];
+    source.split('\n').forEach(function(line, index) {
+        var re = /\((my-[\w-]*)([^()]*)\)/g;
+        var match;
+        while ((match = re.exec(line))) {
+            var argc = match[2].trim() ? match[2].trim().split(/\s+/).length : 0;
+            var finding = { row: index + 1, col: match.index + 2, level: 'error', filename: '<stdin>' };
+            if (!(match[1] in known)) {
+                finding.message = 'Unresolved symbol: ' + match[1];
+            } else if (known[match[1]] !== argc) {
+                finding.message = match[1] + ' is called with ' + argc + ' args but expects ' + known[match[1]];
+            } else {
+                continue;
+            }
+            findings.push(finding);
+        }
+    });
+    log('lint');
+    process.stdout.write(JSON.stringify({ findings: findings }));
+}
+
+log('start');
+if (target === '-') {
+    var input = '';
+    process.stdin.on('data', function(data) { input += data; });
+    process.stdin.on('end', function() { lint(input); });
+} else {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(path.join(cacheDir, 'names.json'), JSON.stringify(definitions(fs.readFileSync(target, 'utf8'), true)));
+    log('lint');
+    process.stdout.write(JSON.stringify({ findings: [] }));
+}
@@ -0,0 +1,185 @@
+/*global module,require,__dirname*/
+
+/**
+ * Mock OpenAI-compatible LLM server for tests
+ * Answers POST /chat/completions from a script of replies and records every request,
+ * so tests can drive createAIClient end-to-end without a real model.
+ *
+ * A script is an array of replies, used one per request, or a function (request, index)
+ * returning a reply for every request. A reply is one of:
+ *   { content: '<div>...</div>' }                         assistant message
+ *   { code: '(+ 1 2)' }                                   eval_clojure tool call
+ *   { toolCalls: [{ code }, { name, arguments }], content } several tool calls
+ *   { status: 503, headers: {...}, body: {...} }           raw HTTP error
+ *   function (request, index) returning one of the above
+ * Streamed requests (stream: true) are answered with server-sent events.
+ * Requests past the end of the script get a 500 so a test fails loudly.
+ */
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * Load a script from test/fixtures/llm/<name>.json
+ * @param {string} name - Fixture name without extension
+ * @returns {Array} Script
+ */
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/llm', name + '.json'), 'utf8'));
+}
+
+/**
+ * Turn a scripted reply into an assistant message
+ */
+function toMessage(reply, index) {
+    var message = { role: 'assistant', content: reply.content !== undefined ? reply.content : null };
+    var toolCalls = reply.toolCalls || (reply.code !== undefined ? [{ code: reply.code }] : null);
+    if (toolCalls) {
+        message.tool_calls = toolCalls.map(function(call, callIndex) {
+            return {
+                id: call.id || 'call_' + index + '_' + callIndex,
+                type: 'function',
+                function: {
+                    name: call.name || 'eval_clojure',
+                    arguments: call.arguments !== undefined ? call.arguments : JSON.stringify({ code_string: call.code })
+                }
+            };
+        });
+    }
+    return message;
+}
+
+function sendJSON(res, status, headers, body) {
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a message as a stream of chat.completion.chunk events
+ */
+function sendStream(res, message) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    var send = function(delta, finishReason) {
+        res.write('data: ' + JSON.stringify({
+            id: 'mock',
+            object: 'chat.completion.chunk',
+            choices: [{ index: 0, delta: delta, finish_reason: finishReason || null }]
+        }) + '\n\n');
+    };
+
+    send({ role: 'assistant' });
+    // A few pieces are enough to exercise partial rendering
+    var content = message.content || '';
+    var size = Math.max(Math.ceil(content.length / 3), 1);
+    for (var i = 0; i < content.length; i += size) {
+        send({ content: content.slice(i, i + size) });
+    }
+    (message.tool_calls || []).forEach(function(call, index) {
+        send({ tool_calls: [{ index: index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] });
+        send({ tool_calls: [{ index: index, function: { arguments: call.function.arguments } }] });
+    });
+    send({}, message.tool_calls ? 'tool_calls' : 'stop');
+    res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Start a mock server on a free local port
+ * @param {Array|Function} script - Replies, see above
+ * @param {Function} callback - Callback (err, server) with server.endpoint, server.requests,
+ *   server.remaining() (unused replies) and server.close(callback)
+ */
+function start(script, callback) {
+    var requests = [];
+
+    var httpServer = http.createServer(function(req, res) {
+        var body = '';
+        req.on('data', function(chunk) { body += chunk; });
+        req.on('end', function() {
+            if (req.method !== 'POST' || !/\/chat\/completions$/.test(req.url)) {
+                return sendJSON(res, 404, {}, { error: { message: 'Not found: ' + req.method + ' ' + req.url } });
+            }
+
+            var request;
+            try {
+                request = JSON.parse(body);
+            } catch (e) {
+                return sendJSON(res, 400, {}, { error: { message: 'Invalid JSON: ' + e.message } });
+            }
+
+            var index = requests.length;
+            requests.push(request);
+
+            var reply = typeof script === 'function' ? script(request, index) : script[index];
+            if (typeof reply === 'function') {
+                reply = reply(request, index);
+            }
+            if (!reply) {
+                return sendJSON(res, 500, {}, { error: { message: 'Mock LLM script exhausted at request ' + (index + 1) } });
+            }
+
+            if (reply.status && (reply.status < 200 || reply.status >= 300)) {
+                return sendJSON(res, reply.status, reply.headers || {}, reply.body || { error: { message: 'Mock error' } });
+            }
+
+            var message = toMessage(reply, index);
+            if (request.stream) {
+                return sendStream(res, message);
+            }
+            sendJSON(res, 200, {}, {
+                id: 'mock-' + index,
+                object: 'chat.completion',
+                model: request.model,
+                choices: [{ index: 0, message: message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+                usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+            });
+        });
+    });
+
+    httpServer.on('error', function(err) {
+        callback(err, null);
+    });
+
+    httpServer.listen(0, '127.0.0.1', function() {
+        callback(null, {
+            endpoint: 'http://127.0.0.1:' + httpServer.address().port + '/v1',
+            requests: requests,
+            remaining: function() {
+                return typeof script === 'function' ? 0 : Math.max(script.length - requests.length, 0);
+            },
+            close: function(done) {
+                httpServer.close(done);
+            }
+        });
+    });
+}
+
+/**
+ * Copy a config with a 'mock' model pointing at the server as the default model
+ * @param {Object} config - Base config (src/config.js)
+ * @param {Object} server - Server from start
+ * @param {Object} overrides - Optional model settings, e.g. { stream: true, contextWindow: 1000 }
+ * @returns {Object} New config
+ */
+function createConfig(config, server, overrides) {
+    var mockModel = Object.assign({
+        endpoint: server.endpoint,
+        apiKey: 'mock',
+        model: 'mock',
+        temperature: 0,
+        maxTokens: 100
+    }, overrides);
+
+    return Object.assign({}, config, {
+        ai: Object.assign({}, config.ai, {
+            defaultModel: 'mock',
+            models: Object.assign({}, config.ai.models, { mock: mockModel })
+        })
+    });
+}
+
+module.exports = {
+    start: start,
+    loadFixture: loadFixture,
+    createConfig: createConfig
+};